@@ -0,0 +1,419 @@
+/**
+ * Account deletion - removes or anonymizes everything a deleted user left behind
+ *
+ * cleanupUserData (index.js) runs deleteAccountData when the Auth account is deleted:
+ * - posts and comments are soft-deleted like the author would (deleted: true, content cleared)
+ *   and their username replaced, so replies keep their place in threads. Post edit history is deleted
+ * - community, legacy and direct chat messages are deleted (with their edit history)
+ * - follow edges in both directions, userQuests, the gameLeaderboard entry, presence/typing docs,
+ *   drafts, notifications, timeline, blocks, username history and aliases, backup codes and the
+ *   data export record are deleted
+ * - Storage files under users/{uid}/ (avatars, exports) and the user's post uploads are deleted
+ * - community memberships are removed. Communities the user owns (owner role or creatorId, with or
+ *   without a member doc) go to another member (first an admin, then a moderator, then anyone);
+ *   communities with no other members are deleted
+ * - the user leaves every direct and group conversation (participants, admins, participantInfo and
+ *   unreadCounts). Owned groups go to another member (first an admin, then anyone); conversations
+ *   with nobody left are deleted, as are the user's pending group invites
+ * - post and comment votes are deleted, so the vote triggers (votes.js) take them off the scores
+ *   and karma
+ *
+ * With dryRun nothing is written and the report only counts what would change.
+ * previewAccountDeletion returns that report to the user (or to staff for any user).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const mfa = require('./mfa');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 500;
+const DELETED_USERNAME = '[deleted]';
+// Roles that can take over a community, in order of preference
+const OWNER_SUCCESSION = ['admin', 'moderator'];
+
+// All documents of a query, a page at a time
+async function getAllDocs(query) {
+    const docs = [];
+    let lastDoc = null;
+    while (true) {
+        let page = query.limit(PAGE_SIZE);
+        if (lastDoc) page = page.startAfter(lastDoc);
+        const snapshot = await page.get();
+        docs.push(...snapshot.docs);
+        if (snapshot.size < PAGE_SIZE) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+    return docs;
+}
+
+// BulkWriter whose failed writes are logged and counted instead of rejecting
+function createWriter(logPrefix) {
+    const writer = db.bulkWriter();
+    const result = { failedWrites: 0 };
+    const track = (promise) => {
+        promise.catch(error => {
+            result.failedWrites++;
+            console.error(`${logPrefix} Write failed:`, error.message);
+        });
+    };
+    return {
+        update: (ref, data) => track(writer.update(ref, data)),
+        delete: (ref) => track(writer.delete(ref)),
+        close: async () => {
+            await writer.close();
+            return result.failedWrites;
+        }
+    };
+}
+
+async function countDocs(collectionRef) {
+    const snapshot = await collectionRef.count().get();
+    return snapshot.data().count;
+}
+
+// Delete a collection (with subcollections) and return how many documents it had
+async function deleteCollection(collectionRef, dryRun) {
+    const count = await countDocs(collectionRef);
+    if (!dryRun && count > 0) {
+        await db.recursiveDelete(collectionRef);
+    }
+    return count;
+}
+
+// Soft-delete the user's posts the way the author would, and drop their edit history
+async function anonymizePosts(uid, writer) {
+    const posts = await getAllDocs(db.collection('posts').where('userId', '==', uid));
+    if (writer) {
+        for (const postDoc of posts) {
+            writer.update(postDoc.ref, {
+                deleted: true,
+                content: '',
+                images: [],
+                videos: [],
+                username: DELETED_USERNAME,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            await db.recursiveDelete(postDoc.ref.collection('revisions'));
+        }
+    }
+    return posts.length;
+}
+
+// Soft-delete the user's comments; replies stay under a "[deleted]" placeholder
+async function anonymizeComments(uid, writer) {
+    const comments = await getAllDocs(db.collectionGroup('comments').where('userId', '==', uid));
+    if (!writer) {
+        return comments.length;
+    }
+
+    // commentsCount on the posts follows through trendingOnCommentWritten (trending.js)
+    comments.forEach(commentDoc => {
+        writer.update(commentDoc.ref, {
+            deleted: true,
+            content: '',
+            username: DELETED_USERNAME,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+    return comments.length;
+}
+
+// Delete chat messages matched by a sender field (userId for community/legacy chat, senderId for DMs)
+async function deleteMessages(field, uid, writer) {
+    const messages = await getAllDocs(db.collectionGroup('messages').where(field, '==', uid));
+    if (writer) {
+        for (const messageDoc of messages) {
+            if (!messageDoc.ref.path.startsWith('conversations/')) {
+                // Community and legacy messages have a revisions subcollection
+                await db.recursiveDelete(messageDoc.ref);
+            } else {
+                writer.delete(messageDoc.ref);
+            }
+        }
+    }
+    return messages.length;
+}
+
+// Delete follow edges in both directions: followers/{uid} and following/{uid}, plus the
+// mirrored docs under the other users (which also cleans their timelines, see timelines.js)
+async function deleteFollowEdges(uid, writer) {
+    const [followers, following] = await Promise.all([
+        getAllDocs(db.collection('followers').doc(uid).collection('followers')),
+        getAllDocs(db.collection('following').doc(uid).collection('following'))
+    ]);
+    if (writer) {
+        followers.forEach(followerDoc => {
+            writer.delete(followerDoc.ref);
+            writer.delete(db.collection('following').doc(followerDoc.id).collection('following').doc(uid));
+        });
+        following.forEach(followingDoc => {
+            writer.delete(followingDoc.ref);
+            writer.delete(db.collection('followers').doc(followingDoc.id).collection('followers').doc(uid));
+        });
+    }
+    return { followers: followers.length, following: following.length };
+}
+
+async function deleteQueryDocs(query, writer) {
+    const docs = await getAllDocs(query);
+    if (writer) {
+        docs.forEach(queryDoc => writer.delete(queryDoc.ref));
+    }
+    return docs.length;
+}
+
+async function deleteDoc(ref, writer) {
+    const snapshot = await ref.get();
+    if (!snapshot.exists) return 0;
+    if (writer) writer.delete(ref);
+    return 1;
+}
+
+// Files under users/{uid}/ (avatars, data exports) and the user's post uploads (posts/{uid}_...)
+async function deleteStorageFiles(uid, dryRun) {
+    const bucket = admin.storage().bucket();
+    const prefixes = [`users/${uid}/`, `posts/${uid}_`];
+    let count = 0;
+    for (const prefix of prefixes) {
+        const [files] = await bucket.getFiles({ prefix });
+        count += files.length;
+        if (!dryRun && files.length > 0) {
+            await bucket.deleteFiles({ prefix });
+        }
+    }
+    return count;
+}
+
+// Member who takes over a community from its departing owner, or null if nobody is left
+async function findNextOwner(communityRef, uid) {
+    const membersRef = communityRef.collection('members');
+    for (const role of OWNER_SUCCESSION) {
+        const snapshot = await membersRef.where('role', '==', role).limit(2).get();
+        const candidate = snapshot.docs.find(memberDoc => memberDoc.id !== uid);
+        if (candidate) return candidate;
+    }
+    const snapshot = await membersRef.limit(2).get();
+    return snapshot.docs.find(memberDoc => memberDoc.id !== uid) || null;
+}
+
+/**
+ * Give an owned community to the next owner, or delete it when nobody else is in it.
+ * Returns false when the community was deleted.
+ */
+async function handOverCommunity(communityRef, uid, writer, dryRun, result) {
+    const nextOwner = await findNextOwner(communityRef, uid);
+    if (!nextOwner) {
+        result.communitiesDeleted.push(communityRef.id);
+        if (!dryRun) await db.recursiveDelete(communityRef);
+        return false;
+    }
+    result.communitiesTransferred.push({ communityId: communityRef.id, newOwnerId: nextOwner.id });
+    if (writer) {
+        writer.update(nextOwner.ref, { role: 'owner' });
+        writer.update(communityRef, { creatorId: nextOwner.id });
+    }
+    return true;
+}
+
+// Leave every community; hand owned communities to another member or delete empty ones
+async function leaveCommunities(uid, writer, dryRun) {
+    const [memberships, createdCommunities] = await Promise.all([
+        getAllDocs(db.collectionGroup('members').where('userId', '==', uid)),
+        getAllDocs(db.collection('communities').where('creatorId', '==', uid))
+    ]);
+    const result = { communityMemberships: memberships.length, communitiesTransferred: [], communitiesDeleted: [] };
+    const handled = new Set();
+
+    for (const memberDoc of memberships) {
+        const communityRef = memberDoc.ref.parent.parent;
+        handled.add(communityRef.id);
+        const communityDoc = await communityRef.get();
+        if (!communityDoc.exists) {
+            if (writer) writer.delete(memberDoc.ref);
+            continue;
+        }
+
+        const community = communityDoc.data();
+        const isOwner = community.creatorId === uid || memberDoc.data().role === 'owner';
+        if (isOwner && communityRef.id !== 'default'
+            && !(await handOverCommunity(communityRef, uid, writer, dryRun, result))) {
+            continue;
+        }
+
+        if (writer) {
+            writer.delete(memberDoc.ref);
+            writer.update(communityRef, { memberCount: admin.firestore.FieldValue.increment(-1) });
+        }
+    }
+
+    // Communities the user created but has no member doc in still need a new owner
+    for (const communityDoc of createdCommunities) {
+        if (handled.has(communityDoc.id) || communityDoc.id === 'default') continue;
+        await handOverCommunity(communityDoc.ref, uid, writer, dryRun, result);
+    }
+
+    return result;
+}
+
+// Participant who takes over a group from its departing owner: another admin, then anyone
+function findNextGroupOwner(conversation, uid) {
+    const others = (conversation.participants || []).filter(participant => participant !== uid);
+    const admins = conversation.admins || [];
+    return others.find(participant => admins.includes(participant)) || others[0] || null;
+}
+
+// Leave every conversation; hand owned groups to another member and delete conversations
+// nobody is left in
+async function leaveConversations(uid, writer, dryRun) {
+    const [conversations, ownedGroups] = await Promise.all([
+        getAllDocs(db.collection('conversations').where('participants', 'array-contains', uid)),
+        getAllDocs(db.collection('conversations').where('ownerId', '==', uid))
+    ]);
+    const result = { conversations: 0, groupsTransferred: [], conversationsDeleted: [] };
+    const handled = new Set();
+    const { FieldValue } = admin.firestore;
+
+    for (const conversationDoc of [...conversations, ...ownedGroups]) {
+        if (handled.has(conversationDoc.id)) continue;
+        handled.add(conversationDoc.id);
+
+        const conversation = conversationDoc.data();
+        const remaining = (conversation.participants || []).filter(participant => participant !== uid);
+        if (remaining.length === 0) {
+            result.conversationsDeleted.push(conversationDoc.id);
+            if (!dryRun) await db.recursiveDelete(conversationDoc.ref);
+            continue;
+        }
+
+        result.conversations++;
+        const updates = {
+            participants: FieldValue.arrayRemove(uid),
+            [`participantInfo.${uid}`]: FieldValue.delete(),
+            [`unreadCounts.${uid}`]: FieldValue.delete()
+        };
+        if (conversation.type === 'group') {
+            const admins = (conversation.admins || []).filter(adminUid => adminUid !== uid);
+            if (conversation.ownerId === uid) {
+                const nextOwnerId = findNextGroupOwner(conversation, uid);
+                result.groupsTransferred.push({ groupId: conversationDoc.id, newOwnerId: nextOwnerId });
+                updates.ownerId = nextOwnerId;
+                if (!admins.includes(nextOwnerId)) admins.push(nextOwnerId);
+            }
+            updates.admins = admins;
+        }
+        if (writer) writer.update(conversationDoc.ref, updates);
+    }
+
+    return result;
+}
+
+/**
+ * Remove or anonymize a user's content and relationships.
+ *
+ * users/{uid} and the username reservation are left to cleanupUserData. Safe to run again:
+ * a second run only finds the (already anonymized) posts and comments.
+ *
+ * @param {string} uid
+ * @param {{ dryRun?: boolean }} options - dryRun counts without writing
+ * @returns {Promise<Object>} report with the number of documents/files per kind (and failedWrites)
+ */
+async function deleteAccountData(uid, { dryRun = false } = {}) {
+    const writer = dryRun ? null : createWriter(`[deleteAccountData:${uid}]`);
+    const userRef = db.collection('users').doc(uid);
+    let closed = false;
+
+    try {
+        const posts = await anonymizePosts(uid, writer);
+        const comments = await anonymizeComments(uid, writer);
+        const chatMessages = await deleteMessages('userId', uid, writer);
+        const directMessages = await deleteMessages('senderId', uid, writer);
+        const followEdges = await deleteFollowEdges(uid, writer);
+        const communities = await leaveCommunities(uid, writer, dryRun);
+        const conversations = await leaveConversations(uid, writer, dryRun);
+
+        const report = {
+            uid,
+            dryRun,
+            posts,
+            comments,
+            chatMessages,
+            directMessages,
+            ...followEdges,
+            userQuests: await deleteQueryDocs(db.collection('userQuests').where('userId', '==', uid), writer),
+            gameLeaderboard: await deleteDoc(db.collection('gameLeaderboard').doc(uid), writer),
+            presence: await deleteDoc(db.collection('presence').doc(uid), writer),
+            typing: await deleteDoc(db.collection('typing').doc(uid), writer),
+            ...communities,
+            ...conversations,
+            groupInvites: await deleteQueryDocs(db.collection('groupInvites').where('uid', '==', uid), writer),
+            votes: await deleteQueryDocs(db.collectionGroup('votes').where('userId', '==', uid), writer),
+            drafts: await deleteCollection(db.collection('postDrafts').doc(uid).collection('drafts'), dryRun),
+            notifications: await deleteCollection(db.collection('notifications').doc(uid).collection('items'), dryRun),
+            timelineItems: await deleteCollection(db.collection('timelines').doc(uid).collection('items'), dryRun),
+            blocks: await deleteCollection(db.collection('blocks').doc(uid).collection('blocked'), dryRun),
+            usernameHistory: await deleteCollection(userRef.collection('usernameHistory'), dryRun),
+            usernameAliases: await deleteQueryDocs(db.collection('usernameAliases').where('uid', '==', uid), writer),
+            mfaBackupCodes: await deleteQueryDocs(db.collection('mfaBackupCodes').where('uid', '==', uid), writer),
+            dataExport: await deleteDoc(db.collection('dataExports').doc(uid), writer),
+            storageFiles: await deleteStorageFiles(uid, dryRun)
+        };
+        if (writer) {
+            closed = true;
+            report.failedWrites = await writer.close();
+        }
+        return report;
+    } finally {
+        if (writer && !closed) await writer.close();
+    }
+}
+
+/**
+ * Dry run of the account deletion cascade.
+ *
+ * Parameters:
+ * - uid: the account to check (optional, defaults to the caller; other accounts need admin/moderator)
+ *
+ * Returns the report of deleteAccountData without changing anything.
+ */
+exports.previewAccountDeletion = functions.region('us-central1')
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+        }
+
+        const uid = typeof data?.uid === 'string' && data.uid ? data.uid : context.auth.uid;
+        const logPrefix = `[previewAccountDeletion:${context.auth.uid}]`;
+
+        try {
+            if (uid !== context.auth.uid) {
+                const callerDoc = await db.collection('users').doc(context.auth.uid).get();
+                const callerData = callerDoc.exists ? callerDoc.data() : {};
+                const isAdmin = (callerData.role === 'admin' || callerData.role === 'moderator') && mfa.hasSecondFactor(context);
+                if (!isAdmin) {
+                    throw new functions.https.HttpsError('permission-denied', 'Only admins can preview deleting other accounts');
+                }
+            }
+
+            const report = await deleteAccountData(uid, { dryRun: true });
+            console.log(`${logPrefix} Dry run for ${uid}:`, JSON.stringify(report));
+            return report;
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+
+            if (error instanceof functions.https.HttpsError) {
+                throw error;
+            }
+
+            throw new functions.https.HttpsError('internal', `Failed to preview account deletion: ${error.message}`);
+        }
+    });
+
+exports.deleteAccountData = deleteAccountData;
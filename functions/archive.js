@@ -0,0 +1,118 @@
+/**
+ * Post Archive - scheduled archival of old posts
+ *
+ * Replaces the old 7-day auto-delete. Posts older than their retention are marked
+ * `archived: true` (with `archivedAt`): they leave the feeds but stay readable, read-only,
+ * on the author's profile and through share links. Nothing is deleted.
+ *
+ * Retention (`'30d' | '90d' | '1y' | 'forever'`) is read from users/{uid}.postRetention, then
+ * meta/posts.retention, then the default. Pinned (`pinned: true`) and evergreen
+ * (`evergreen: true`) posts are never archived.
+ *
+ * The options and defaults are shared with the settings page (js/post-archive.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loadShared } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 500; // Firestore batch limit
+
+// { uid: postRetention } for the authors of the given posts not loaded yet
+async function loadAuthorRetention(postDocs, retentionByUser) {
+    const userIds = Array.from(new Set(postDocs.map(postDoc => postDoc.data().userId)))
+        .filter(uid => uid && !(uid in retentionByUser));
+    if (userIds.length === 0) return;
+
+    const userDocs = await db.getAll(...userIds.map(uid => db.collection('users').doc(uid)));
+    userDocs.forEach((userDoc) => {
+        retentionByUser[userDoc.id] = userDoc.exists ? userDoc.data().postRetention : undefined;
+    });
+}
+
+/**
+ * Archive old posts - applies each author's post retention setting
+ * Runs daily at 2 AM UTC
+ */
+exports.archiveOldPosts = functions
+    .runWith({ timeoutSeconds: 540 })
+    .pubsub.schedule('0 2 * * *')
+    .timeZone('UTC')
+    .onRun(async (context) => {
+        console.log('[archiveOldPosts] Starting post archival');
+        const { getPostRetentionMs, isArchiveExempt, POST_RETENTION_OPTIONS } = await loadShared('post-archive');
+        const now = Date.now();
+
+        try {
+            const siteDoc = await db.collection('meta').doc('posts').get();
+            const siteRetention = siteDoc.exists ? siteDoc.data().retention : undefined;
+
+            // Nothing younger than the shortest option can be archived
+            const shortestMs = Math.min(...Object.values(POST_RETENTION_OPTIONS)
+                .map(option => option.ms)
+                .filter(ms => ms !== null));
+            const cutoff = admin.firestore.Timestamp.fromMillis(now - shortestMs);
+
+            const retentionByUser = {};
+            let lastDoc = null;
+            let archived = 0;
+            let exemptKept = 0;
+
+            while (true) {
+                let pageQuery = db.collection('posts')
+                    .where('deleted', '==', false)
+                    .where('archived', '==', false)
+                    .where('createdAt', '<', cutoff)
+                    .orderBy('createdAt', 'asc')
+                    .limit(PAGE_SIZE);
+                if (lastDoc) {
+                    pageQuery = pageQuery.startAfter(lastDoc);
+                }
+
+                const snapshot = await pageQuery.get();
+                if (snapshot.empty) break;
+                await loadAuthorRetention(snapshot.docs, retentionByUser);
+
+                const batch = db.batch();
+                let batchCount = 0;
+                for (const postDoc of snapshot.docs) {
+                    const post = postDoc.data();
+                    if (isArchiveExempt(post)) {
+                        exemptKept++;
+                        continue;
+                    }
+
+                    const retentionMs = getPostRetentionMs(retentionByUser[post.userId], siteRetention);
+                    if (retentionMs === null) continue;
+                    if (!post.createdAt || post.createdAt.toMillis() >= now - retentionMs) continue;
+
+                    batch.update(postDoc.ref, {
+                        archived: true,
+                        archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+                        hotScore: 0
+                    });
+                    batchCount++;
+                }
+
+                if (batchCount > 0) {
+                    await batch.commit();
+                    archived += batchCount;
+                }
+
+                if (snapshot.size < PAGE_SIZE) break;
+                lastDoc = snapshot.docs[snapshot.docs.length - 1];
+            }
+
+            console.log(`[archiveOldPosts] Archived ${archived} posts, kept ${exemptKept} pinned/evergreen`);
+        } catch (error) {
+            console.error('[archiveOldPosts] Error:', error);
+        }
+        return null;
+    });
@@ -0,0 +1,161 @@
+/**
+ * Direct Messages - keeps conversations/{conversationId} in sync with its messages
+ *
+ * Clients write messages straight to conversations/{id}/messages (rules check that the
+ * sender is a participant and that neither participant has blocked the other). On each new
+ * message this trigger:
+ * - applies the chat profanity filter to the stored text
+ * - sets lastMessage / lastMessageAt on the conversation (conversation list order and preview)
+ * - increments unreadCounts.{uid} for every participant except the sender
+ *
+ * The message is marked `delivered` in the same transaction, so trigger retries never count
+ * a message twice.
+ *
+ * Clients only write their own participantInfo when they start a 1:1 conversation;
+ * conversationsOnDirectCreated fills in the other participant's username from their profile.
+ *
+ * Group chats (type 'group') use the same messages and unread counts. When the owner deletes
+ * a group, conversationsOnGroupDeleted removes its messages and pending invites.
+ *
+ * The word list is shared with the chat page (js/chat-moderation.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loadShared } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const SNIPPET_LENGTH = 140;
+const PAGE_SIZE = 500; // Firestore batch limit
+
+function snippet(text) {
+    if (typeof text !== 'string') return '';
+    const trimmed = text.trim();
+    return trimmed.length > SNIPPET_LENGTH ? `${trimmed.substring(0, SNIPPET_LENGTH - 1)}…` : trimmed;
+}
+
+exports.conversationsOnMessageCreated = functions.firestore
+    .document('conversations/{conversationId}/messages/{messageId}')
+    .onCreate(async (snap, context) => {
+        const { conversationId, messageId } = context.params;
+        const logPrefix = `[conversationsOnMessageCreated:${messageId}]`;
+        const message = snap.data();
+
+        try {
+            const { filterProfanity } = await loadShared('chat-moderation');
+            const text = typeof message.text === 'string' ? message.text : '';
+            const filteredText = filterProfanity(text);
+            const conversationRef = db.collection('conversations').doc(conversationId);
+
+            await db.runTransaction(async (transaction) => {
+                const [messageDoc, conversationDoc] = await Promise.all([
+                    transaction.get(snap.ref),
+                    transaction.get(conversationRef)
+                ]);
+                if (!messageDoc.exists || messageDoc.data().delivered === true) return;
+                if (!conversationDoc.exists) {
+                    console.warn(`${logPrefix} Conversation ${conversationId} not found`);
+                    return;
+                }
+
+                const messageUpdates = { delivered: true };
+                if (filteredText !== text) {
+                    messageUpdates.text = filteredText;
+                    messageUpdates.flagged = true;
+                    messageUpdates.flagReason = 'profanity';
+                }
+                transaction.update(snap.ref, messageUpdates);
+
+                const conversationUpdates = {
+                    lastMessage: {
+                        messageId,
+                        senderId: message.senderId,
+                        text: snippet(filteredText)
+                    },
+                    lastMessageAt: message.createdAt || admin.firestore.FieldValue.serverTimestamp()
+                };
+                (conversationDoc.data().participants || [])
+                    .filter(uid => uid !== message.senderId)
+                    .forEach((uid) => {
+                        conversationUpdates[`unreadCounts.${uid}`] = admin.firestore.FieldValue.increment(1);
+                    });
+                transaction.update(conversationRef, conversationUpdates);
+            });
+
+            if (filteredText !== text) {
+                console.log(`${logPrefix} Filtered profanity in direct message (${conversationId})`);
+            }
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
+
+exports.conversationsOnDirectCreated = functions.firestore
+    .document('conversations/{conversationId}')
+    .onCreate(async (snap, context) => {
+        const { conversationId } = context.params;
+        const logPrefix = `[conversationsOnDirectCreated:${conversationId}]`;
+        const conversation = snap.data();
+        if (conversation.type !== 'direct') return null;
+
+        try {
+            const missing = (conversation.participants || [])
+                .filter(uid => !conversation.participantInfo?.[uid]);
+            if (missing.length === 0) return null;
+
+            const userDocs = await db.getAll(...missing.map(uid => db.collection('users').doc(uid)));
+            const updates = {};
+            userDocs.forEach((userDoc) => {
+                updates[`participantInfo.${userDoc.id}`] = {
+                    username: userDoc.exists ? (userDoc.data().username || '') : ''
+                };
+            });
+            await snap.ref.update(updates);
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
+
+// Delete every doc returned by a query, a page at a time
+async function deleteQueryResults(baseQuery) {
+    let deleted = 0;
+    while (true) {
+        const snapshot = await baseQuery.limit(PAGE_SIZE).get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(item => batch.delete(item.ref));
+        await batch.commit();
+        deleted += snapshot.size;
+
+        if (snapshot.size < PAGE_SIZE) break;
+    }
+    return deleted;
+}
+
+exports.conversationsOnGroupDeleted = functions.firestore
+    .document('conversations/{conversationId}')
+    .onDelete(async (snap, context) => {
+        const { conversationId } = context.params;
+        const logPrefix = `[conversationsOnGroupDeleted:${conversationId}]`;
+        if (snap.data().type !== 'group') return null;
+
+        try {
+            const [messages, invites] = await Promise.all([
+                deleteQueryResults(snap.ref.collection('messages')),
+                deleteQueryResults(db.collection('groupInvites').where('groupId', '==', conversationId))
+            ]);
+            console.log(`${logPrefix} Deleted ${messages} messages and ${invites} invites`);
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
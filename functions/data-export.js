@@ -0,0 +1,199 @@
+/**
+ * Data export - a copy of everything a user has on the site, for download from profile settings
+ *
+ * exportUserData gathers the caller's profile, posts, comments, drafts, chat and direct messages,
+ * followers/following, quest progress, game data and community memberships into one JSON file
+ * at users/{uid}/exports/{timestamp}.json in Storage. storage.rules lets the owner read it but
+ * nobody write it, so the file can't be swapped after it is built.
+ * Each document is written with its id and path; timestamps become ISO strings.
+ *
+ * The file gets a download token and an attachment Content-Disposition, so the settings page can
+ * turn it into a download link with getDownloadURL(). Only the latest export is kept, and
+ * dataExports/{uid} ({ path, createdAt, documentCount }) remembers it: for EXPORT_COOLDOWN_MS a new
+ * request returns the existing file instead of building another one.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000; // one new export per day
+const PAGE_SIZE = 500;
+const MAX_DOCS_PER_SECTION = 20000; // keeps a single export within the function's memory
+
+// Firestore values as plain JSON (timestamps as ISO strings, references as paths)
+function toJsonValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+    if (value instanceof admin.firestore.DocumentReference) return value.path;
+    if (value instanceof admin.firestore.GeoPoint) return { latitude: value.latitude, longitude: value.longitude };
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+    if (Array.isArray(value)) return value.map(toJsonValue);
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toJsonValue(entry)]));
+    }
+    return value;
+}
+
+function serializeDoc(snapshot) {
+    return { id: snapshot.id, path: snapshot.ref.path, ...toJsonValue(snapshot.data()) };
+}
+
+// All documents of a query (or collection), a page at a time
+async function collectDocs(query) {
+    const docs = [];
+    let lastDoc = null;
+    while (docs.length < MAX_DOCS_PER_SECTION) {
+        let page = query.limit(PAGE_SIZE);
+        if (lastDoc) page = page.startAfter(lastDoc);
+        const snapshot = await page.get();
+        docs.push(...snapshot.docs);
+        if (snapshot.size < PAGE_SIZE) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+    return docs.map(serializeDoc);
+}
+
+async function collectDoc(ref) {
+    const snapshot = await ref.get();
+    return snapshot.exists ? serializeDoc(snapshot) : null;
+}
+
+// Everything stored about the user, grouped by section
+async function buildExport(uid) {
+    const userRef = db.collection('users').doc(uid);
+    const [
+        profile,
+        usernameHistory,
+        posts,
+        comments,
+        drafts,
+        chatMessages,
+        directMessages,
+        conversations,
+        followers,
+        following,
+        quests,
+        gameLeaderboard,
+        communityMemberships
+    ] = await Promise.all([
+        collectDoc(userRef),
+        collectDocs(userRef.collection('usernameHistory')),
+        collectDocs(db.collection('posts').where('userId', '==', uid)),
+        collectDocs(db.collectionGroup('comments').where('userId', '==', uid)),
+        collectDocs(db.collection('postDrafts').doc(uid).collection('drafts')),
+        // Community and legacy chat messages
+        collectDocs(db.collectionGroup('messages').where('userId', '==', uid)),
+        // Direct and group conversation messages
+        collectDocs(db.collectionGroup('messages').where('senderId', '==', uid)),
+        collectDocs(db.collection('conversations').where('participants', 'array-contains', uid)),
+        collectDocs(db.collection('followers').doc(uid).collection('followers')),
+        collectDocs(db.collection('following').doc(uid).collection('following')),
+        collectDocs(db.collection('userQuests').where('userId', '==', uid)),
+        collectDoc(db.collection('gameLeaderboard').doc(uid)),
+        collectDocs(db.collectionGroup('members').where('userId', '==', uid))
+    ]);
+
+    return {
+        profile,
+        usernameHistory,
+        posts,
+        comments,
+        drafts,
+        chatMessages,
+        directMessages,
+        conversations,
+        followers,
+        following,
+        quests,
+        game: { leaderboard: gameLeaderboard },
+        communityMemberships
+    };
+}
+
+function countDocuments(sections) {
+    return Object.values(sections).reduce((total, section) => {
+        if (Array.isArray(section)) return total + section.length;
+        if (section && section.id) return total + 1;
+        if (section) return total + countDocuments(section);
+        return total;
+    }, 0);
+}
+
+/**
+ * Export the caller's data to Storage.
+ *
+ * Returns { path, createdAt, documentCount, reused } - path is the Storage path of the JSON file,
+ * reused is true when a recent export was returned instead of a new one.
+ */
+exports.exportUserData = functions.region('us-central1')
+    .runWith({ timeoutSeconds: 300, memory: '1GB' })
+    .https.onCall(async (data, context) => {
+        if (!context.auth) {
+            throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+        }
+
+        const uid = context.auth.uid;
+        const logPrefix = `[exportUserData:${uid}]`;
+        const exportRef = db.collection('dataExports').doc(uid);
+        const bucket = admin.storage().bucket();
+
+        try {
+            const previousDoc = await exportRef.get();
+            if (previousDoc.exists) {
+                const previous = previousDoc.data();
+                const createdAt = previous.createdAt ? previous.createdAt.toMillis() : 0;
+                if (Date.now() - createdAt < EXPORT_COOLDOWN_MS) {
+                    const [fileExists] = await bucket.file(previous.path).exists();
+                    if (fileExists) {
+                        console.log(`${logPrefix} Returning the export from ${new Date(createdAt).toISOString()}`);
+                        return { path: previous.path, createdAt, documentCount: previous.documentCount || 0, reused: true };
+                    }
+                }
+            }
+
+            const sections = await buildExport(uid);
+            if (!sections.profile) {
+                throw new functions.https.HttpsError('failed-precondition', 'User profile not found');
+            }
+
+            const now = admin.firestore.Timestamp.now();
+            const exportedAt = now.toDate().toISOString();
+            const documentCount = countDocuments(sections);
+            const path = `users/${uid}/exports/${now.toMillis()}.json`;
+            const fileName = `ape-hub-data-${exportedAt.slice(0, 10)}.json`;
+
+            // Only the newest export is kept
+            await bucket.deleteFiles({ prefix: `users/${uid}/exports/` });
+            await bucket.file(path).save(JSON.stringify({ exportedAt, uid, ...sections }, null, 2), {
+                contentType: 'application/json',
+                resumable: false,
+                metadata: {
+                    contentDisposition: `attachment; filename="${fileName}"`,
+                    metadata: {
+                        // Lets the client build a download URL with getDownloadURL()
+                        firebaseStorageDownloadTokens: crypto.randomUUID()
+                    }
+                }
+            });
+            await exportRef.set({ path, createdAt: now, documentCount });
+
+            console.log(`${logPrefix} Exported ${documentCount} documents to ${path}`);
+            return { path, createdAt: now.toMillis(), documentCount, reused: false };
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+
+            if (error instanceof functions.https.HttpsError) {
+                throw error;
+            }
+
+            throw new functions.https.HttpsError('internal', `Failed to export data: ${error.message}`);
+        }
+    });
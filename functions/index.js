@@ -18,6 +18,54 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+// Quest engine (server-authoritative quest progress and XP)
+const quests = require('./quests');
+
+// Chat moderation (server-side send path for chat messages)
+const moderation = require('./moderation');
+
+// Notifications inbox (mentions, comments, follows, votes)
+const notifications = require('./notifications');
+
+// Chat message retention (scheduled purge)
+const retention = require('./retention');
+
+// Direct messages and group chats (conversation previews, unread counts, group cleanup)
+const conversations = require('./conversations');
+
+// Post and comment vote ledger (scores and karma)
+const votes = require('./votes');
+
+// Trending (scheduled hot scores, feeds/trending and post comment counts)
+const trending = require('./trending');
+
+// Following feed timelines (fan-out on post, backfill on follow)
+const timelines = require('./timelines');
+
+// Post archival (scheduled, per-author retention)
+const archive = require('./archive');
+
+// Open Graph previews for shared post links
+const postPreview = require('./post-preview');
+
+// Edit history for posts and chat messages
+const revisions = require('./revisions');
+
+// Drafts queued for later (scheduled)
+const scheduledPosts = require('./scheduled-posts');
+
+// Two-factor backup codes and the staff second-factor check
+const mfa = require('./mfa');
+
+// Username changes
+const usernames = require('./usernames');
+
+// Self-service data export
+const dataExport = require('./data-export');
+
+// Account deletion cascade
+const accountDeletion = require('./account-deletion');
+
 // Rate limiting for X API verification (in-memory cache)
 // In production, consider using Redis or Firestore for distributed rate limiting
 const rateLimitCache = new Map();
@@ -26,14 +74,23 @@ const RATE_LIMIT_MAX_REQUESTS = 1; // 1 request per user per 30 seconds
 
 /**
  * Triggered when a Firebase Auth user is deleted
- * Automatically cleans up associated Firestore documents
+ * Removes or anonymizes the user's content (see account-deletion.js), then deletes the
+ * user document and username reservation
  */
-exports.cleanupUserData = functions.auth.user().onDelete(async (user) => {
+exports.cleanupUserData = functions.runWith({ timeoutSeconds: 540 }).auth.user().onDelete(async (user) => {
     const uid = user.uid;
     const logPrefix = `[cleanupUserData:${uid}]`;
 
     console.log(`${logPrefix} Starting cleanup for deleted auth user`);
 
+    // Content and relationships first - runs even if the user document is already gone
+    try {
+        const report = await accountDeletion.deleteAccountData(uid);
+        console.log(`${logPrefix} Account data removed:`, JSON.stringify(report));
+    } catch (error) {
+        console.error(`${logPrefix} Error removing account data:`, error);
+    }
+
     try {
         // Step 1: Read the user document from Firestore to get the username
         const userDocRef = db.collection('users').doc(uid);
@@ -214,6 +271,15 @@ exports.verifyXAccount = functions.region('us-central1').https.onCall(async (dat
         console.log(`[verifyXAccount:${uid}] Normalized bio: "${normalizedBio}"`);
         console.log(`[verifyXAccount:${uid}] Code found: ${codeFound}`);
 
+        // Award the "Verified Ape" achievement server-side
+        if (codeFound) {
+            try {
+                await quests.advanceEvent(uid, 'x_verified', 1);
+            } catch (questError) {
+                console.error(`[verifyXAccount:${uid}] Error updating quest progress:`, questError);
+            }
+        }
+
         return {
             verified: codeFound,
             username: cleanUsername,
@@ -254,7 +320,8 @@ exports.verifyXAccount = functions.region('us-central1').https.onCall(async (dat
  * Parameters:
  * - uid: User ID to verify (required)
  * 
- * Security: Only users with admin role in Firestore can call this function
+ * Security: Only users with admin role in Firestore can call this function, signed in with
+ * two-factor authentication (see mfa.js)
  */
 exports.verifyUserEmail = functions.region('us-central1').https.onCall(async (data, context) => {
     // Verify user is authenticated
@@ -273,7 +340,7 @@ exports.verifyUserEmail = functions.region('us-central1').https.onCall(async (da
         // Check if caller is admin
         const callerDoc = await db.collection('users').doc(context.auth.uid).get();
         const callerData = callerDoc.exists ? callerDoc.data() : {};
-        const isAdmin = callerData.role === 'admin' || callerData.role === 'moderator';
+        const isAdmin = (callerData.role === 'admin' || callerData.role === 'moderator') && mfa.hasSecondFactor(context);
 
         if (!isAdmin) {
             throw new functions.https.HttpsError('permission-denied', 'Only admins can verify user emails');
@@ -341,7 +408,7 @@ exports.createDefaultUserProfile = functions.region('us-central1').https.onCall(
         try {
             const callerDoc = await db.collection('users').doc(context.auth.uid).get();
             const callerData = callerDoc.exists ? callerDoc.data() : {};
-            const isAdmin = callerData.role === 'admin' || callerData.role === 'moderator';
+            const isAdmin = (callerData.role === 'admin' || callerData.role === 'moderator') && mfa.hasSecondFactor(context);
 
             if (!isAdmin) {
                 throw new functions.https.HttpsError('permission-denied', 'Only admins can create profiles for other users');
@@ -460,7 +527,7 @@ exports.syncMissingUserProfiles = functions.region('us-central1').https.onCall(a
         // Check if caller is admin
         const callerDoc = await db.collection('users').doc(context.auth.uid).get();
         const callerData = callerDoc.exists ? callerDoc.data() : {};
-        const isAdmin = callerData.role === 'admin' || callerData.role === 'moderator';
+        const isAdmin = (callerData.role === 'admin' || callerData.role === 'moderator') && mfa.hasSecondFactor(context);
 
         if (!isAdmin) {
             throw new functions.https.HttpsError('permission-denied', 'Only admins can sync user profiles');
@@ -624,7 +691,7 @@ exports.makeUserAdmin = functions.region('us-central1').https.onCall(async (data
         // Check if caller is admin
         const callerDoc = await db.collection('users').doc(callerUid).get();
         const callerData = callerDoc.exists ? callerDoc.data() : {};
-        const isCallerAdmin = callerData.role === 'admin';
+        const isCallerAdmin = callerData.role === 'admin' && mfa.hasSecondFactor(context);
 
         // Only admins can grant admin role
         if (!isCallerAdmin) {
@@ -676,138 +743,70 @@ exports.makeUserAdmin = functions.region('us-central1').https.onCall(async (data
     }
 });
 
-/**
- * Cleanup old posts - marks posts older than 7 days as deleted
- * Runs daily at 2 AM UTC
- */
-exports.cleanupOldPosts = functions.pubsub.schedule('0 2 * * *')
-    .timeZone('UTC')
-    .onRun(async (context) => {
-        console.log('[cleanupOldPosts] Starting cleanup of posts older than 7 days');
-        
-        try {
-            const sevenDaysAgo = new Date();
-            sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-            const sevenDaysAgoTimestamp = admin.firestore.Timestamp.fromDate(sevenDaysAgo);
-            
-            // Query posts that are not deleted and older than 7 days
-            const postsQuery = db.collection('posts')
-                .where('deleted', '==', false)
-                .where('createdAt', '<', sevenDaysAgoTimestamp);
-            
-            const snapshot = await postsQuery.get();
-            
-            if (snapshot.empty) {
-                console.log('[cleanupOldPosts] No old posts to clean up');
-                return null;
-            }
-            
-            console.log(`[cleanupOldPosts] Found ${snapshot.size} posts to mark as deleted`);
-            
-            const batch = db.batch();
-            let batchCount = 0;
-            const maxBatchSize = 500; // Firestore batch limit
-            
-            for (const doc of snapshot.docs) {
-                batch.update(doc.ref, {
-                    deleted: true,
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-                batchCount++;
-                
-                // Firestore batches are limited to 500 operations
-                if (batchCount >= maxBatchSize) {
-                    await batch.commit();
-                    console.log(`[cleanupOldPosts] Committed batch of ${batchCount} posts`);
-                    batchCount = 0;
-                }
-            }
-            
-            // Commit remaining updates
-            if (batchCount > 0) {
-                await batch.commit();
-                console.log(`[cleanupOldPosts] Committed final batch of ${batchCount} posts`);
-            }
-            
-            console.log(`[cleanupOldPosts] Successfully marked ${snapshot.size} posts as deleted`);
-            return null;
-            
-        } catch (error) {
-            console.error('[cleanupOldPosts] Error:', error);
-            throw error;
-        }
-    });
-
-/**
- * Cleanup old messages - deletes messages older than 24 hours from all channels
- * Runs daily at 3 AM UTC
- */
-exports.cleanupOldMessages = functions.pubsub.schedule('0 3 * * *')
-    .timeZone('UTC')
-    .onRun(async (context) => {
-        console.log('[cleanupOldMessages] Starting cleanup of messages older than 24 hours');
-        
-        try {
-            const twentyFourHoursAgo = new Date();
-            twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
-            const twentyFourHoursAgoTimestamp = admin.firestore.Timestamp.fromDate(twentyFourHoursAgo);
-            
-            const channels = ['general', 'raid', 'trading', 'support'];
-            let totalDeleted = 0;
-            
-            for (const channel of channels) {
-                try {
-                    // Query messages in this channel that are not deleted and older than 24 hours
-                    const messagesQuery = db.collection('messages')
-                        .where('channel', '==', channel)
-                        .where('deleted', '==', false)
-                        .where('timestamp', '<', twentyFourHoursAgoTimestamp);
-                    
-                    const snapshot = await messagesQuery.get();
-                    
-                    if (snapshot.empty) {
-                        console.log(`[cleanupOldMessages] No old messages to delete in channel: ${channel}`);
-                        continue;
-                    }
-                    
-                    console.log(`[cleanupOldMessages] Found ${snapshot.size} messages to delete in channel: ${channel}`);
-                    
-                    const batch = db.batch();
-                    let batchCount = 0;
-                    const maxBatchSize = 500; // Firestore batch limit
-                    
-                    for (const doc of snapshot.docs) {
-                        batch.delete(doc.ref);
-                        batchCount++;
-                        
-                        // Firestore batches are limited to 500 operations
-                        if (batchCount >= maxBatchSize) {
-                            await batch.commit();
-                            console.log(`[cleanupOldMessages] Committed batch of ${batchCount} messages from channel: ${channel}`);
-                            batchCount = 0;
-                        }
-                    }
-                    
-                    // Commit remaining deletions
-                    if (batchCount > 0) {
-                        await batch.commit();
-                        console.log(`[cleanupOldMessages] Committed final batch of ${batchCount} messages from channel: ${channel}`);
-                    }
-                    
-                    totalDeleted += snapshot.size;
-                    console.log(`[cleanupOldMessages] Successfully deleted ${snapshot.size} messages from channel: ${channel}`);
-                    
-                } catch (channelError) {
-                    console.error(`[cleanupOldMessages] Error cleaning channel ${channel}:`, channelError);
-                    // Continue with other channels even if one fails
-                }
-            }
-            
-            console.log(`[cleanupOldMessages] Cleanup complete. Total messages deleted: ${totalDeleted}`);
-            return null;
-            
-        } catch (error) {
-            console.error('[cleanupOldMessages] Error:', error);
-            throw error;
-        }
-    });
+// Quest engine triggers and callables (see quests.js)
+exports.questsOnMessageCreated = quests.questsOnMessageCreated;
+exports.questsOnCommunityMessageCreated = quests.questsOnCommunityMessageCreated;
+exports.questsOnPostCreated = quests.questsOnPostCreated;
+exports.questsOnFollowCreated = quests.questsOnFollowCreated;
+exports.recordQuestActivity = quests.recordQuestActivity;
+
+// Chat moderation (see moderation.js)
+exports.sendChatMessage = moderation.sendChatMessage;
+exports.moderationOnCommunityMessageUpdated = moderation.moderationOnCommunityMessageUpdated;
+exports.moderationOnMessageUpdated = moderation.moderationOnMessageUpdated;
+
+// Notifications inbox triggers (see notifications.js)
+exports.notificationsOnCommunityMessageCreated = notifications.notificationsOnCommunityMessageCreated;
+exports.notificationsOnCommentCreated = notifications.notificationsOnCommentCreated;
+exports.notificationsOnFollowCreated = notifications.notificationsOnFollowCreated;
+exports.notificationsOnPostVoted = notifications.notificationsOnPostVoted;
+
+// Chat message retention (see retention.js)
+exports.cleanupOldMessages = retention.cleanupOldMessages;
+
+// Direct message and group chat triggers (see conversations.js)
+exports.conversationsOnMessageCreated = conversations.conversationsOnMessageCreated;
+exports.conversationsOnDirectCreated = conversations.conversationsOnDirectCreated;
+exports.conversationsOnGroupDeleted = conversations.conversationsOnGroupDeleted;
+
+// Post and comment vote ledger triggers (see votes.js)
+exports.votesOnPostVoteWritten = votes.votesOnPostVoteWritten;
+exports.votesOnCommentVoteWritten = votes.votesOnCommentVoteWritten;
+
+// Trending schedule (see trending.js)
+exports.updateTrendingScores = trending.updateTrendingScores;
+exports.trendingOnCommentWritten = trending.trendingOnCommentWritten;
+
+// Timeline triggers (see timelines.js)
+exports.timelinesOnPostCreated = timelines.timelinesOnPostCreated;
+exports.timelinesOnPostDeleted = timelines.timelinesOnPostDeleted;
+exports.timelinesOnFollowCreated = timelines.timelinesOnFollowCreated;
+exports.timelinesOnFollowDeleted = timelines.timelinesOnFollowDeleted;
+
+// Post archival schedule (see archive.js)
+exports.archiveOldPosts = archive.archiveOldPosts;
+
+// Shared post link previews (see post-preview.js)
+exports.postPreview = postPreview.postPreview;
+
+// Edit history (see revisions.js)
+exports.revisionsOnPostUpdated = revisions.revisionsOnPostUpdated;
+exports.revisionsOnCommunityMessageUpdated = revisions.revisionsOnCommunityMessageUpdated;
+exports.revisionsOnMessageUpdated = revisions.revisionsOnMessageUpdated;
+exports.revisionsOnReportCreated = revisions.revisionsOnReportCreated;
+
+// Scheduled post publisher (see scheduled-posts.js)
+exports.publishScheduledPosts = scheduledPosts.publishScheduledPosts;
+
+// Two-factor backup codes (see mfa.js)
+exports.generateMfaBackupCodes = mfa.generateMfaBackupCodes;
+exports.redeemMfaBackupCode = mfa.redeemMfaBackupCode;
+
+// Username changes (see usernames.js)
+exports.changeUsername = usernames.changeUsername;
+
+// Data export (see data-export.js)
+exports.exportUserData = dataExport.exportUserData;
+
+// Account deletion dry run (see account-deletion.js)
+exports.previewAccountDeletion = accountDeletion.previewAccountDeletion;
@@ -0,0 +1,259 @@
+/**
+ * MFA - backup codes for TOTP two-factor authentication, and the staff second-factor check
+ *
+ * TOTP enrollment and the sign-in challenge run in the client (js/mfa.js, Firebase Auth with
+ * Identity Platform). Firebase has no backup codes, so they live here:
+ * - generateMfaBackupCodes: replaces the caller's codes with BACKUP_CODE_COUNT new ones and
+ *   returns them once. Only sessions signed in with the authenticator can do this, so a backup
+ *   code sign-in can't mint new codes. Only SHA-256 hashes are stored, at mfaBackupCodes/{hash} ({ uid, createdAt }),
+ *   which firestore.rules keeps closed to clients
+ * - redeemMfaBackupCode: called from the sign-in challenge, before the user is signed in. The
+ *   first factor is checked again here (email and password, against the Auth REST API) and must
+ *   belong to the code's account; attempts are limited per IP and per account.
+ *   A valid code is used up and exchanged for a custom token that signs the user in once. The
+ *   authenticator stays enrolled - the user is sent to profile settings to replace it, and the
+ *   session doesn't count as a second-factor sign-in (no staff privileges). Codes created before
+ *   the current authenticator was enrolled are not accepted
+ *
+ * Admins and moderators only get their privileges in sessions signed in with a second factor:
+ * hasSecondFactor(context) for callables here, and hasSecondFactor() in firestore.rules.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const BACKUP_CODE_COUNT = 10;
+// No 0/O/1/I, so codes can be read back from paper
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Backup code attempts per IP and per account (mfaBackupCodeAttempts/{key})
+const REDEEM_ATTEMPT_LIMIT = 5;
+const REDEEM_ATTEMPT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Whether the callable's ID token comes from a sign-in that passed a second factor
+function hasSecondFactor(context) {
+    return Boolean(context.auth?.token?.firebase?.sign_in_second_factor);
+}
+
+// 10 characters from a 32-letter alphabet (50 bits), shown as XXXXX-XXXXX
+function generateBackupCode() {
+    const bytes = crypto.randomBytes(10);
+    const chars = Array.from(bytes, byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+
+// Hash of a code as typed by the user (case, spaces and dashes ignored)
+function hashBackupCode(code) {
+    const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Count an attempt for `key` and reject it once the limit for the window is reached
+ * (kept in Firestore, so it holds across function instances)
+ */
+async function checkRedeemRateLimit(key) {
+    const ref = db.collection('mfaBackupCodeAttempts').doc(key);
+    const allowed = await db.runTransaction(async (transaction) => {
+        const attemptDoc = await transaction.get(ref);
+        const now = Date.now();
+        const data = attemptDoc.exists ? attemptDoc.data() : null;
+        const windowStart = data?.windowStart ? data.windowStart.toMillis() : 0;
+
+        if (!data || now - windowStart >= REDEEM_ATTEMPT_WINDOW_MS) {
+            transaction.set(ref, { count: 1, windowStart: admin.firestore.Timestamp.fromMillis(now) });
+            return true;
+        }
+        if (data.count >= REDEEM_ATTEMPT_LIMIT) {
+            return false;
+        }
+        transaction.update(ref, { count: admin.firestore.FieldValue.increment(1) });
+        return true;
+    });
+    if (!allowed) {
+        throw new functions.https.HttpsError('resource-exhausted', 'Too many attempts. Please try again in an hour.');
+    }
+}
+
+// Auth REST API (Identity Toolkit), or the Auth emulator when running under it
+function getAuthApiUrl(method) {
+    const apiKey = functions.config().auth?.web_api_key;
+    if (!apiKey) {
+        throw new functions.https.HttpsError('unavailable', 'Backup codes are not available right now');
+    }
+    const emulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+    const base = emulatorHost
+        ? `http://${emulatorHost}/identitytoolkit.googleapis.com`
+        : 'https://identitytoolkit.googleapis.com';
+    return `${base}/v1/accounts:${method}?key=${encodeURIComponent(apiKey)}`;
+}
+
+/**
+ * Check the first factor of the sign-in that stopped at the second factor, and return its uid.
+ *
+ * firstFactor is { method: 'password', email, password }. Google/X sign-ins can't be checked
+ * here: the provider tokens of a pending sign-in are not exposed by the client SDK, so those
+ * users redeem codes through an email and password sign-in. The Auth API answers a correct
+ * first factor on a 2FA account with mfaPendingCredential and the account's localId.
+ */
+async function verifyFirstFactor(firstFactor) {
+    const method = firstFactor?.method;
+    if (method !== 'password') {
+        throw new functions.https.HttpsError('invalid-argument', 'Backup codes can only be used with email and password sign-in');
+    }
+    if (typeof firstFactor.email !== 'string' || typeof firstFactor.password !== 'string') {
+        throw new functions.https.HttpsError('invalid-argument', 'Email and password are required');
+    }
+
+    let response;
+    try {
+        response = await axios.post(getAuthApiUrl('signInWithPassword'), {
+            email: firstFactor.email,
+            password: firstFactor.password,
+            returnSecureToken: true
+        });
+    } catch (error) {
+        console.warn('[redeemMfaBackupCode] First factor rejected:', error.response?.data?.error?.message || error.message);
+        throw new functions.https.HttpsError('permission-denied', 'Your sign-in could not be verified');
+    }
+
+    // A sign-in without mfaPendingCredential means the account has no second factor
+    if (!response.data?.mfaPendingCredential || !response.data.localId) {
+        throw new functions.https.HttpsError('permission-denied', 'Your sign-in could not be verified');
+    }
+    return response.data.localId;
+}
+
+async function deleteBackupCodes(uid) {
+    const snapshot = await db.collection('mfaBackupCodes').where('uid', '==', uid).get();
+    if (snapshot.empty) return 0;
+    const batch = db.batch();
+    snapshot.docs.forEach(codeDoc => batch.delete(codeDoc.ref));
+    await batch.commit();
+    return snapshot.size;
+}
+
+/**
+ * Replace the caller's backup codes.
+ *
+ * The caller must have an authenticator enrolled and be signed in with it - not with a backup
+ * code (backupCodeSignIn) or the first factor alone. Returns { codes } - the only time the
+ * plain codes are available.
+ */
+exports.generateMfaBackupCodes = functions.region('us-central1').https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const uid = context.auth.uid;
+    const logPrefix = `[generateMfaBackupCodes:${uid}]`;
+
+    if (!hasSecondFactor(context) || context.auth.token.backupCodeSignIn) {
+        throw new functions.https.HttpsError('permission-denied', 'Log in with your authenticator app to create backup codes');
+    }
+
+    try {
+        const userRecord = await admin.auth().getUser(uid);
+        const enrolledFactors = userRecord.multiFactor?.enrolledFactors || [];
+        if (enrolledFactors.length === 0) {
+            throw new functions.https.HttpsError('failed-precondition', 'Turn on two-factor authentication before creating backup codes');
+        }
+
+        await deleteBackupCodes(uid);
+
+        const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+        const batch = db.batch();
+        codes.forEach(code => {
+            batch.set(db.collection('mfaBackupCodes').doc(hashBackupCode(code)), {
+                uid,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        await batch.commit();
+
+        console.log(`${logPrefix} Generated ${codes.length} backup codes`);
+        return { codes };
+    } catch (error) {
+        console.error(`${logPrefix} Error:`, error);
+
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+
+        throw new functions.https.HttpsError('internal', `Failed to create backup codes: ${error.message}`);
+    }
+});
+
+/**
+ * Use a backup code instead of the authenticator.
+ *
+ * Parameters:
+ * - code: one of the user's backup codes
+ * - firstFactor: the first factor of the pending sign-in (see verifyFirstFactor)
+ *
+ * Callable without signing in (the user is stuck at the second factor). The first factor has to
+ * belong to the code's account. The code is deleted and { token } returned - a custom token for
+ * signInWithCustomToken(), good for this one sign-in. The second factors stay enrolled.
+ */
+exports.redeemMfaBackupCode = functions.region('us-central1').https.onCall(async (data, context) => {
+    const code = typeof data?.code === 'string' ? data.code : '';
+    if (!code.trim()) {
+        throw new functions.https.HttpsError('invalid-argument', 'Backup code is required');
+    }
+
+    const codeRef = db.collection('mfaBackupCodes').doc(hashBackupCode(code));
+    const ip = context.rawRequest?.ip || 'unknown';
+
+    try {
+        await checkRedeemRateLimit(`ip_${ip.replace(/\//g, '_')}`);
+        const uid = await verifyFirstFactor(data?.firstFactor);
+        await checkRedeemRateLimit(`uid_${uid}`);
+
+        // Delete the code in a transaction so it can only be used once
+        const codeData = await db.runTransaction(async (transaction) => {
+            const codeDoc = await transaction.get(codeRef);
+            if (!codeDoc.exists || codeDoc.data().uid !== uid) {
+                return null;
+            }
+            transaction.delete(codeRef);
+            return codeDoc.data();
+        });
+        if (!codeData) {
+            throw new functions.https.HttpsError('not-found', 'Invalid or already used backup code');
+        }
+
+        // Codes from before the current authenticator was set up (2FA turned off and on again) are stale
+        const userRecord = await admin.auth().getUser(uid);
+        const enrolledFactors = userRecord.multiFactor?.enrolledFactors || [];
+        const latestEnrollment = Math.max(0, ...enrolledFactors.map(factor => Date.parse(factor.enrollmentTime) || 0));
+        const createdAt = codeData.createdAt ? codeData.createdAt.toMillis() : 0;
+        if (enrolledFactors.length === 0 || createdAt < latestEnrollment) {
+            await deleteBackupCodes(uid);
+            throw new functions.https.HttpsError('not-found', 'Invalid or already used backup code');
+        }
+
+        const token = await admin.auth().createCustomToken(uid, { backupCodeSignIn: true });
+
+        console.log(`[redeemMfaBackupCode:${uid}] Backup code used for one sign-in`);
+        return { token };
+    } catch (error) {
+        console.error('[redeemMfaBackupCode] Error:', error);
+
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+
+        throw new functions.https.HttpsError('internal', `Failed to use backup code: ${error.message}`);
+    }
+});
+
+exports.hasSecondFactor = hasSecondFactor;
@@ -0,0 +1,308 @@
+/**
+ * Chat Moderation - server-side send path for chat messages
+ *
+ * Firestore rules reject client creates on communities/{communityId}/messages, so every
+ * message goes through the sendChatMessage callable, which:
+ * - rejects messages from muted users (users/{uid}.mutedUntil)
+ * - applies slow mode per channel and per community (staff are exempt)
+ * - only lets staff post in announcements channels (channel doc `type: 'announcements'`)
+ * - rejects repeated spam words and stores the profanity-filtered text
+ *
+ * Edits by the author are re-filtered by moderationOnCommunityMessageUpdated (and by
+ * moderationOnMessageUpdated for the legacy global messages collection).
+ *
+ * Search: every message stores its search tokens (searchTokens) for the chat search panel.
+ * They are re-computed on edit and removed when the message is deleted.
+ *
+ * Replies: a message can reference a parent (replyToId). Replies store a quoted preview of
+ * the parent and belong to the thread of the parent's root message, which keeps replyCount.
+ *
+ * The word list, slow mode defaults and search tokenizer are shared with the chat page
+ * (js/chat-moderation.js, js/chat-search.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { hasSecondFactor } = require('./mfa');
+const { loadShared, timestampToMillis } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const DEFAULT_COMMUNITY_ID = 'default';
+const STAFF_ROLES = ['admin', 'moderator'];
+const COMMUNITY_STAFF_ROLES = ['owner', 'admin', 'moderator'];
+const REPLY_PREVIEW_LENGTH = 140;
+
+function previewText(text) {
+    if (typeof text !== 'string') return '';
+    return text.length > REPLY_PREVIEW_LENGTH ? `${text.substring(0, REPLY_PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Send a chat message to a community.
+ *
+ * Parameters:
+ * - communityId: community to post in (defaults to the default community)
+ * - channelId: optional channel within the community
+ * - text: message text (max MAX_MESSAGE_LENGTH)
+ * - replyToId: optional ID of the message being replied to (same community)
+ *
+ * Returns the new message ID and the stored (filtered) text.
+ */
+exports.sendChatMessage = functions.region('us-central1').https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const uid = context.auth.uid;
+    const logPrefix = `[sendChatMessage:${uid}]`;
+    const { MAX_MESSAGE_LENGTH, filterProfanity, looksLikeSpam, getSlowModeSeconds } = await loadShared('chat-moderation');
+    const { tokenizeForSearch } = await loadShared('chat-search');
+
+    const communityId = typeof data?.communityId === 'string' && data.communityId
+        ? data.communityId
+        : DEFAULT_COMMUNITY_ID;
+    const channelId = typeof data?.channelId === 'string' && data.channelId ? data.channelId : null;
+    const text = typeof data?.text === 'string' ? data.text.trim() : '';
+    const replyToId = typeof data?.replyToId === 'string' && data.replyToId ? data.replyToId : null;
+
+    if (!text) {
+        throw new functions.https.HttpsError('invalid-argument', 'Message cannot be empty');
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        throw new functions.https.HttpsError('invalid-argument', `Message is too long. Maximum ${MAX_MESSAGE_LENGTH} characters.`);
+    }
+    if (looksLikeSpam(text)) {
+        throw new functions.https.HttpsError('invalid-argument', 'Please keep messages appropriate for the community.');
+    }
+
+    const communityRef = db.collection('communities').doc(communityId);
+    const [userDoc, communityDoc, memberDoc, channelDoc, globalChannelDoc, parentDoc] = await Promise.all([
+        db.collection('users').doc(uid).get(),
+        communityRef.get(),
+        communityRef.collection('members').doc(uid).get(),
+        channelId ? communityRef.collection('channels').doc(channelId).get() : Promise.resolve(null),
+        // Global channels can also be configured in the top-level channels collection
+        channelId && communityId === DEFAULT_COMMUNITY_ID ? db.collection('channels').doc(channelId).get() : Promise.resolve(null),
+        replyToId ? communityRef.collection('messages').doc(replyToId).get() : Promise.resolve(null)
+    ]);
+
+    if (!userDoc.exists) {
+        throw new functions.https.HttpsError('failed-precondition', 'User profile not found');
+    }
+    if (!communityDoc.exists) {
+        throw new functions.https.HttpsError('not-found', 'Community not found');
+    }
+    if (!memberDoc.exists && communityId !== DEFAULT_COMMUNITY_ID) {
+        throw new functions.https.HttpsError('permission-denied', 'You must be a member of this community to send messages.');
+    }
+    if (channelId && !channelDoc.exists && !(globalChannelDoc && globalChannelDoc.exists)) {
+        throw new functions.https.HttpsError('not-found', 'Channel not found');
+    }
+    if (replyToId && (!parentDoc.exists || parentDoc.data().deleted === true)) {
+        throw new functions.https.HttpsError('not-found', 'The message you are replying to no longer exists');
+    }
+
+    const userData = userDoc.data();
+
+    // Muted users can't send messages (expired mutes are simply ignored)
+    const mutedUntilMillis = timestampToMillis(userData.mutedUntil);
+    if (mutedUntilMillis > Date.now()) {
+        const remainingMinutes = Math.ceil((mutedUntilMillis - Date.now()) / (1000 * 60));
+        console.log(`${logPrefix} Rejected message from muted user (${remainingMinutes} min left)`);
+        throw new functions.https.HttpsError(
+            'permission-denied',
+            `You are muted. You cannot send messages for ${remainingMinutes} more minute${remainingMinutes > 1 ? 's' : ''}.`,
+            { mutedUntil: mutedUntilMillis }
+        );
+    }
+
+    // Site staff privileges need a second-factor sign-in (mfa.js)
+    const isStaff = (STAFF_ROLES.includes(userData.role) && hasSecondFactor(context))
+        || (memberDoc.exists && COMMUNITY_STAFF_ROLES.includes(memberDoc.data().role));
+
+    const isAnnouncements = [channelDoc, globalChannelDoc]
+        .some(channel => channel && channel.exists && channel.data().type === 'announcements');
+    if (isAnnouncements && !isStaff) {
+        throw new functions.https.HttpsError('permission-denied', 'Only moderators can post in this announcements channel.');
+    }
+    const slowModeSeconds = isStaff ? 0 : getSlowModeSeconds(
+        channelId,
+        channelDoc && channelDoc.exists ? channelDoc.data().slowModeSeconds : undefined,
+        communityDoc.data().slowModeSeconds
+    );
+
+    const filteredText = filterProfanity(text);
+    const username = typeof userData.username === 'string' && userData.username.trim()
+        ? userData.username.trim()
+        : 'Anonymous';
+
+    const messageRef = communityRef.collection('messages').doc();
+    const messageData = {
+        text: filteredText,
+        userId: uid,
+        username,
+        deleted: false,
+        avatarCount: userData.avatarCount || 0,
+        bannerImage: userData.bannerImage || '',
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        reactions: {},
+        searchTokens: tokenizeForSearch(filteredText),
+        xAccountVerified: userData.xAccountVerified || false
+    };
+    if (channelId) {
+        messageData.channelId = channelId;
+    }
+    if (filteredText !== text) {
+        messageData.flagged = true;
+        messageData.flagReason = 'profanity';
+    }
+
+    // Replies join the thread of the parent's root message
+    let threadRootRef = null;
+    if (parentDoc) {
+        const parent = parentDoc.data();
+        const threadId = parent.threadId || parentDoc.id;
+        messageData.parentId = parentDoc.id;
+        messageData.threadId = threadId;
+        messageData.replyTo = {
+            messageId: parentDoc.id,
+            userId: parent.userId,
+            username: parent.username || '',
+            text: previewText(parent.text)
+        };
+        threadRootRef = communityRef.collection('messages').doc(threadId);
+    }
+
+    // Cooldown doc and message are written together so concurrent sends can't skip slow mode
+    const cooldownRef = db.collection('chatCooldowns').doc(`${uid}_${communityId}_${channelId || 'all'}`);
+    await db.runTransaction(async (transaction) => {
+        // The thread root can be gone (retention purge or deleted by its author) while replies remain
+        if (threadRootRef) {
+            const threadRootDoc = await transaction.get(threadRootRef);
+            if (!threadRootDoc.exists) {
+                throw new functions.https.HttpsError('failed-precondition', 'The thread you are replying to no longer exists');
+            }
+        }
+        if (slowModeSeconds > 0) {
+            const cooldownDoc = await transaction.get(cooldownRef);
+            const lastSentMillis = cooldownDoc.exists ? timestampToMillis(cooldownDoc.data().lastSentAt) : 0;
+            const waitMillis = lastSentMillis + slowModeSeconds * 1000 - Date.now();
+            if (waitMillis > 0) {
+                const retryAfterSeconds = Math.ceil(waitMillis / 1000);
+                throw new functions.https.HttpsError(
+                    'resource-exhausted',
+                    `Please wait ${retryAfterSeconds} second${retryAfterSeconds > 1 ? 's' : ''} before sending another message`,
+                    { retryAfterSeconds }
+                );
+            }
+            transaction.set(cooldownRef, { lastSentAt: admin.firestore.Timestamp.now() });
+        }
+        transaction.set(messageRef, messageData);
+        if (threadRootRef) {
+            transaction.update(threadRootRef, {
+                replyCount: admin.firestore.FieldValue.increment(1),
+                lastReplyAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+    });
+
+    if (messageData.flagged) {
+        console.log(`${logPrefix} Filtered profanity in message ${messageRef.id} (${communityId})`);
+    }
+
+    return { messageId: messageRef.id, text: filteredText };
+});
+
+/**
+ * Re-apply the profanity filter and search tokens when a message is edited, drop the
+ * tokens when it is deleted, and keep the thread's replyCount in sync.
+ * Rules only let authors change text/editedAt/reactions/deleted, so this is the only
+ * moderation an edit needs. Writing the filtered text re-triggers once and stops.
+ */
+exports.moderationOnCommunityMessageUpdated = functions.firestore
+    .document('communities/{communityId}/messages/{messageId}')
+    .onUpdate(async (change, context) => {
+        const before = change.before.data();
+        const after = change.after.data();
+
+        if (after.threadId && before.deleted !== true && after.deleted === true) {
+            try {
+                await change.after.ref.parent.doc(after.threadId).update({
+                    replyCount: admin.firestore.FieldValue.increment(-1)
+                });
+            } catch (error) {
+                console.error(`[moderationOnCommunityMessageUpdated:${context.params.messageId}] Error updating reply count:`, error);
+            }
+        }
+
+        // Deleted messages drop out of search
+        if (after.deleted === true) {
+            if (after.searchTokens) {
+                try {
+                    await change.after.ref.update({ searchTokens: admin.firestore.FieldValue.delete() });
+                } catch (error) {
+                    console.error(`[moderationOnCommunityMessageUpdated:${context.params.messageId}] Error removing search tokens:`, error);
+                }
+            }
+            return null;
+        }
+
+        if (typeof after.text !== 'string' || after.text === before.text) {
+            return null;
+        }
+
+        try {
+            const { filterProfanity } = await loadShared('chat-moderation');
+            const { tokenizeForSearch } = await loadShared('chat-search');
+            const filteredText = filterProfanity(after.text);
+            const updates = { searchTokens: tokenizeForSearch(filteredText) };
+            if (filteredText !== after.text) {
+                updates.text = filteredText;
+                updates.flagged = true;
+                updates.flagReason = 'profanity';
+            }
+
+            await change.after.ref.update(updates);
+            if (updates.flagged) {
+                console.log(`[moderationOnCommunityMessageUpdated:${context.params.messageId}] Filtered profanity in edit`);
+            }
+        } catch (error) {
+            console.error(`[moderationOnCommunityMessageUpdated:${context.params.messageId}] Error:`, error);
+        }
+        return null;
+    });
+
+/**
+ * Re-apply the profanity filter when an author edits a legacy global message (messages/{messageId}).
+ * Rules only let authors change text/editedAt/reactions/deleted there, as for community messages.
+ */
+exports.moderationOnMessageUpdated = functions.firestore
+    .document('messages/{messageId}')
+    .onUpdate(async (change, context) => {
+        const before = change.before.data();
+        const after = change.after.data();
+
+        if (after.deleted === true || typeof after.text !== 'string' || after.text === before.text) {
+            return null;
+        }
+
+        try {
+            const { filterProfanity } = await loadShared('chat-moderation');
+            const filteredText = filterProfanity(after.text);
+            if (filteredText === after.text) {
+                return null;
+            }
+
+            await change.after.ref.update({ text: filteredText, flagged: true, flagReason: 'profanity' });
+            console.log(`[moderationOnMessageUpdated:${context.params.messageId}] Filtered profanity in edit`);
+        } catch (error) {
+            console.error(`[moderationOnMessageUpdated:${context.params.messageId}] Error:`, error);
+        }
+        return null;
+    });
@@ -0,0 +1,231 @@
+/**
+ * Notifications - fills notifications/{uid}/items from real events
+ *
+ * Triggers:
+ * - Community chat message with @mentions -> 'mention'
+ * - Comment on a post -> 'comment' for the post author, 'reply' for the author of the comment
+ *   replied to (parentId), 'mention' for @mentioned users
+ * - Follow -> 'follow' for the followed user
+ * - Upvote on a post -> 'vote' for the post author
+ *
+ * Notification IDs are derived from the source event (e.g. comment_{commentId}), so trigger
+ * retries and vote toggling never create duplicates. Users mute types with
+ * users/{uid}.notificationMutes (set on /profile/settings/).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const NOTIFICATION_TYPES = ['mention', 'comment', 'reply', 'follow', 'vote'];
+const MAX_MENTIONS_PER_MESSAGE = 10;
+const SNIPPET_LENGTH = 140;
+
+// Same pattern chat uses to highlight mentions (formatMessageText in js/chat-init.js)
+const MENTION_REGEX = /@(\w+)/g;
+
+function snippet(text) {
+    if (typeof text !== 'string') return '';
+    const trimmed = text.trim();
+    return trimmed.length > SNIPPET_LENGTH ? `${trimmed.substring(0, SNIPPET_LENGTH - 1)}…` : trimmed;
+}
+
+// Unique lowercased usernames mentioned in text
+function extractMentions(text) {
+    if (typeof text !== 'string') return [];
+    const usernames = new Set();
+    for (const match of text.matchAll(MENTION_REGEX)) {
+        usernames.add(match[1].toLowerCase());
+        if (usernames.size >= MAX_MENTIONS_PER_MESSAGE) break;
+    }
+    return Array.from(usernames);
+}
+
+// Resolve usernames to uids via the usernames/{usernameLower} reservations
+async function resolveUsernames(usernames) {
+    if (usernames.length === 0) return [];
+    const refs = usernames.map(name => db.collection('usernames').doc(name));
+    const docs = await db.getAll(...refs);
+    return docs.filter(doc => doc.exists && doc.data().uid).map(doc => doc.data().uid);
+}
+
+/**
+ * Create a notification unless the recipient is the actor, has muted the type,
+ * or already has this notification.
+ */
+async function createNotification(recipientId, notificationId, notification) {
+    if (!recipientId || recipientId === notification.actorId) return false;
+    if (!NOTIFICATION_TYPES.includes(notification.type)) {
+        throw new Error(`Unknown notification type: ${notification.type}`);
+    }
+
+    const userDoc = await db.collection('users').doc(recipientId).get();
+    if (!userDoc.exists) return false;
+
+    const mutes = userDoc.data().notificationMutes || {};
+    if (mutes[notification.type] === true) return false;
+
+    try {
+        await db.collection('notifications').doc(recipientId)
+            .collection('items').doc(notificationId)
+            .create({
+                ...notification,
+                read: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        return true;
+    } catch (error) {
+        // 6 = ALREADY_EXISTS (trigger retry or repeated event)
+        if (error.code === 6) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Only notify users who can actually open the community the message was sent in
+async function canReadCommunity(communityId, uid) {
+    const communityRef = db.collection('communities').doc(communityId);
+    const communityDoc = await communityRef.get();
+    if (!communityDoc.exists) return false;
+
+    const data = communityDoc.data();
+    if (data.isPublic === true || data.isDefault === true || communityId === 'default') return true;
+
+    const memberDoc = await communityRef.collection('members').doc(uid).get();
+    return memberDoc.exists;
+}
+
+exports.notificationsOnCommunityMessageCreated = functions.firestore
+    .document('communities/{communityId}/messages/{messageId}')
+    .onCreate(async (snap, context) => {
+        const message = snap.data();
+        const { communityId, messageId } = context.params;
+        const logPrefix = `[notificationsOnCommunityMessageCreated:${messageId}]`;
+
+        try {
+            const mentionedIds = await resolveUsernames(extractMentions(message.text));
+            for (const uid of mentionedIds) {
+                if (!(await canReadCommunity(communityId, uid))) continue;
+                await createNotification(uid, `mention_${messageId}`, {
+                    type: 'mention',
+                    actorId: message.userId,
+                    actorUsername: message.username || '',
+                    text: snippet(message.text),
+                    link: '/community/',
+                    communityId,
+                    messageId
+                });
+            }
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
+
+exports.notificationsOnCommentCreated = functions.firestore
+    .document('posts/{postId}/comments/{commentId}')
+    .onCreate(async (snap, context) => {
+        const comment = snap.data();
+        const { postId, commentId } = context.params;
+        const logPrefix = `[notificationsOnCommentCreated:${commentId}]`;
+
+        try {
+            const postRef = db.collection('posts').doc(postId);
+            const [postDoc, parentDoc] = await Promise.all([
+                postRef.get(),
+                comment.parentId ? postRef.collection('comments').doc(comment.parentId).get() : Promise.resolve(null)
+            ]);
+            if (!postDoc.exists) return null;
+            const post = postDoc.data();
+            const parentAuthorId = parentDoc && parentDoc.exists ? parentDoc.data().userId : null;
+
+            const base = {
+                actorId: comment.userId,
+                actorUsername: comment.username || '',
+                text: snippet(comment.content),
+                link: `/post/?id=${postId}`,
+                postId,
+                commentId
+            };
+
+            if (parentAuthorId) {
+                await createNotification(parentAuthorId, `reply_${commentId}`, { ...base, type: 'reply' });
+            }
+            // A post author replied to directly only gets the reply notification
+            if (post.userId !== parentAuthorId) {
+                await createNotification(post.userId, `comment_${commentId}`, { ...base, type: 'comment' });
+            }
+
+            const mentionedIds = await resolveUsernames(extractMentions(comment.content));
+            for (const uid of mentionedIds) {
+                // The post author and the parent author were already notified
+                if (uid === post.userId || uid === parentAuthorId) continue;
+                await createNotification(uid, `mention_${commentId}`, { ...base, type: 'mention' });
+            }
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
+
+exports.notificationsOnFollowCreated = functions.firestore
+    .document('following/{userId}/following/{followingId}')
+    .onCreate(async (snap, context) => {
+        const { userId, followingId } = context.params;
+
+        try {
+            const followerDoc = await db.collection('users').doc(userId).get();
+            const followerUsername = followerDoc.exists ? (followerDoc.data().username || '') : '';
+
+            await createNotification(followingId, `follow_${userId}`, {
+                type: 'follow',
+                actorId: userId,
+                actorUsername: followerUsername,
+                text: '',
+                link: `/profile/?user=${userId}`
+            });
+        } catch (error) {
+            console.error(`[notificationsOnFollowCreated:${userId}->${followingId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.notificationsOnPostVoted = functions.firestore
+    .document('posts/{postId}/votes/{voterId}')
+    .onWrite(async (change, context) => {
+        const { postId, voterId } = context.params;
+
+        // Only new upvotes (not votes copied over by scripts/migrate-post-votes.js)
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+        if (!after || after.value !== 1 || after.migrated === true) return null;
+        if (before && before.value === 1) return null;
+
+        try {
+            const [postDoc, voterDoc] = await Promise.all([
+                db.collection('posts').doc(postId).get(),
+                db.collection('users').doc(voterId).get()
+            ]);
+            if (!postDoc.exists) return null;
+
+            const post = postDoc.data();
+            await createNotification(post.userId, `vote_${postId}_${voterId}`, {
+                type: 'vote',
+                actorId: voterId,
+                actorUsername: voterDoc.exists ? (voterDoc.data().username || '') : '',
+                text: snippet(post.content),
+                link: `/post/?id=${postId}`,
+                postId
+            });
+        } catch (error) {
+            console.error(`[notificationsOnPostVoted:${postId}] Error:`, error);
+        }
+        return null;
+    });
@@ -0,0 +1,125 @@
+/**
+ * Post Preview - Open Graph/Twitter card page for shared post links
+ *
+ * Share buttons copy https://us-central1-apes-365b0.cloudfunctions.net/postPreview/{postId}
+ * (js/post-link.js). Crawlers (X, Discord, Telegram, ...) don't run the site's JavaScript, so
+ * this function answers with the post's text and first image as meta tags, and forwards
+ * people to the post page (/post/?id={postId}) with a meta refresh.
+ *
+ * Deleted or unknown posts get the generic site card and forward to the feed. Archived posts
+ * are still previewed - they stay readable on the post page.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const SITE_URL = 'https://www.apetogetherstronger.com';
+const SITE_NAME = 'Apes Together Strong';
+const DEFAULT_IMAGE = `${SITE_URL}/hero_banner.png`;
+const DESCRIPTION_LENGTH = 200;
+const POST_ID_PATTERN = /^[A-Za-z0-9]{1,128}$/;
+
+function escapeAttr(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function truncate(text, length) {
+    const trimmed = String(text || '').replace(/\s+/g, ' ').trim();
+    return trimmed.length > length ? `${trimmed.substring(0, length - 1)}…` : trimmed;
+}
+
+// Post ID from /postPreview/{postId} or /postPreview?id={postId}
+function getPostId(req) {
+    const fromPath = (req.path || '').split('/').filter(Boolean)[0];
+    const postId = fromPath || req.query.id;
+    return typeof postId === 'string' && POST_ID_PATTERN.test(postId) ? postId : null;
+}
+
+function renderPreviewPage({ title, description, image, url, largeImage }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeAttr(title)}</title>
+    <meta name="description" content="${escapeAttr(description)}">
+    <link rel="canonical" href="${escapeAttr(url)}">
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${escapeAttr(title)}">
+    <meta property="og:description" content="${escapeAttr(description)}">
+    <meta property="og:image" content="${escapeAttr(image)}">
+    <meta property="og:url" content="${escapeAttr(url)}">
+    <meta name="twitter:card" content="${largeImage ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${escapeAttr(title)}">
+    <meta name="twitter:description" content="${escapeAttr(description)}">
+    <meta name="twitter:image" content="${escapeAttr(image)}">
+    <meta http-equiv="refresh" content="0; url=${escapeAttr(url)}">
+</head>
+<body>
+    <p><a href="${escapeAttr(url)}">${escapeAttr(title)}</a></p>
+</body>
+</html>`;
+}
+
+exports.postPreview = functions.region('us-central1').https.onRequest(async (req, res) => {
+    const postId = getPostId(req);
+    const logPrefix = `[postPreview:${postId || 'invalid'}]`;
+
+    const notFound = () => {
+        res.set('Cache-Control', 'public, max-age=60');
+        res.status(404).send(renderPreviewPage({
+            title: SITE_NAME,
+            description: 'This post is no longer available.',
+            image: DEFAULT_IMAGE,
+            url: `${SITE_URL}/feed/`,
+            largeImage: true
+        }));
+    };
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.status(405).send('Method not allowed');
+        return;
+    }
+    if (!postId) {
+        notFound();
+        return;
+    }
+
+    try {
+        const postDoc = await db.collection('posts').doc(postId).get();
+        if (!postDoc.exists || postDoc.data().deleted === true) {
+            notFound();
+            return;
+        }
+
+        const post = postDoc.data();
+        const username = post.username || 'An ape';
+        const image = (post.images || []).find(src => typeof src === 'string' && src.startsWith('https://'));
+        const hasVideo = Array.isArray(post.videos) && post.videos.length > 0;
+        const description = truncate(post.content, DESCRIPTION_LENGTH)
+            || (image ? `${username} shared a photo` : hasVideo ? `${username} shared a video` : `A post by ${username}`);
+
+        res.set('Cache-Control', 'public, max-age=300, s-maxage=600');
+        res.status(200).send(renderPreviewPage({
+            title: `${username} on ${SITE_NAME}`,
+            description,
+            image: image || DEFAULT_IMAGE,
+            url: `${SITE_URL}/post/?id=${postId}`,
+            largeImage: !!image
+        }));
+    } catch (error) {
+        console.error(`${logPrefix} Error:`, error);
+        res.status(500).send('Error loading post');
+    }
+});
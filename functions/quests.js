@@ -0,0 +1,478 @@
+/**
+ * Quest Engine - server-authoritative quest progress and XP awarding
+ *
+ * Quest progress (userQuests/{uid}_{questId}) and the XP fields on users/{uid}
+ * (points, level, totalQuestsCompleted, lastActivityDate) are written only here.
+ * Firestore rules reject client writes to them.
+ *
+ * Progress is driven by real events:
+ * - Chat message created (global messages and community messages)
+ * - Post created
+ * - Follow created (counts for both the follower and the followed user)
+ * - Login / quests page visit (recordQuestActivity callable, capped per day)
+ * - X account verified (verifyXAccount callable in index.js)
+ *
+ * Levels are derived with the shared level curve (js/level-curve.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loadShared, timestampToMillis } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Quest definitions live in the `quests` collection (edited on /quests/admin/,
+// seeded by scripts/seed-quests.js). Each quest names the `event` that advances it.
+const CATALOG_CACHE_TTL = 60 * 1000; // 1 minute
+let catalogCache = null;
+let catalogLoadedAt = 0;
+
+// Client-reported activities accepted by recordQuestActivity
+const CLIENT_ACTIVITIES = ['login', 'quests_visit'];
+
+function getResetPeriod(type) {
+    if (type === 'daily') return 'daily';
+    if (type === 'weekly') return 'weekly';
+    return 'never';
+}
+
+// Load quest definitions (cached per instance for CATALOG_CACHE_TTL)
+async function loadQuestCatalog() {
+    if (catalogCache && Date.now() - catalogLoadedAt < CATALOG_CACHE_TTL) {
+        return catalogCache;
+    }
+
+    const snapshot = await db.collection('quests').get();
+    catalogCache = snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+            ...data,
+            id: doc.id,
+            resetPeriod: data.resetPeriod || getResetPeriod(data.type)
+        };
+    });
+    catalogLoadedAt = Date.now();
+    return catalogCache;
+}
+
+// Quest is enabled and inside its schedule window
+function isQuestLive(quest, now = Date.now()) {
+    if (!quest.isActive) return false;
+    const startsAt = timestampToMillis(quest.startsAt);
+    const endsAt = timestampToMillis(quest.endsAt);
+    if (startsAt && now < startsAt) return false;
+    if (endsAt && now >= endsAt) return false;
+    return true;
+}
+
+// Get next reset time based on period (UTC midnight / next Monday UTC)
+function getNextResetTime(period, now = new Date()) {
+    if (period === 'never') {
+        return null;
+    }
+
+    const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    if (period === 'daily') {
+        next.setUTCDate(next.getUTCDate() + 1);
+    } else if (period === 'weekly') {
+        const daysUntilMonday = (8 - now.getUTCDay()) % 7 || 7;
+        next.setUTCDate(next.getUTCDate() + daysUntilMonday);
+    }
+    return next;
+}
+
+function startOfUtcDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Mark a trigger event as processed. Background triggers are delivered at least
+ * once, so retries must not double count progress.
+ * Returns false if the event was already handled.
+ */
+async function claimEvent(eventId) {
+    try {
+        await db.collection('questEvents').doc(eventId).create({
+            processedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    } catch (error) {
+        // 6 = ALREADY_EXISTS
+        if (error.code === 6) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Advance every live quest that counts `event`.
+ *
+ * Options (passed through to advanceQuest):
+ * - setProgress: absolute progress for all matching quests
+ * - achievementProgress: absolute progress for achievements only; periodic
+ *   quests still get `increment` (e.g. +1 follower this week vs. 100 followers total)
+ * - targetUserId: count each target user once per period (the followed user for follow
+ *   quests, the follower for follower quests)
+ */
+async function advanceEvent(uid, event, increment = 1, options = {}) {
+    const catalog = await loadQuestCatalog();
+    const quests = catalog.filter(q => q.event === event && isQuestLive(q));
+
+    for (const quest of quests) {
+        const questOptions = { ...options };
+        if (options.achievementProgress !== undefined && quest.resetPeriod === 'never') {
+            questOptions.setProgress = options.achievementProgress;
+        }
+        await advanceQuest(uid, quest, increment, questOptions);
+    }
+}
+
+/**
+ * Advance a user's progress on a quest and award XP on completion.
+ *
+ * Options:
+ * - setProgress: absolute progress value (used for counters that are derived
+ *   from real totals, e.g. level or follower count). Progress never decreases.
+ * - targetUserId: ignore repeat events for the same target user within a period
+ *
+ * The quest doc and the user's points/level are written in one transaction,
+ * so a completion can only ever award points once.
+ */
+async function advanceQuest(uid, quest, increment = 1, options = {}) {
+    const { calculateLevel } = await loadShared('level-curve');
+    const userQuestRef = db.collection('userQuests').doc(`${uid}_${quest.id}`);
+    const userRef = db.collection('users').doc(uid);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const [questDoc, userDoc] = await Promise.all([
+            transaction.get(userQuestRef),
+            transaction.get(userRef)
+        ]);
+
+        if (!userDoc.exists) {
+            return { newlyCompleted: false };
+        }
+
+        let currentProgress = 0;
+        let completed = false;
+        let resetAt = null;
+        let followedUsers = [];
+
+        if (questDoc.exists) {
+            const data = questDoc.data();
+            currentProgress = data.progress || 0;
+            completed = data.completed || false;
+            resetAt = data.resetAt || null;
+            followedUsers = data.followedUsers || [];
+
+            // Reset daily/weekly quests whose period has ended
+            const resetAtMillis = timestampToMillis(resetAt);
+            if (quest.resetPeriod !== 'never' && resetAtMillis > 0 && Date.now() >= resetAtMillis) {
+                currentProgress = 0;
+                completed = false;
+                resetAt = null;
+                followedUsers = [];
+            }
+        }
+
+        if (!resetAt) {
+            const nextReset = getNextResetTime(quest.resetPeriod);
+            resetAt = nextReset ? admin.firestore.Timestamp.fromDate(nextReset) : null;
+        }
+
+        // Don't re-award quests that are already completed for this period
+        if (completed) {
+            return { newlyCompleted: false };
+        }
+
+        // Count each target user once per period (achievements never reset, so skip tracking).
+        // followedUsers holds the targets of this quest: followed users or followers
+        const tracksTargets = options.targetUserId && quest.resetPeriod !== 'never';
+        if (tracksTargets) {
+            if (followedUsers.includes(options.targetUserId)) {
+                return { newlyCompleted: false };
+            }
+            followedUsers.push(options.targetUserId);
+        }
+
+        let newProgress = options.setProgress !== undefined
+            ? Math.max(currentProgress, options.setProgress)
+            : currentProgress + increment;
+
+        // Regular quests cap at targetValue, achievements may exceed it for display
+        if (quest.resetPeriod !== 'never' || quest.event === 'level_reached') {
+            newProgress = Math.min(newProgress, quest.targetValue);
+        }
+
+        if (newProgress === currentProgress) {
+            return { newlyCompleted: false };
+        }
+
+        const isNowCompleted = newProgress >= quest.targetValue;
+        const questData = {
+            userId: uid,
+            questId: quest.id,
+            progress: newProgress,
+            completed: isNowCompleted,
+            completedAt: isNowCompleted ? admin.firestore.FieldValue.serverTimestamp() : null,
+            resetAt: resetAt,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (tracksTargets) {
+            questData.followedUsers = followedUsers;
+        }
+        if (!questDoc.exists) {
+            questData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+        }
+        transaction.set(userQuestRef, questData, { merge: true });
+
+        if (!isNowCompleted) {
+            return { newlyCompleted: false };
+        }
+
+        // Award points for quest completion
+        const userData = userDoc.data();
+        const newPoints = (userData.points || 0) + quest.rewardPoints;
+        const totalQuestsCompleted = (userData.totalQuestsCompleted || 0) + 1;
+        const newLevel = calculateLevel(newPoints);
+
+        transaction.update(userRef, {
+            points: newPoints,
+            level: newLevel,
+            totalQuestsCompleted: totalQuestsCompleted
+        });
+
+        return { newlyCompleted: true, points: newPoints, level: newLevel, totalQuestsCompleted };
+    });
+
+    if (result.newlyCompleted) {
+        console.log(`[advanceQuest:${uid}] Completed ${quest.id} (+${quest.rewardPoints} XP, level ${result.level})`);
+        await onQuestCompleted(uid, quest, result);
+    }
+
+    return result;
+}
+
+/**
+ * Follow-up progress after a quest completes:
+ * - daily completions count toward "complete N dailies" and "complete all dailies" quests
+ * - new points/level and quest totals feed the permanent achievements
+ */
+async function onQuestCompleted(uid, quest, result) {
+    if (quest.type === 'daily' && quest.event !== 'all_daily_quests_completed') {
+        await advanceEvent(uid, 'daily_quest_completed', 1);
+        await syncCompleteAllDailyQuests(uid);
+    }
+
+    await syncProgressAchievements(uid, result.level, result.totalQuestsCompleted);
+}
+
+// Update "complete all daily quests" quests from the current daily completions
+async function syncCompleteAllDailyQuests(uid) {
+    const catalog = await loadQuestCatalog();
+    const dailyQuests = catalog.filter(q =>
+        q.type === 'daily' && q.event !== 'all_daily_quests_completed' && isQuestLive(q)
+    );
+    if (dailyQuests.length === 0) return;
+
+    const refs = dailyQuests.map(q => db.collection('userQuests').doc(`${uid}_${q.id}`));
+    const docs = await db.getAll(...refs);
+    const now = Date.now();
+
+    const completedCount = docs.filter(doc => {
+        if (!doc.exists) return false;
+        const data = doc.data();
+        const resetAtMillis = timestampToMillis(data.resetAt);
+        return data.completed === true && (resetAtMillis === 0 || now < resetAtMillis);
+    }).length;
+
+    if (completedCount > 0) {
+        await advanceEvent(uid, 'all_daily_quests_completed', 0, { setProgress: completedCount });
+    }
+}
+
+// Sync level and quest-count achievements from the user's current totals
+async function syncProgressAchievements(uid, level, totalQuestsCompleted) {
+    if (level > 0) {
+        await advanceEvent(uid, 'level_reached', 0, { setProgress: level });
+    }
+
+    if (totalQuestsCompleted > 0) {
+        await advanceEvent(uid, 'quests_completed', 0, { setProgress: totalQuestsCompleted });
+    }
+}
+
+/**
+ * Recompute count-based achievements from real data.
+ * Catches up users whose progress predates the server-side engine.
+ */
+async function reconcileAchievements(uid) {
+    const userDoc = await db.collection('users').doc(uid).get();
+    if (!userDoc.exists) return;
+
+    const userData = userDoc.data();
+    const { calculateLevel } = await loadShared('level-curve');
+    await syncProgressAchievements(uid, calculateLevel(userData.points || 0), userData.totalQuestsCompleted || 0);
+
+    const [followersSnap, postsSnap, messagesSnap] = await Promise.all([
+        db.collection('followers').doc(uid).collection('followers').count().get(),
+        db.collection('posts').where('userId', '==', uid).where('deleted', '==', false).count().get(),
+        db.collection('messages').where('userId', '==', uid).where('deleted', '==', false).count().get()
+    ]);
+
+    const followerCount = followersSnap.data().count;
+    const postCount = postsSnap.data().count;
+    const messageCount = messagesSnap.data().count;
+
+    // Increment 0: only achievements (absolute totals) move
+    if (followerCount > 0) {
+        await advanceEvent(uid, 'follower_gained', 0, { achievementProgress: followerCount });
+    }
+    if (postCount > 0) {
+        await advanceEvent(uid, 'post_created', 0, { achievementProgress: postCount });
+    }
+    if (messageCount > 0) {
+        await advanceEvent(uid, 'chat_message', 0, { achievementProgress: messageCount });
+    }
+}
+
+// Chat quests for a newly created message (global or community)
+async function handleMessageCreated(snap, context) {
+    const message = snap.data();
+    if (!message || !message.userId || message.deleted === true) {
+        return null;
+    }
+
+    if (!(await claimEvent(context.eventId))) {
+        return null;
+    }
+
+    try {
+        await advanceEvent(message.userId, 'chat_message', 1);
+    } catch (error) {
+        console.error(`[questsOnMessageCreated:${message.userId}] Error:`, error);
+    }
+    return null;
+}
+
+exports.questsOnMessageCreated = functions.firestore
+    .document('messages/{messageId}')
+    .onCreate(handleMessageCreated);
+
+exports.questsOnCommunityMessageCreated = functions.firestore
+    .document('communities/{communityId}/messages/{messageId}')
+    .onCreate(handleMessageCreated);
+
+exports.questsOnPostCreated = functions.firestore
+    .document('posts/{postId}')
+    .onCreate(async (snap, context) => {
+        const post = snap.data();
+        if (!post || !post.userId || post.deleted === true) {
+            return null;
+        }
+
+        if (!(await claimEvent(context.eventId))) {
+            return null;
+        }
+
+        try {
+            await advanceEvent(post.userId, 'post_created', 1);
+        } catch (error) {
+            console.error(`[questsOnPostCreated:${post.userId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.questsOnFollowCreated = functions.firestore
+    .document('following/{userId}/following/{followingId}')
+    .onCreate(async (snap, context) => {
+        const { userId, followingId } = context.params;
+        if (userId === followingId) {
+            return null;
+        }
+
+        if (!(await claimEvent(context.eventId))) {
+            return null;
+        }
+
+        try {
+            // Follower: "follow N users" (each user only counts once per period)
+            await advanceEvent(userId, 'follow_user', 1, { targetUserId: followingId });
+
+            // Followed user: +1 for periodic quests (each follower only counts once per period,
+            // so unfollowing and following again doesn't add up), total follower count for achievements
+            const followersSnap = await db.collection('followers').doc(followingId)
+                .collection('followers').count().get();
+            await advanceEvent(followingId, 'follower_gained', 1, {
+                achievementProgress: followersSnap.data().count,
+                targetUserId: userId
+            });
+        } catch (error) {
+            console.error(`[questsOnFollowCreated:${userId}->${followingId}] Error:`, error);
+        }
+        return null;
+    });
+
+/**
+ * Record client-side activity that has no Firestore write of its own.
+ *
+ * Parameters:
+ * - activity: 'login' (daily login + weekly active days) or 'quests_visit'
+ *
+ * Both quests complete at most once per period, so repeated calls are harmless.
+ */
+exports.recordQuestActivity = functions.region('us-central1').https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const { activity } = data || {};
+    if (!CLIENT_ACTIVITIES.includes(activity)) {
+        throw new functions.https.HttpsError('invalid-argument', `Unknown activity: ${activity}`);
+    }
+
+    const uid = context.auth.uid;
+    const logPrefix = `[recordQuestActivity:${uid}]`;
+
+    try {
+        if (activity === 'login') {
+            await advanceEvent(uid, 'login', 1);
+
+            // Weekly active days: count each UTC day once
+            const userRef = db.collection('users').doc(uid);
+            const today = startOfUtcDay();
+            const isNewActiveDay = await db.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                if (!userDoc.exists) return false;
+
+                const lastActivityMillis = timestampToMillis(userDoc.data().lastActivityDate);
+                if (lastActivityMillis >= today.getTime()) return false;
+
+                transaction.update(userRef, {
+                    lastActivityDate: admin.firestore.Timestamp.fromDate(today)
+                });
+                return true;
+            });
+
+            if (isNewActiveDay) {
+                await advanceEvent(uid, 'active_day', 1);
+            }
+        } else if (activity === 'quests_visit') {
+            await advanceEvent(uid, 'quests_visit', 1);
+            await reconcileAchievements(uid);
+        }
+
+        return { success: true };
+    } catch (error) {
+        console.error(`${logPrefix} Error:`, error);
+        throw new functions.https.HttpsError('internal', `Failed to record activity: ${error.message}`);
+    }
+});
+
+exports.advanceEvent = advanceEvent;
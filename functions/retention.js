@@ -0,0 +1,168 @@
+/**
+ * Message Retention - scheduled purge of old chat messages
+ *
+ * Retention is a setting (`retention`: '24h' | '7d' | '30d' | 'forever') read from:
+ * - channels/{channelId} for the global channels (legacy `messages` collection, default 24h)
+ * - communities/{id}/channels/{channelId}, then communities/{id}, for community messages
+ *   (default forever)
+ *
+ * Pinned messages (`pinned: true`) are never purged. Messages are read and deleted a page at
+ * a time, so any number of old messages is handled in one run. A purged message's edit history
+ * (its `revisions` subcollection, see revisions.js) is deleted with it.
+ *
+ * The options and defaults are shared with the community settings form (js/chat-moderation.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loadShared } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 500; // Firestore batch limit
+
+// { channelId: retention } for a channels collection
+async function loadChannelRetention(channelsRef) {
+    const snapshot = await channelsRef.get();
+    const retentionByChannel = {};
+    snapshot.docs.forEach((channelDoc) => {
+        retentionByChannel[channelDoc.id] = channelDoc.data().retention;
+    });
+    return retentionByChannel;
+}
+
+/**
+ * Delete messages older than their retention period, with their edit history.
+ *
+ * @param {FirebaseFirestore.CollectionReference} messagesRef
+ * @param {Function} getRetentionMs - message data -> retention in ms (null = keep forever)
+ * @param {number} shortestRetentionMs - only messages older than this are read
+ * @param {string} label - for logging
+ * @returns {Promise<number>} number of deleted messages
+ */
+async function purgeMessages(messagesRef, getRetentionMs, shortestRetentionMs, label) {
+    const now = Date.now();
+    const cutoff = admin.firestore.Timestamp.fromMillis(now - shortestRetentionMs);
+    let lastDoc = null;
+    let deleted = 0;
+    let pinnedKept = 0;
+
+    while (true) {
+        let pageQuery = messagesRef
+            .where('timestamp', '<', cutoff)
+            .orderBy('timestamp', 'asc')
+            .limit(PAGE_SIZE);
+        if (lastDoc) {
+            pageQuery = pageQuery.startAfter(lastDoc);
+        }
+
+        const snapshot = await pageQuery.get();
+        if (snapshot.empty) break;
+
+        const writer = db.bulkWriter();
+        const expired = [];
+        for (const messageDoc of snapshot.docs) {
+            const message = messageDoc.data();
+            if (message.pinned === true) {
+                pinnedKept++;
+                continue;
+            }
+
+            const retentionMs = getRetentionMs(message);
+            if (retentionMs === null) continue;
+            if (message.timestamp.toMillis() >= now - retentionMs) continue;
+
+            expired.push(messageDoc.ref);
+        }
+
+        // recursiveDelete removes the message together with its revisions subcollection
+        for (const messageRef of expired) {
+            await db.recursiveDelete(messageRef, writer);
+        }
+        await writer.close();
+        deleted += expired.length;
+
+        if (snapshot.size < PAGE_SIZE) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    if (deleted > 0 || pinnedKept > 0) {
+        console.log(`[cleanupOldMessages] ${label}: deleted ${deleted} messages, kept ${pinnedKept} pinned`);
+    }
+    return deleted;
+}
+
+// Shortest finite retention among the given settings (null when everything is kept forever)
+function shortestRetention(retentionValues, getRetentionMs) {
+    const periods = retentionValues.map(getRetentionMs).filter(ms => ms !== null);
+    return periods.length > 0 ? Math.min(...periods) : null;
+}
+
+/**
+ * Cleanup old messages - applies each channel's and community's retention setting
+ * Runs daily at 3 AM UTC
+ */
+exports.cleanupOldMessages = functions
+    .runWith({ timeoutSeconds: 540 })
+    .pubsub.schedule('0 3 * * *')
+    .timeZone('UTC')
+    .onRun(async (context) => {
+        console.log('[cleanupOldMessages] Starting message retention cleanup');
+        const { getRetentionMs, DEFAULT_CHANNEL_RETENTION, DEFAULT_COMMUNITY_RETENTION } = await loadShared('chat-moderation');
+        let totalDeleted = 0;
+
+        // Global channels (legacy messages collection, `channel` field)
+        try {
+            const retentionByChannel = await loadChannelRetention(db.collection('channels'));
+            const messageRetentionMs = (message) => getRetentionMs(
+                retentionByChannel[message.channel], undefined, DEFAULT_CHANNEL_RETENTION
+            );
+            // Messages in channels without a doc use the default
+            const shortestMs = shortestRetention(
+                [...Object.values(retentionByChannel), undefined],
+                (retention) => getRetentionMs(retention, undefined, DEFAULT_CHANNEL_RETENTION)
+            );
+            if (shortestMs !== null) {
+                totalDeleted += await purgeMessages(db.collection('messages'), messageRetentionMs, shortestMs, 'global channels');
+            }
+        } catch (error) {
+            console.error('[cleanupOldMessages] Error cleaning global channels:', error);
+        }
+
+        // Community messages (`channelId` field, community setting as fallback)
+        const communities = await db.collection('communities').get();
+        for (const communityDoc of communities.docs) {
+            try {
+                const communityRetention = communityDoc.data().retention;
+                const retentionByChannel = await loadChannelRetention(communityDoc.ref.collection('channels'));
+                const messageRetentionMs = (message) => getRetentionMs(
+                    message.channelId ? retentionByChannel[message.channelId] : undefined,
+                    communityRetention,
+                    DEFAULT_COMMUNITY_RETENTION
+                );
+                const shortestMs = shortestRetention(
+                    [...Object.values(retentionByChannel), undefined],
+                    (retention) => getRetentionMs(retention, communityRetention, DEFAULT_COMMUNITY_RETENTION)
+                );
+                if (shortestMs === null) continue;
+
+                totalDeleted += await purgeMessages(
+                    communityDoc.ref.collection('messages'),
+                    messageRetentionMs,
+                    shortestMs,
+                    `community ${communityDoc.id}`
+                );
+            } catch (error) {
+                // Continue with other communities even if one fails
+                console.error(`[cleanupOldMessages] Error cleaning community ${communityDoc.id}:`, error);
+            }
+        }
+
+        console.log(`[cleanupOldMessages] Cleanup complete. Total messages deleted: ${totalDeleted}`);
+        return null;
+    });
@@ -0,0 +1,127 @@
+/**
+ * Revisions - edit history for posts and chat messages
+ *
+ * Posts and messages are edited in place (content/text plus editedAt) within the 5-minute
+ * edit window. On every edit the version it replaced is appended to a `revisions`
+ * subcollection, so the "edited" marker can show the full history (js/edit-history.js):
+ * - revisionsOnPostUpdated: posts/{postId}/revisions/{revisionId} ({ content, createdAt, replacedAt })
+ * - revisionsOnCommunityMessageUpdated: communities/{communityId}/messages/{messageId}/revisions/{revisionId}
+ *   ({ text, createdAt, replacedAt })
+ * - revisionsOnMessageUpdated: the same for the legacy global messages/{messageId}
+ *
+ * createdAt is when the replaced version was written (the post/message time or the previous
+ * edit), replacedAt is the edit's editedAt. Revision IDs are the replacedAt millis, so trigger
+ * retries don't duplicate revisions. Only author edits (editedAt changes) are recorded - the
+ * profanity filter rewriting an edit (functions/moderation.js) is not a new version.
+ *
+ * Reports: revisionsOnReportCreated copies the reported post's current and original text
+ * onto the report (contentAtReport, originalContent), so moderators see what was reported
+ * even if the author edits it afterwards.
+ *
+ * Revisions are written only here; firestore.rules lets the same people read them as the
+ * post or message, and makes author edits of the text set editedAt (isRecordedEdit).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { timestampToMillis } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+/**
+ * Append the replaced version to docRef/revisions if this update is an author edit
+ * @returns {Promise<boolean>} whether a revision was written
+ */
+async function recordRevision(change, field, createdField) {
+    const before = change.before.data();
+    const after = change.after.data();
+
+    const replacedAt = timestampToMillis(after.editedAt);
+    if (!replacedAt || replacedAt === timestampToMillis(before.editedAt)) {
+        return false;
+    }
+    if (typeof before[field] !== 'string' || before[field] === after[field]) {
+        return false;
+    }
+
+    await change.after.ref.collection('revisions').doc(String(replacedAt)).set({
+        [field]: before[field],
+        createdAt: before.editedAt || before[createdField] || null,
+        replacedAt: after.editedAt
+    });
+    return true;
+}
+
+exports.revisionsOnPostUpdated = functions.firestore
+    .document('posts/{postId}')
+    .onUpdate(async (change, context) => {
+        try {
+            if (await recordRevision(change, 'content', 'createdAt')) {
+                console.log(`[revisionsOnPostUpdated:${context.params.postId}] Recorded revision`);
+            }
+        } catch (error) {
+            console.error(`[revisionsOnPostUpdated:${context.params.postId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.revisionsOnCommunityMessageUpdated = functions.firestore
+    .document('communities/{communityId}/messages/{messageId}')
+    .onUpdate(async (change, context) => {
+        try {
+            if (await recordRevision(change, 'text', 'timestamp')) {
+                console.log(`[revisionsOnCommunityMessageUpdated:${context.params.messageId}] Recorded revision`);
+            }
+        } catch (error) {
+            console.error(`[revisionsOnCommunityMessageUpdated:${context.params.messageId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.revisionsOnMessageUpdated = functions.firestore
+    .document('messages/{messageId}')
+    .onUpdate(async (change, context) => {
+        try {
+            if (await recordRevision(change, 'text', 'timestamp')) {
+                console.log(`[revisionsOnMessageUpdated:${context.params.messageId}] Recorded revision`);
+            }
+        } catch (error) {
+            console.error(`[revisionsOnMessageUpdated:${context.params.messageId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.revisionsOnReportCreated = functions.firestore
+    .document('reports/{reportId}')
+    .onCreate(async (snap, context) => {
+        const { postId } = snap.data();
+        if (typeof postId !== 'string' || !postId) {
+            return null;
+        }
+
+        try {
+            const postRef = db.collection('posts').doc(postId);
+            const [postDoc, firstRevision] = await Promise.all([
+                postRef.get(),
+                postRef.collection('revisions').orderBy('replacedAt', 'asc').limit(1).get()
+            ]);
+            if (!postDoc.exists) {
+                return null;
+            }
+
+            const contentAtReport = postDoc.data().content || '';
+            await snap.ref.update({
+                contentAtReport,
+                originalContent: firstRevision.empty ? contentAtReport : (firstRevision.docs[0].data().content || ''),
+                editedBeforeReport: !firstRevision.empty
+            });
+        } catch (error) {
+            console.error(`[revisionsOnReportCreated:${context.params.reportId}] Error:`, error);
+        }
+        return null;
+    });
@@ -0,0 +1,172 @@
+/**
+ * Scheduled Posts - publishes drafts queued for later
+ *
+ * Drafts live at postDrafts/{uid}/drafts/{draftId} (js/post-drafts.js). Every 5 minutes,
+ * publishScheduledPosts turns due drafts (status 'scheduled', scheduledFor in the past) into
+ * posts, oldest first, with the composer's anti-spam checks (js/post-publishing.js):
+ * - cooldown: a draft is left scheduled while its author posted less than 90 seconds ago, so
+ *   several posts queued for the same time go out one per run
+ * - duplicates: a draft whose text matches one of the latest posts is set to status 'failed'
+ *   (failureReason 'duplicate') instead of being published
+ *
+ * The post and the draft removal are written in one transaction, so overlapping runs can't
+ * publish a draft twice. The new post goes through the usual triggers (quests, timelines).
+ *
+ * The checks and the tag parser are shared with the feed page (js/post-publishing.js,
+ * js/post-tags.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loadShared, timestampToMillis } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 500;
+const MAX_POST_LENGTH = 2000;
+
+// createdAt (millis) of the user's latest post, 0 if none
+async function getLastPostMillis(uid) {
+    const snapshot = await db.collection('posts')
+        .where('userId', '==', uid)
+        .where('deleted', '==', false)
+        .orderBy('createdAt', 'desc')
+        .limit(1)
+        .get();
+    return snapshot.empty ? 0 : timestampToMillis(snapshot.docs[0].data().createdAt);
+}
+
+/**
+ * Publish one due draft in a transaction
+ * @returns {Promise<string|null>} new post ID, or null if the draft changed meanwhile
+ */
+async function publishDraft(draftRef, extractTags) {
+    const uid = draftRef.parent.parent.id;
+    const postRef = db.collection('posts').doc();
+
+    return db.runTransaction(async (transaction) => {
+        const [draftDoc, userDoc] = await Promise.all([
+            transaction.get(draftRef),
+            transaction.get(db.collection('users').doc(uid))
+        ]);
+        if (!draftDoc.exists || draftDoc.data().status !== 'scheduled'
+            || timestampToMillis(draftDoc.data().scheduledFor) > Date.now()) {
+            return null;
+        }
+
+        const draft = draftDoc.data();
+        if (!userDoc.exists || !userDoc.data().username) {
+            transaction.update(draftRef, { status: 'failed', failureReason: 'author_missing' });
+            return null;
+        }
+
+        const content = typeof draft.content === 'string' ? draft.content.trim() : '';
+        const images = Array.isArray(draft.images) ? draft.images : [];
+        const videos = Array.isArray(draft.videos) ? draft.videos : [];
+        if ((!content && images.length === 0 && videos.length === 0) || content.length > MAX_POST_LENGTH) {
+            transaction.update(draftRef, { status: 'failed', failureReason: 'invalid' });
+            return null;
+        }
+
+        // Same shape as posts created by the composer (js/feed.js)
+        transaction.create(postRef, {
+            userId: uid,
+            username: userDoc.data().username,
+            content,
+            images,
+            videos,
+            voteScore: 0,
+            upvoteCount: 0,
+            downvoteCount: 0,
+            commentsCount: 0,
+            hotScore: 0,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            deleted: false,
+            archived: false,
+            tags: extractTags(content)
+        });
+        transaction.delete(draftRef);
+        return postRef.id;
+    });
+}
+
+/**
+ * Publish scheduled posts whose time has come
+ * Runs every 5 minutes
+ */
+exports.publishScheduledPosts = functions
+    .runWith({ timeoutSeconds: 540 })
+    .pubsub.schedule('every 5 minutes')
+    .timeZone('UTC')
+    .onRun(async (context) => {
+        const { DUPLICATE_CHECK_LIMIT, getCooldownRemainingMs, isDuplicateContent } = await loadShared('post-publishing');
+        const { extractTags } = await loadShared('post-tags');
+
+        try {
+            const dueSnapshot = await db.collectionGroup('drafts')
+                .where('status', '==', 'scheduled')
+                .where('scheduledFor', '<=', admin.firestore.Timestamp.now())
+                .orderBy('scheduledFor', 'asc')
+                .limit(PAGE_SIZE)
+                .get();
+            if (dueSnapshot.empty) {
+                return null;
+            }
+
+            // Recent post texts for duplicate detection, plus what this run publishes
+            const recentSnapshot = await db.collection('posts')
+                .where('deleted', '==', false)
+                .orderBy('createdAt', 'desc')
+                .limit(DUPLICATE_CHECK_LIMIT)
+                .get();
+            const recentContents = recentSnapshot.docs.map(postDoc => postDoc.data().content);
+
+            const lastPostByUser = {};
+            let published = 0;
+            let deferred = 0;
+            let failed = 0;
+
+            for (const draftDoc of dueSnapshot.docs) {
+                // Only drafts under postDrafts/{uid}/drafts
+                if (draftDoc.ref.parent.parent?.parent.id !== 'postDrafts') continue;
+                const uid = draftDoc.ref.parent.parent.id;
+
+                try {
+                    if (!(uid in lastPostByUser)) {
+                        lastPostByUser[uid] = await getLastPostMillis(uid);
+                    }
+                    if (getCooldownRemainingMs(lastPostByUser[uid]) > 0) {
+                        deferred++;
+                        continue;
+                    }
+
+                    const content = draftDoc.data().content;
+                    if (isDuplicateContent(content, recentContents)) {
+                        await draftDoc.ref.update({ status: 'failed', failureReason: 'duplicate' });
+                        failed++;
+                        continue;
+                    }
+
+                    const postId = await publishDraft(draftDoc.ref, extractTags);
+                    if (postId) {
+                        lastPostByUser[uid] = Date.now();
+                        recentContents.push(content);
+                        published++;
+                    }
+                } catch (error) {
+                    console.error(`[publishScheduledPosts:${draftDoc.id}] Error publishing draft:`, error);
+                }
+            }
+
+            console.log(`[publishScheduledPosts] Published ${published}, deferred ${deferred} (cooldown), failed ${failed} (duplicate)`);
+        } catch (error) {
+            console.error('[publishScheduledPosts] Error:', error);
+        }
+        return null;
+    });
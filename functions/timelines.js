@@ -0,0 +1,163 @@
+/**
+ * Timelines - fan-out following feed at timelines/{uid}/items/{postId}
+ *
+ * Each item is { postId, authorId, createdAt } (createdAt copied from the post), so a user's
+ * following feed is one ordered query instead of a posts query per followed user:
+ * - timelinesOnPostCreated adds a new post to the timeline of every follower of its author
+ * - timelinesOnPostDeleted removes it again when the post is soft-deleted
+ * - timelinesOnFollowCreated backfills the followed user's latest BACKFILL_LIMIT posts
+ * - timelinesOnFollowDeleted removes the unfollowed user's posts
+ *
+ * Item IDs are the post IDs, so retries and repeated follows never duplicate items. Timelines
+ * are written only here; clients can read their own (firestore.rules).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 500; // Firestore batch limit
+const BACKFILL_LIMIT = 20;
+
+function timelineItemRef(uid, postId) {
+    return db.collection('timelines').doc(uid).collection('items').doc(postId);
+}
+
+/**
+ * Run fn(batch, followerId) for every follower of a user, committing a batch per page
+ * @returns {Promise<number>} number of followers
+ */
+async function forEachFollower(userId, fn) {
+    const followersRef = db.collection('followers').doc(userId).collection('followers');
+    let lastDoc = null;
+    let count = 0;
+    while (true) {
+        let pageQuery = followersRef.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+        if (lastDoc) {
+            pageQuery = pageQuery.startAfter(lastDoc);
+        }
+        const snapshot = await pageQuery.get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        snapshot.docs.forEach(followerDoc => fn(batch, followerDoc.id));
+        await batch.commit();
+        count += snapshot.size;
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (snapshot.size < PAGE_SIZE) break;
+    }
+    return count;
+}
+
+exports.timelinesOnPostCreated = functions
+    .runWith({ timeoutSeconds: 300 })
+    .firestore.document('posts/{postId}')
+    .onCreate(async (snap, context) => {
+        const { postId } = context.params;
+        const post = snap.data();
+        if (!post || !post.userId || post.deleted === true) {
+            return null;
+        }
+
+        try {
+            const item = {
+                postId,
+                authorId: post.userId,
+                createdAt: post.createdAt || admin.firestore.FieldValue.serverTimestamp()
+            };
+            const count = await forEachFollower(post.userId, (batch, followerId) => {
+                if (followerId === post.userId) return;
+                batch.set(timelineItemRef(followerId, postId), item);
+            });
+            console.log(`[timelinesOnPostCreated:${postId}] Fanned out to ${count} followers`);
+        } catch (error) {
+            console.error(`[timelinesOnPostCreated:${postId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.timelinesOnPostDeleted = functions
+    .runWith({ timeoutSeconds: 300 })
+    .firestore.document('posts/{postId}')
+    .onUpdate(async (change, context) => {
+        const { postId } = context.params;
+        const before = change.before.data();
+        const after = change.after.data();
+        if (before.deleted === true || after.deleted !== true || !after.userId) {
+            return null;
+        }
+
+        try {
+            const count = await forEachFollower(after.userId, (batch, followerId) => {
+                batch.delete(timelineItemRef(followerId, postId));
+            });
+            console.log(`[timelinesOnPostDeleted:${postId}] Removed from ${count} timelines`);
+        } catch (error) {
+            console.error(`[timelinesOnPostDeleted:${postId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.timelinesOnFollowCreated = functions.firestore
+    .document('following/{userId}/following/{followingId}')
+    .onCreate(async (snap, context) => {
+        const { userId, followingId } = context.params;
+        if (userId === followingId) {
+            return null;
+        }
+
+        try {
+            const postsSnapshot = await db.collection('posts')
+                .where('userId', '==', followingId)
+                .where('deleted', '==', false)
+                .orderBy('createdAt', 'desc')
+                .limit(BACKFILL_LIMIT)
+                .get();
+            if (postsSnapshot.empty) return null;
+
+            const batch = db.batch();
+            postsSnapshot.docs.forEach((postDoc) => {
+                batch.set(timelineItemRef(userId, postDoc.id), {
+                    postId: postDoc.id,
+                    authorId: followingId,
+                    createdAt: postDoc.data().createdAt
+                });
+            });
+            await batch.commit();
+        } catch (error) {
+            console.error(`[timelinesOnFollowCreated:${userId}->${followingId}] Error:`, error);
+        }
+        return null;
+    });
+
+exports.timelinesOnFollowDeleted = functions.firestore
+    .document('following/{userId}/following/{followingId}')
+    .onDelete(async (snap, context) => {
+        const { userId, followingId } = context.params;
+        const itemsQuery = db.collection('timelines').doc(userId).collection('items')
+            .where('authorId', '==', followingId)
+            .limit(PAGE_SIZE);
+
+        try {
+            while (true) {
+                const snapshot = await itemsQuery.get();
+                if (snapshot.empty) break;
+
+                const batch = db.batch();
+                snapshot.docs.forEach(item => batch.delete(item.ref));
+                await batch.commit();
+
+                if (snapshot.size < PAGE_SIZE) break;
+            }
+        } catch (error) {
+            console.error(`[timelinesOnFollowDeleted:${userId}->${followingId}] Error:`, error);
+        }
+        return null;
+    });
@@ -0,0 +1,199 @@
+/**
+ * Trending - scheduled hot score ranking of posts
+ *
+ * updateTrendingScores runs every 15 minutes and:
+ * - stores hotScore (and hotScoreUpdatedAt) on the live posts from the last
+ *   TRENDING_WINDOW_HOURS, so clients can page through orderBy('hotScore', 'desc'). A post is
+ *   only rewritten when its score moved by more than SCORE_CHANGE_THRESHOLD, so the run doesn't
+ *   fire every post trigger in the window
+ * - resets hotScore to 0 on posts that left the window, were deleted, or whose author's
+ *   karma dropped below MIN_TRENDING_KARMA
+ * - writes the top TRENDING_FEED_SIZE posts, ranked, to feeds/trending, with the top
+ *   TRENDING_TAGS_SIZE #tags (summed hot score of their posts in the window)
+ *
+ * trendingOnCommentWritten keeps posts/{postId}.commentsCount in step with the post's live
+ * comments. Clients can't write commentsCount (firestore.rules), so it can't be inflated to
+ * push a post up the ranking.
+ *
+ * The formula is shared with the browser (js/hot-score.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loadShared, timestampToMillis } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const PAGE_SIZE = 500; // Firestore batch limit
+// Relative change below which a post's stored hotScore is left as is
+const SCORE_CHANGE_THRESHOLD = 0.02;
+
+// { uid: karma } for the authors of the given posts
+async function loadAuthorKarma(postDocs) {
+    const userIds = [...new Set(postDocs.map(postDoc => postDoc.data().userId).filter(Boolean))];
+    const karmaByUser = {};
+    for (let i = 0; i < userIds.length; i += PAGE_SIZE) {
+        const refs = userIds.slice(i, i + PAGE_SIZE).map(uid => db.collection('users').doc(uid));
+        const userDocs = await db.getAll(...refs);
+        userDocs.forEach((userDoc) => {
+            karmaByUser[userDoc.id] = userDoc.exists ? (userDoc.data().karma || 0) : 0;
+        });
+    }
+    return karmaByUser;
+}
+
+function scoreChanged(previous, hotScore) {
+    if (previous === hotScore) return false;
+    return Math.abs(hotScore - previous) > Math.abs(previous) * SCORE_CHANGE_THRESHOLD;
+}
+
+// Write { hotScore } updates, a batch at a time
+async function writeScores(updates) {
+    const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    for (let i = 0; i < updates.length; i += PAGE_SIZE) {
+        const batch = db.batch();
+        updates.slice(i, i + PAGE_SIZE).forEach(({ ref, hotScore }) => {
+            batch.update(ref, { hotScore, hotScoreUpdatedAt: updatedAt });
+        });
+        await batch.commit();
+    }
+}
+
+// [{ tag, posts, hotScore }] for the tags of the scored posts, best first
+function rankTags(scored) {
+    const byTag = new Map();
+    scored.filter(item => item.hotScore > 0).forEach((item) => {
+        item.tags.forEach((tag) => {
+            const entry = byTag.get(tag) || { tag, posts: 0, hotScore: 0 };
+            entry.posts++;
+            entry.hotScore += item.hotScore;
+            byTag.set(tag, entry);
+        });
+    });
+    return Array.from(byTag.values()).sort((a, b) => b.hotScore - a.hotScore || b.posts - a.posts);
+}
+
+exports.updateTrendingScores = functions
+    .runWith({ timeoutSeconds: 540 })
+    .pubsub.schedule('every 15 minutes')
+    .timeZone('UTC')
+    .onRun(async (context) => {
+        const {
+            calculateHotScore,
+            TRENDING_WINDOW_HOURS,
+            MIN_TRENDING_KARMA,
+            TRENDING_FEED_SIZE,
+            TRENDING_TAGS_SIZE
+        } = await loadShared('hot-score');
+        const now = Date.now();
+        const windowStart = now - TRENDING_WINDOW_HOURS * 60 * 60 * 1000;
+
+        try {
+            // Live posts inside the window
+            const recentPosts = [];
+            let lastDoc = null;
+            while (true) {
+                let pageQuery = db.collection('posts')
+                    .where('deleted', '==', false)
+                    .where('createdAt', '>=', admin.firestore.Timestamp.fromMillis(windowStart))
+                    .orderBy('createdAt', 'desc')
+                    .limit(PAGE_SIZE);
+                if (lastDoc) {
+                    pageQuery = pageQuery.startAfter(lastDoc);
+                }
+                const snapshot = await pageQuery.get();
+                if (snapshot.empty) break;
+                recentPosts.push(...snapshot.docs);
+                lastDoc = snapshot.docs[snapshot.docs.length - 1];
+                if (snapshot.size < PAGE_SIZE) break;
+            }
+
+            const karmaByUser = await loadAuthorKarma(recentPosts);
+            const scored = recentPosts.map((postDoc) => {
+                const post = postDoc.data();
+                const hotScore = (karmaByUser[post.userId] || 0) < MIN_TRENDING_KARMA
+                    ? 0
+                    : calculateHotScore(post.voteScore || 0, post.commentsCount || 0, timestampToMillis(post.createdAt), now);
+                return {
+                    ref: postDoc.ref,
+                    postId: postDoc.id,
+                    hotScore,
+                    previous: post.hotScore || 0,
+                    tags: post.tags || []
+                };
+            });
+            const changed = scored.filter(item => scoreChanged(item.previous, item.hotScore));
+            await writeScores(changed);
+
+            // Posts still carrying a score from an earlier run that are no longer scored
+            const scoredIds = new Set(scored.map(item => item.postId));
+            const staleSnapshot = await db.collection('posts').where('hotScore', '!=', 0).get();
+            const stale = staleSnapshot.docs
+                .filter(postDoc => !scoredIds.has(postDoc.id))
+                .map(postDoc => ({ ref: postDoc.ref, hotScore: 0 }));
+            await writeScores(stale);
+
+            const ranked = scored
+                .filter(item => item.hotScore > 0)
+                .sort((a, b) => b.hotScore - a.hotScore)
+                .slice(0, TRENDING_FEED_SIZE)
+                .map(({ postId, hotScore }) => ({ postId, hotScore }));
+            const tags = rankTags(scored).slice(0, TRENDING_TAGS_SIZE);
+            await db.collection('feeds').doc('trending').set({
+                posts: ranked,
+                tags,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            console.log(`[updateTrendingScores] Scored ${scored.length} posts (${changed.length} updated), reset ${stale.length}, ranked ${ranked.length} posts and ${tags.length} tags`);
+        } catch (error) {
+            console.error('[updateTrendingScores] Error:', error);
+        }
+        return null;
+    });
+
+// Live comments only: soft-deleted ones ({ deleted: true }) no longer count
+function isLiveComment(snapshot) {
+    return snapshot.exists && snapshot.data().deleted !== true;
+}
+
+exports.trendingOnCommentWritten = functions.firestore
+    .document('posts/{postId}/comments/{commentId}')
+    .onWrite(async (change, context) => {
+        const { postId, commentId } = context.params;
+        const logPrefix = `[trendingOnCommentWritten:${postId}:${commentId}]`;
+        const delta = (isLiveComment(change.after) ? 1 : 0) - (isLiveComment(change.before) ? 1 : 0);
+        if (delta === 0) return null;
+
+        const postRef = db.collection('posts').doc(postId);
+        const eventRef = db.collection('commentEvents').doc(context.eventId);
+
+        try {
+            await db.runTransaction(async (transaction) => {
+                const [eventDoc, postDoc] = await Promise.all([
+                    transaction.get(eventRef),
+                    transaction.get(postRef)
+                ]);
+                if (eventDoc.exists) return;
+                if (!postDoc.exists) {
+                    console.warn(`${logPrefix} post not found`);
+                    return;
+                }
+
+                transaction.create(eventRef, {
+                    processedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                transaction.update(postRef, {
+                    commentsCount: admin.firestore.FieldValue.increment(delta)
+                });
+            });
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
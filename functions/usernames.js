@@ -0,0 +1,183 @@
+/**
+ * Usernames - renaming an account
+ *
+ * Names are reserved at usernames/{name} ({ uid, createdAt }) and firestore.rules doesn't let
+ * clients update them, so renames go through changeUsername. In one transaction it:
+ * - frees the old name and reserves the new one
+ * - keeps the old name as an alias, usernameAliases/{oldName} ({ uid, createdAt }), so old
+ *   /profile/?username= links still resolve. Others can't claim it while the alias is held
+ * - updates users/{uid} (username, usernameChangedAt) and appends
+ *   users/{uid}/usernameHistory/{entryId} ({ from, to, changedAt })
+ *
+ * Renames are limited by a cooldown (usernameChangedAt). After the transaction, the username
+ * copies on the game leaderboard, the user's recent posts and chat messages, and their
+ * conversations are rewritten (best effort - older content keeps the old name).
+ *
+ * The format and limits are shared with profile settings (js/usernames.js).
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { loadShared, timestampToMillis } = require('./util');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+const RECENT_CONTENT_LIMIT = 500; // recent posts and messages renamed per collection
+const BATCH_SIZE = 400;
+
+// Apply updates in batches of BATCH_SIZE
+async function commitUpdates(updates) {
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        updates.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+        await batch.commit();
+    }
+    return updates.length;
+}
+
+// Rewrite the denormalized username on the user's leaderboard entry, recent content and conversations
+async function rewriteUsernameCopies(uid, newUsername) {
+    const [leaderboardDoc, postsSnapshot, messagesSnapshot, conversationsSnapshot] = await Promise.all([
+        db.collection('gameLeaderboard').doc(uid).get(),
+        db.collection('posts')
+            .where('userId', '==', uid)
+            .orderBy('createdAt', 'desc')
+            .limit(RECENT_CONTENT_LIMIT)
+            .get(),
+        // Community and legacy chat messages (DM messages use senderId and aren't matched)
+        db.collectionGroup('messages')
+            .where('userId', '==', uid)
+            .orderBy('timestamp', 'desc')
+            .limit(RECENT_CONTENT_LIMIT)
+            .get(),
+        db.collection('conversations')
+            .where('participants', 'array-contains', uid)
+            .get()
+    ]);
+
+    const updates = [];
+    if (leaderboardDoc.exists) {
+        updates.push({ ref: leaderboardDoc.ref, data: { username: newUsername } });
+    }
+    postsSnapshot.docs
+        .concat(messagesSnapshot.docs)
+        .filter(contentDoc => contentDoc.data().username !== newUsername)
+        .forEach(contentDoc => updates.push({ ref: contentDoc.ref, data: { username: newUsername } }));
+    conversationsSnapshot.docs.forEach(conversationDoc => {
+        updates.push({ ref: conversationDoc.ref, data: { [`participantInfo.${uid}.username`]: newUsername } });
+    });
+
+    return commitUpdates(updates);
+}
+
+/**
+ * Change the caller's username.
+ *
+ * Parameters:
+ * - username: the new username (lowercase, see js/usernames.js)
+ *
+ * Returns { username, previousUsername, updatedCount }.
+ */
+exports.changeUsername = functions.region('us-central1').https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const uid = context.auth.uid;
+    const logPrefix = `[changeUsername:${uid}]`;
+    const { validateUsername, getUsernameChangeRemainingMs, isAliasHeld } = await loadShared('usernames');
+
+    const newUsername = typeof data?.username === 'string' ? data.username.trim().toLowerCase() : '';
+    const validationError = validateUsername(newUsername);
+    if (validationError) {
+        throw new functions.https.HttpsError('invalid-argument', validationError);
+    }
+
+    const userRef = db.collection('users').doc(uid);
+    const newNameRef = db.collection('usernames').doc(newUsername);
+    const newAliasRef = db.collection('usernameAliases').doc(newUsername);
+
+    try {
+        const previousUsername = await db.runTransaction(async (transaction) => {
+            const [userDoc, newNameDoc, newAliasDoc] = await Promise.all([
+                transaction.get(userRef),
+                transaction.get(newNameRef),
+                transaction.get(newAliasRef)
+            ]);
+            if (!userDoc.exists || !userDoc.data().username) {
+                throw new functions.https.HttpsError('failed-precondition', 'User profile not found');
+            }
+
+            const userData = userDoc.data();
+            const oldUsername = userData.username;
+            if (oldUsername === newUsername) {
+                throw new functions.https.HttpsError('invalid-argument', 'That is already your username');
+            }
+
+            const remainingMs = getUsernameChangeRemainingMs(timestampToMillis(userData.usernameChangedAt));
+            if (remainingMs > 0) {
+                const remainingDays = Math.ceil(remainingMs / (24 * 60 * 60 * 1000));
+                throw new functions.https.HttpsError(
+                    'resource-exhausted',
+                    `You can change your username again in ${remainingDays} day${remainingDays > 1 ? 's' : ''}`,
+                    { retryAfterMs: remainingMs }
+                );
+            }
+
+            if (newNameDoc.exists) {
+                throw new functions.https.HttpsError('already-exists', 'Username is already taken');
+            }
+            if (newAliasDoc.exists && newAliasDoc.data().uid !== uid
+                && isAliasHeld(timestampToMillis(newAliasDoc.data().createdAt))) {
+                throw new functions.https.HttpsError('already-exists', 'This username was used by another account recently');
+            }
+
+            const oldNameRef = db.collection('usernames').doc(oldUsername);
+            const oldNameDoc = await transaction.get(oldNameRef);
+
+            const now = admin.firestore.Timestamp.now();
+            if (oldNameDoc.exists && oldNameDoc.data().uid === uid) {
+                transaction.delete(oldNameRef);
+            }
+            transaction.set(newNameRef, { uid, createdAt: now });
+            if (newAliasDoc.exists) {
+                // Taking back one of the user's old names, or a name whose hold expired
+                transaction.delete(newAliasRef);
+            }
+            transaction.set(db.collection('usernameAliases').doc(oldUsername), { uid, createdAt: now });
+            transaction.update(userRef, { username: newUsername, usernameChangedAt: now });
+            transaction.create(userRef.collection('usernameHistory').doc(), {
+                from: oldUsername,
+                to: newUsername,
+                changedAt: now
+            });
+            return oldUsername;
+        });
+
+        console.log(`${logPrefix} Renamed "${previousUsername}" to "${newUsername}"`);
+
+        let updatedCount = 0;
+        try {
+            updatedCount = await rewriteUsernameCopies(uid, newUsername);
+            console.log(`${logPrefix} Updated username on ${updatedCount} documents`);
+        } catch (error) {
+            // The rename itself succeeded - stale copies only show the old name
+            console.error(`${logPrefix} Error updating username copies:`, error);
+        }
+
+        return { username: newUsername, previousUsername, updatedCount };
+    } catch (error) {
+        console.error(`${logPrefix} Error:`, error);
+
+        if (error instanceof functions.https.HttpsError) {
+            throw error;
+        }
+
+        throw new functions.https.HttpsError('internal', `Failed to change username: ${error.message}`);
+    }
+});
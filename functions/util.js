@@ -0,0 +1,31 @@
+/**
+ * Util - helpers used across the Cloud Functions modules
+ *
+ * - loadShared(name): lazily imports functions/shared/{name}.mjs, the copy of js/{name}.js
+ *   made by the "sync-shared" script (see "Shared modules" in README.md)
+ * - timestampToMillis(value): Firestore Timestamp or millis -> millis (0 when missing)
+ */
+
+// name -> import() promise, so each shared module is loaded once per instance
+const sharedModules = new Map();
+
+/**
+ * Load a module shared with the browser (ES module, so it can't be require()d)
+ * @param {string} name - file name in js/ without extension, e.g. 'hot-score'
+ * @returns {Promise<Object>} the module's exports
+ */
+function loadShared(name) {
+    if (!sharedModules.has(name)) {
+        sharedModules.set(name, import(`./shared/${name}.mjs`));
+    }
+    return sharedModules.get(name);
+}
+
+function timestampToMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (typeof value === 'number') return value;
+    return 0;
+}
+
+module.exports = { loadShared, timestampToMillis };
@@ -0,0 +1,108 @@
+/**
+ * Post Votes - keeps post/comment scores and author karma in sync with the vote ledger
+ *
+ * Each vote is a doc at posts/{postId}/votes/{uid} (or
+ * posts/{postId}/comments/{commentId}/votes/{uid}) with `value` 1 (upvote) or -1 (downvote);
+ * removing a vote deletes the doc. Clients can only write their own vote doc (firestore.rules),
+ * so the counters below can't be forged:
+ * - voteScore, upvoteCount, downvoteCount on the post or comment
+ * - users/{authorId}.karma (votes on your own posts and comments don't count)
+ *
+ * Trigger retries are de-duplicated through the `voteEvents` collection. Votes copied from the
+ * old upvotes/downvotes maps by scripts/migrate-post-votes.js are created with `migrated: true`
+ * and are already counted.
+ */
+
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin (only if not already initialized)
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+function voteValue(snapshot) {
+    if (!snapshot.exists) return 0;
+    const value = snapshot.data().value;
+    return value === 1 || value === -1 ? value : 0;
+}
+
+/**
+ * Apply one vote change to the voted doc's counters and its author's karma
+ * @param {DocumentReference} targetRef - the post or comment
+ */
+async function applyVoteChange(change, context, targetRef, voterId, logPrefix) {
+    if (!change.before.exists && change.after.exists && change.after.data().migrated === true) {
+        return;
+    }
+
+    const previous = voteValue(change.before);
+    const value = voteValue(change.after);
+    if (previous === value) return;
+
+    const scoreDelta = value - previous;
+    const upvoteDelta = (value === 1 ? 1 : 0) - (previous === 1 ? 1 : 0);
+    const downvoteDelta = (value === -1 ? 1 : 0) - (previous === -1 ? 1 : 0);
+    const { increment } = admin.firestore.FieldValue;
+
+    const eventRef = db.collection('voteEvents').doc(context.eventId);
+
+    await db.runTransaction(async (transaction) => {
+        const [eventDoc, targetDoc] = await Promise.all([
+            transaction.get(eventRef),
+            transaction.get(targetRef)
+        ]);
+        if (eventDoc.exists) return;
+        if (!targetDoc.exists) {
+            console.warn(`${logPrefix} ${targetRef.path} not found`);
+            return;
+        }
+
+        const authorId = targetDoc.data().userId;
+        const authorRef = authorId && authorId !== voterId ? db.collection('users').doc(authorId) : null;
+        const authorDoc = authorRef ? await transaction.get(authorRef) : null;
+
+        transaction.create(eventRef, {
+            processedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.update(targetRef, {
+            voteScore: increment(scoreDelta),
+            upvoteCount: increment(upvoteDelta),
+            downvoteCount: increment(downvoteDelta)
+        });
+        if (authorDoc && authorDoc.exists) {
+            transaction.update(authorRef, { karma: increment(scoreDelta) });
+        }
+    });
+}
+
+exports.votesOnPostVoteWritten = functions.firestore
+    .document('posts/{postId}/votes/{voterId}')
+    .onWrite(async (change, context) => {
+        const { postId, voterId } = context.params;
+        const logPrefix = `[votesOnPostVoteWritten:${postId}:${voterId}]`;
+
+        try {
+            await applyVoteChange(change, context, db.collection('posts').doc(postId), voterId, logPrefix);
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
+
+exports.votesOnCommentVoteWritten = functions.firestore
+    .document('posts/{postId}/comments/{commentId}/votes/{voterId}')
+    .onWrite(async (change, context) => {
+        const { postId, commentId, voterId } = context.params;
+        const logPrefix = `[votesOnCommentVoteWritten:${commentId}:${voterId}]`;
+        const commentRef = db.collection('posts').doc(postId).collection('comments').doc(commentId);
+
+        try {
+            await applyVoteChange(change, context, commentRef, voterId, logPrefix);
+        } catch (error) {
+            console.error(`${logPrefix} Error:`, error);
+        }
+        return null;
+    });
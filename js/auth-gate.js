@@ -1,10 +1,12 @@
 /**
  * Authentication Gate Module
  * Blocks access to protected pages unless user is authenticated and email verified
+ * (Google/X sign-ins count as verified, see js/oauth.js)
  */
 
 import { auth } from './firebase.js';
 import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import { isAccountVerified } from './oauth.js';
 
 let authGateOverlay = null;
 
@@ -37,7 +39,7 @@ export function initAuthGate() {
                 await user.reload();
                 const currentUser = auth.currentUser;
                 
-                if (currentUser && !currentUser.emailVerified) {
+                if (currentUser && !isAccountVerified(currentUser)) {
                     // Email not verified - redirect to verify page
                     console.log('AuthGate: email not verified, redirecting to /verify/');
                     window.location.href = '/verify/';
@@ -49,7 +51,7 @@ export function initAuthGate() {
             } catch (error) {
                 console.error('AuthGate: error checking verification status:', error);
                 // On error, still check the user object directly
-                if (user.emailVerified) {
+                if (isAccountVerified(user)) {
                     hideOverlay();
                     console.log(`AuthGate: logged in as ${user.uid}`);
                 } else {
@@ -1,6 +1,8 @@
 /**
  * Authentication UI Module
  * Handles login and signup forms for login.html
+ * Google/X sign-in (js/oauth.js) asks first-time users for a username before creating the profile
+ * Accounts with two-factor authentication get a code challenge after the first factor (js/mfa.js)
  */
 
 import { auth, db } from './firebase.js';
@@ -10,7 +12,8 @@ import {
     onAuthStateChanged,
     deleteUser,
     sendEmailVerification,
-    sendPasswordResetEmail
+    sendPasswordResetEmail,
+    signOut
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
 import {
     doc,
@@ -20,6 +23,9 @@ import {
     deleteDoc,
     runTransaction
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { signInWithProvider, isAccountVerified, formatOAuthError } from './oauth.js';
+import { isMfaRequiredError, resolveTotpChallenge, redeemBackupCode, formatMfaError } from './mfa.js';
+import { isAliasHeld } from './usernames.js';
 
 // Tab switching
 const loginTab = document.querySelector('[data-tab="login"]');
@@ -27,6 +33,9 @@ const signupTab = document.querySelector('[data-tab="signup"]');
 const loginForm = document.getElementById('loginForm');
 const signupForm = document.getElementById('signupForm');
 const resetPasswordForm = document.getElementById('resetPasswordForm');
+const oauthUsernameForm = document.getElementById('oauthUsernameForm');
+const oauthSection = document.getElementById('oauthSection');
+const mfaChallengeForm = document.getElementById('mfaChallengeForm');
 
 function switchTab(tabName) {
     // Update tabs
@@ -42,6 +51,15 @@ function switchTab(tabName) {
     // Update forms
     loginForm.classList.toggle('active', tabName === 'login');
     signupForm.classList.toggle('active', tabName === 'signup');
+    if (oauthUsernameForm) {
+        oauthUsernameForm.classList.remove('active');
+    }
+    if (mfaChallengeForm) {
+        mfaChallengeForm.classList.remove('active');
+    }
+    if (oauthSection) {
+        oauthSection.classList.remove('hide');
+    }
     
     // Hide reset form when switching tabs
     if (resetPasswordForm) {
@@ -258,8 +276,13 @@ async function checkUsernameAvailability(usernameLower, bypassRateLimit = false)
     }
     
     try {
-        const usernameDoc = await getDoc(doc(db, 'usernames', usernameLower));
-        const isTaken = usernameDoc.exists();
+        // Old names of renamed users stay reserved for a while (usernameAliases, see js/usernames.js)
+        const [usernameDoc, aliasDoc] = await Promise.all([
+            getDoc(doc(db, 'usernames', usernameLower)),
+            getDoc(doc(db, 'usernameAliases', usernameLower))
+        ]);
+        const isAliasTaken = aliasDoc.exists() && isAliasHeld(aliasDoc.data().createdAt?.toMillis() || 0);
+        const isTaken = usernameDoc.exists() || isAliasTaken;
         console.log(`Username check result for "${usernameLower}": ${isTaken ? 'taken' : 'available'}`);
         return { ok: true, available: !isTaken };
     } catch (error) {
@@ -331,9 +354,10 @@ async function reserveUsernameOnly(uid, usernameLower) {
 }
 
 // Create user profile after email verification (called from verify page)
+// Also used after a first Google/X sign-in, where email may be '' (X accounts without an email)
 async function createUserProfileAfterVerification(uid, usernameLower, email) {
     // Validate inputs
-    if (!uid || !usernameLower || !email) {
+    if (!uid || !usernameLower || typeof email !== 'string') {
         console.error('❌ createUserProfileAfterVerification: Missing required parameters', { uid, usernameLower, email });
         return { success: false, reason: 'error', error: new Error('Missing required parameters') };
     }
@@ -418,7 +442,7 @@ if (loginFormEl && loginBtn) {
             const userCredential = await signInWithEmailAndPassword(auth, email, password);
             // Check if email is verified
             await userCredential.user.reload();
-            if (!userCredential.user.emailVerified) {
+            if (!isAccountVerified(userCredential.user)) {
                 // Email not verified - redirect to verify page
                 showMessage('login', 'error', 'Please verify your email before logging in. Redirecting to verification page...');
                 setTimeout(() => {
@@ -429,7 +453,11 @@ if (loginFormEl && loginBtn) {
             // Success - onAuthStateChanged will handle redirect
             showMessage('login', 'success', 'Login successful! Redirecting...');
         } catch (error) {
-            showMessage('login', 'error', formatAuthError(error));
+            if (isMfaRequiredError(error)) {
+                showMfaChallenge(error, 'password');
+            } else {
+                showMessage('login', 'error', formatAuthError(error));
+            }
             loginBtn.disabled = false;
             loginBtn.textContent = 'Log In';
         }
@@ -742,11 +770,14 @@ async function checkRulesVersion() {
 }
 
 // Initialize username checking UI and debounced availability check
-function initUsernameChecking() {
-    const usernameInput = document.getElementById('signupUsername');
-    const usernameStatus = document.getElementById('usernameStatus');
-    const signupBtn = document.getElementById('signupBtn');
+// (signup form by default, or the username step after a first Google/X sign-in)
+function initUsernameChecking(inputId = 'signupUsername', statusId = 'usernameStatus', buttonId = 'signupBtn') {
+    const usernameInput = document.getElementById(inputId);
+    const usernameStatus = document.getElementById(statusId);
+    const signupBtn = document.getElementById(buttonId);
     if (!usernameInput || !usernameStatus) return;
+    if (usernameInput.dataset.listenerAttached) return;
+    usernameInput.dataset.listenerAttached = 'true';
     
     let debounceTimer = null;
     let lastCheckedValue = '';
@@ -832,6 +863,272 @@ function initUsernameChecking() {
     });
 }
 
+// Google / X sign-in (js/oauth.js)
+function redirectAfterLogin() {
+    const redirectUrl = new URLSearchParams(window.location.search).get('redirect') || '/profile/';
+    window.location.href = redirectUrl;
+}
+
+// Show the username step, hiding the other forms
+function showOAuthUsernameForm(user) {
+    if (!oauthUsernameForm) return;
+
+    loginForm.classList.remove('active');
+    signupForm.classList.remove('active');
+    if (resetPasswordForm) {
+        resetPasswordForm.classList.remove('active');
+    }
+    if (mfaChallengeForm) {
+        mfaChallengeForm.classList.remove('active');
+    }
+    if (oauthSection) {
+        oauthSection.classList.add('hide');
+    }
+    oauthUsernameForm.classList.add('active');
+
+    const pageTitle = document.getElementById('authPageTitle');
+    if (pageTitle) {
+        pageTitle.textContent = 'Create account';
+    }
+    const description = document.getElementById('oauthUsernameDescription');
+    if (description && user.displayName) {
+        description.textContent = `Welcome, ${user.displayName}! One last step: pick the username other apes will see.`;
+    }
+    initUsernameChecking('oauthUsername', 'oauthUsernameStatus', 'oauthUsernameBtn');
+    document.getElementById('oauthUsername')?.focus();
+}
+
+// Whether the user already has a profile; shows the username step when they don't
+async function ensureOAuthProfile(user) {
+    try {
+        const userDoc = await getDoc(doc(db, 'users', user.uid));
+        if (userDoc.exists()) {
+            return true;
+        }
+    } catch (error) {
+        console.error('Error checking user profile:', error);
+        return true; // let the profile page handle it (createDefaultUserProfile)
+    }
+    showOAuthUsernameForm(user);
+    return false;
+}
+
+async function handleOAuthSignIn(providerId, button) {
+    clearMessages();
+    const formType = signupForm.classList.contains('active') ? 'signup' : 'login';
+    const originalText = button.innerHTML;
+    button.disabled = true;
+    button.textContent = 'Opening...';
+
+    // Hold the auth state redirect until we know whether a profile exists
+    isSignupInProgress = true;
+    try {
+        const { user, isNewUser } = await signInWithProvider(providerId);
+        console.log(`✅ Signed in with ${providerId}`, { uid: user.uid, isNewUser });
+        isSignupInProgress = false;
+        if (await ensureOAuthProfile(user)) {
+            showMessage(formType, 'success', 'Login successful! Redirecting...');
+            setTimeout(redirectAfterLogin, 1500);
+        }
+    } catch (error) {
+        isSignupInProgress = false;
+        if (isMfaRequiredError(error)) {
+            showMfaChallenge(error, providerId);
+        } else {
+            console.error(`OAuth sign-in error (${providerId}):`, error);
+            showMessage(formType, 'error', formatOAuthError(error));
+        }
+    } finally {
+        button.disabled = false;
+        button.innerHTML = originalText;
+    }
+}
+
+document.querySelectorAll('[data-oauth-provider]').forEach(button => {
+    button.addEventListener('click', () => handleOAuthSignIn(button.dataset.oauthProvider, button));
+});
+
+// Username step: same reservation as email signup, then the profile right away
+const oauthUsernameBtn = document.getElementById('oauthUsernameBtn');
+if (oauthUsernameForm && oauthUsernameBtn) {
+    oauthUsernameForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        clearMessages();
+
+        const user = auth.currentUser;
+        if (!user) {
+            showMessage('oauth', 'error', 'Your sign-in expired. Please try again.');
+            switchTab('login');
+            return;
+        }
+
+        const usernameLower = normalizeUsername(document.getElementById('oauthUsername').value.trim());
+        const validation = validateUsername(usernameLower);
+        if (!validation.valid) {
+            showMessage('oauth', 'error', validation.error);
+            return;
+        }
+
+        oauthUsernameBtn.disabled = true;
+        oauthUsernameBtn.textContent = 'Creating account...';
+        try {
+            const availability = await checkUsernameAvailability(usernameLower, true);
+            if (availability.available === false) {
+                showMessage('oauth', 'error', 'Username is already taken. Please choose another.');
+                return;
+            }
+
+            const reservation = await reserveUsernameOnly(user.uid, usernameLower);
+            if (!reservation.success) {
+                showMessage('oauth', 'error', reservation.reason === 'taken'
+                    ? 'Username is already taken. Please choose another.'
+                    : 'Failed to reserve username. Please try again.');
+                return;
+            }
+
+            const profileResult = await createUserProfileAfterVerification(user.uid, usernameLower, user.email || '');
+            if (!profileResult.success) {
+                // Release the username so the user can retry
+                await deleteDoc(doc(db, 'usernames', usernameLower)).catch(() => {});
+                showMessage('oauth', 'error', 'Profile creation failed. Please try again.');
+                return;
+            }
+
+            showMessage('oauth', 'success', 'Account created! Redirecting...');
+            setTimeout(redirectAfterLogin, 1500);
+        } catch (error) {
+            console.error('OAuth username step error:', error);
+            showMessage('oauth', 'error', formatAuthError(error));
+        } finally {
+            oauthUsernameBtn.disabled = false;
+            oauthUsernameBtn.textContent = 'Continue';
+        }
+    });
+}
+
+const oauthCancelLink = document.getElementById('oauthCancelLink');
+if (oauthCancelLink) {
+    oauthCancelLink.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await signOut(auth);
+        switchTab('login');
+    });
+}
+
+// Two-factor challenge (js/mfa.js)
+// The sign-in that stopped at the second factor: { error, method: 'password' | providerId }
+let pendingMfaSignIn = null;
+let isUsingBackupCode = false;
+
+function setBackupCodeMode(useBackupCode) {
+    isUsingBackupCode = useBackupCode;
+    document.getElementById('mfaCodeGroup')?.classList.toggle('hide', useBackupCode);
+    document.getElementById('mfaBackupCodeGroup')?.classList.toggle('hide', !useBackupCode);
+    const description = document.getElementById('mfaChallengeDescription');
+    if (description) {
+        if (!useBackupCode) {
+            description.textContent = 'Enter the 6-digit code from your authenticator app.';
+        } else if (pendingMfaSignIn?.method !== 'password') {
+            description.textContent = 'Backup codes work with email and password sign-in. Log in with your email and password (use "Forgot password?" to set one), then enter the code.';
+        } else {
+            description.textContent = 'Enter one of your backup codes. It signs you in once, then you can set up a new authenticator.';
+        }
+    }
+    const useBackupLink = document.getElementById('mfaUseBackupLink');
+    if (useBackupLink) {
+        useBackupLink.textContent = useBackupCode ? 'Use authenticator app' : 'Use a backup code';
+    }
+    document.getElementById(useBackupCode ? 'mfaBackupCode' : 'mfaCode')?.focus();
+}
+
+function showMfaChallenge(error, method) {
+    if (!mfaChallengeForm) return;
+    pendingMfaSignIn = { error, method };
+
+    loginForm.classList.remove('active');
+    signupForm.classList.remove('active');
+    if (resetPasswordForm) {
+        resetPasswordForm.classList.remove('active');
+    }
+    if (oauthSection) {
+        oauthSection.classList.add('hide');
+    }
+    mfaChallengeForm.classList.add('active');
+
+    document.getElementById('mfaCode').value = '';
+    document.getElementById('mfaBackupCode').value = '';
+    setBackupCodeMode(false);
+}
+
+const mfaChallengeBtn = document.getElementById('mfaChallengeBtn');
+if (mfaChallengeForm && mfaChallengeBtn) {
+    mfaChallengeForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        clearMessages();
+        if (!pendingMfaSignIn) {
+            switchTab('login');
+            return;
+        }
+
+        const code = document.getElementById(isUsingBackupCode ? 'mfaBackupCode' : 'mfaCode').value.trim();
+        if (!code) {
+            showMessage('mfa', 'error', isUsingBackupCode ? 'Please enter a backup code.' : 'Please enter the 6-digit code from your authenticator app.');
+            return;
+        }
+
+        mfaChallengeBtn.disabled = true;
+        mfaChallengeBtn.textContent = 'Verifying...';
+        try {
+            if (isUsingBackupCode) {
+                // Google/X sign-ins can't redeem codes (see js/mfa.js)
+                if (pendingMfaSignIn.method !== 'password') {
+                    throw Object.assign(new Error('Backup codes need an email and password sign-in.'), { code: 'auth/backup-code-needs-password' });
+                }
+                // Hold the auth state redirect - this sign-in goes to the authenticator setup
+                isSignupInProgress = true;
+                try {
+                    await redeemBackupCode(code, {
+                        email: document.getElementById('loginEmail').value.trim(),
+                        password: document.getElementById('loginPassword').value
+                    });
+                } catch (error) {
+                    isSignupInProgress = false;
+                    throw error;
+                }
+                pendingMfaSignIn = null;
+                showMessage('mfa', 'success', 'Backup code accepted. Redirecting to set up a new authenticator...');
+                setTimeout(() => {
+                    window.location.href = '/profile/settings/?mfa=replace#mfaSettings';
+                }, 1500);
+                return;
+            }
+
+            // onAuthStateChanged takes it from here (verification, username step, redirect)
+            await resolveTotpChallenge(pendingMfaSignIn.error, code);
+            pendingMfaSignIn = null;
+            showMessage('mfa', 'success', 'Login successful! Redirecting...');
+        } catch (error) {
+            console.error('Two-factor challenge error:', error);
+            showMessage('mfa', 'error', formatMfaError(error));
+        } finally {
+            mfaChallengeBtn.disabled = false;
+            mfaChallengeBtn.textContent = 'Verify';
+        }
+    });
+}
+
+document.getElementById('mfaUseBackupLink')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    clearMessages();
+    setBackupCodeMode(!isUsingBackupCode);
+});
+
+document.getElementById('mfaCancelLink')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    pendingMfaSignIn = null;
+    switchTab('login');
+});
+
 // Handle auth state changes - redirect after successful login (only if verified)
 onAuthStateChanged(auth, (user) => {
     if (user) {
@@ -843,14 +1140,16 @@ onAuthStateChanged(auth, (user) => {
             return;
         }
         
-        // Only redirect to generator if email is verified
+        // Only redirect to generator if email is verified (or signed in with Google/X)
         // Don't redirect if we're already on the verify page
-        if (user.emailVerified && !window.location.pathname.includes('/verify/')) {
-            setTimeout(() => {
-                const redirectUrl = new URLSearchParams(window.location.search).get('redirect') || '/profile/';
-                window.location.href = redirectUrl;
-            }, 1500);
-        } else if (!user.emailVerified && window.location.pathname.includes('/login/')) {
+        if (isAccountVerified(user) && !window.location.pathname.includes('/verify/')) {
+            // Google/X users who left before choosing a username still need a profile
+            ensureOAuthProfile(user).then((hasProfile) => {
+                if (hasProfile) {
+                    setTimeout(redirectAfterLogin, 1500);
+                }
+            });
+        } else if (!isAccountVerified(user) && window.location.pathname.includes('/login/')) {
             // If on login page and not verified, redirect to verify page
             // But only if signup is not in progress
             if (!isSignupInProgress) {
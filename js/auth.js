@@ -168,6 +168,14 @@ function setupModalEvents() {
             await signInWithEmailAndPassword(auth, email, password);
             closeModal();
         } catch (error) {
+            if (error.code === 'auth/multi-factor-auth-required') {
+                // The code challenge lives on the login page (js/auth-ui.js)
+                showMessage('authLoginError', 'This account uses two-factor authentication. Continue on the login page...');
+                setTimeout(() => {
+                    window.location.href = '/login/?redirect=' + encodeURIComponent(window.location.pathname);
+                }, 1500);
+                return;
+            }
             showMessage('authLoginError', formatAuthError(error));
             if (loginBtn) {
                 loginBtn.disabled = false;
@@ -0,0 +1,61 @@
+/**
+ * Chat Format Module
+ * ============================================
+ *
+ * Message text and time formatting shared by the community chat (js/chat-init.js)
+ * and group chats on the messages page (js/messages-init.js), so messages look the
+ * same everywhere they are rendered.
+ *
+ * ============================================
+ */
+
+import { filterProfanity } from './chat-moderation.js';
+
+// Format message text (links, mentions, basic formatting)
+export function formatMessageText(text) {
+    if (!text) return '';
+    
+    // Filter profanity first (before HTML escaping)
+    let formatted = filterProfanity(text);
+    
+    // Escape HTML
+    formatted = escapeHtml(formatted);
+    
+    // Convert URLs to links
+    const urlRegex = /(https?:\/\/[^\s]+)/g;
+    formatted = formatted.replace(urlRegex, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>');
+    
+    // Convert @mentions (simple version)
+    const mentionRegex = /@(\w+)/g;
+    formatted = formatted.replace(mentionRegex, '<span class="mention">@$1</span>');
+    
+    // Convert **bold** and *italic*
+    formatted = formatted.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+    formatted = formatted.replace(/\*(.+?)\*/g, '<em>$1</em>');
+    
+    // Preserve line breaks
+    formatted = formatted.replace(/\n/g, '<br>');
+    
+    return formatted;
+}
+
+export function formatTime(date) {
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+}
+
+export function formatDate(date) {
+    return date.toLocaleDateString('en-US', { 
+        weekday: 'long', 
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
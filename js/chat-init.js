@@ -14,7 +14,6 @@ import {
     query,
     orderBy,
     limit,
-    addDoc,
     onSnapshot,
     serverTimestamp,
     updateDoc,
@@ -28,51 +27,34 @@ import {
     writeBatch,
     startAfter
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { getFunctions, httpsCallable } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-functions.js';
+import {
+    MAX_MESSAGE_LENGTH,
+    filterProfanity,
+    looksLikeSpam,
+    getSlowModeSeconds
+} from './chat-moderation.js';
+import { tokenizeForSearch, pickQueryToken } from './chat-search.js';
+import { formatMessageText, formatTime, formatDate, escapeHtml } from './chat-format.js';
+import { getMessageLink } from './direct-messages.js';
+import { showEditHistory } from './edit-history.js';
 
 // Constants
 const MESSAGES_PER_PAGE = 30; // Reduced to load only recent messages
-const MAX_MESSAGE_LENGTH = 1000;
-
-// Rate limits per channel (in seconds)
-const RATE_LIMITS = {
-    'general': 15,
-    'raid': 15,
-    'trading': 15,
-    'support': 30 // Support chat has longer cooldown to prevent spam
-};
 
-// Get rate limit for current channel
+// Get rate limit for current channel (enforced server-side by sendChatMessage)
 function getRateLimitSeconds() {
-    return RATE_LIMITS[currentChannel] || 15; // Default to 15 seconds
+    return getSlowModeSeconds(currentChannel);
 }
 const EDIT_TIME_LIMIT = 5 * 60 * 1000; // 5 minutes in milliseconds
 const TYPING_TIMEOUT = 3000; // 3 seconds
+const MAX_JUMP_PAGES = 20; // Pages of older messages to load when jumping to a quoted message
+const SEARCH_RESULTS_LIMIT = 50;
+const MAX_SEARCH_PAGES = 10; // Pages of SEARCH_RESULTS_LIMIT scanned per search before offering "Load more"
+const MAX_PINNED_MESSAGES = 50;
+const CHANNEL_STAFF_ROLES = ['owner', 'admin', 'moderator']; // Community roles that can pin and post announcements
 const PRESENCE_TIMEOUT = 30000; // 30 seconds
 
-// Profanity filter - list of explicit words to censor
-const PROFANITY_WORDS = [
-    // Common profanity
-    'fuck', 'fucking', 'fucked', 'fucker', 'fucks',
-    'shit', 'shitting', 'shitted', 'shits',
-    'damn', 'damned', 'damning',
-    'hell', 'hells',
-    'ass', 'asses', 'asshole', 'assholes',
-    'bitch', 'bitches', 'bitching',
-    'bastard', 'bastards',
-    'crap', 'craps',
-    'piss', 'pissing', 'pissed',
-    'dick', 'dicks', 'dickhead',
-    'cock', 'cocks',
-    'pussy', 'pussies',
-    'slut', 'sluts',
-    'whore', 'whores',
-    'nigger', 'niggers', 'nigga', 'niggas',
-    'retard', 'retards', 'retarded',
-    'gay', 'gays', // Context-dependent, but included for safety
-    'lesbian', 'lesbians',
-    // Add more as needed
-];
-
 // State
 let currentUser = null;
 let userProfile = null;
@@ -89,6 +71,14 @@ let loadedMessageIds = new Set(); // Track which messages have been loaded
 let oldestMessageDoc = null; // Track oldest message document for pagination
 let isLoadingOlderMessages = false; // Flag to prevent multiple simultaneous loads
 let hasMoreMessages = true; // Flag to track if there are more messages to load
+let replyingTo = null; // Message being replied to ({ id, username, text })
+let openThreadId = null; // Root message ID of the open thread panel
+let threadListener = null; // Listener for replies in the open thread panel
+let pinnedListener = null; // Listener for pinned messages in the current community
+let pinnedMessages = []; // Pinned messages shown in the drawer/sidebar
+let currentMemberRole = null; // Current user's role in the current community
+let currentChannelType = 'text'; // 'text' or 'announcements' (read-only for non-staff)
+let chatSearchState = null; // Running search ({ baseQuery, tokens, communityId, lastDoc, exhausted })
 // Default community ID
 const DEFAULT_COMMUNITY_ID = 'default';
 
@@ -354,6 +344,7 @@ async function initializeChat() {
     
     // Update channel info
     updateChannelInfo();
+    refreshChannelState();
     
     // Load messages
     loadMessages();
@@ -618,6 +609,7 @@ function renderCommunityIcon(community, isDefault) {
             updateActiveCommunityIndicator();
             // Hide settings button for default community
             await updateCommunitySettingsButton(DEFAULT_COMMUNITY_ID);
+            refreshChannelState();
             loadMessages();
         } else {
             switchToCommunity(community.id);
@@ -1197,6 +1189,8 @@ async function switchToCommunity(communityId) {
         
         // Clear message state
         loadedMessageIds.clear();
+        cancelReply();
+        closeThread();
         oldestMessageDoc = null;
         hasMoreMessages = true;
         isLoadingOlderMessages = false;
@@ -1222,6 +1216,7 @@ async function switchToCommunity(communityId) {
         setupMobileChannelList();
         // Await updateChannelInfo to ensure community name is updated correctly
         await updateChannelInfo();
+        refreshChannelState();
         updateActiveCommunityIndicator();
         updateMobileChannelName();
         
@@ -1295,6 +1290,7 @@ async function switchChannel(channelId) {
     setupChannelSwitcher();
     setupMobileChannelList();
     updateChannelInfo();
+    refreshChannelState();
     
     // Hide settings button for default community (only owners of custom communities can access settings)
     await updateCommunitySettingsButton(DEFAULT_COMMUNITY_ID);
@@ -1325,6 +1321,8 @@ async function switchChannel(channelId) {
         }
     }
     loadedMessageIds.clear();
+    cancelReply();
+    closeThread();
     isInitialSnapshot = true;
     oldestMessageDoc = null;
     hasMoreMessages = true;
@@ -1484,6 +1482,9 @@ function setupEventListeners() {
     // User profile popup
     setupUserProfilePopup();
     setupFollowModals();
+    setupReplies();
+    setupChatSearch();
+    setupPinnedMessages();
     
     // Close menus on click outside
     document.addEventListener('click', (e) => {
@@ -1974,6 +1975,9 @@ function displayMessage(messageId, messageData, prepend = false) {
     if (isOwnMessage) {
         messageEl.classList.add('own-message');
     }
+    if (messageData.pinned === true) {
+        messageEl.classList.add('message-pinned');
+    }
 
     const timestamp = messageData.timestamp?.toDate() || new Date();
     const timeStr = formatTime(timestamp);
@@ -1998,12 +2002,17 @@ function displayMessage(messageId, messageData, prepend = false) {
                 ${(messageData.username || '').toLowerCase() === 'apelover69' ? '<span class="owner-badge" title="Owner">OWNER</span>' : ''}
                 ${messageData.xAccountVerified ? '<span class="verified-badge" title="Verified X account">✓</span>' : ''}
                 <span class="message-time" title="${dateStr}">${timeStr}</span>
-                ${messageData.editedAt ? '<span class="message-edited">(edited)</span>' : ''}
+                ${messageData.editedAt ? '<button type="button" class="message-edited" title="View edit history">(edited)</button>' : ''}
+                <span class="message-pinned-badge" title="Pinned">📌</span>
             </div>
+            ${messageData.replyTo ? renderReplyQuote(messageData.replyTo) : ''}
             <div class="message-text">${formatMessageText(messageData.text)}</div>
             ${messageData.reactions && Object.keys(messageData.reactions).length > 0 ? renderReactions(messageId, messageData.reactions) : ''}
+            ${renderThreadLink(messageId, messageData.replyCount)}
             <div class="message-actions">
                 <button class="message-action-btn" data-message-id="${messageId}" title="React">😀</button>
+                <button class="message-action-btn reply-btn" data-message-id="${messageId}" title="Reply">↩️</button>
+                <button class="message-action-btn pin-btn" data-message-id="${messageId}" title="${messageData.pinned ? 'Unpin' : 'Pin'}">📌</button>
                 ${canEdit ? `<button class="message-action-btn edit-btn" data-message-id="${messageId}" title="Edit">✏️</button>` : ''}
                 ${canDelete ? `<button class="message-action-btn delete-btn" data-message-id="${messageId}" title="Delete">🗑️</button>` : ''}
             </div>
@@ -2071,10 +2080,12 @@ function updateMessageDisplay(messageId, messageData) {
         const editedEl = headerEl.querySelector('.message-edited');
         if (messageData.editedAt) {
             if (!editedEl) {
-                const editedSpan = document.createElement('span');
-                editedSpan.className = 'message-edited';
-                editedSpan.textContent = '(edited)';
-                headerEl.appendChild(editedSpan);
+                const editedBtn = document.createElement('button');
+                editedBtn.type = 'button';
+                editedBtn.className = 'message-edited';
+                editedBtn.title = 'View edit history';
+                editedBtn.textContent = '(edited)';
+                headerEl.appendChild(editedBtn);
             }
         } else if (editedEl) {
             editedEl.remove();
@@ -2095,6 +2106,52 @@ function updateMessageDisplay(messageId, messageData) {
     } else if (reactionsEl) {
         reactionsEl.remove();
     }
+
+    // Update pinned state
+    messageEl.classList.toggle('message-pinned', messageData.pinned === true);
+    const pinBtn = messageEl.querySelector('.pin-btn');
+    if (pinBtn) {
+        pinBtn.title = messageData.pinned === true ? 'Unpin' : 'Pin';
+    }
+
+    // Update thread reply count
+    const threadLinkEl = messageEl.querySelector('.message-thread-link');
+    const threadLinkHtml = renderThreadLink(messageId, messageData.replyCount);
+    if (threadLinkEl) {
+        if (threadLinkHtml) {
+            threadLinkEl.textContent = formatReplyCount(messageData.replyCount);
+        } else {
+            threadLinkEl.remove();
+        }
+    } else if (threadLinkHtml) {
+        const actionsEl = messageEl.querySelector('.message-actions');
+        if (actionsEl) {
+            actionsEl.insertAdjacentHTML('beforebegin', threadLinkHtml);
+            const newLinkEl = messageEl.querySelector('.message-thread-link');
+            newLinkEl.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openThread(messageId);
+            });
+        }
+    }
+}
+
+// Quoted preview of the message being replied to
+function renderReplyQuote(replyTo) {
+    return `<button type="button" class="message-reply-quote" data-jump-to="${escapeHtml(replyTo.messageId)}" title="Jump to message">
+        <span class="message-reply-quote-username">↩ ${escapeHtml(replyTo.username)}</span>
+        <span class="message-reply-quote-text">${escapeHtml(filterProfanity(replyTo.text))}</span>
+    </button>`;
+}
+
+function formatReplyCount(count) {
+    return `💬 ${count} ${count === 1 ? 'reply' : 'replies'}`;
+}
+
+// "N replies" link on thread root messages
+function renderThreadLink(messageId, replyCount) {
+    if (!replyCount || replyCount < 1) return '';
+    return `<button type="button" class="message-thread-link" data-thread-id="${messageId}">${formatReplyCount(replyCount)}</button>`;
 }
 
 // Render reactions
@@ -2111,60 +2168,10 @@ function renderReactions(messageId, reactions) {
     return html;
 }
 
-// Format message text (links, mentions, basic formatting)
-// Filter profanity from text
-// Pre-compile profanity regex patterns for better performance
-const PROFANITY_PATTERNS = PROFANITY_WORDS.map(word => {
-    const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    return new RegExp(`\\b${escapedWord}\\b`, 'gi');
-});
-
-function filterProfanity(text) {
-    if (!text) return text;
-    
-    let filtered = text;
-    
-    // Use pre-compiled regex patterns for better performance
-    PROFANITY_PATTERNS.forEach(regex => {
-        filtered = filtered.replace(regex, (match) => {
-            return '*'.repeat(match.length);
-        });
-    });
-    
-    return filtered;
-}
-
-function formatMessageText(text) {
-    if (!text) return '';
-    
-    // Filter profanity first (before HTML escaping)
-    let formatted = filterProfanity(text);
-    
-    // Escape HTML
-    formatted = escapeHtml(formatted);
-    
-    // Convert URLs to links
-    const urlRegex = /(https?:\/\/[^\s]+)/g;
-    formatted = formatted.replace(urlRegex, '<a href="$1" target="_blank" rel="noopener noreferrer">$1</a>');
-    
-    // Convert @mentions (simple version)
-    const mentionRegex = /@(\w+)/g;
-    formatted = formatted.replace(mentionRegex, '<span class="mention">@$1</span>');
-    
-    // Convert **bold** and *italic*
-    formatted = formatted.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    formatted = formatted.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    
-    // Preserve line breaks
-    formatted = formatted.replace(/\n/g, '<br>');
-    
-    return formatted;
-}
-
 // Setup message action buttons
 function setupMessageActions(messageEl, messageId, messageData, canEdit, canDelete) {
     // React button
-    const reactBtn = messageEl.querySelector('[data-message-id].message-action-btn:not(.edit-btn):not(.delete-btn)');
+    const reactBtn = messageEl.querySelector('[data-message-id].message-action-btn:not(.edit-btn):not(.delete-btn):not(.reply-btn):not(.pin-btn)');
     if (reactBtn) {
         reactBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -2172,6 +2179,51 @@ function setupMessageActions(messageEl, messageId, messageData, canEdit, canDele
         });
     }
 
+    // Edited marker - opens the revision history (delegated, since updateMessageDisplay
+    // adds the marker when a message is edited later)
+    messageEl.addEventListener('click', (e) => {
+        if (!e.target.closest('.message-edited')) return;
+        e.stopPropagation();
+        const communityId = currentCommunityId || DEFAULT_COMMUNITY_ID;
+        showEditHistory(doc(db, 'communities', communityId, 'messages', messageId), 'text', 'timestamp');
+    });
+
+    // Reply button
+    const replyBtn = messageEl.querySelector('.reply-btn');
+    if (replyBtn) {
+        replyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startReply(messageId, messageData);
+        });
+    }
+
+    // Pin button (shown to channel staff only, see .chat-messages.can-pin)
+    const pinBtn = messageEl.querySelector('.pin-btn');
+    if (pinBtn) {
+        pinBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePin(messageId, !messageEl.classList.contains('message-pinned'));
+        });
+    }
+
+    // Quoted parent - jump to the original message
+    const quoteEl = messageEl.querySelector('.message-reply-quote');
+    if (quoteEl) {
+        quoteEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            jumpToMessage(quoteEl.dataset.jumpTo);
+        });
+    }
+
+    // Thread link - open the thread panel
+    const threadLinkEl = messageEl.querySelector('.message-thread-link');
+    if (threadLinkEl) {
+        threadLinkEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openThread(messageId);
+        });
+    }
+
     // Edit button
     if (canEdit) {
         const editBtn = messageEl.querySelector('.edit-btn');
@@ -2219,7 +2271,7 @@ async function handleSendMessage() {
     const text = chatInputEl.value.trim();
     if (!text) return;
 
-    // Check if user is muted
+    // Check if user is muted (also enforced server-side by sendChatMessage)
     if (userProfile.mutedUntil) {
         const mutedUntil = userProfile.mutedUntil.toMillis ? userProfile.mutedUntil.toMillis() : new Date(userProfile.mutedUntil).getTime();
         const now = Date.now();
@@ -2228,24 +2280,15 @@ async function handleSendMessage() {
             alert(`You are muted. You cannot send messages for ${remainingMinutes} more minute${remainingMinutes > 1 ? 's' : ''}.`);
             chatInputEl.value = '';
             return;
-        } else {
-            // Mute expired, clear it
-            try {
-                const userDocRef = doc(db, 'users', currentUser.uid);
-                await updateDoc(userDocRef, {
-                    mutedUntil: null
-                });
-                // Reload user profile
-                const userDoc = await getDoc(userDocRef);
-                if (userDoc.exists()) {
-                    userProfile = { ...userProfile, ...userDoc.data() };
-                }
-            } catch (error) {
-                console.error('Error clearing expired mute:', error);
-            }
         }
     }
 
+    // Announcements channels are read-only for non-staff (also enforced server-side)
+    if (isReadOnlyChannel()) {
+        showToast('Only moderators can post in this announcements channel');
+        return;
+    }
+
     // Check for admin commands (must start with /)
     if (text.startsWith('/')) {
         const commandParts = text.split(' ');
@@ -2326,10 +2369,8 @@ async function handleSendMessage() {
         return;
     }
 
-    // Basic profanity filter (simple word list - can be expanded)
-    const profanityWords = ['spam', 'scam']; // Add more as needed
-    const lowerText = text.toLowerCase();
-    if (profanityWords.some(word => lowerText.includes(word) && lowerText.split(word).length > 2)) {
+    // Repeated spam words are rejected (also enforced server-side)
+    if (looksLikeSpam(text)) {
         alert('Please keep messages appropriate for the community.');
         return;
     }
@@ -2370,99 +2411,50 @@ async function handleSendMessage() {
             return;
         }
         
-        // Store message in community messages subcollection
-        const messagesRef = collection(db, 'communities', currentCommunityId, 'messages');
-        
-        // Ensure username is a non-empty string (required by security rules)
-        const username = (userProfile?.username && typeof userProfile.username === 'string' && userProfile.username.trim()) 
-            ? userProfile.username.trim() 
-            : 'Anonymous';
-        
-        // Ensure text is a non-empty string (required by security rules)
+        // Ensure text is a non-empty string
         const messageText = (typeof text === 'string' && text.trim()) ? text.trim() : '';
         if (!messageText) {
             alert('Message cannot be empty');
             return;
         }
         
-        // Build message data matching security rules exactly
-        const messageData = {
-            text: String(messageText), // Explicitly ensure string
-            userId: String(currentUser.uid), // Explicitly ensure string
-            username: String(username), // Explicitly ensure string
-            deleted: false, // Must be boolean false (not string 'false')
-            // Optional fields (not checked in rules)
-            avatarCount: userProfile?.avatarCount || 0,
-            bannerImage: userProfile?.bannerImage || '',
-            timestamp: serverTimestamp(),
-            reactions: {},
-            xAccountVerified: userProfile?.xAccountVerified || false
-        };
-        
-        // Validate data types before sending (debug)
-        console.log('Message data validation:', {
-            textIsString: typeof messageData.text === 'string',
-            textLength: messageData.text.length,
-            userIdIsString: typeof messageData.userId === 'string',
-            usernameIsString: typeof messageData.username === 'string',
-            deletedIsBoolean: typeof messageData.deleted === 'boolean',
-            deletedValue: messageData.deleted,
-            userId: messageData.userId,
-            username: messageData.username,
-            textPreview: messageData.text.substring(0, 50)
-        });
-        
-        // Attempt to send message
+        // Send through the server-side send path (functions/moderation.js), which checks
+        // mutes and slow mode and stores the profanity-filtered text
         try {
-            // Log message data for debugging (without sensitive info)
-            console.log('Attempting to send message:', {
+            const functions = getFunctions(app, 'us-central1');
+            const sendChatMessage = httpsCallable(functions, 'sendChatMessage');
+            await sendChatMessage({
                 communityId: currentCommunityId,
-                currentUserId: currentUser.uid,
-                messageUserId: messageData.userId,
-                userIdsMatch: messageData.userId === currentUser.uid,
-                username: username,
-                usernameType: typeof messageData.username,
-                textLength: messageText.length,
-                textType: typeof messageData.text,
-                hasTimestamp: !!messageData.timestamp,
-                deleted: messageData.deleted,
-                deletedType: typeof messageData.deleted,
-                fullMessageData: messageData
+                channelId: currentChannel && currentChannel !== 'community' ? currentChannel : null,
+                text: messageText,
+                replyToId: replyingTo ? replyingTo.id : null
             });
-            
-            await addDoc(messagesRef, messageData);
-        } catch (writeError) {
-            if (writeError.code === 'permission-denied') {
-                // Re-verify membership one more time
-                const finalMemberCheck = await getDoc(memberRef);
-                console.error('Permission denied error details:', {
-                    code: writeError.code,
-                    message: writeError.message,
-                    communityId: currentCommunityId,
-                    userId: currentUser.uid,
-                    membershipExists: finalMemberCheck.exists(),
-                    messageData: {
-                        hasUserId: !!messageData.userId,
-                        usernameType: typeof messageData.username,
-                        usernameValue: messageData.username,
-                        textType: typeof messageData.text,
-                        textLength: messageData.text?.length || 0,
-                        deleted: messageData.deleted
-                    }
-                });
-                
-                if (!finalMemberCheck.exists()) {
-                    throw new Error('Permission denied: You are not a member of this community. Please refresh the page.');
-                } else {
-                    throw new Error('Permission denied: Firestore security rules may not allow message creation. Check rules. Ensure username and text are strings, and rules are deployed.');
-                }
+        } catch (sendError) {
+            if (sendError.code === 'functions/resource-exhausted') {
+                // Server-side slow mode: sync the local cooldown so the countdown matches
+                const retryAfterSeconds = sendError.details?.retryAfterSeconds || rateLimitSeconds;
+                lastMessageTime = Date.now() - (rateLimitSeconds - retryAfterSeconds) * 1000;
+                rateLimitInfoEl.textContent = sendError.message;
+                rateLimitInfoEl.classList.remove('hide');
+                rateLimitInfoEl.classList.add('warning');
+                return;
             }
-            throw writeError;
+            if ((sendError.code === 'functions/not-found' || sendError.code === 'functions/failed-precondition') && replyingTo) {
+                cancelReply();
+                alert(sendError.message);
+                return;
+            }
+            if (sendError.code === 'functions/permission-denied' || sendError.code === 'functions/invalid-argument') {
+                alert(sendError.message);
+                return;
+            }
+            throw sendError;
         }
 
         // Clear input
         chatInputEl.value = '';
         chatInputEl.classList.remove('auto-height');
+        cancelReply();
         charCountEl.textContent = `0/${MAX_MESSAGE_LENGTH}`;
         lastMessageTime = now;
         rateLimitInfoEl.classList.add('hide');
@@ -2473,16 +2465,6 @@ async function handleSendMessage() {
 
         // Update presence when sending a message (mark as online)
         updatePresence(true);
-
-        // Update quest progress for chat messages (works across all channels)
-        // Tracks messages sent in any channel: General, Raid, Trading, or Support
-        try {
-            const { updateQuestProgress } = await import('/js/quests-init.js');
-            await updateQuestProgress('daily_chat_5', 1);
-            await updateQuestProgress('weekly_chat_50', 1);
-        } catch (error) {
-            console.error('Error updating quest progress from chat:', error);
-        }
     } catch (error) {
         console.error('Error sending message:', error);
         alert('Failed to send message. Please try again.');
@@ -2574,6 +2556,598 @@ async function toggleReaction(messageId, emoji) {
     }
 }
 
+// Setup reply bar and thread panel
+function setupReplies() {
+    document.getElementById('chatReplyCancel')?.addEventListener('click', cancelReply);
+
+    const threadModal = document.getElementById('threadModal');
+    document.getElementById('closeThreadModal')?.addEventListener('click', closeThread);
+    if (threadModal) {
+        threadModal.addEventListener('click', (e) => {
+            if (e.target === threadModal) {
+                closeThread();
+            }
+        });
+    }
+
+    document.getElementById('threadReplyBtn')?.addEventListener('click', async () => {
+        const rootId = openThreadId;
+        if (!rootId) return;
+        const rootDoc = await getDoc(doc(db, 'communities', currentCommunityId, 'messages', rootId));
+        closeThread();
+        if (rootDoc.exists()) {
+            startReply(rootId, rootDoc.data());
+        }
+    });
+}
+
+// Start replying to a message (shows the reply bar above the input)
+function startReply(messageId, messageData) {
+    replyingTo = {
+        id: messageId,
+        username: messageData.username || '',
+        text: messageData.text || ''
+    };
+
+    const replyBar = document.getElementById('chatReplyBar');
+    const replyBarText = document.getElementById('chatReplyBarText');
+    if (replyBar && replyBarText) {
+        const preview = replyingTo.text.length > 80 ? `${replyingTo.text.substring(0, 79)}…` : replyingTo.text;
+        replyBarText.innerHTML = `Replying to <strong>${escapeHtml(replyingTo.username)}</strong>: ${escapeHtml(filterProfanity(preview))}`;
+        replyBar.classList.remove('hide');
+    }
+    chatInputEl?.focus();
+}
+
+function cancelReply() {
+    replyingTo = null;
+    document.getElementById('chatReplyBar')?.classList.add('hide');
+}
+
+// Scroll to a message, paging in older messages until it is loaded
+async function jumpToMessage(messageId) {
+    if (!messageId) return;
+
+    let messageEl = document.getElementById(`msg-${messageId}`);
+    let pagesLoaded = 0;
+    while (!messageEl && hasMoreMessages && pagesLoaded < MAX_JUMP_PAGES) {
+        if (isLoadingOlderMessages) {
+            // A scroll-triggered load is in flight - wait for it
+            await new Promise(resolve => setTimeout(resolve, 100));
+        } else {
+            await loadOlderMessages();
+            pagesLoaded++;
+        }
+        messageEl = document.getElementById(`msg-${messageId}`);
+    }
+
+    if (!messageEl) {
+        showToast('That message was deleted or is too far back to load');
+        return;
+    }
+
+    messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageEl.classList.add('message-highlight');
+    setTimeout(() => messageEl.classList.remove('message-highlight'), 2000);
+}
+
+// Open the thread panel for a root message
+async function openThread(rootId) {
+    const modal = document.getElementById('threadModal');
+    const rootEl = document.getElementById('threadRoot');
+    const repliesEl = document.getElementById('threadReplies');
+    if (!modal || !rootEl || !repliesEl) return;
+
+    closeThread();
+    openThreadId = rootId;
+    modal.classList.remove('hide');
+    modal.classList.add('show');
+    document.body.classList.add('no-scroll');
+    rootEl.innerHTML = '';
+    repliesEl.innerHTML = '<div class="follow-list-loading">Loading...</div>';
+
+    try {
+        const messagesRef = collection(db, 'communities', currentCommunityId, 'messages');
+        const rootDoc = await getDoc(doc(messagesRef, rootId));
+        if (openThreadId !== rootId) return;
+        if (rootDoc.exists() && rootDoc.data().deleted !== true) {
+            rootEl.appendChild(createThreadItem(rootId, rootDoc.data()));
+        } else {
+            rootEl.innerHTML = '<div class="thread-item-deleted">Original message was deleted</div>';
+        }
+
+        const repliesQuery = query(
+            messagesRef,
+            where('threadId', '==', rootId),
+            orderBy('timestamp', 'asc')
+        );
+        threadListener = onSnapshot(repliesQuery, (snapshot) => {
+            const replies = snapshot.docs.filter(replyDoc => replyDoc.data().deleted !== true);
+            repliesEl.innerHTML = '';
+            if (replies.length === 0) {
+                repliesEl.innerHTML = '<div class="follow-list-loading">No replies yet</div>';
+                return;
+            }
+            replies.forEach(replyDoc => {
+                repliesEl.appendChild(createThreadItem(replyDoc.id, replyDoc.data(), rootId));
+            });
+        }, (error) => {
+            console.error('Error loading thread replies:', error);
+            repliesEl.innerHTML = '<div class="follow-list-loading">Failed to load replies</div>';
+        });
+    } catch (error) {
+        console.error('Error opening thread:', error);
+        repliesEl.innerHTML = '<div class="follow-list-loading">Failed to load replies</div>';
+    }
+}
+
+function closeThread() {
+    if (threadListener) {
+        threadListener();
+        threadListener = null;
+    }
+    openThreadId = null;
+
+    const modal = document.getElementById('threadModal');
+    if (modal && modal.classList.contains('show')) {
+        modal.classList.remove('show');
+        modal.classList.add('hide');
+        document.body.classList.remove('no-scroll');
+    }
+}
+
+// One message in the thread panel (click to jump to it in the chat)
+function createThreadItem(messageId, messageData, rootId = null) {
+    const timestamp = messageData.timestamp?.toDate ? messageData.timestamp.toDate() : new Date();
+    // Only quote the parent when replying to another reply, not the root
+    const showQuote = messageData.replyTo && messageData.replyTo.messageId !== rootId && rootId !== null;
+
+    const item = document.createElement('div');
+    item.className = 'thread-item';
+    item.innerHTML = `
+        <div class="thread-item-header">
+            <span class="thread-item-username">${escapeHtml(messageData.username)}</span>
+            <span class="message-time" title="${formatDate(timestamp)}">${formatTime(timestamp)}</span>
+        </div>
+        ${showQuote ? `<div class="thread-item-quote">↩ ${escapeHtml(messageData.replyTo.username)}: ${escapeHtml(filterProfanity(messageData.replyTo.text))}</div>` : ''}
+        <div class="message-text">${formatMessageText(messageData.text)}</div>
+        <div class="thread-item-actions">
+            <button type="button" class="thread-item-btn" data-action="jump">Show in chat</button>
+            <button type="button" class="thread-item-btn" data-action="reply">Reply</button>
+        </div>
+    `;
+
+    item.querySelector('[data-action="jump"]').addEventListener('click', () => {
+        closeThread();
+        jumpToMessage(messageId);
+    });
+    item.querySelector('[data-action="reply"]').addEventListener('click', () => {
+        closeThread();
+        startReply(messageId, messageData);
+    });
+
+    return item;
+}
+
+// Setup the message search panel
+function setupChatSearch() {
+    const modal = document.getElementById('chatSearchModal');
+    if (!modal) return;
+
+    document.querySelectorAll('.chat-search-btn').forEach(btn => {
+        btn.addEventListener('click', openChatSearch);
+    });
+    document.getElementById('closeChatSearchModal')?.addEventListener('click', closeChatSearch);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeChatSearch();
+        }
+    });
+    document.getElementById('chatSearchForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        runChatSearch();
+    });
+}
+
+function openChatSearch() {
+    const modal = document.getElementById('chatSearchModal');
+    if (!modal) return;
+
+    // Channel scope only makes sense when a channel is selected
+    const channelOption = document.querySelector('#chatSearchScope option[value="channel"]');
+    const hasChannel = currentChannel && currentChannel !== 'community';
+    if (channelOption) {
+        channelOption.disabled = !hasChannel;
+        channelOption.textContent = hasChannel ? `#${currentChannel}` : 'This channel';
+    }
+    const scopeSelect = document.getElementById('chatSearchScope');
+    if (scopeSelect && scopeSelect.value === 'channel' && !hasChannel) {
+        scopeSelect.value = 'community';
+    }
+
+    modal.classList.remove('hide');
+    modal.classList.add('show');
+    document.body.classList.add('no-scroll');
+    document.getElementById('chatSearchText')?.focus();
+}
+
+function closeChatSearch() {
+    const modal = document.getElementById('chatSearchModal');
+    if (modal && modal.classList.contains('show')) {
+        modal.classList.remove('show');
+        modal.classList.add('hide');
+        document.body.classList.remove('no-scroll');
+    }
+}
+
+// Search messages by words (searchTokens index), author and date range
+async function runChatSearch() {
+    const resultsEl = document.getElementById('chatSearchResults');
+    const submitBtn = document.getElementById('chatSearchSubmit');
+    if (!resultsEl || !currentUser) return;
+
+    const tokens = tokenizeForSearch(document.getElementById('chatSearchText')?.value || '');
+    const author = (document.getElementById('chatSearchAuthor')?.value || '').trim().replace(/^@/, '');
+    const fromValue = document.getElementById('chatSearchFrom')?.value;
+    const toValue = document.getElementById('chatSearchTo')?.value;
+    const scope = document.getElementById('chatSearchScope')?.value || 'community';
+
+    if (tokens.length === 0 && !author) {
+        resultsEl.innerHTML = '<div class="follow-list-loading">Enter some words or a username to search</div>';
+        return;
+    }
+
+    const communityId = scope === 'global' ? DEFAULT_COMMUNITY_ID : (currentCommunityId || DEFAULT_COMMUNITY_ID);
+    resultsEl.innerHTML = '<div class="follow-list-loading">Searching...</div>';
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+        const constraints = [];
+
+        // Firestore allows one array-contains per query - the rest of the words are checked below
+        const queryToken = pickQueryToken(tokens);
+        if (queryToken) {
+            constraints.push(where('searchTokens', 'array-contains', queryToken));
+        }
+
+        if (author) {
+            const usernameDoc = await getDoc(doc(db, 'usernames', author.toLowerCase()));
+            if (!usernameDoc.exists()) {
+                resultsEl.innerHTML = `<div class="follow-list-loading">No user named "${escapeHtml(author)}"</div>`;
+                return;
+            }
+            constraints.push(where('userId', '==', usernameDoc.data().uid));
+        }
+
+        if (scope === 'channel' && currentChannel && currentChannel !== 'community') {
+            constraints.push(where('channelId', '==', currentChannel));
+        }
+
+        if (fromValue) {
+            constraints.push(where('timestamp', '>=', Timestamp.fromDate(new Date(`${fromValue}T00:00:00`))));
+        }
+        if (toValue) {
+            // Include the whole "before" day
+            const endDate = new Date(`${toValue}T00:00:00`);
+            endDate.setDate(endDate.getDate() + 1);
+            constraints.push(where('timestamp', '<', Timestamp.fromDate(endDate)));
+        }
+
+        chatSearchState = {
+            baseQuery: query(
+                collection(db, 'communities', communityId, 'messages'),
+                ...constraints,
+                orderBy('timestamp', 'desc')
+            ),
+            tokens,
+            communityId,
+            lastDoc: null,
+            exhausted: false
+        };
+        const state = chatSearchState;
+        const results = await fetchChatSearchMatches(state);
+        if (state !== chatSearchState) return; // A newer search started
+
+        resultsEl.innerHTML = '';
+        renderChatSearchResults(state, results);
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        resultsEl.innerHTML = '<div class="follow-list-loading">Search failed. Please try again.</div>';
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Page through the query until SEARCH_RESULTS_LIMIT messages match all words, the messages run
+ * out, or MAX_SEARCH_PAGES pages were scanned. Only one word can be queried (array-contains),
+ * so a common word can need many pages for a few matches.
+ */
+async function fetchChatSearchMatches(state) {
+    const results = [];
+    for (let page = 0; page < MAX_SEARCH_PAGES && !state.exhausted && results.length < SEARCH_RESULTS_LIMIT; page++) {
+        const pageConstraints = state.lastDoc ? [startAfter(state.lastDoc)] : [];
+        const snapshot = await getDocs(query(state.baseQuery, ...pageConstraints, limit(SEARCH_RESULTS_LIMIT)));
+        if (snapshot.docs.length > 0) {
+            state.lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+        if (snapshot.docs.length < SEARCH_RESULTS_LIMIT) {
+            state.exhausted = true;
+        }
+
+        snapshot.docs.forEach(messageDoc => {
+            const data = messageDoc.data();
+            if (data.deleted === true) return;
+            const messageTokens = data.searchTokens || [];
+            if (state.tokens.every(token => messageTokens.includes(token))) {
+                results.push(messageDoc);
+            }
+        });
+    }
+    return results;
+}
+
+// Append search results, with a "Load more" button while older messages are left
+function renderChatSearchResults(state, results) {
+    const resultsEl = document.getElementById('chatSearchResults');
+    if (!resultsEl) return;
+
+    resultsEl.querySelector('.chat-search-more')?.remove();
+    results.forEach(messageDoc => {
+        resultsEl.appendChild(createSearchResultItem(state.communityId, messageDoc.id, messageDoc.data()));
+    });
+    if (state.exhausted) {
+        if (!resultsEl.querySelector('.chat-search-result')) {
+            resultsEl.innerHTML = '<div class="follow-list-loading">No messages found</div>';
+        }
+        return;
+    }
+
+    const more = document.createElement('div');
+    more.className = 'chat-search-more';
+    more.innerHTML = `
+        <div class="follow-list-loading">${results.length === 0 ? 'No matches in the most recent messages yet.' : 'Older messages may match too.'}</div>
+        <button type="button" class="load-more-btn">Load more</button>
+    `;
+    const button = more.querySelector('button');
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        button.textContent = 'Searching...';
+        try {
+            const moreResults = await fetchChatSearchMatches(state);
+            if (state !== chatSearchState) return;
+            renderChatSearchResults(state, moreResults);
+        } catch (error) {
+            console.error('Error loading more search results:', error);
+            button.disabled = false;
+            button.textContent = 'Load more';
+        }
+    });
+    resultsEl.appendChild(more);
+}
+
+// One search result (click to open it in the chat)
+function createSearchResultItem(communityId, messageId, messageData) {
+    const timestamp = messageData.timestamp?.toDate ? messageData.timestamp.toDate() : new Date();
+
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'chat-search-result';
+    item.innerHTML = `
+        <div class="thread-item-header">
+            <span class="thread-item-username">${escapeHtml(messageData.username)}</span>
+            ${messageData.channelId ? `<span class="chat-search-result-channel">#${escapeHtml(messageData.channelId)}</span>` : ''}
+            <span class="message-time">${formatDate(timestamp)}</span>
+        </div>
+        <div class="message-text">${formatMessageText(messageData.text)}</div>
+    `;
+
+    item.addEventListener('click', async () => {
+        closeChatSearch();
+        if (communityId !== currentCommunityId) {
+            await switchToCommunity(communityId);
+            if (communityId !== currentCommunityId) return;
+        }
+        jumpToMessage(messageId);
+    });
+
+    return item;
+}
+
+// Setup the pinned messages drawer
+function setupPinnedMessages() {
+    const drawer = document.getElementById('pinnedDrawer');
+    if (!drawer) return;
+
+    document.querySelectorAll('.chat-pins-btn').forEach(btn => {
+        btn.addEventListener('click', openPinnedDrawer);
+    });
+    document.getElementById('closePinnedDrawer')?.addEventListener('click', closePinnedDrawer);
+    drawer.addEventListener('click', (e) => {
+        if (e.target === drawer) {
+            closePinnedDrawer();
+        }
+    });
+}
+
+function openPinnedDrawer() {
+    const drawer = document.getElementById('pinnedDrawer');
+    if (!drawer) return;
+    drawer.classList.remove('hide');
+    drawer.classList.add('show');
+    document.body.classList.add('no-scroll');
+}
+
+function closePinnedDrawer() {
+    const drawer = document.getElementById('pinnedDrawer');
+    if (drawer && drawer.classList.contains('show')) {
+        drawer.classList.remove('show');
+        drawer.classList.add('hide');
+        document.body.classList.remove('no-scroll');
+    }
+}
+
+// Site staff and community owners/admins/moderators can pin and post announcements
+function canModerateChannel() {
+    const isSiteStaff = userProfile?.role === 'admin' || userProfile?.role === 'moderator';
+    return isSiteStaff || CHANNEL_STAFF_ROLES.includes(currentMemberRole);
+}
+
+function isReadOnlyChannel() {
+    return currentChannelType === 'announcements' && !canModerateChannel();
+}
+
+// Load the user's role and the channel type for the current channel, then refresh pins
+async function refreshChannelState() {
+    if (!currentUser) return;
+
+    const communityId = currentCommunityId || DEFAULT_COMMUNITY_ID;
+    const channelId = currentChannel && currentChannel !== 'community' ? currentChannel : null;
+
+    try {
+        const [memberDoc, channelDoc, globalChannelDoc] = await Promise.all([
+            getDoc(doc(db, 'communities', communityId, 'members', currentUser.uid)),
+            channelId ? getDoc(doc(db, 'communities', communityId, 'channels', channelId)) : Promise.resolve(null),
+            // Global channels can also be configured in the top-level channels collection
+            channelId && communityId === DEFAULT_COMMUNITY_ID ? getDoc(doc(db, 'channels', channelId)) : Promise.resolve(null)
+        ]);
+
+        // Ignore stale results after a quick channel/community switch
+        const activeChannelId = currentChannel && currentChannel !== 'community' ? currentChannel : null;
+        if (communityId !== (currentCommunityId || DEFAULT_COMMUNITY_ID) || channelId !== activeChannelId) return;
+
+        currentMemberRole = memberDoc.exists() ? (memberDoc.data().role || 'member') : null;
+        const isAnnouncements = [channelDoc, globalChannelDoc].some(channel => channel?.exists() && channel.data().type === 'announcements');
+        currentChannelType = isAnnouncements ? 'announcements' : 'text';
+    } catch (error) {
+        console.warn('Could not load channel permissions:', error);
+        currentMemberRole = null;
+        currentChannelType = 'text';
+    }
+
+    chatMessagesEl?.classList.toggle('can-pin', canModerateChannel());
+    updateComposerForChannel();
+    subscribeToPinnedMessages();
+}
+
+// Disable the message input in announcements channels for non-staff
+function updateComposerForChannel() {
+    if (!chatInputEl) return;
+
+    if (chatInputEl.dataset.defaultPlaceholder === undefined) {
+        chatInputEl.dataset.defaultPlaceholder = chatInputEl.placeholder;
+    }
+
+    const readOnly = isReadOnlyChannel();
+    chatInputEl.disabled = readOnly;
+    chatInputEl.placeholder = readOnly
+        ? '📢 Only moderators can post in this announcements channel'
+        : chatInputEl.dataset.defaultPlaceholder;
+    if (sendBtn) {
+        sendBtn.disabled = readOnly;
+    }
+}
+
+// Listen to pinned messages in the current community (and channel, if one is selected)
+function subscribeToPinnedMessages() {
+    if (pinnedListener) {
+        pinnedListener();
+        pinnedListener = null;
+    }
+    pinnedMessages = [];
+    renderPinnedMessages();
+
+    const communityId = currentCommunityId || DEFAULT_COMMUNITY_ID;
+    const channelId = currentChannel && currentChannel !== 'community' ? currentChannel : null;
+    const pinnedQuery = query(
+        collection(db, 'communities', communityId, 'messages'),
+        where('pinned', '==', true),
+        orderBy('pinnedAt', 'desc'),
+        limit(MAX_PINNED_MESSAGES)
+    );
+
+    pinnedListener = onSnapshot(pinnedQuery, (snapshot) => {
+        pinnedMessages = snapshot.docs
+            .map(pinnedDoc => ({ id: pinnedDoc.id, ...pinnedDoc.data() }))
+            .filter(message => message.deleted !== true)
+            .filter(message => !channelId || !message.channelId || message.channelId === channelId);
+        renderPinnedMessages();
+    }, (error) => {
+        console.error('Error loading pinned messages:', error);
+    });
+}
+
+// Render pins into the drawer and the channel info panels
+function renderPinnedMessages() {
+    ['pinnedDrawerList', 'pinnedMessages', 'pinnedMessagesMobile'].forEach(containerId => {
+        const containerEl = document.getElementById(containerId);
+        if (!containerEl) return;
+
+        containerEl.innerHTML = '';
+        if (pinnedMessages.length === 0) {
+            containerEl.innerHTML = '<p class="pinned-empty">No pinned messages</p>';
+            return;
+        }
+        pinnedMessages.forEach(message => {
+            containerEl.appendChild(createPinnedItem(message));
+        });
+    });
+
+    document.querySelectorAll('.chat-pins-count').forEach(countEl => {
+        countEl.textContent = pinnedMessages.length;
+        countEl.classList.toggle('hide', pinnedMessages.length === 0);
+    });
+}
+
+function createPinnedItem(message) {
+    const timestamp = message.timestamp?.toDate ? message.timestamp.toDate() : new Date();
+
+    const item = document.createElement('div');
+    item.className = 'pinned-message-item';
+    item.innerHTML = `
+        <div class="thread-item-header">
+            <span class="thread-item-username">${escapeHtml(message.username)}</span>
+            <span class="message-time" title="${formatDate(timestamp)}">${timestamp.toLocaleDateString()}</span>
+        </div>
+        <div class="message-text">${formatMessageText(message.text)}</div>
+        <div class="thread-item-actions">
+            <button type="button" class="thread-item-btn" data-action="jump">Show in chat</button>
+            ${canModerateChannel() ? '<button type="button" class="thread-item-btn" data-action="unpin">Unpin</button>' : ''}
+        </div>
+    `;
+
+    item.querySelector('[data-action="jump"]').addEventListener('click', () => {
+        closePinnedDrawer();
+        jumpToMessage(message.id);
+    });
+    item.querySelector('[data-action="unpin"]')?.addEventListener('click', () => {
+        togglePin(message.id, false);
+    });
+
+    return item;
+}
+
+// Pin or unpin a message (channel staff only - enforced in firestore.rules)
+async function togglePin(messageId, pin) {
+    if (!currentUser || !canModerateChannel()) return;
+
+    if (pin && pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+        showToast(`You can pin up to ${MAX_PINNED_MESSAGES} messages. Unpin one first.`);
+        return;
+    }
+
+    try {
+        const messageRef = doc(db, 'communities', currentCommunityId || DEFAULT_COMMUNITY_ID, 'messages', messageId);
+        await updateDoc(messageRef, pin
+            ? { pinned: true, pinnedAt: serverTimestamp(), pinnedBy: currentUser.uid }
+            : { pinned: false, pinnedAt: null, pinnedBy: null });
+        showToast(pin ? 'Message pinned' : 'Message unpinned');
+    } catch (error) {
+        console.error('Error updating pin:', error);
+        alert('Failed to update pinned message. Please try again.');
+    }
+}
+
 // Setup typing indicator
 function setupTypingIndicator() {
     if (!chatInputEl) return;
@@ -3449,30 +4023,9 @@ function getChannelDescription(channelId) {
     return descriptions[channelId] || 'Channel discussion';
 }
 
-function formatTime(date) {
-    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-}
-
-function formatDate(date) {
-    return date.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit'
-    });
-}
-
 // #region agent log
 fetch('http://127.0.0.1:7242/ingest/79414b03-df61-4561-af47-88cabe9e0b77',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'chat-init.js:3428',message:'escapeHtml definition reached',data:{funcDefined:typeof escapeHtml},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
 // #endregion
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 // #region agent log - Verify functions are defined after all declarations
 (() => {
     const funcs = {
@@ -3835,6 +4388,13 @@ async function showUserProfile(userId) {
             if (followingEl) followingEl.textContent = '0';
         }
         
+        // "Message" button opens a direct conversation (hidden on your own profile)
+        const messageBtn = document.getElementById('chatMessageBtn');
+        if (messageBtn) {
+            messageBtn.href = getMessageLink(userId);
+            messageBtn.classList.toggle('hide', userId === currentUser.uid);
+        }
+        
         // Check if current user is following this user and show follow button
         if (userId !== currentUser.uid) {
             try {
@@ -3937,6 +4497,14 @@ function cleanupChat() {
         lastSeenUpdateInterval = null;
     }
     clearTypingIndicator();
+    cancelReply();
+    closeThread();
+    closeChatSearch();
+    closePinnedDrawer();
+    if (pinnedListener) {
+        pinnedListener();
+        pinnedListener = null;
+    }
     if (currentUser) {
         updatePresence(false);
     }
@@ -4130,17 +4698,6 @@ async function followUser(targetUserId) {
         
         await batch.commit();
         console.log(`Followed user: ${targetUserId}`);
-        
-        // Track quest progress: daily_follow_3 (only if this was a new follow)
-        try {
-            const { updateQuestProgress } = await import('/js/quests-init.js');
-            console.log('Updating quest progress for daily_follow_3');
-            await updateQuestProgress('daily_follow_3', 1, { targetUserId: targetUserId });
-            console.log('Quest progress updated successfully');
-        } catch (error) {
-            console.error('Error updating follow quest progress:', error);
-            console.error('Error details:', error.message, error.stack);
-        }
     } catch (error) {
         console.error('Error following user:', error);
         alert('Failed to follow user. Please try again.');
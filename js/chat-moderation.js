@@ -0,0 +1,108 @@
+/**
+ * Chat Moderation Module
+ * ============================================
+ *
+ * Profanity filter, slow mode and message retention defaults shared by the chat page
+ * (js/chat-init.js, js/community-init.js) and Cloud Functions (functions/moderation.js,
+ * functions/retention.js), which enforce them.
+ *
+ * The client uses these only for instant feedback; the sendChatMessage callable is
+ * the only way messages get written.
+ *
+ * Also runs in Cloud Functions (see "Shared modules" in functions/README.md).
+ *
+ * ============================================
+ */
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// Default slow mode per channel (in seconds), used when the channel/community sets none
+export const RATE_LIMITS = {
+    'general': 15,
+    'raid': 15,
+    'trading': 15,
+    'support': 30 // Support chat has longer cooldown to prevent spam
+};
+export const DEFAULT_RATE_LIMIT_SECONDS = 15;
+
+// Message retention choices (`retention` on channel and community docs)
+const HOUR_MS = 60 * 60 * 1000;
+export const RETENTION_OPTIONS = {
+    '24h': { label: '24 hours', ms: 24 * HOUR_MS },
+    '7d': { label: '7 days', ms: 7 * 24 * HOUR_MS },
+    '30d': { label: '30 days', ms: 30 * 24 * HOUR_MS },
+    'forever': { label: 'Forever', ms: null }
+};
+// Global channels (top-level `channels`) have always been purged daily; communities keep everything
+export const DEFAULT_CHANNEL_RETENTION = '24h';
+export const DEFAULT_COMMUNITY_RETENTION = 'forever';
+
+// Profanity filter - list of explicit words to censor
+export const PROFANITY_WORDS = [
+    // Common profanity
+    'fuck', 'fucking', 'fucked', 'fucker', 'fucks',
+    'shit', 'shitting', 'shitted', 'shits',
+    'damn', 'damned', 'damning',
+    'hell', 'hells',
+    'ass', 'asses', 'asshole', 'assholes',
+    'bitch', 'bitches', 'bitching',
+    'bastard', 'bastards',
+    'crap', 'craps',
+    'piss', 'pissing', 'pissed',
+    'dick', 'dicks', 'dickhead',
+    'cock', 'cocks',
+    'pussy', 'pussies',
+    'slut', 'sluts',
+    'whore', 'whores',
+    'nigger', 'niggers', 'nigga', 'niggas',
+    'retard', 'retards', 'retarded',
+    'gay', 'gays', // Context-dependent, but included for safety
+    'lesbian', 'lesbians',
+    // Add more as needed
+];
+
+// Pre-compile profanity regex patterns for better performance
+const PROFANITY_PATTERNS = PROFANITY_WORDS.map(word => {
+    const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escapedWord}\\b`, 'gi');
+});
+
+// Words that get a message rejected when repeated (spam)
+const SPAM_WORDS = ['spam', 'scam'];
+
+// Replace profanity with asterisks
+export function filterProfanity(text) {
+    if (!text) return text;
+    
+    let filtered = text;
+    
+    PROFANITY_PATTERNS.forEach(regex => {
+        filtered = filtered.replace(regex, (match) => {
+            return '*'.repeat(match.length);
+        });
+    });
+    
+    return filtered;
+}
+
+// Repeated spam words (e.g. "scam scam scam")
+export function looksLikeSpam(text) {
+    const lowerText = (text || '').toLowerCase();
+    return SPAM_WORDS.some(word => lowerText.includes(word) && lowerText.split(word).length > 2);
+}
+
+// Slow mode for a message: channel setting, then channel default, then community setting
+export function getSlowModeSeconds(channelId, channelSlowMode, communitySlowMode) {
+    if (typeof channelSlowMode === 'number') return channelSlowMode;
+    if (channelId && RATE_LIMITS[channelId] !== undefined) return RATE_LIMITS[channelId];
+    if (typeof communitySlowMode === 'number') return communitySlowMode;
+    return DEFAULT_RATE_LIMIT_SECONDS;
+}
+
+// Retention for a message: channel setting, then community setting, then the default.
+// Returns milliseconds, or null when messages are kept forever.
+export function getRetentionMs(channelRetention, communityRetention, defaultRetention = DEFAULT_COMMUNITY_RETENTION) {
+    const key = [channelRetention, communityRetention, defaultRetention]
+        .find(value => typeof value === 'string' && RETENTION_OPTIONS[value]);
+    return key ? RETENTION_OPTIONS[key].ms : null;
+}
@@ -0,0 +1,55 @@
+/**
+ * Chat Search Module
+ * ============================================
+ *
+ * Tokenizer for chat message search, shared by the chat page (js/chat-init.js) and
+ * Cloud Functions (functions/moderation.js).
+ *
+ * Firestore has no full-text search, so sendChatMessage stores the tokens of every
+ * message in `searchTokens` (re-computed on edit, removed on delete). The search panel
+ * tokenizes the query the same way and matches with `array-contains`.
+ *
+ * Also runs in Cloud Functions (see "Shared modules" in functions/README.md).
+ *
+ * ============================================
+ */
+
+export const MIN_TOKEN_LENGTH = 2;
+export const MAX_TOKEN_LENGTH = 30;
+export const MAX_TOKENS_PER_MESSAGE = 100;
+
+// Words too common to be useful as the indexed query token
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'is', 'it',
+    'of', 'on', 'or', 'so', 'the', 'to', 'was', 'we', 'with', 'you'
+]);
+
+/**
+ * Split text into unique lowercase search tokens (letters and digits only)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeForSearch(text) {
+    if (typeof text !== 'string') return [];
+
+    const tokens = new Set();
+    const words = text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').split(/[^\p{L}\p{N}]+/u);
+    for (const word of words) {
+        if (word.length < MIN_TOKEN_LENGTH || word.length > MAX_TOKEN_LENGTH) continue;
+        if (STOP_WORDS.has(word)) continue;
+        tokens.add(word);
+        if (tokens.size >= MAX_TOKENS_PER_MESSAGE) break;
+    }
+    return Array.from(tokens);
+}
+
+/**
+ * Pick the token to query with (the longest, which is usually the most selective).
+ * The remaining tokens are matched against each result's searchTokens.
+ * @param {string[]} tokens
+ * @returns {string|null}
+ */
+export function pickQueryToken(tokens) {
+    if (!tokens.length) return null;
+    return tokens.reduce((best, token) => (token.length > best.length ? token : best));
+}
@@ -0,0 +1,271 @@
+/**
+ * Comment Threads Module
+ * Nested replies on post comments (posts/{postId}/comments/{commentId})
+ *
+ * Replies store `parentId` (the comment replied to) and `depth` (0 for top-level comments,
+ * parent depth + 1 for replies, at most MAX_COMMENT_DEPTH). firestore.rules checks both
+ * against the parent, so the chain can't be forged.
+ *
+ * Deleted comments are soft-deleted (deleted: true, content cleared) and stay in the tree as
+ * "[deleted]" placeholders while they still have live replies. The post's commentsCount is
+ * kept by Cloud Functions (functions/trending.js).
+ *
+ * Threads render INLINE_THREAD_DEPTH levels deep; deeper replies open through "Continue this
+ * thread", and long reply lists are paged with "Show more replies".
+ *
+ * Used by the comment lists on the feed (js/feed.js), the homepage (js/home.js) and
+ * profiles (js/profile-init.js).
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    doc,
+    addDoc,
+    updateDoc,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { sortComments } from './post-votes.js';
+import { escapeHtml } from './chat-format.js';
+
+// Also enforced in firestore.rules
+export const MAX_COMMENT_DEPTH = 6;
+export const MAX_COMMENT_LENGTH = 500;
+
+const INLINE_THREAD_DEPTH = 3;
+const REPLIES_PAGE_SIZE = 3;
+
+/**
+ * Add a comment to a post, or a reply when `parent` is given
+ * @param {Object} parent - the comment being replied to (needs id and depth)
+ */
+export async function createComment(postId, { uid, username, content, parent = null }) {
+    if (parent && (parent.depth || 0) >= MAX_COMMENT_DEPTH) {
+        throw new Error('This thread is too deep to reply to');
+    }
+
+    await addDoc(collection(db, 'posts', postId, 'comments'), {
+        userId: uid,
+        username: username || 'Anonymous',
+        content,
+        parentId: parent ? parent.id : null,
+        depth: parent ? (parent.depth || 0) + 1 : 0,
+        voteScore: 0,
+        upvoteCount: 0,
+        downvoteCount: 0,
+        createdAt: serverTimestamp(),
+        deleted: false
+    });
+}
+
+// Soft delete: replies keep their place in the thread under a "[deleted]" placeholder
+export async function deleteComment(postId, commentId) {
+    await updateDoc(doc(db, 'posts', postId, 'comments', commentId), {
+        deleted: true,
+        content: '',
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Build the reply tree from a flat list of comments (deleted ones included)
+ * Comments whose parent is missing are shown at the top level. Deleted comments without
+ * live replies are dropped.
+ * @returns {Array<{ comment: Object, children: Array }>} top-level nodes
+ */
+export function buildCommentTree(comments, sort = null) {
+    const nodes = new Map(comments.map(comment => [comment.id, { comment, children: [] }]));
+    const roots = [];
+    nodes.forEach((node) => {
+        const parent = node.comment.parentId ? nodes.get(node.comment.parentId) : null;
+        (parent ? parent.children : roots).push(node);
+    });
+
+    const prune = (list) => {
+        const kept = list.filter((node) => {
+            node.children = prune(node.children);
+            return node.comment.deleted !== true || node.children.length > 0;
+        });
+        if (!sort) return kept;
+        const order = sortComments(kept.map(node => node.comment), sort).map(comment => comment.id);
+        return kept.sort((a, b) => order.indexOf(a.comment.id) - order.indexOf(b.comment.id));
+    };
+    return prune(roots);
+}
+
+function findNode(nodes, commentId) {
+    for (const node of nodes) {
+        if (node.comment.id === commentId) return node;
+        const found = findNode(node.children, commentId);
+        if (found) return found;
+    }
+    return null;
+}
+
+function countReplies(node) {
+    return node.children.reduce((total, child) => total + 1 + countReplies(child), 0);
+}
+
+function renderDeletedComment(comment) {
+    return `
+        <div class="post-comment comment-deleted" data-comment-id="${comment.id}">
+            <div class="comment-content">
+                <div class="comment-text">[deleted]</div>
+            </div>
+        </div>
+    `;
+}
+
+function renderThread(node, level, options) {
+    const { comment, children } = node;
+    const canReply = options.canReply && comment.deleted !== true && (comment.depth || 0) < MAX_COMMENT_DEPTH;
+    const replyCount = countReplies(node);
+
+    let childrenHtml = '';
+    if (children.length > 0 && level + 1 >= INLINE_THREAD_DEPTH) {
+        childrenHtml = `
+            <button type="button" class="comment-continue-btn" data-comment-id="${comment.id}">
+                Continue this thread → (${replyCount} ${replyCount === 1 ? 'reply' : 'replies'})
+            </button>
+        `;
+    } else if (children.length > 0) {
+        const hidden = children.length - REPLIES_PAGE_SIZE;
+        childrenHtml = children.map((child, index) => `
+            <div class="comment-child${index >= REPLIES_PAGE_SIZE ? ' hide' : ''}">
+                ${renderThread(child, level + 1, options)}
+            </div>
+        `).join('') + (hidden > 0 ? `
+            <button type="button" class="comment-more-replies-btn">Show ${hidden} more ${hidden === 1 ? 'reply' : 'replies'}</button>
+        ` : '');
+    }
+
+    return `
+        <div class="comment-thread" data-comment-id="${comment.id}">
+            ${comment.deleted === true ? renderDeletedComment(comment) : options.renderComment(comment)}
+            ${children.length > 0 || canReply ? `
+                <div class="comment-thread-actions">
+                    ${children.length > 0 ? `<button type="button" class="comment-collapse-btn" title="Hide replies">[−]</button>` : ''}
+                    ${canReply ? `<button type="button" class="comment-reply-btn">Reply</button>` : ''}
+                </div>
+            ` : ''}
+            ${canReply ? `
+                <div class="comment-reply-form hide">
+                    <input type="text" class="comment-reply-input" placeholder="Reply to ${escapeHtml(comment.username || 'comment')}..." maxlength="${MAX_COMMENT_LENGTH}" />
+                    <button type="button" class="comment-reply-submit">Reply</button>
+                    <button type="button" class="comment-reply-cancel">Cancel</button>
+                </div>
+            ` : ''}
+            ${childrenHtml ? `<div class="comment-children">${childrenHtml}</div>` : ''}
+        </div>
+    `;
+}
+
+// Wire up the controls of each rendered thread (`:scope >` keeps nested threads separate)
+function setupThreadControls(listEl, tree, options, rerender) {
+    listEl.querySelectorAll('.comment-thread').forEach((threadEl) => {
+        const commentId = threadEl.dataset.commentId;
+        const actionsEl = threadEl.querySelector(':scope > .comment-thread-actions');
+        const childrenEl = threadEl.querySelector(':scope > .comment-children');
+
+        const collapseBtn = actionsEl?.querySelector('.comment-collapse-btn');
+        if (collapseBtn && childrenEl) {
+            collapseBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const collapsed = childrenEl.classList.toggle('hide');
+                collapseBtn.textContent = collapsed ? `[+${countReplies(findNode(tree, commentId))}]` : '[−]';
+                collapseBtn.title = collapsed ? 'Show replies' : 'Hide replies';
+            });
+        }
+
+        const moreBtn = childrenEl?.querySelector(':scope > .comment-more-replies-btn');
+        if (moreBtn) {
+            moreBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const hiddenChildren = Array.from(childrenEl.querySelectorAll(':scope > .comment-child.hide'));
+                hiddenChildren.slice(0, REPLIES_PAGE_SIZE).forEach(child => child.classList.remove('hide'));
+                const remaining = hiddenChildren.length - REPLIES_PAGE_SIZE;
+                if (remaining > 0) {
+                    moreBtn.textContent = `Show ${remaining} more ${remaining === 1 ? 'reply' : 'replies'}`;
+                } else {
+                    moreBtn.remove();
+                }
+            });
+        }
+
+        const continueBtn = childrenEl?.querySelector(':scope > .comment-continue-btn');
+        if (continueBtn) {
+            continueBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                rerender(commentId);
+            });
+        }
+
+        const replyBtn = actionsEl?.querySelector('.comment-reply-btn');
+        const replyForm = threadEl.querySelector(':scope > .comment-reply-form');
+        if (replyBtn && replyForm) {
+            const replyInput = replyForm.querySelector('.comment-reply-input');
+            const node = findNode(tree, commentId);
+            const submitReply = async () => {
+                if (!replyInput.value.trim()) return;
+                await options.onReply(node.comment, replyInput);
+            };
+
+            replyBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                replyForm.classList.toggle('hide');
+                if (!replyForm.classList.contains('hide')) replyInput.focus();
+            });
+            replyForm.querySelector('.comment-reply-cancel').addEventListener('click', (e) => {
+                e.stopPropagation();
+                replyInput.value = '';
+                replyForm.classList.add('hide');
+            });
+            replyForm.querySelector('.comment-reply-submit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                submitReply();
+            });
+            replyInput.addEventListener('click', e => e.stopPropagation());
+            replyInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    submitReply();
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Render a post's comments as threads into listEl
+ * @param {HTMLElement} listEl - comment list container
+ * @param {Array} comments - all comments of the post, deleted ones included
+ * @param {Object} options
+ * @param {Function} options.renderComment - (comment) => HTML of one live comment
+ * @param {string} [options.sort] - COMMENT_SORTS value for siblings (default: oldest first)
+ * @param {boolean} options.canReply - show reply buttons (signed-in users)
+ * @param {Function} options.onReply - async (parentComment, replyInputEl) => posts the reply
+ * @param {Function} [options.onRender] - called after every render to wire page-specific listeners
+ */
+export function renderCommentThreads(listEl, comments, options) {
+    const tree = buildCommentTree(comments, options.sort || null);
+    if (tree.length === 0) {
+        listEl.innerHTML = '<div class="post-comments-empty">No comments yet</div>';
+        return;
+    }
+
+    const render = (focusId = null) => {
+        const focusNode = focusId ? findNode(tree, focusId) : null;
+        const roots = focusNode ? [focusNode] : tree;
+        listEl.innerHTML = (focusNode ? `
+            <button type="button" class="comment-back-btn">← Back to all comments</button>
+        ` : '') + roots.map(node => renderThread(node, 0, options)).join('');
+
+        listEl.querySelector(':scope > .comment-back-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            render();
+        });
+        setupThreadControls(listEl, tree, options, render);
+        if (options.onRender) options.onRender();
+    };
+
+    render();
+}
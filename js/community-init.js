@@ -22,6 +22,7 @@ import {
     writeBatch,
     Timestamp
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { RETENTION_OPTIONS, DEFAULT_COMMUNITY_RETENTION } from './chat-moderation.js';
 
 // State
 let currentUser = null;
@@ -1589,6 +1590,7 @@ async function openCommunitySettingsModal(communityId) {
         if (nameInput) nameInput.value = communityData.name || '';
         if (descInput) descInput.value = communityData.description || '';
         if (isPublicInput) isPublicInput.checked = communityData.isPublic || false;
+        populateRetentionSelect(communityData.retention);
         if (inviteLinkInput) {
             const inviteUrl = `${window.location.origin}/community?invite=${communityData.inviteCode}`;
             inviteLinkInput.value = inviteUrl;
@@ -1635,6 +1637,17 @@ async function openCommunitySettingsModal(communityId) {
     }
 }
 
+// Fill the message history select (applied daily by cleanupOldMessages)
+function populateRetentionSelect(currentRetention) {
+    const retentionSelect = document.getElementById('settingsCommunityRetention');
+    if (!retentionSelect) return;
+
+    const selected = RETENTION_OPTIONS[currentRetention] ? currentRetention : DEFAULT_COMMUNITY_RETENTION;
+    retentionSelect.innerHTML = Object.entries(RETENTION_OPTIONS)
+        .map(([value, option]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${option.label}</option>`)
+        .join('');
+}
+
 // Close community settings modal
 function closeCommunitySettingsModal() {
     if (!communitySettingsModal) return;
@@ -1677,6 +1690,7 @@ async function handleUpdateCommunitySettings(e) {
     const name = nameInput.value.trim();
     const description = descInput.value.trim();
     const isPublic = isPublicInput.checked;
+    const retention = document.getElementById('settingsCommunityRetention')?.value;
     
     if (!name) {
         alert('Please enter a community name');
@@ -1695,6 +1709,9 @@ async function handleUpdateCommunitySettings(e) {
             description: description || '',
             isPublic: isPublic
         };
+        if (retention && RETENTION_OPTIONS[retention]) {
+            updateData.retention = retention;
+        }
         
         // Update PFP if changed
         if (settingsPfpDataUrl) {
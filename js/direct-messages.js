@@ -0,0 +1,329 @@
+/**
+ * Direct Messages Module
+ * Private conversations (conversations/{conversationId}) and user blocking
+ *
+ * Two kinds of conversation share the collection, the messages subcollection and the
+ * unread counts kept by Cloud Functions (functions/conversations.js):
+ * - 'direct': 1:1. The ID is the two participants' uids, sorted and joined with "_", so each
+ *   pair of users has exactly one conversation.
+ * - 'group': invite-only group chat with a name, description and emoji avatar, up to
+ *   GROUP_MAX_MEMBERS members. The owner and admins (`admins`) invite members
+ *   (groupInvites/{groupId}_{uid}), remove them and edit the settings; only the owner
+ *   promotes admins or deletes the group.
+ *
+ * Messages are readable only by the participants (firestore.rules).
+ *
+ * Blocks live in blocks/{uid}/blocked/{blockedUid}; rules reject new direct conversations,
+ * direct messages and group invites between users when either has blocked the other.
+ *
+ * Used by the messages page, the header badge and the "Message" buttons on profiles.
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    doc,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot,
+    getDoc,
+    setDoc,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    writeBatch,
+    arrayUnion,
+    arrayRemove,
+    deleteField,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { MAX_MESSAGE_LENGTH } from './chat-moderation.js';
+
+const MAX_CONVERSATIONS = 50;
+const MAX_MESSAGES = 100;
+
+// Group limits (also enforced in firestore.rules)
+export const GROUP_MAX_MEMBERS = 50;
+export const GROUP_NAME_MAX_LENGTH = 50;
+export const GROUP_DESCRIPTION_MAX_LENGTH = 200;
+export const GROUP_AVATARS = ['🦍', '🍌', '🚀', '💎', '🔥', '🌴', '🎮', '🎨', '📈', '🌙'];
+
+export function getConversationId(uidA, uidB) {
+    return [uidA, uidB].sort().join('_');
+}
+
+// Link to a conversation with a user (used by the "Message" buttons)
+export function getMessageLink(userId) {
+    return `/messages/?user=${encodeURIComponent(userId)}`;
+}
+
+/**
+ * Get or create the conversation between the current user and another user
+ * @returns {Promise<string>} conversation ID
+ */
+export async function ensureConversation(currentUid, currentUsername, otherUid) {
+    if (!otherUid || otherUid === currentUid) {
+        throw new Error('You cannot message yourself');
+    }
+
+    const conversationId = getConversationId(currentUid, otherUid);
+    const conversationRef = doc(db, 'conversations', conversationId);
+
+    const conversationDoc = await getDoc(conversationRef);
+    if (conversationDoc.exists()) return conversationId;
+
+    const otherUserDoc = await getDoc(doc(db, 'users', otherUid));
+    if (!otherUserDoc.exists()) {
+        throw new Error('User not found');
+    }
+
+    // The other participant's participantInfo is added by functions/conversations.js
+    const participants = [currentUid, otherUid].sort();
+    await setDoc(conversationRef, {
+        type: 'direct',
+        participants,
+        participantInfo: {
+            [currentUid]: { username: currentUsername || '' }
+        },
+        unreadCounts: { [currentUid]: 0, [otherUid]: 0 },
+        createdAt: serverTimestamp(),
+        lastMessageAt: serverTimestamp()
+    });
+    return conversationId;
+}
+
+/**
+ * Listen to the user's conversations, most recent first
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToConversations(uid, callback) {
+    const conversationsQuery = query(
+        collection(db, 'conversations'),
+        where('participants', 'array-contains', uid),
+        orderBy('lastMessageAt', 'desc'),
+        limit(MAX_CONVERSATIONS)
+    );
+    return onSnapshot(conversationsQuery, (snapshot) => {
+        callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })));
+    }, (error) => {
+        console.error('Error listening to conversations:', error);
+    });
+}
+
+/**
+ * Listen to the total number of unread direct messages
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToUnreadMessageCount(uid, callback) {
+    return subscribeToConversations(uid, (conversations) => {
+        callback(conversations.reduce((total, conversation) => total + getUnreadCount(conversation, uid), 0));
+    });
+}
+
+/**
+ * Listen to the latest messages in a conversation, oldest first
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToConversationMessages(conversationId, callback, onError) {
+    const messagesQuery = query(
+        collection(db, 'conversations', conversationId, 'messages'),
+        orderBy('createdAt', 'desc'),
+        limit(MAX_MESSAGES)
+    );
+    return onSnapshot(messagesQuery, (snapshot) => {
+        callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })).reverse());
+    }, (error) => {
+        console.error('Error listening to conversation messages:', error);
+        if (onError) onError(error);
+    });
+}
+
+export async function sendDirectMessage(conversationId, uid, text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        throw new Error('Message cannot be empty');
+    }
+    if (trimmed.length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`Message is too long. Maximum ${MAX_MESSAGE_LENGTH} characters.`);
+    }
+
+    await addDoc(collection(db, 'conversations', conversationId, 'messages'), {
+        senderId: uid,
+        text: trimmed,
+        createdAt: serverTimestamp()
+    });
+}
+
+export async function markConversationRead(conversationId, uid) {
+    await updateDoc(doc(db, 'conversations', conversationId), {
+        [`unreadCounts.${uid}`]: 0
+    });
+}
+
+export function getUnreadCount(conversation, uid) {
+    return conversation.unreadCounts?.[uid] || 0;
+}
+
+// The other participant of a 1:1 conversation
+export function getOtherParticipant(conversation, uid) {
+    const otherUid = (conversation.participants || []).find(participant => participant !== uid) || null;
+    return {
+        uid: otherUid,
+        username: conversation.participantInfo?.[otherUid]?.username || 'Unknown user'
+    };
+}
+
+// Title shown for a conversation (group name, or the other participant's username)
+export function getConversationTitle(conversation, uid) {
+    if (conversation.type === 'group') {
+        return `${conversation.avatar || GROUP_AVATARS[0]} ${conversation.name || 'Group'}`;
+    }
+    return getOtherParticipant(conversation, uid).username;
+}
+
+// Group chats
+
+export function isGroupAdmin(conversation, uid) {
+    return conversation.type === 'group' && (conversation.admins || []).includes(uid);
+}
+
+function validateGroupSettings({ name, description, avatar }) {
+    const trimmedName = (name || '').trim();
+    const trimmedDescription = (description || '').trim();
+    if (!trimmedName) {
+        throw new Error('Group name is required');
+    }
+    if (trimmedName.length > GROUP_NAME_MAX_LENGTH) {
+        throw new Error(`Group name is too long. Maximum ${GROUP_NAME_MAX_LENGTH} characters.`);
+    }
+    if (trimmedDescription.length > GROUP_DESCRIPTION_MAX_LENGTH) {
+        throw new Error(`Description is too long. Maximum ${GROUP_DESCRIPTION_MAX_LENGTH} characters.`);
+    }
+    return {
+        name: trimmedName,
+        description: trimmedDescription,
+        avatar: GROUP_AVATARS.includes(avatar) ? avatar : GROUP_AVATARS[0]
+    };
+}
+
+/**
+ * Create a group chat with the current user as owner and only member
+ * @returns {Promise<string>} conversation ID
+ */
+export async function createGroup(uid, username, settings) {
+    const groupRef = await addDoc(collection(db, 'conversations'), {
+        type: 'group',
+        ...validateGroupSettings(settings),
+        ownerId: uid,
+        participants: [uid],
+        admins: [uid],
+        participantInfo: { [uid]: { username: username || '' } },
+        unreadCounts: { [uid]: 0 },
+        createdAt: serverTimestamp(),
+        lastMessageAt: serverTimestamp()
+    });
+    return groupRef.id;
+}
+
+export async function updateGroupSettings(groupId, settings) {
+    await updateDoc(doc(db, 'conversations', groupId), validateGroupSettings(settings));
+}
+
+export async function deleteGroup(groupId) {
+    await deleteDoc(doc(db, 'conversations', groupId));
+}
+
+// Invite a user to a group. Re-inviting someone with a pending invite refreshes it
+export async function inviteToGroup(group, uid, username, targetUid) {
+    if ((group.participants || []).includes(targetUid)) {
+        throw new Error('That user is already in this group');
+    }
+    if ((group.participants || []).length >= GROUP_MAX_MEMBERS) {
+        throw new Error(`Groups can have at most ${GROUP_MAX_MEMBERS} members`);
+    }
+
+    await setDoc(doc(db, 'groupInvites', `${group.id}_${targetUid}`), {
+        groupId: group.id,
+        groupName: group.name || '',
+        uid: targetUid,
+        invitedBy: uid,
+        invitedByUsername: username || '',
+        createdAt: serverTimestamp()
+    });
+}
+
+/**
+ * Listen to the user's pending group invites, newest first
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToGroupInvites(uid, callback) {
+    const invitesQuery = query(
+        collection(db, 'groupInvites'),
+        where('uid', '==', uid),
+        orderBy('createdAt', 'desc')
+    );
+    return onSnapshot(invitesQuery, (snapshot) => {
+        callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })));
+    }, (error) => {
+        console.error('Error listening to group invites:', error);
+    });
+}
+
+// Join the group and consume the invite in one write
+export async function acceptGroupInvite(invite, uid, username) {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'conversations', invite.groupId), {
+        participants: arrayUnion(uid),
+        [`participantInfo.${uid}`]: { username: username || '' },
+        [`unreadCounts.${uid}`]: 0
+    });
+    batch.delete(doc(db, 'groupInvites', invite.id));
+    await batch.commit();
+}
+
+export async function declineGroupInvite(inviteId) {
+    await deleteDoc(doc(db, 'groupInvites', inviteId));
+}
+
+// Remove a member (or leave, when memberUid is the current user).
+// participantInfo is kept so the member's past messages still show their name.
+export async function removeGroupMember(groupId, memberUid) {
+    await updateDoc(doc(db, 'conversations', groupId), {
+        participants: arrayRemove(memberUid),
+        admins: arrayRemove(memberUid),
+        [`unreadCounts.${memberUid}`]: deleteField()
+    });
+}
+
+// Owner only
+export async function setGroupAdmin(groupId, memberUid, isAdmin) {
+    await updateDoc(doc(db, 'conversations', groupId), {
+        admins: isAdmin ? arrayUnion(memberUid) : arrayRemove(memberUid)
+    });
+}
+
+// Blocking
+
+export async function blockUser(uid, targetUid) {
+    await setDoc(doc(db, 'blocks', uid, 'blocked', targetUid), {
+        createdAt: serverTimestamp()
+    });
+}
+
+export async function unblockUser(uid, targetUid) {
+    await deleteDoc(doc(db, 'blocks', uid, 'blocked', targetUid));
+}
+
+/**
+ * Listen to the set of users the current user has blocked
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToBlockedUsers(uid, callback) {
+    return onSnapshot(collection(db, 'blocks', uid, 'blocked'), (snapshot) => {
+        callback(new Set(snapshot.docs.map(item => item.id)));
+    }, (error) => {
+        console.error('Error listening to blocked users:', error);
+    });
+}
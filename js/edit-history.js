@@ -0,0 +1,108 @@
+/**
+ * Edit History Module
+ * Revision history modal behind the "edited" marker on posts and chat messages
+ *
+ * Each edit appends the replaced version to a `revisions` subcollection of the post or
+ * message (functions/revisions.js). The modal lists the current version first, then the
+ * earlier ones newest first; the oldest is the original text.
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    getDoc,
+    getDocs,
+    query,
+    orderBy
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { escapeHtml } from './chat-format.js';
+
+function toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (value.seconds) return new Date(value.seconds * 1000);
+    return null;
+}
+
+function renderVersion(text, date, label) {
+    return `
+        <div class="edit-history-version">
+            <div class="edit-history-meta">
+                <span class="edit-history-label">${label}</span>
+                ${date ? `<span class="edit-history-time">${date.toLocaleString()}</span>` : ''}
+            </div>
+            <div class="edit-history-text">${escapeHtml(text || '').replace(/\n/g, '<br>')}</div>
+        </div>
+    `;
+}
+
+/**
+ * Show the edit history of a post or message
+ * @param {DocumentReference} docRef - posts/{postId} or communities/{communityId}/messages/{messageId}
+ * @param {string} field - text field of the document and its revisions ('content' or 'text')
+ * @param {string} createdField - creation time field ('createdAt' or 'timestamp')
+ */
+export async function showEditHistory(docRef, field, createdField) {
+    document.getElementById('editHistoryModal')?.remove();
+
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+    modalOverlay.id = 'editHistoryModal';
+    modalOverlay.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3>Edit History</h3>
+                <button class="modal-close" type="button">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="edit-history-list">
+                    <div class="edit-history-loading">Loading history...</div>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modalOverlay);
+    requestAnimationFrame(() => modalOverlay.classList.add('show'));
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        modalOverlay.classList.remove('show');
+        setTimeout(() => modalOverlay.remove(), 300);
+    };
+    modalOverlay.querySelector('.modal-close').addEventListener('click', closeModal);
+    modalOverlay.addEventListener('click', (e) => {
+        if (e.target === modalOverlay) closeModal();
+    });
+    document.addEventListener('keydown', escHandler);
+
+    const listEl = modalOverlay.querySelector('.edit-history-list');
+    try {
+        const [currentDoc, revisionsSnapshot] = await Promise.all([
+            getDoc(docRef),
+            getDocs(query(collection(docRef, 'revisions'), orderBy('replacedAt', 'desc')))
+        ]);
+        if (!currentDoc.exists()) {
+            listEl.innerHTML = '<div class="edit-history-empty">This item no longer exists.</div>';
+            return;
+        }
+
+        const current = currentDoc.data();
+        const revisions = revisionsSnapshot.docs.map(revisionDoc => revisionDoc.data());
+        const versions = [renderVersion(current[field], toDate(current.editedAt), 'Current')];
+        revisions.forEach((revision, index) => {
+            const isOriginal = index === revisions.length - 1;
+            const createdAt = toDate(revision.createdAt) || (isOriginal ? toDate(current[createdField]) : null);
+            versions.push(renderVersion(revision[field], createdAt, isOriginal ? 'Original' : `Edit ${revisions.length - index - 1}`));
+        });
+        if (revisions.length === 0) {
+            versions.push('<div class="edit-history-empty">Earlier versions aren\'t available for this edit.</div>');
+        }
+        listEl.innerHTML = versions.join('');
+    } catch (error) {
+        console.error('[editHistory] Error loading revisions:', error);
+        listEl.innerHTML = '<div class="edit-history-empty">Failed to load the edit history.</div>';
+    }
+}
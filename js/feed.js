@@ -20,15 +20,40 @@ import {
     onSnapshot,
     serverTimestamp,
     Timestamp,
-    increment
+    increment,
+    startAfter
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
-import { withBase } from './base-url.js';
+import { getPostPath, getPostShareUrl } from './post-link.js';
+import { fetchTimelinePage } from './timeline.js';
+import { isArchived } from './post-archive.js';
+import { extractTags, linkifyTags } from './post-tags.js';
+import { showEditHistory } from './edit-history.js';
+import { DUPLICATE_CHECK_LIMIT, getCooldownRemainingMs, isDuplicateContent } from './post-publishing.js';
+import {
+    MAX_DRAFTS,
+    DRAFT_FAILURE_REASONS,
+    validateScheduleTime,
+    loadDrafts,
+    saveDraft,
+    deleteDraft
+} from './post-drafts.js';
+import {
+    togglePostVote,
+    setVoteButtonState,
+    showUserVote,
+    COMMENT_SORTS,
+    renderCommentVoteButtons,
+    setupCommentVoteButtons
+} from './post-votes.js';
+import { MAX_COMMENT_LENGTH, createComment, deleteComment, renderCommentThreads } from './comment-threads.js';
 import {
     ref,
     uploadBytes,
     getDownloadURL
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js';
 
+const TRENDING_PAGE_SIZE = 20; // Posts fetched per trending page
+
 // State
 let currentUser = null;
 let userProfile = null;
@@ -37,6 +62,8 @@ let currentFeedType = 'trending'; // 'trending' or 'following'
 let allSortedPosts = []; // Store all fetched and sorted posts
 let displayedPostCount = 0; // Track how many posts are currently displayed
 let isLoadingMore = false; // Prevent multiple simultaneous loads
+let feedCursor = null; // Last post (trending) or timeline item (following) fetched so far
+let hasMorePosts = false; // Whether the last fetched page was full
 
 // DOM Elements
 let postsFeedEl, postCreateSectionEl, postCreateFormEl;
@@ -46,9 +73,13 @@ let removeImageBtnEl, imagePreviewContainerEl, imagePreviewEl;
 let removeVideoBtnEl, videoPreviewContainerEl, videoPreviewEl;
 let emojiBtnEl, emojiPickerEl, emojiPickerGridEl, emojiPickerCloseEl;
 let trendingTabEl, followingTabEl;
+let scheduleBtnEl, saveDraftBtnEl, postScheduleRowEl, postScheduleInputEl, clearScheduleBtnEl;
+let postDraftsToggleEl, postDraftsCountEl, postDraftsListEl;
 let selectedImageFile = null;
 let selectedVideoFile = null;
 let videoPreviewUrl = null;
+let drafts = []; // The user's drafts and scheduled posts (js/post-drafts.js)
+let currentDraft = null; // Draft loaded into the composer ({ id, createdAt, images, videos })
 
 // Initialize feed page
 export function initFeed() {
@@ -73,6 +104,14 @@ export function initFeed() {
     emojiPickerCloseEl = document.getElementById('emojiPickerClose');
     trendingTabEl = document.getElementById('trendingTab');
     followingTabEl = document.getElementById('followingTab');
+    scheduleBtnEl = document.getElementById('scheduleBtn');
+    saveDraftBtnEl = document.getElementById('saveDraftBtn');
+    postScheduleRowEl = document.getElementById('postScheduleRow');
+    postScheduleInputEl = document.getElementById('postScheduleInput');
+    clearScheduleBtnEl = document.getElementById('clearScheduleBtn');
+    postDraftsToggleEl = document.getElementById('postDraftsToggle');
+    postDraftsCountEl = document.getElementById('postDraftsCount');
+    postDraftsListEl = document.getElementById('postDraftsList');
 
     // Set up auth state listener
     onAuthStateChanged(auth, async (user) => {
@@ -107,6 +146,9 @@ export function initFeed() {
                 postCreateSectionEl.classList.remove('hide');
             }
             
+            // Drafts and scheduled posts
+            loadComposerDrafts();
+            
             // Load posts
             loadPosts();
         } else {
@@ -114,6 +156,8 @@ export function initFeed() {
             if (postCreateSectionEl) {
                 postCreateSectionEl.classList.add('hide');
             }
+            drafts = [];
+            currentDraft = null;
             
             // Still load posts (public view)
             loadPosts();
@@ -167,6 +211,7 @@ function setupEventListeners() {
     if (removeImageBtnEl) {
         removeImageBtnEl.addEventListener('click', () => {
             selectedImageFile = null;
+            if (currentDraft) currentDraft.images = [];
             if (postImageFileEl) postImageFileEl.value = '';
             if (imagePreviewContainerEl) imagePreviewContainerEl.classList.add('hide');
         });
@@ -176,6 +221,7 @@ function setupEventListeners() {
     if (removeVideoBtnEl) {
         removeVideoBtnEl.addEventListener('click', () => {
             selectedVideoFile = null;
+            if (currentDraft) currentDraft.videos = [];
             if (videoPreviewUrl) {
                 URL.revokeObjectURL(videoPreviewUrl);
                 videoPreviewUrl = null;
@@ -189,6 +235,31 @@ function setupEventListeners() {
         });
     }
     
+    // Schedule for later
+    if (scheduleBtnEl) {
+        scheduleBtnEl.addEventListener('click', () => {
+            if (postScheduleRowEl?.classList.contains('hide')) {
+                setScheduleVisible(true);
+            }
+            postScheduleInputEl?.focus();
+        });
+    }
+    if (clearScheduleBtnEl) {
+        clearScheduleBtnEl.addEventListener('click', () => setScheduleVisible(false));
+    }
+    if (postScheduleInputEl) {
+        postScheduleInputEl.addEventListener('change', resetSubmitButton);
+    }
+    
+    // Drafts
+    if (saveDraftBtnEl) {
+        saveDraftBtnEl.addEventListener('click', handleSaveDraft);
+    }
+    if (postDraftsToggleEl && postDraftsListEl) {
+        postDraftsToggleEl.addEventListener('click', () => postDraftsListEl.classList.toggle('hide'));
+        postDraftsListEl.addEventListener('click', handleDraftListClick);
+    }
+    
     // Emoji button
     if (emojiBtnEl) {
         emojiBtnEl.addEventListener('click', toggleEmojiPicker);
@@ -294,6 +365,7 @@ function handleImageFileSelect(e) {
     }
     
     selectedImageFile = file;
+    clearDraftMedia();
     
     // Show preview
     const reader = new FileReader();
@@ -342,6 +414,7 @@ function handleVideoFileSelect(e) {
     }
     
     selectedVideoFile = file;
+    clearDraftMedia();
     
     // Show preview
     videoPreviewUrl = URL.createObjectURL(file);
@@ -376,11 +449,10 @@ async function checkPostCooldown() {
         const lastPost = snapshot.docs[0].data();
         const lastPostTime = lastPost.createdAt?.toMillis?.() || 
                            (lastPost.createdAt?.seconds * 1000) || 0;
-        const cooldownMs = 90 * 1000; // 90 second cooldown
-        const timeSinceLastPost = Date.now() - lastPostTime;
+        const remainingMs = getCooldownRemainingMs(lastPostTime);
         
-        if (timeSinceLastPost < cooldownMs) {
-            const secondsRemaining = Math.ceil((cooldownMs - timeSinceLastPost) / 1000);
+        if (remainingMs > 0) {
+            const secondsRemaining = Math.ceil(remainingMs / 1000);
             alert(`Please wait ${secondsRemaining} seconds before posting again.`);
             return false;
         }
@@ -395,27 +467,19 @@ async function checkPostCooldown() {
 
 // Check for duplicate content
 async function checkDuplicateContent(content) {
-    if (!content || content.length < 10) return false; // Skip short posts
-    
     try {
-        // Check last 50 posts for similar content (recent spam check)
+        // Check recent posts for the same content (recent spam check)
         const recentPostsQuery = query(
             collection(db, 'posts'),
             where('deleted', '==', false),
             orderBy('createdAt', 'desc'),
-            limit(50)
+            limit(DUPLICATE_CHECK_LIMIT)
         );
         
         const snapshot = await getDocs(recentPostsQuery);
-        const contentLower = content.toLowerCase().trim();
-        
-        for (const doc of snapshot.docs) {
-            const postContent = doc.data().content?.toLowerCase().trim() || '';
-            // Check for exact match
-            if (postContent === contentLower && postContent.length >= 10) {
-                alert('You\'ve already posted this content recently. Please post something new.');
-                return true;
-            }
+        if (isDuplicateContent(content, snapshot.docs.map(postDoc => postDoc.data().content))) {
+            alert('You\'ve already posted this content recently. Please post something new.');
+            return true;
         }
         
         return false;
@@ -425,7 +489,83 @@ async function checkDuplicateContent(content) {
     }
 }
 
-// Handle post submission
+// Upload the selected image/video. Without new files, a draft loaded into the composer keeps
+// its media. Returns null (after telling the user) if an upload fails
+async function uploadComposerMedia() {
+    if (!selectedImageFile && !selectedVideoFile) {
+        return {
+            images: currentDraft?.images || [],
+            videos: currentDraft?.videos || []
+        };
+    }
+    
+    let imageUrl = '';
+    let videoUrl = '';
+    
+    // Upload image if selected
+    if (selectedImageFile) {
+        try {
+            // Create a unique filename
+            const timestamp = Date.now();
+            const fileName = `${currentUser.uid}_${timestamp}_${selectedImageFile.name}`;
+            const storageRef = ref(storage, `posts/${fileName}`);
+            
+            // Upload file
+            await uploadBytes(storageRef, selectedImageFile);
+            
+            // Get download URL
+            imageUrl = await getDownloadURL(storageRef);
+        } catch (uploadError) {
+            console.error('Error uploading image:', uploadError);
+            console.error('Upload error details:', {
+                code: uploadError.code,
+                message: uploadError.message,
+                fileName: selectedImageFile.name,
+                fileSize: selectedImageFile.size,
+                fileType: selectedImageFile.type
+            });
+            alert(`Failed to upload image: ${uploadError.message || 'Unknown error'}. Please try again.`);
+            return null;
+        }
+    }
+    
+    // Upload video if selected
+    if (selectedVideoFile) {
+        try {
+            // Create a unique filename
+            const timestamp = Date.now();
+            const fileName = `${currentUser.uid}_${timestamp}_${selectedVideoFile.name}`;
+            const storageRef = ref(storage, `posts/${fileName}`);
+            
+            // Upload file with explicit content type metadata
+            const metadata = {
+                contentType: 'video/mp4'
+            };
+            await uploadBytes(storageRef, selectedVideoFile, metadata);
+            
+            // Get download URL
+            videoUrl = await getDownloadURL(storageRef);
+        } catch (uploadError) {
+            console.error('Error uploading video:', uploadError);
+            console.error('Upload error details:', {
+                code: uploadError.code,
+                message: uploadError.message,
+                fileName: selectedVideoFile.name,
+                fileSize: selectedVideoFile.size,
+                fileType: selectedVideoFile.type
+            });
+            alert(`Failed to upload video: ${uploadError.message || 'Unknown error'}. Please try again.`);
+            return null;
+        }
+    }
+    
+    return {
+        images: imageUrl ? [imageUrl] : [],
+        videos: videoUrl ? [videoUrl] : []
+    };
+}
+
+// Handle post submission (posts now, or schedules the post when a publish time is set)
 async function handlePostSubmit(e) {
     e.preventDefault();
     
@@ -436,7 +576,7 @@ async function handlePostSubmit(e) {
     
     const content = postContentEl?.value.trim() || '';
     
-    if (!content && !selectedImageFile && !selectedVideoFile) {
+    if (!content && !selectedImageFile && !selectedVideoFile && !hasDraftMedia()) {
         alert('Please add some content, an image, or a video to your post');
         return;
     }
@@ -446,13 +586,22 @@ async function handlePostSubmit(e) {
         return;
     }
     
+    // Scheduled posts are checked for cooldown and duplicates when they're published
+    const scheduledFor = getScheduledDate();
+    if (scheduledFor) {
+        const scheduleError = validateScheduleTime(scheduledFor);
+        if (scheduleError) {
+            alert(scheduleError);
+            return;
+        }
+        await saveComposerDraft(content, scheduledFor);
+        return;
+    }
+    
     // Check cooldown
     const canPost = await checkPostCooldown();
     if (!canPost) {
-        if (postSubmitBtnEl) {
-            postSubmitBtnEl.disabled = false;
-            postSubmitBtnEl.textContent = 'Post';
-        }
+        resetSubmitButton();
         return;
     }
     
@@ -460,10 +609,7 @@ async function handlePostSubmit(e) {
     if (content) {
         const isDuplicate = await checkDuplicateContent(content);
         if (isDuplicate) {
-            if (postSubmitBtnEl) {
-                postSubmitBtnEl.disabled = false;
-                postSubmitBtnEl.textContent = 'Post';
-            }
+            resetSubmitButton();
             return;
         }
     }
@@ -475,122 +621,40 @@ async function handlePostSubmit(e) {
     }
     
     try {
-        let imageUrl = '';
-        let videoUrl = '';
-        
-        // Upload image if selected
-        if (selectedImageFile) {
-            try {
-                // Create a unique filename
-                const timestamp = Date.now();
-                const fileName = `${currentUser.uid}_${timestamp}_${selectedImageFile.name}`;
-                const storageRef = ref(storage, `posts/${fileName}`);
-                
-                // Upload file
-                await uploadBytes(storageRef, selectedImageFile);
-                
-                // Get download URL
-                imageUrl = await getDownloadURL(storageRef);
-            } catch (uploadError) {
-                console.error('Error uploading image:', uploadError);
-                console.error('Upload error details:', {
-                    code: uploadError.code,
-                    message: uploadError.message,
-                    fileName: selectedImageFile.name,
-                    fileSize: selectedImageFile.size,
-                    fileType: selectedImageFile.type
-                });
-                alert(`Failed to upload image: ${uploadError.message || 'Unknown error'}. Please try again.`);
-                if (postSubmitBtnEl) {
-                    postSubmitBtnEl.disabled = false;
-                    postSubmitBtnEl.textContent = 'Post';
-                }
-                return;
-            }
-        }
-        
-        // Upload video if selected
-        if (selectedVideoFile) {
-            try {
-                // Create a unique filename
-                const timestamp = Date.now();
-                const fileName = `${currentUser.uid}_${timestamp}_${selectedVideoFile.name}`;
-                const storageRef = ref(storage, `posts/${fileName}`);
-                
-                // Upload file with explicit content type metadata
-                const metadata = {
-                    contentType: 'video/mp4'
-                };
-                await uploadBytes(storageRef, selectedVideoFile, metadata);
-                
-                // Get download URL
-                videoUrl = await getDownloadURL(storageRef);
-            } catch (uploadError) {
-                console.error('Error uploading video:', uploadError);
-                console.error('Upload error details:', {
-                    code: uploadError.code,
-                    message: uploadError.message,
-                    fileName: selectedVideoFile.name,
-                    fileSize: selectedVideoFile.size,
-                    fileType: selectedVideoFile.type
-                });
-                alert(`Failed to upload video: ${uploadError.message || 'Unknown error'}. Please try again.`);
-                if (postSubmitBtnEl) {
-                    postSubmitBtnEl.disabled = false;
-                    postSubmitBtnEl.textContent = 'Post';
-                }
-                return;
-            }
-        }
+        const media = await uploadComposerMedia();
+        if (!media) return;
         
         // Prepare post data
         const postData = {
             userId: currentUser.uid,
             username: userProfile.username || 'Anonymous',
             content: content,
-            images: imageUrl ? [imageUrl] : [],
-            videos: videoUrl ? [videoUrl] : [],
-            upvotes: {},
-            downvotes: {},
+            images: media.images,
+            videos: media.videos,
             voteScore: 0,
+            upvoteCount: 0,
+            downvoteCount: 0,
             commentsCount: 0,
+            hotScore: 0, // Scored by the trending schedule (functions/trending.js)
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp(),
-            deleted: false
+            deleted: false,
+            archived: false, // Set by the archive schedule (functions/archive.js)
+            tags: extractTags(content)
         };
         
         // Add post to Firestore
         await addDoc(collection(db, 'posts'), postData);
         
-        // Update quest progress for daily post quest
-        try {
-            const { updateQuestProgress } = await import('/js/quests-init.js');
-            await updateQuestProgress('daily_post_1', 1);
-        } catch (error) {
-            // Quest module might not be loaded, ignore silently
+        // A draft that was posted by hand is done
+        const postedDraftId = currentDraft?.id;
+        if (postedDraftId) {
+            deleteDraft(currentUser.uid, postedDraftId)
+                .then(loadComposerDrafts)
+                .catch(error => console.warn('Error removing posted draft:', error));
         }
         
-        // Reset form
-        if (postContentEl) {
-            postContentEl.value = '';
-            // Reset textarea height
-            autoExpandTextarea.call(postContentEl);
-        }
-        if (postImageFileEl) postImageFileEl.value = '';
-        if (postVideoFileEl) postVideoFileEl.value = '';
-        selectedImageFile = null;
-        selectedVideoFile = null;
-        if (videoPreviewUrl) {
-            URL.revokeObjectURL(videoPreviewUrl);
-            videoPreviewUrl = null;
-        }
-        if (imagePreviewContainerEl) imagePreviewContainerEl.classList.add('hide');
-        if (videoPreviewContainerEl) videoPreviewContainerEl.classList.add('hide');
-        if (videoPreviewEl) {
-            videoPreviewEl.src = '';
-            videoPreviewEl.load();
-        }
-        updateCharCount();
+        resetComposer();
         
     } catch (error) {
         console.error('Error creating post:', error);
@@ -601,25 +665,259 @@ async function handlePostSubmit(e) {
         alert(`Failed to create post: ${error.message || 'Unknown error'}. Please try again.`);
     } finally {
         // Re-enable submit button
-        if (postSubmitBtnEl) {
-            postSubmitBtnEl.disabled = false;
-            postSubmitBtnEl.textContent = 'Post';
+        resetSubmitButton();
+    }
+}
+
+// A newly picked file replaces the media of a draft loaded into the composer
+function clearDraftMedia() {
+    if (!currentDraft) return;
+    if (currentDraft.images.length > 0 && !selectedImageFile && imagePreviewContainerEl) {
+        imagePreviewContainerEl.classList.add('hide');
+    }
+    if (currentDraft.videos.length > 0 && !selectedVideoFile && videoPreviewContainerEl) {
+        videoPreviewContainerEl.classList.add('hide');
+    }
+    currentDraft.images = [];
+    currentDraft.videos = [];
+}
+
+function hasDraftMedia() {
+    return !!(currentDraft?.images?.length || currentDraft?.videos?.length);
+}
+
+function resetSubmitButton() {
+    if (postSubmitBtnEl) {
+        postSubmitBtnEl.disabled = false;
+        postSubmitBtnEl.textContent = getScheduledDate() ? 'Schedule' : 'Post';
+    }
+}
+
+// Clear the composer after posting or saving a draft
+function resetComposer() {
+    if (postContentEl) {
+        postContentEl.value = '';
+        // Reset textarea height
+        autoExpandTextarea.call(postContentEl);
+    }
+    if (postImageFileEl) postImageFileEl.value = '';
+    if (postVideoFileEl) postVideoFileEl.value = '';
+    selectedImageFile = null;
+    selectedVideoFile = null;
+    currentDraft = null;
+    if (videoPreviewUrl) {
+        URL.revokeObjectURL(videoPreviewUrl);
+        videoPreviewUrl = null;
+    }
+    if (imagePreviewContainerEl) imagePreviewContainerEl.classList.add('hide');
+    if (videoPreviewContainerEl) videoPreviewContainerEl.classList.add('hide');
+    if (videoPreviewEl) {
+        videoPreviewEl.src = '';
+        videoPreviewEl.load();
+    }
+    setScheduleVisible(false);
+    updateCharCount();
+}
+
+// Publish time picked in the composer, or null to post now
+function getScheduledDate() {
+    if (!postScheduleRowEl || postScheduleRowEl.classList.contains('hide') || !postScheduleInputEl?.value) {
+        return null;
+    }
+    return new Date(postScheduleInputEl.value);
+}
+
+// Value for a datetime-local input (local time, minutes precision)
+function toDateTimeLocalValue(date) {
+    const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+// Show the publish time picker (defaults to an hour from now) or hide it to post now
+function setScheduleVisible(visible, date = null) {
+    if (!postScheduleRowEl || !postScheduleInputEl) return;
+    
+    postScheduleRowEl.classList.toggle('hide', !visible);
+    postScheduleInputEl.min = toDateTimeLocalValue(new Date());
+    postScheduleInputEl.value = visible ? toDateTimeLocalValue(date || new Date(Date.now() + 60 * 60 * 1000)) : '';
+    resetSubmitButton();
+}
+
+// Save the composer as a draft (scheduledFor null) or a scheduled post
+async function saveComposerDraft(content, scheduledFor) {
+    if (!currentUser) return;
+    
+    if (!content && !selectedImageFile && !selectedVideoFile && !hasDraftMedia()) {
+        alert('Please add some content, an image, or a video first');
+        return;
+    }
+    
+    if (!currentDraft && drafts.length >= MAX_DRAFTS) {
+        alert(`You can keep up to ${MAX_DRAFTS} drafts and scheduled posts. Delete one to save a new one.`);
+        return;
+    }
+    
+    if (postSubmitBtnEl) {
+        postSubmitBtnEl.disabled = true;
+        postSubmitBtnEl.textContent = 'Saving...';
+    }
+    if (saveDraftBtnEl) saveDraftBtnEl.disabled = true;
+    
+    try {
+        const media = await uploadComposerMedia();
+        if (!media) return;
+        
+        await saveDraft(currentUser.uid, {
+            id: currentDraft?.id,
+            content,
+            images: media.images,
+            videos: media.videos,
+            scheduledFor,
+            createdAt: currentDraft?.createdAt
+        });
+        
+        showToast(scheduledFor ? `Post scheduled for ${scheduledFor.toLocaleString()}` : 'Draft saved');
+        resetComposer();
+        await loadComposerDrafts();
+    } catch (error) {
+        console.error('Error saving draft:', error);
+        alert(`Failed to save: ${error.message || 'Unknown error'}. Please try again.`);
+    } finally {
+        resetSubmitButton();
+        if (saveDraftBtnEl) saveDraftBtnEl.disabled = false;
+    }
+}
+
+// Save draft button - keeps the post as an unscheduled draft
+function handleSaveDraft() {
+    const content = postContentEl?.value.trim() || '';
+    if (content.length > 2000) {
+        alert('Post content must be 2000 characters or less');
+        return;
+    }
+    saveComposerDraft(content, null);
+}
+
+// Load the user's drafts and scheduled posts under the composer
+async function loadComposerDrafts() {
+    if (!currentUser || !postDraftsListEl) return;
+    
+    try {
+        drafts = await loadDrafts(currentUser.uid);
+    } catch (error) {
+        console.warn('Error loading drafts:', error);
+        drafts = [];
+    }
+    renderDraftsList();
+}
+
+function renderDraftsList() {
+    if (!postDraftsListEl) return;
+    
+    if (postDraftsCountEl) {
+        postDraftsCountEl.textContent = drafts.length;
+    }
+    
+    if (drafts.length === 0) {
+        postDraftsListEl.innerHTML = '<div class="post-drafts-empty">No drafts or scheduled posts.</div>';
+        return;
+    }
+    
+    postDraftsListEl.innerHTML = drafts.map((draft) => {
+        const scheduledFor = draft.scheduledFor?.toDate ? draft.scheduledFor.toDate() : null;
+        const status = draft.status === 'scheduled' && scheduledFor
+            ? `🕒 ${scheduledFor.toLocaleString()}`
+            : draft.status === 'failed' ? '⚠️ Failed' : '📝 Draft';
+        const text = draft.content
+            ? (draft.content.length > 80 ? `${draft.content.substring(0, 79)}…` : draft.content)
+            : (draft.images?.length ? '(image)' : draft.videos?.length ? '(video)' : '(empty)');
+        const failure = draft.status === 'failed'
+            ? (DRAFT_FAILURE_REASONS[draft.failureReason] || 'Not published')
+            : '';
+        
+        return `
+            <div class="post-draft-item${currentDraft?.id === draft.id ? ' editing' : ''}" data-draft-id="${draft.id}">
+                <div class="post-draft-info">
+                    <span class="post-draft-status post-draft-status-${escapeHtml(draft.status || 'draft')}">${status}</span>
+                    <span class="post-draft-text">${escapeHtml(text)}</span>
+                    ${failure ? `<span class="post-draft-error">${escapeHtml(failure)}</span>` : ''}
+                </div>
+                <div class="post-draft-actions">
+                    <button type="button" class="post-draft-action" data-draft-action="edit">Edit</button>
+                    <button type="button" class="post-draft-action post-draft-delete" data-draft-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function handleDraftListClick(e) {
+    const actionBtn = e.target.closest('[data-draft-action]');
+    const draftId = actionBtn?.closest('.post-draft-item')?.dataset.draftId;
+    const draft = drafts.find(d => d.id === draftId);
+    if (!actionBtn || !draft || !currentUser) return;
+    
+    if (actionBtn.dataset.draftAction === 'edit') {
+        loadDraftIntoComposer(draft);
+        return;
+    }
+    
+    if (!confirm(draft.status === 'scheduled' ? 'Cancel this scheduled post?' : 'Delete this draft?')) return;
+    try {
+        await deleteDraft(currentUser.uid, draft.id);
+        if (currentDraft?.id === draft.id) {
+            resetComposer();
         }
+        showToast(draft.status === 'scheduled' ? 'Scheduled post cancelled' : 'Draft deleted');
+        await loadComposerDrafts();
+    } catch (error) {
+        console.error('Error deleting draft:', error);
+        showToast('Failed to delete draft. Please try again.');
+    }
+}
+
+// Put a draft back in the composer; posting or saving it replaces the draft
+function loadDraftIntoComposer(draft) {
+    resetComposer();
+    currentDraft = {
+        id: draft.id,
+        createdAt: draft.createdAt,
+        images: draft.images || [],
+        videos: draft.videos || []
+    };
+    
+    if (postContentEl) {
+        postContentEl.value = draft.content || '';
+        autoExpandTextarea.call(postContentEl);
+    }
+    if (currentDraft.images.length > 0 && imagePreviewEl && imagePreviewContainerEl) {
+        imagePreviewEl.src = currentDraft.images[0];
+        imagePreviewContainerEl.classList.remove('hide');
+    } else if (currentDraft.videos.length > 0 && videoPreviewEl && videoPreviewContainerEl) {
+        videoPreviewEl.src = currentDraft.videos[0];
+        videoPreviewContainerEl.classList.remove('hide');
+    }
+    
+    const scheduledFor = draft.scheduledFor?.toDate ? draft.scheduledFor.toDate() : null;
+    if (draft.status === 'scheduled' && scheduledFor) {
+        setScheduleVisible(true, scheduledFor);
     }
+    
+    updateCharCount();
+    renderDraftsList();
+    postCreateSectionEl?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    postContentEl?.focus();
 }
 
 // Load posts
 function loadPosts() {
     if (!postsFeedEl) return;
     
-    // Check for post parameter in URL for scrolling
-    const urlParams = new URLSearchParams(window.location.search);
-    const postParam = urlParams.get('post');
+    // Old share links (/feed/?post=ID) open the post's own page
+    const postParam = new URLSearchParams(window.location.search).get('post');
     if (postParam) {
-        // Clear URL parameter after reading
-        window.history.replaceState({}, '', window.location.pathname);
-        // Will scroll after posts are rendered
-        setTimeout(() => scrollToPost(postParam), 1000);
+        window.location.replace(getPostPath(postParam));
+        return;
     }
     
     // Clear existing listener
@@ -645,47 +943,46 @@ function loadPosts() {
     }
 }
 
-// Calculate hot score for trending algorithm
-function calculateHotScore(voteScore, comments, createdAt) {
-    const createdAtMs = createdAt?.toMillis?.() || (createdAt?.seconds * 1000) || Date.now();
-    const hoursSincePost = (Date.now() - createdAtMs) / (1000 * 60 * 60);
-    const commentWeight = 1.5; // Comments count 1.5x more than votes
-    const gravity = 1.8; // How quickly posts lose momentum
-    const timeOffset = 2; // Prevents division by zero for brand new posts
-    const engagement = voteScore + ((comments || 0) * commentWeight);
-    const hotScore = engagement / Math.pow(hoursSincePost + timeOffset, gravity);
-    return hotScore;
+// Next page of the trending feed, ranked by the stored hotScore
+// (computed every 15 minutes by functions/trending.js, formula in js/hot-score.js). Only scored
+// posts are paged: the schedule zeroes posts outside the window and from authors below
+// MIN_TRENDING_KARMA, and functions/archive.js zeroes archived ones
+async function fetchTrendingPage() {
+    const constraints = [
+        where('deleted', '==', false),
+        where('hotScore', '>', 0),
+        orderBy('hotScore', 'desc')
+    ];
+    if (feedCursor) {
+        constraints.push(startAfter(feedCursor));
+    }
+    constraints.push(limit(TRENDING_PAGE_SIZE));
+    
+    const snapshot = await getDocs(query(collection(db, 'posts'), ...constraints));
+    if (!snapshot.empty) {
+        feedCursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+    hasMorePosts = snapshot.size === TRENDING_PAGE_SIZE;
+    return filterArchivedPosts(snapshot.docs);
 }
 
-// Load trending feed (with pagination)
+// Load trending feed (with cursor pagination)
 async function loadTrendingFeed() {
+    feedCursor = null;
+    hasMorePosts = false;
+    
     try {
         isLoadingMore = true;
         
-        // Fetch posts (get more to allow for filtering and sorting)
-        let postsQuery;
         try {
-            postsQuery = query(
-                collection(db, 'posts'),
-                where('deleted', '==', false),
-                orderBy('createdAt', 'desc'),
-                limit(50) // Fetch batch for filtering and sorting
-            );
-            
-            const snapshot = await getDocs(postsQuery);
-            
-            // Filter and sort posts by hot score
-            const filteredDocs = await filterAndSortPosts(snapshot.docs);
-            
-            // Store all sorted posts
-            allSortedPosts = filteredDocs;
+            allSortedPosts = await fetchTrendingPage();
             displayedPostCount = 0;
             
             // Display first 5 posts
             await displayNextPosts(5);
             
         } catch (indexError) {
-            // If index error, use fallback query
+            // If index error (index still building), show the latest posts instead
             if (indexError.code === 'failed-precondition' || indexError.message.includes('index')) {
                 try {
                     const fallbackQuery = query(
@@ -700,8 +997,7 @@ async function loadTrendingFeed() {
                         return !data.deleted || data.deleted === false;
                     });
                     
-                    const filteredDocs = await filterAndSortPosts(nonDeletedDocs);
-                    allSortedPosts = filteredDocs;
+                    allSortedPosts = filterArchivedPosts(nonDeletedDocs);
                     displayedPostCount = 0;
                     
                     displayNextPosts(5);
@@ -721,117 +1017,32 @@ async function loadTrendingFeed() {
     }
 }
 
-// Filter posts by karma and sort by hot score
-async function filterAndSortPosts(postDocs) {
-    // Filter out posts from users with very negative karma
-    const filteredDocs = [];
-    for (const doc of postDocs) {
-        const postData = doc.data();
-        try {
-            const userDoc = await getDoc(doc(db, 'users', postData.userId));
-            if (userDoc.exists()) {
-                const userData = userDoc.data();
-                const userKarma = userData.karma || 0;
-                // Allow posts from users with karma >= -10 (filter out heavy spammers)
-                if (userKarma >= -10) {
-                    filteredDocs.push({ doc, userKarma });
-                }
-            } else {
-                // If user doesn't exist, allow the post (new user)
-                filteredDocs.push({ doc, userKarma: 0 });
-            }
-        } catch (error) {
-            // If error loading user data, allow the post
-            filteredDocs.push({ doc, userKarma: 0 });
-        }
-    }
-    
-    // Sort by hot score (voteScore weighted by time)
-    filteredDocs.sort((a, b) => {
-        const aData = a.doc.data();
-        const bData = b.doc.data();
-        const aHotScore = calculateHotScore(aData.voteScore || 0, aData.commentsCount || 0, aData.createdAt);
-        const bHotScore = calculateHotScore(bData.voteScore || 0, bData.commentsCount || 0, bData.createdAt);
-        return bHotScore - aHotScore; // Descending order
-    });
-    
-    // Return just the docs
-    return filteredDocs.map(item => item.doc);
+// Archived posts (functions/archive.js) stay on profiles only
+function filterArchivedPosts(postDocs) {
+    return postDocs.filter(postDoc => !isArchived(postDoc.data()));
 }
 
-// Load following feed - posts from users you follow
+// Next page of the following feed from the user's timeline (filled by functions/timelines.js)
+async function fetchFollowingPage() {
+    const page = await fetchTimelinePage(currentUser.uid, feedCursor);
+    feedCursor = page.cursor;
+    hasMorePosts = page.hasMore;
+    return filterArchivedPosts(page.postDocs);
+}
+
+// Load following feed - posts from users you follow (with cursor pagination)
 async function loadFollowingFeed() {
+    feedCursor = null;
+    hasMorePosts = false;
+    
     if (!currentUser) {
         postsFeedEl.innerHTML = '<div class="posts-empty">no apes your following have posted...</div>';
         return;
     }
     
     try {
-        // Get list of users you're following
-        const followingRef = collection(db, 'following', currentUser.uid, 'following');
-        const followingSnapshot = await getDocs(followingRef);
-        
-        if (followingSnapshot.empty) {
-            postsFeedEl.innerHTML = '<div class="posts-empty">no apes your following have posted...</div>';
-            return;
-        }
-        
-        const followingUserIds = [];
-        followingSnapshot.forEach((doc) => {
-            followingUserIds.push(doc.id);
-        });
-        
-        if (followingUserIds.length === 0) {
-            postsFeedEl.innerHTML = '<div class="posts-empty">no apes your following have posted...</div>';
-            return;
-        }
-        
-        // Fetch posts from each user you follow
-        // Note: Firestore 'in' query is limited to 10 items, so we need to batch
-        const BATCH_SIZE = 10;
-        const allPostDocs = [];
-        
-        for (let i = 0; i < followingUserIds.length; i += BATCH_SIZE) {
-            const batch = followingUserIds.slice(i, i + BATCH_SIZE);
-            
-            try {
-                const postsQuery = query(
-                    collection(db, 'posts'),
-                    where('userId', 'in', batch),
-                    where('deleted', '==', false),
-                    orderBy('createdAt', 'desc'),
-                    limit(50) // Limit per batch to avoid too many reads
-                );
-                
-                const postsSnapshot = await getDocs(postsQuery);
-                allPostDocs.push(...postsSnapshot.docs);
-            } catch (batchError) {
-                console.error(`[loadFollowingFeed] Error fetching batch ${i}-${i + BATCH_SIZE}:`, batchError);
-                // Try fallback: query without orderBy if index doesn't exist
-                try {
-                    const fallbackQuery = query(
-                        collection(db, 'posts'),
-                        where('userId', 'in', batch),
-                        where('deleted', '==', false),
-                        limit(100)
-                    );
-                    const fallbackSnapshot = await getDocs(fallbackQuery);
-                    allPostDocs.push(...fallbackSnapshot.docs);
-                } catch (fallbackError) {
-                    console.error(`[loadFollowingFeed] Fallback query also failed for batch:`, fallbackError);
-                }
-            }
-        }
-        
-        // Sort by createdAt (newest first)
-        allPostDocs.sort((a, b) => {
-            const timeA = a.data().createdAt?.toMillis?.() || a.data().createdAt?.seconds * 1000 || 0;
-            const timeB = b.data().createdAt?.toMillis?.() || b.data().createdAt?.seconds * 1000 || 0;
-            return timeB - timeA;
-        });
-        
-        // Store all posts for pagination
-        allSortedPosts = allPostDocs;
+        isLoadingMore = true;
+        allSortedPosts = await fetchFollowingPage();
         displayedPostCount = 0;
         
         // Display first 5 posts
@@ -844,6 +1055,8 @@ async function loadFollowingFeed() {
     } catch (error) {
         console.error('[loadFollowingFeed] Error loading following feed:', error);
         postsFeedEl.innerHTML = '<div class="posts-error">Error loading following feed. Please refresh the page.</div>';
+    } finally {
+        isLoadingMore = false;
     }
 }
 
@@ -864,9 +1077,8 @@ function setupFallbackPostsListener() {
                     const data = doc.data();
                     return !data.deleted || data.deleted === false;
                 });
-                // Filter and sort by hot score, then limit to 50
-                const filteredDocs = await filterAndSortPosts(nonDeletedDocs);
-                renderPosts(filteredDocs.slice(0, 50));
+                // Drop archived posts, then limit to 50
+                renderPosts(filterArchivedPosts(nonDeletedDocs).slice(0, 50));
             },
             (error) => {
                 console.error('Error loading posts:', error);
@@ -952,8 +1164,8 @@ async function displayNextPosts(count = 5) {
     // Update displayed count
     displayedPostCount += postsToDisplay.length;
     
-    // Add "Load More" button if there are more posts
-    if (displayedPostCount < allSortedPosts.length) {
+    // Add "Load More" button if there are more posts (fetched, or on the next page)
+    if (displayedPostCount < allSortedPosts.length || hasMorePosts) {
         addLoadMoreButton();
     }
     
@@ -1000,7 +1212,7 @@ function handleLoadMore() {
         loadMoreBtn.textContent = 'Loading...';
     }
     
-    displayNextPosts(5).then(() => {
+    loadMorePosts().then(() => {
         if (loadMoreBtn) {
             loadMoreBtn.disabled = false;
             loadMoreBtn.textContent = 'Load More';
@@ -1008,6 +1220,22 @@ function handleLoadMore() {
     });
 }
 
+// Show the next 5 posts, fetching the next page of the current feed when the fetched posts run out
+async function loadMorePosts() {
+    if (hasMorePosts && displayedPostCount + 5 > allSortedPosts.length) {
+        try {
+            isLoadingMore = true;
+            const nextPage = currentFeedType === 'following' ? await fetchFollowingPage() : await fetchTrendingPage();
+            allSortedPosts = allSortedPosts.concat(nextPage);
+        } catch (error) {
+            console.error('Error loading more posts:', error);
+        } finally {
+            isLoadingMore = false;
+        }
+    }
+    await displayNextPosts(5);
+}
+
 // Render posts (kept for compatibility, but uses displayNextPosts internally)
 async function renderPosts(postDocs) {
     allSortedPosts = postDocs;
@@ -1034,8 +1262,6 @@ function renderPost(post) {
     const timeAgo = getTimeAgo(createdAt);
     const userLevel = post.userData?.level || 1;
     const bannerImage = post.userData?.bannerImage || '/pfp_apes/bg1.png';
-    const hasUpvote = currentUser && post.upvotes && post.upvotes[currentUser.uid] === true;
-    const hasDownvote = currentUser && post.downvotes && post.downvotes[currentUser.uid] === true;
     const voteScore = post.voteScore || 0;
     const canDelete = currentUser && post.userId === currentUser.uid;
     
@@ -1047,7 +1273,7 @@ function renderPost(post) {
     
     // Check if post was edited
     const editedAt = post.editedAt?.toDate ? post.editedAt.toDate() : (post.editedAt?.seconds ? new Date(post.editedAt.seconds * 1000) : null);
-    const editedIndicator = editedAt ? `<span class="post-edited-indicator">edited ${getTimeAgo(editedAt)}</span>` : '';
+    const editedIndicator = editedAt ? `<button type="button" class="post-edited-indicator edit-history-btn" data-post-id="${post.id}" title="View edit history">edited ${getTimeAgo(editedAt)}</button>` : '';
     
     // Check if user can report (authenticated and not post author)
     const canReport = currentUser && post.userId !== currentUser.uid;
@@ -1071,7 +1297,7 @@ function renderPost(post) {
             </div>
             
             <div class="post-content">
-                ${post.content ? `<p class="post-text">${escapeHtml(post.content).replace(/\n/g, '<br>')}</p>` : ''}
+                ${post.content ? `<p class="post-text">${linkifyTags(escapeHtml(post.content).replace(/\n/g, '<br>'))}</p>` : ''}
                 
                 ${post.images && post.images.length > 0 ? `
                     <div class="post-images">
@@ -1092,11 +1318,11 @@ function renderPost(post) {
             
             <div class="post-actions">
                 <div class="post-vote-section">
-                    <button class="post-vote-btn upvote-btn ${hasUpvote ? 'voted' : ''}" data-post-id="${post.id}" data-vote-type="upvote" title="Upvote">
+                    <button class="post-vote-btn upvote-btn" data-post-id="${post.id}" data-vote-type="upvote" title="Upvote">
                         <span class="post-vote-icon">↑</span>
                     </button>
                     <span class="post-vote-score" data-post-id="${post.id}">${voteScore}</span>
-                    <button class="post-vote-btn downvote-btn ${hasDownvote ? 'voted' : ''}" data-post-id="${post.id}" data-vote-type="downvote" title="Downvote">
+                    <button class="post-vote-btn downvote-btn" data-post-id="${post.id}" data-vote-type="downvote" title="Downvote">
                         <span class="post-vote-icon">↓</span>
                     </button>
                 </div>
@@ -1118,6 +1344,12 @@ function renderPost(post) {
             </div>
             
             <div class="post-comments-section hide" id="commentsSection_${post.id}">
+                <div class="post-comments-toolbar">
+                    <label class="post-comments-sort-label" for="commentsSort_${post.id}">Sort by</label>
+                    <select class="post-comments-sort" id="commentsSort_${post.id}" data-post-id="${post.id}">
+                        ${COMMENT_SORTS.map(sort => `<option value="${sort}">${sort.charAt(0).toUpperCase()}${sort.slice(1)}</option>`).join('')}
+                    </select>
+                </div>
                 <div class="post-comments-list" id="commentsList_${post.id}"></div>
                 ${currentUser ? `
                     <div class="post-comment-input-wrapper">
@@ -1175,6 +1407,7 @@ function setupPostEventListeners(postId, post) {
         if (downvoteBtn) {
             downvoteBtn.addEventListener('click', () => handleVote(postId, 'downvote'));
         }
+        showUserVote(postId, currentUser.uid, upvoteBtn, downvoteBtn);
     } else {
         // Show login prompt for vote buttons
         const upvoteBtn = document.querySelector(`.upvote-btn[data-post-id="${postId}"]`);
@@ -1216,6 +1449,12 @@ function setupPostEventListeners(postId, post) {
         });
     }
     
+    // Comment sort (best/new/top)
+    const commentsSort = document.getElementById(`commentsSort_${postId}`);
+    if (commentsSort) {
+        commentsSort.addEventListener('change', () => loadComments(postId));
+    }
+    
     // Comment submit (only if logged in)
     if (currentUser) {
         const commentSubmit = document.querySelector(`.post-comment-submit[data-post-id="${postId}"]`);
@@ -1248,6 +1487,15 @@ function setupPostEventListeners(postId, post) {
         shareBtn.addEventListener('click', () => handleSharePost(postId));
     }
     
+    // Edited marker - opens the revision history
+    const historyBtn = document.querySelector(`.edit-history-btn[data-post-id="${postId}"]`);
+    if (historyBtn) {
+        historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showEditHistory(doc(db, 'posts', postId), 'content', 'createdAt');
+        });
+    }
+    
     // Report button
     const reportBtn = document.querySelector(`.report-btn[data-post-id="${postId}"]`);
     if (reportBtn) {
@@ -1268,114 +1516,22 @@ async function handleVote(postId, voteType) {
     }
     
     try {
-        const postRef = doc(db, 'posts', postId);
-        const postDoc = await getDoc(postRef);
-        
-        if (!postDoc.exists()) {
-            console.error('Post not found');
-            return;
-        }
-        
-        const postData = postDoc.data();
-        const upvotes = postData.upvotes || {};
-        const downvotes = postData.downvotes || {};
-        const currentVoteScore = postData.voteScore || 0;
-        
-        // Check current vote state
-        const hasUpvote = upvotes[currentUser.uid] === true;
-        const hasDownvote = downvotes[currentUser.uid] === true;
-        
-        // Calculate vote change
-        let voteChange = 0;
-        const newUpvotes = { ...upvotes };
-        const newDownvotes = { ...downvotes };
-        
-        if (voteType === 'upvote') {
-            if (hasUpvote) {
-                // Remove upvote
-                delete newUpvotes[currentUser.uid];
-                voteChange = -1;
-            } else {
-                // Add upvote, remove downvote if exists
-                newUpvotes[currentUser.uid] = true;
-                if (hasDownvote) {
-                    delete newDownvotes[currentUser.uid];
-                    voteChange = 2; // +1 for upvote, +1 for removing downvote
-                } else {
-                    voteChange = 1;
-                }
-            }
-        } else { // downvote
-            if (hasDownvote) {
-                // Remove downvote
-                delete newDownvotes[currentUser.uid];
-                voteChange = 1;
-            } else {
-                // Add downvote, remove upvote if exists
-                newDownvotes[currentUser.uid] = true;
-                if (hasUpvote) {
-                    delete newUpvotes[currentUser.uid];
-                    voteChange = -2; // -1 for downvote, -1 for removing upvote
-                } else {
-                    voteChange = -1;
-                }
-            }
-        }
-        
-        const newVoteScore = currentVoteScore + voteChange;
-        
-        // Update post
-        await updateDoc(postRef, {
-            upvotes: newUpvotes,
-            downvotes: newDownvotes,
-            voteScore: newVoteScore,
-            updatedAt: serverTimestamp()
-        });
+        // Only the vote doc is written; the post's score and the author's karma are
+        // updated by Cloud Functions (functions/votes.js)
+        const { previous, value } = await togglePostVote(postId, currentUser.uid, voteType);
         
         // Update UI immediately
         const voteScoreEl = document.querySelector(`.post-vote-score[data-post-id="${postId}"]`);
         if (voteScoreEl) {
-            voteScoreEl.textContent = newVoteScore;
+            voteScoreEl.textContent = (parseInt(voteScoreEl.textContent, 10) || 0) + value - previous;
         }
         
         // Update button states
-        const upvoteBtn = document.querySelector(`.upvote-btn[data-post-id="${postId}"]`);
-        const downvoteBtn = document.querySelector(`.downvote-btn[data-post-id="${postId}"]`);
-        if (upvoteBtn) {
-            if (newUpvotes[currentUser.uid]) {
-                upvoteBtn.classList.add('voted');
-            } else {
-                upvoteBtn.classList.remove('voted');
-            }
-        }
-        if (downvoteBtn) {
-            if (newDownvotes[currentUser.uid]) {
-                downvoteBtn.classList.add('voted');
-            } else {
-                downvoteBtn.classList.remove('voted');
-            }
-        }
-        
-        // Update karma for post author (if not voting on own post)
-        if (postData.userId !== currentUser.uid) {
-            try {
-                const authorRef = doc(db, 'users', postData.userId);
-                const authorDoc = await getDoc(authorRef);
-                
-                if (authorDoc.exists()) {
-                    const authorData = authorDoc.data();
-                    const currentKarma = authorData.karma || 0;
-                    const newKarma = currentKarma + voteChange;
-                    
-                    await updateDoc(authorRef, {
-                        karma: newKarma
-                    });
-                }
-            } catch (karmaError) {
-                console.error('Error updating karma:', karmaError);
-                // Don't fail the vote if karma update fails
-            }
-        }
+        setVoteButtonState(
+            document.querySelector(`.upvote-btn[data-post-id="${postId}"]`),
+            document.querySelector(`.downvote-btn[data-post-id="${postId}"]`),
+            value
+        );
         
     } catch (error) {
         console.error('Error voting:', error);
@@ -1383,93 +1539,24 @@ async function handleVote(postId, voteType) {
     }
 }
 
-// Load comments for a post
+// Load comments for a post (threaded; deleted comments are kept as placeholders for their replies)
 async function loadComments(postId) {
     const commentsListEl = document.getElementById(`commentsList_${postId}`);
     if (!commentsListEl) return;
     
     try {
-        let commentsSnapshot;
-        
-        try {
-            // Try with composite query first (requires index: deleted, createdAt)
-            const commentsQuery = query(
-                collection(db, 'posts', postId, 'comments'),
-                where('deleted', '==', false),
-                orderBy('createdAt', 'asc')
-            );
-            
-            commentsSnapshot = await getDocs(commentsQuery);
-        } catch (indexError) {
-            console.warn('Index not found for comments, using fallback query:', indexError);
-            // Fallback: simpler query, filter and sort in JavaScript
-            try {
-                const commentsQuery = query(
-                    collection(db, 'posts', postId, 'comments'),
-                    where('deleted', '==', false)
-                );
-                
-                commentsSnapshot = await getDocs(commentsQuery);
-                
-                // Sort by createdAt in JavaScript
-                const commentsArray = Array.from(commentsSnapshot.docs);
-                commentsArray.sort((a, b) => {
-                    const aData = a.data();
-                    const bData = b.data();
-                    const aTime = aData.createdAt?.toMillis ? aData.createdAt.toMillis() : (aData.createdAt?.seconds * 1000 || 0);
-                    const bTime = bData.createdAt?.toMillis ? bData.createdAt.toMillis() : (bData.createdAt?.seconds * 1000 || 0);
-                    return aTime - bTime; // ASC order
-                });
-                
-                // Create a new QuerySnapshot-like object with sorted docs
-                commentsSnapshot = {
-                    docs: commentsArray,
-                    empty: commentsArray.length === 0,
-                    size: commentsArray.length,
-                    forEach: (callback) => commentsArray.forEach(callback),
-                    query: commentsSnapshot.query
-                };
-            } catch (fallbackError) {
-                console.error('Fallback query also failed:', fallbackError);
-                // Final fallback: get all comments and filter/sort in JavaScript
-                const allCommentsQuery = query(
-                    collection(db, 'posts', postId, 'comments')
-                );
-                
-                commentsSnapshot = await getDocs(allCommentsQuery);
-                
-                // Filter and sort in JavaScript
-                const commentsArray = Array.from(commentsSnapshot.docs)
-                    .filter(doc => {
-                        const data = doc.data();
-                        return data.deleted !== true;
-                    })
-                    .sort((a, b) => {
-                        const aData = a.data();
-                        const bData = b.data();
-                        const aTime = aData.createdAt?.toMillis ? aData.createdAt.toMillis() : (aData.createdAt?.seconds * 1000 || 0);
-                        const bTime = bData.createdAt?.toMillis ? bData.createdAt.toMillis() : (bData.createdAt?.seconds * 1000 || 0);
-                        return aTime - bTime; // ASC order
-                    });
-                
-                commentsSnapshot = {
-                    docs: commentsArray,
-                    empty: commentsArray.length === 0,
-                    size: commentsArray.length,
-                    forEach: (callback) => commentsArray.forEach(callback),
-                    query: commentsSnapshot.query
-                };
-            }
-        }
-        
-        if (commentsSnapshot.empty) {
-            commentsListEl.innerHTML = '<div class="post-comments-empty">No comments yet</div>';
-            return;
-        }
+        const commentsQuery = query(
+            collection(db, 'posts', postId, 'comments'),
+            orderBy('createdAt', 'asc')
+        );
+        const commentsSnapshot = await getDocs(commentsQuery);
         
         // Get user data for comments
         const comments = await Promise.all(commentsSnapshot.docs.map(async (commentDoc) => {
             const commentData = commentDoc.data();
+            if (commentData.deleted === true) {
+                return { id: commentDoc.id, ...commentData, userData: null };
+            }
             try {
                 const userDoc = await getDoc(doc(db, 'users', commentData.userId));
                 const userData = userDoc.exists() ? userDoc.data() : null;
@@ -1487,43 +1574,12 @@ async function loadComments(postId) {
             }
         }));
         
-        commentsListEl.innerHTML = comments.map(comment => renderComment(comment, postId)).join('');
-        
-        // Set up profile navigation for comment authors
-        comments.forEach(comment => {
-            if (comment.userId) {
-                const commentEl = document.querySelector(`.post-comment[data-comment-id="${comment.id}"]`);
-                if (commentEl) {
-                    const avatar = commentEl.querySelector('.comment-author-avatar');
-                    const authorName = commentEl.querySelector('.comment-author');
-                    
-                    const navigateToProfile = (e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
-                        window.location.href = `/profile/?user=${comment.userId}`;
-                    };
-                    
-                    if (avatar) {
-                        avatar.style.cursor = 'pointer';
-                        avatar.addEventListener('click', navigateToProfile);
-                    }
-                    
-                    if (authorName) {
-                        authorName.style.cursor = 'pointer';
-                        authorName.addEventListener('click', navigateToProfile);
-                    }
-                }
-            }
-        });
-        
-        // Set up delete listeners for comments
-        comments.forEach(comment => {
-            if (currentUser && comment.userId === currentUser.uid) {
-                const deleteBtn = document.querySelector(`.comment-delete-btn[data-comment-id="${comment.id}"]`);
-                if (deleteBtn) {
-                    deleteBtn.addEventListener('click', () => handleDeleteComment(postId, comment.id));
-                }
-            }
+        renderCommentThreads(commentsListEl, comments, {
+            renderComment: comment => renderComment(comment, postId),
+            sort: document.getElementById(`commentsSort_${postId}`)?.value || 'best',
+            canReply: !!currentUser,
+            onReply: (parent, replyInputEl) => handleAddComment(postId, replyInputEl, parent),
+            onRender: () => setupCommentListeners(commentsListEl, postId, comments)
         });
         
     } catch (error) {
@@ -1532,6 +1588,48 @@ async function loadComments(postId) {
     }
 }
 
+// Profile links, delete buttons and votes for the rendered comments of a post
+function setupCommentListeners(commentsListEl, postId, comments) {
+    // Set up profile navigation for comment authors
+    comments.forEach(comment => {
+        if (comment.userId) {
+            const commentEl = commentsListEl.querySelector(`.post-comment[data-comment-id="${comment.id}"]`);
+            if (commentEl) {
+                const avatar = commentEl.querySelector('.comment-author-avatar');
+                const authorName = commentEl.querySelector('.comment-author');
+                
+                const navigateToProfile = (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    window.location.href = `/profile/?user=${comment.userId}`;
+                };
+                
+                if (avatar) {
+                    avatar.style.cursor = 'pointer';
+                    avatar.addEventListener('click', navigateToProfile);
+                }
+                
+                if (authorName) {
+                    authorName.style.cursor = 'pointer';
+                    authorName.addEventListener('click', navigateToProfile);
+                }
+            }
+        }
+    });
+    
+    // Set up delete listeners for comments
+    comments.forEach(comment => {
+        if (currentUser && comment.userId === currentUser.uid) {
+            const deleteBtn = commentsListEl.querySelector(`.comment-delete-btn[data-comment-id="${comment.id}"]`);
+            if (deleteBtn) {
+                deleteBtn.addEventListener('click', () => handleDeleteComment(postId, comment.id));
+            }
+        }
+    });
+    
+    setupCommentVoteButtons(commentsListEl, postId, currentUser ? currentUser.uid : null);
+}
+
 // Render comment
 function renderComment(comment, postId) {
     const createdAt = comment.createdAt?.toDate ? comment.createdAt.toDate() : new Date(comment.createdAt?.seconds * 1000 || Date.now());
@@ -1549,13 +1647,14 @@ function renderComment(comment, postId) {
                     ${canDelete ? `<button class="comment-delete-btn" data-comment-id="${comment.id}" title="Delete comment">×</button>` : ''}
                 </div>
                 <div class="comment-text">${escapeHtml(comment.content).replace(/\n/g, '<br>')}</div>
+                ${renderCommentVoteButtons(postId, comment)}
             </div>
         </div>
     `;
 }
 
-// Handle add comment
-async function handleAddComment(postId, commentInputEl) {
+// Handle add comment (a reply when parent is given)
+async function handleAddComment(postId, commentInputEl, parent = null) {
     if (!currentUser || !userProfile) {
         alert('Please log in to comment');
         return;
@@ -1566,26 +1665,18 @@ async function handleAddComment(postId, commentInputEl) {
         return;
     }
     
-    if (content.length > 500) {
-        alert('Comment must be 500 characters or less');
+    if (content.length > MAX_COMMENT_LENGTH) {
+        alert(`Comment must be ${MAX_COMMENT_LENGTH} characters or less`);
         return;
     }
     
     try {
-        // Add comment
-        await addDoc(collection(db, 'posts', postId, 'comments'), {
-            userId: currentUser.uid,
-            username: userProfile.username || 'Anonymous',
-            content: content,
-            createdAt: serverTimestamp(),
-            deleted: false
-        });
-        
-        // Update post comments count
-        const postRef = doc(db, 'posts', postId);
-        await updateDoc(postRef, {
-            commentsCount: increment(1),
-            updatedAt: serverTimestamp()
+        // Add comment and update post comments count
+        await createComment(postId, {
+            uid: currentUser.uid,
+            username: userProfile.username,
+            content,
+            parent
         });
         
         // Clear input
@@ -1778,6 +1869,7 @@ async function handleSaveEdit(postId, newContent, closeModal) {
         
         await updateDoc(postRef, {
             content: content,
+            tags: extractTags(content),
             editedAt: serverTimestamp(),
             updatedAt: serverTimestamp()
         });
@@ -1898,7 +1990,7 @@ async function handleSharePost(postId) {
     }
     
     try {
-        const shareUrl = window.location.origin + withBase(`/feed/?post=${postId}`);
+        const shareUrl = getPostShareUrl(postId);
         
         if (navigator.clipboard && navigator.clipboard.writeText) {
             await navigator.clipboard.writeText(shareUrl);
@@ -2106,38 +2198,13 @@ async function handleSubmitReport(postId, reportedUserId, reason, closeModal) {
     }
 }
 
-// Scroll to post on page load if URL has post parameter
-function scrollToPost(postId) {
-    setTimeout(() => {
-        const postCard = document.querySelector(`.post-card[data-post-id="${postId}"]`);
-        if (postCard) {
-            postCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            // Highlight the post briefly
-            postCard.style.transition = 'box-shadow 0.3s ease';
-            postCard.style.boxShadow = '0 0 20px rgba(74, 222, 128, 0.5)';
-            setTimeout(() => {
-                postCard.style.boxShadow = '';
-            }, 2000);
-        }
-    }, 500); // Delay to ensure posts are rendered
-}
-
 // Handle delete comment
 async function handleDeleteComment(postId, commentId) {
     if (!currentUser) return;
     
     try {
-        const commentRef = doc(db, 'posts', postId, 'comments', commentId);
-        await updateDoc(commentRef, {
-            deleted: true
-        });
-        
-        // Update post comments count
-        const postRef = doc(db, 'posts', postId);
-        await updateDoc(postRef, {
-            commentsCount: increment(-1),
-            updatedAt: serverTimestamp()
-        });
+        // Soft delete (replies stay under a "[deleted]" placeholder) and update post comments count
+        await deleteComment(postId, commentId);
         
         // Reload comments
         loadComments(postId);
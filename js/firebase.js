@@ -18,9 +18,9 @@
  */
 
 import { initializeApp, getApps } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-app.js';
-import { getAuth } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
-import { initializeFirestore } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
-import { getStorage } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js';
+import { getAuth, connectAuthEmulator } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import { initializeFirestore, connectFirestoreEmulator } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { getStorage, connectStorageEmulator } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js';
 
 // ============================================
 // FIREBASE CONFIGURATION
@@ -241,19 +241,36 @@ export const storage = getStorage(app);
 // ============================================
 // EMULATOR CONNECTION (localhost only)
 // ============================================
-// If you need to connect to Firebase Emulators, use this pattern:
-// 
-// if (isLocalhost()) {
-//   import { connectFirestoreEmulator } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
-//   import { connectAuthEmulator } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
-//   connectFirestoreEmulator(db, 'localhost', 8080);
-//   connectAuthEmulator(auth, 'http://localhost:9099');
-// }
+// Start the emulators with `firebase emulators:start` (ports in firebase.json), then open
+// any page on localhost with ?emulators=1 - the choice is remembered in localStorage
+// ('useEmulators'); ?emulators=0 switches back to the real project.
+// The shipped CSP doesn't allow localhost: serve the copy from `node scripts/build-dev-site.js`,
+// which adds it.
+// The Auth emulator also handles Google/X sign-in popups (js/oauth.js) with fake accounts.
 //
-// This ensures emulators NEVER run on github.io or production domains.
+// isLocalhost() ensures emulators NEVER run on github.io or production domains.
+function shouldUseEmulators() {
+    if (!isLocalhost()) return false;
+    const param = new URLSearchParams(window.location.search).get('emulators');
+    if (param !== null) {
+        localStorage.setItem('useEmulators', param === '0' ? 'false' : 'true');
+    }
+    return localStorage.getItem('useEmulators') === 'true';
+}
+
+const useEmulators = shouldUseEmulators();
+if (useEmulators) {
+    connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, 'localhost', 8080);
+    connectStorageEmulator(storage, 'localhost', 9199);
+    // Every module calls getFunctions(app, 'us-central1'), which returns this same instance
+    const { getFunctions, connectFunctionsEmulator } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-functions.js');
+    connectFunctionsEmulator(getFunctions(app, 'us-central1'), 'localhost', 5001);
+    console.log('🔧 Connected to Firebase Emulators (auth :9099, firestore :8080, storage :9199, functions :5001)');
+}
 
 // Export app instance, emulator guard, and config values for reference
-export { app, isLocalhost, appCheckPromise };
+export { app, isLocalhost, appCheckPromise, useEmulators };
 export const apiKey = firebaseConfig.apiKey;
 export const projectId = firebaseConfig.projectId;
 export { appCheckInitialized };
@@ -104,6 +104,12 @@ async function loadHeader() {
         
         // Initialize auth UI
         await initializeAuth();
+        
+        // Unread count on the notifications bell
+        initNotificationBell();
+
+        // Unread direct message count
+        initMessagesBadge();
     } catch (error) {
         console.error('Error loading header:', error);
         // Fallback: show a simple header if fetch fails
@@ -160,6 +166,73 @@ async function initializeAuth() {
     }
 }
 
+/**
+ * Show the unread notification count on the header bell while logged in
+ */
+async function initNotificationBell() {
+    const badge = document.getElementById('navNotificationsBadge');
+    if (!badge) return;
+
+    try {
+        const [{ auth }, { onAuthStateChanged }, { subscribeToUnreadCount, formatUnreadCount }] = await Promise.all([
+            import('./firebase.js'),
+            import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js'),
+            import('./notifications.js')
+        ]);
+
+        let unsubscribe = null;
+        onAuthStateChanged(auth, (user) => {
+            if (unsubscribe) {
+                unsubscribe();
+                unsubscribe = null;
+            }
+            badge.classList.add('hide');
+            if (!user) return;
+
+            unsubscribe = subscribeToUnreadCount(user.uid, (count) => {
+                badge.textContent = formatUnreadCount(count);
+                badge.classList.toggle('hide', count === 0);
+            });
+        });
+    } catch (error) {
+        console.error('Header: Error initializing notifications bell:', error);
+    }
+}
+
+/**
+ * Show the unread direct message count on the header messages link while logged in
+ */
+async function initMessagesBadge() {
+    const badge = document.getElementById('navMessagesBadge');
+    if (!badge) return;
+
+    try {
+        const [{ auth }, { onAuthStateChanged }, { subscribeToUnreadMessageCount }, { formatUnreadCount }] = await Promise.all([
+            import('./firebase.js'),
+            import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js'),
+            import('./direct-messages.js'),
+            import('./notifications.js')
+        ]);
+
+        let unsubscribe = null;
+        onAuthStateChanged(auth, (user) => {
+            if (unsubscribe) {
+                unsubscribe();
+                unsubscribe = null;
+            }
+            badge.classList.add('hide');
+            if (!user) return;
+
+            unsubscribe = subscribeToUnreadMessageCount(user.uid, (count) => {
+                badge.textContent = formatUnreadCount(count);
+                badge.classList.toggle('hide', count === 0);
+            });
+        });
+    } catch (error) {
+        console.error('Header: Error initializing messages badge:', error);
+    }
+}
+
 // Load header when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', loadHeader);
@@ -22,13 +22,28 @@ import {
     increment,
     Timestamp
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
-import { withBase } from './base-url.js';
+import { getPostShareUrl } from './post-link.js';
+import { MIN_TRENDING_KARMA } from './hot-score.js';
+import { fetchTimelinePage } from './timeline.js';
+import { isArchived } from './post-archive.js';
+import { extractTags, linkifyTags, getTagPath } from './post-tags.js';
+import { showEditHistory } from './edit-history.js';
+import {
+    togglePostVote,
+    setVoteButtonState,
+    showUserVote,
+    renderCommentVoteButtons,
+    setupCommentVoteButtons
+} from './post-votes.js';
+import { MAX_COMMENT_LENGTH, createComment, deleteComment, renderCommentThreads } from './comment-threads.js';
 
 // Constants
 const POLL_INTERVAL = 5 * 60 * 1000; // 5 minutes in milliseconds
 const ACTIVITY_LIMIT = 30; // Max activity items to show
 const TRENDING_LIMIT = 5; // Top 5 trending users
 const POSTS_PER_PAGE = 5; // Number of posts to show per page
+const TRENDING_ACTIVITY_COUNT = 25; // Top posts from feeds/trending
+const FOLLOWING_ACTIVITY_COUNT = 50; // Latest posts from the user's timeline
 
 // State
 let currentUser = null;
@@ -42,7 +57,7 @@ let isLoadingMoreActivities = false; // Prevent multiple simultaneous loads
 // DOM Elements
 let activityFeedEl, lastUpdatedEl, refreshBtnEl;
 let userStatsSectionEl;
-let trendingUsersEl, activeChannelsEl;
+let trendingUsersEl, trendingTagsEl, activeChannelsEl;
 let chatOnlineCountEl, questsCompletedCountEl;
 let trendingTabEl, followingTabEl;
 
@@ -54,6 +69,7 @@ export function initHome() {
     refreshBtnEl = document.getElementById('refreshFeedBtn');
     userStatsSectionEl = document.getElementById('userStatsSection');
     trendingUsersEl = document.getElementById('trendingUsers');
+    trendingTagsEl = document.getElementById('trendingTags');
     activeChannelsEl = document.getElementById('activeChannels');
     chatOnlineCountEl = document.getElementById('chatOnlineCount');
     questsCompletedCountEl = document.getElementById('questsCompletedCount');
@@ -164,6 +180,7 @@ async function loadAllData(manualRefresh = false) {
         await Promise.all([
             loadActivityFeed(currentFeedType),
             loadTrendingUsers(),
+            loadTrendingTags(),
             loadActiveChannels(),
             loadFeatureStats()
         ]);
@@ -263,69 +280,41 @@ async function loadActivityFeed(feedType = 'trending') {
     }
 }
 
-// Load trending feed
+// Load trending feed from the ranked feeds/trending doc
+// (computed every 15 minutes by functions/trending.js, formula in js/hot-score.js)
 async function loadTrendingFeed(activities) {
     try {
-            const twentyFourHoursAgo = Timestamp.fromDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
-            const trendingPosts = [];
-            let postsSnapshot;
+            let postDocs;
+            const trendingDoc = await getDoc(doc(db, 'feeds', 'trending'));
+            const rankedPosts = trendingDoc.exists() ? (trendingDoc.data().posts || []) : [];
             
-            try {
-                // Try with composite query first (requires index: deleted, createdAt, likesCount)
+            if (rankedPosts.length > 0) {
+                postDocs = await Promise.all(rankedPosts.slice(0, TRENDING_ACTIVITY_COUNT).map(
+                    ranked => getDoc(doc(db, 'posts', ranked.postId))
+                ));
+            } else {
+                // Before the first scheduled run: query the stored scores directly
                 const postsQuery = query(
                     collection(db, 'posts'),
                     where('deleted', '==', false),
-                    where('createdAt', '>=', twentyFourHoursAgo),
-                    orderBy('createdAt', 'desc'),
-                    limit(100)
+                    orderBy('hotScore', 'desc'),
+                    limit(TRENDING_ACTIVITY_COUNT)
                 );
-                postsSnapshot = await getDocs(postsQuery);
-            } catch (indexError) {
-                console.warn('[loadActivityFeed] Index error or index building, using fallback query:', indexError.message);
-                // Fallback: query without orderBy (no index needed), filter and sort in JavaScript
-                try {
-                    const postsQuery = query(
-                        collection(db, 'posts'),
-                        where('deleted', '==', false),
-                        limit(500) // Get more documents since we'll filter in JS
-                    );
-                    postsSnapshot = await getDocs(postsQuery);
-                } catch (fallbackError) {
-                    console.error('[loadActivityFeed] Fallback query also failed:', fallbackError);
-                    // If even the simple query fails, try without any filters
-                    const simpleQuery = query(
-                        collection(db, 'posts'),
-                        limit(500)
-                    );
-                    postsSnapshot = await getDocs(simpleQuery);
-                }
+                postDocs = (await getDocs(postsQuery)).docs;
             }
             
-            for (const postDoc of postsSnapshot.docs) {
+            for (const postDoc of postDocs) {
+                if (!postDoc.exists()) continue;
                 const postData = postDoc.data();
                 
-                // Skip deleted posts (if not already filtered by query)
-                if (postData.deleted === true) continue;
+                // Skip posts deleted or archived since the last ranking
+                if (postData.deleted === true || isArchived(postData)) continue;
                 
                 if (!postData.createdAt || !postData.userId) {
                     console.warn('[loadActivityFeed] Post missing createdAt or userId:', postDoc.id);
                     continue;
                 }
                 
-                // Filter by time if we used the fallback query
-                let postTime;
-                if (postData.createdAt && typeof postData.createdAt.toMillis === 'function') {
-                    postTime = postData.createdAt.toMillis();
-                } else if (postData.createdAt && postData.createdAt.seconds) {
-                    postTime = postData.createdAt.seconds * 1000;
-                } else {
-                    console.warn('[loadActivityFeed] Post createdAt is not a valid timestamp:', postDoc.id);
-                    continue;
-                }
-                
-                const twentyFourHoursAgoTime = twentyFourHoursAgo.toMillis();
-                if (postTime < twentyFourHoursAgoTime) continue;
-                
                 // Get user info
                 const userDoc = await getDoc(doc(db, 'users', postData.userId));
                 const userData = userDoc.exists() ? userDoc.data() : null;
@@ -333,16 +322,15 @@ async function loadTrendingFeed(activities) {
                 
                 // Filter out posts from users with very negative karma (spam prevention)
                 const userKarma = userData?.karma || 0;
-                if (userKarma < -10) {
-                    continue; // Skip posts from users with karma < -10
+                if (userKarma < MIN_TRENDING_KARMA) {
+                    continue;
                 }
                 
-                // Calculate hot score for this post using vote score
                 const voteScore = postData.voteScore || 0;
                 const comments = postData.commentsCount || 0;
-                const hotScore = calculateHotScore(voteScore, comments, postData.createdAt);
+                const postTime = postData.createdAt?.toMillis?.() || (postData.createdAt?.seconds * 1000) || 0;
                 
-                trendingPosts.push({
+                activities.push({
                     type: 'trending_post',
                     userId: postData.userId,
                     username: username,
@@ -350,23 +338,14 @@ async function loadTrendingFeed(activities) {
                     content: postData.content || '',
                     images: postData.images || [],
                     videos: postData.videos || [],
-                    upvotes: postData.upvotes || {},
-                    downvotes: postData.downvotes || {},
                     voteScore: voteScore,
                     commentsCount: comments,
                     timestamp: postData.createdAt,
                     sortTime: postTime,
-                    hotScore: hotScore,
+                    hotScore: postData.hotScore || 0,
                     userData: userData
                 });
             }
-            
-            // Sort trending posts by hotScore (highest first), then take top 25
-            trendingPosts.sort((a, b) => {
-                // Sort by hot score (higher score first)
-                return b.hotScore - a.hotScore;
-            });
-            activities.push(...trendingPosts.slice(0, 25));
         } catch (error) {
             console.error('[loadTrendingFeed] Error loading trending posts:', error);
             // Continue even if posts fail to load
@@ -474,164 +453,48 @@ async function loadFollowingFeed(activities) {
     }
     
     try {
-        // Get list of users you're following
-        const followingRef = collection(db, 'following', currentUser.uid, 'following');
-        const followingSnapshot = await getDocs(followingRef);
-        
-        if (followingSnapshot.empty) {
-            console.log('[loadFollowingFeed] Not following any users yet');
-            // Don't return - let the empty activities array trigger the empty message
-            return;
-        }
-        
-        const followingUserIds = [];
-        followingSnapshot.forEach((doc) => {
-            followingUserIds.push(doc.id);
-        });
-        
-        if (followingUserIds.length === 0) {
-            console.log('[loadFollowingFeed] No following user IDs found');
-            return;
-        }
-        
-        console.log(`[loadFollowingFeed] Following ${followingUserIds.length} user(s), fetching their posts...`);
+        // Latest posts from the user's timeline (filled by functions/timelines.js), newest first
+        const { postDocs } = await fetchTimelinePage(currentUser.uid, null, FOLLOWING_ACTIVITY_COUNT);
         
-        // Fetch posts from each user you follow
-        // Note: Firestore 'in' query is limited to 10 items, so we need to batch
-        const BATCH_SIZE = 10;
-        const allPosts = [];
-        
-        for (let i = 0; i < followingUserIds.length; i += BATCH_SIZE) {
-            const batch = followingUserIds.slice(i, i + BATCH_SIZE);
+        for (const postDoc of postDocs) {
+            const postData = postDoc.data();
+            if (isArchived(postData)) continue;
             
-            try {
-                const postsQuery = query(
-                    collection(db, 'posts'),
-                    where('userId', 'in', batch),
-                    where('deleted', '==', false),
-                    orderBy('createdAt', 'desc'),
-                    limit(50) // Limit per batch to avoid too many reads
-                );
-                
-                const postsSnapshot = await getDocs(postsQuery);
-                
-                for (const postDoc of postsSnapshot.docs) {
-                    const postData = postDoc.data();
-                    
-                    // Skip deleted posts
-                    if (postData.deleted === true) continue;
-                    
-                    if (!postData.createdAt || !postData.userId) {
-                        console.warn('[loadFollowingFeed] Post missing createdAt or userId:', postDoc.id);
-                        continue;
-                    }
-                    
-                    // Get post timestamp
-                    let postTime;
-                    if (postData.createdAt && typeof postData.createdAt.toMillis === 'function') {
-                        postTime = postData.createdAt.toMillis();
-                    } else if (postData.createdAt && postData.createdAt.seconds) {
-                        postTime = postData.createdAt.seconds * 1000;
-                    } else {
-                        continue;
-                    }
-                    
-                    // Get user info
-                    const userDoc = await getDoc(doc(db, 'users', postData.userId));
-                    const userData = userDoc.exists() ? userDoc.data() : null;
-                    const username = userData?.username || 'Anonymous';
-                    
-                    // Calculate vote score
-                    const voteScore = postData.voteScore || 0;
-                    const comments = postData.commentsCount || 0;
-                    
-                    allPosts.push({
-                        type: 'trending_post',
-                        userId: postData.userId,
-                        username: username,
-                        postId: postDoc.id,
-                        content: postData.content || '',
-                        images: postData.images || [],
-                        videos: postData.videos || [],
-                        upvotes: postData.upvotes || {},
-                        downvotes: postData.downvotes || {},
-                        voteScore: voteScore,
-                        commentsCount: comments,
-                        timestamp: postData.createdAt,
-                        sortTime: postTime,
-                        userData: userData
-                    });
-                }
-            } catch (batchError) {
-                console.error(`[loadFollowingFeed] Error fetching batch ${i}-${i + BATCH_SIZE}:`, batchError);
-                // Try fallback: query without orderBy if index doesn't exist
-                try {
-                    const fallbackQuery = query(
-                        collection(db, 'posts'),
-                        where('userId', 'in', batch),
-                        where('deleted', '==', false),
-                        limit(100)
-                    );
-                    const fallbackSnapshot = await getDocs(fallbackQuery);
-                    
-                    for (const postDoc of fallbackSnapshot.docs) {
-                        const postData = postDoc.data();
-                        if (postData.deleted === true) continue;
-                        if (!postData.createdAt || !postData.userId) continue;
-                        
-                        let postTime;
-                        if (postData.createdAt && typeof postData.createdAt.toMillis === 'function') {
-                            postTime = postData.createdAt.toMillis();
-                        } else if (postData.createdAt && postData.createdAt.seconds) {
-                            postTime = postData.createdAt.seconds * 1000;
-                        } else {
-                            continue;
-                        }
-                        
-                        const userDoc = await getDoc(doc(db, 'users', postData.userId));
-                        const userData = userDoc.exists() ? userDoc.data() : null;
-                        const username = userData?.username || 'Anonymous';
-                        const voteScore = postData.voteScore || 0;
-                        const comments = postData.commentsCount || 0;
-                        
-                        allPosts.push({
-                            type: 'post',
-                            userId: postData.userId,
-                            username: username,
-                            postId: postDoc.id,
-                            content: postData.content || '',
-                            images: postData.images || [],
-                            videos: postData.videos || [],
-                            upvotes: postData.upvotes || {},
-                            downvotes: postData.downvotes || {},
-                            voteScore: voteScore,
-                            commentsCount: comments,
-                            timestamp: postData.createdAt,
-                            sortTime: postTime,
-                            userData: userData
-                        });
-                    }
-                } catch (fallbackError) {
-                    console.error(`[loadFollowingFeed] Fallback query also failed for batch:`, fallbackError);
-                }
+            if (!postData.createdAt || !postData.userId) {
+                console.warn('[loadFollowingFeed] Post missing createdAt or userId:', postDoc.id);
+                continue;
             }
+            
+            // Get user info
+            const userDoc = await getDoc(doc(db, 'users', postData.userId));
+            const userData = userDoc.exists() ? userDoc.data() : null;
+            const username = userData?.username || 'Anonymous';
+            
+            const voteScore = postData.voteScore || 0;
+            const comments = postData.commentsCount || 0;
+            const postTime = postData.createdAt?.toMillis?.() || (postData.createdAt?.seconds * 1000) || 0;
+            
+            activities.push({
+                type: 'trending_post',
+                userId: postData.userId,
+                username: username,
+                postId: postDoc.id,
+                content: postData.content || '',
+                images: postData.images || [],
+                videos: postData.videos || [],
+                voteScore: voteScore,
+                commentsCount: comments,
+                timestamp: postData.createdAt,
+                sortTime: postTime,
+                userData: userData
+            });
         }
         
-        // Sort by timestamp (newest first) and add to activities
-        allPosts.sort((a, b) => b.sortTime - a.sortTime);
-        activities.push(...allPosts);
-        
-        console.log(`[loadFollowingFeed] Loaded ${allPosts.length} post(s) from followed users`);
+        console.log(`[loadFollowingFeed] Loaded ${postDocs.length} post(s) from followed users`);
         
     } catch (error) {
         console.error('[loadFollowingFeed] Error loading following feed:', error);
-        console.error('[loadFollowingFeed] Error details:', {
-            code: error.code,
-            message: error.message,
-            stack: error.stack
-        });
         // Don't throw - let the empty activities array trigger the empty message
-        // The error will be handled by loadActivityFeed's empty state check
     }
 }
 
@@ -650,6 +513,8 @@ function setupActivityHandlers() {
                         e.target.closest('.post-delete-btn') ||
                         e.target.closest('.share-btn') ||
                         e.target.closest('.report-btn') ||
+                        e.target.closest('.post-tag') ||
+                        e.target.closest('.edit-history-btn') ||
                         e.target.closest('.post-header-actions')) {
                         return;
                     }
@@ -718,6 +583,15 @@ function setupActivityHandlers() {
                 });
     });
     
+    // Mark the user's existing votes on trending posts
+    if (currentUser) {
+        activityFeedEl.querySelectorAll('.activity-upvote-btn[data-post-id]').forEach(upvoteBtn => {
+            const postId = upvoteBtn.dataset.postId;
+            const downvoteBtn = activityFeedEl.querySelector(`.activity-downvote-btn[data-post-id="${postId}"]`);
+            showUserVote(postId, currentUser.uid, upvoteBtn, downvoteBtn);
+        });
+    }
+    
     // Add comment button handlers for trending posts
             activityFeedEl.querySelectorAll('.activity-post-comment-btn').forEach(btn => {
                 btn.addEventListener('click', (e) => {
@@ -803,6 +677,14 @@ function setupActivityHandlers() {
                 });
     });
     
+    // Edited markers - open the revision history
+            activityFeedEl.querySelectorAll('.edit-history-btn[data-post-id]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    showEditHistory(doc(db, 'posts', btn.dataset.postId), 'content', 'createdAt');
+                });
+            });
+    
     // Add share button handlers
             activityFeedEl.querySelectorAll('.share-btn[data-post-id]').forEach(btn => {
                 btn.addEventListener('click', (e) => {
@@ -860,9 +742,7 @@ function createActivityItem(activity) {
     if (activity.type === 'trending_post') {
         const userLevel = activity.userData?.level || 1;
         const bannerImage = activity.userData?.bannerImage || '/pfp_apes/bg1.png';
-        const fullContent = activity.content ? escapeHtml(activity.content).replace(/\n/g, '<br>') : '';
-        const hasUpvote = currentUser && activity.upvotes && activity.upvotes[currentUser.uid] === true;
-        const hasDownvote = currentUser && activity.downvotes && activity.downvotes[currentUser.uid] === true;
+        const fullContent = activity.content ? linkifyTags(escapeHtml(activity.content).replace(/\n/g, '<br>')) : '';
         const voteScore = activity.voteScore || 0;
         const canDelete = currentUser && activity.userId === currentUser.uid;
         const canEdit = currentUser && activity.userId === currentUser.uid && activity.timestamp && (() => {
@@ -870,7 +750,7 @@ function createActivityItem(activity) {
             return (Date.now() - createdTime) < 5 * 60 * 1000;
         })();
         const editedAt = activity.editedAt?.toMillis ? activity.editedAt.toMillis() : (activity.editedAt?.seconds ? activity.editedAt.seconds * 1000 : null);
-        const editedIndicator = editedAt ? `<span class="post-edited-indicator">edited ${getTimeAgo({toMillis: () => editedAt})}</span>` : '';
+        const editedIndicator = editedAt ? `<button type="button" class="post-edited-indicator edit-history-btn" data-post-id="${activity.postId}" title="View edit history">edited ${getTimeAgo({toMillis: () => editedAt})}</button>` : '';
         const canReport = currentUser && activity.userId !== currentUser.uid;
         
         content = `
@@ -910,11 +790,11 @@ function createActivityItem(activity) {
                 <div class="activity-post-footer">
                     <div class="activity-post-vote-section">
                         ${currentUser ? `
-                            <button class="activity-post-vote-btn activity-upvote-btn ${hasUpvote ? 'voted' : ''}" data-post-id="${activity.postId}" data-vote-type="upvote" title="Upvote">
+                            <button class="activity-post-vote-btn activity-upvote-btn" data-post-id="${activity.postId}" data-vote-type="upvote" title="Upvote">
                                 <span class="activity-post-vote-icon">↑</span>
                             </button>
                             <span class="activity-post-vote-score" data-post-id="${activity.postId}">${voteScore}</span>
-                            <button class="activity-post-vote-btn activity-downvote-btn ${hasDownvote ? 'voted' : ''}" data-post-id="${activity.postId}" data-vote-type="downvote" title="Downvote">
+                            <button class="activity-post-vote-btn activity-downvote-btn" data-post-id="${activity.postId}" data-vote-type="downvote" title="Downvote">
                                 <span class="activity-post-vote-icon">↓</span>
                             </button>
                         ` : `
@@ -989,38 +869,6 @@ function getTimeAgo(timestamp) {
     return `${days} days ago`;
 }
 
-// Calculate Reddit-style "hot" score for trending posts
-// Formula: hot_score = (voteScore + comments * weight) / (age_in_hours + 2)^gravity
-function calculateHotScore(voteScore, comments, createdAt) {
-    // Get post age in hours
-    let postTime;
-    if (createdAt && typeof createdAt.toMillis === 'function') {
-        postTime = createdAt.toMillis();
-    } else if (createdAt && createdAt.seconds) {
-        postTime = createdAt.seconds * 1000;
-    } else {
-        // Invalid timestamp, return 0
-        return 0;
-    }
-    
-    const now = Date.now();
-    const ageInMs = Math.max(0, now - postTime); // Ensure non-negative
-    const ageInHours = ageInMs / (1000 * 60 * 60);
-    
-    // Algorithm parameters
-    const commentWeight = 1.5; // Comments count 1.5x more than likes
-    const gravity = 1.5; // Controls decay rate (higher = faster decay)
-    const timeOffset = 2; // Prevents division by zero for brand new posts
-    
-    // Calculate engagement score
-    const engagement = voteScore + (comments * commentWeight);
-    
-    // Calculate hot score with time decay
-    const hotScore = engagement / Math.pow(ageInHours + timeOffset, gravity);
-    
-    return hotScore;
-}
-
 // Load trending users
 async function loadTrendingUsers() {
     if (!trendingUsersEl) return;
@@ -1077,6 +925,32 @@ async function loadTrendingUsers() {
     }
 }
 
+// Load trending tags (ranked with the trending posts by functions/trending.js)
+async function loadTrendingTags() {
+    if (!trendingTagsEl) return;
+    
+    try {
+        const trendingDoc = await getDoc(doc(db, 'feeds', 'trending'));
+        const tags = trendingDoc.exists() ? (trendingDoc.data().tags || []) : [];
+        
+        if (tags.length === 0) {
+            trendingTagsEl.innerHTML = '<div class="trending-empty">No trending tags yet</div>';
+            return;
+        }
+        
+        trendingTagsEl.innerHTML = tags.map((entry, index) => `
+            <a class="trending-tag" href="${getTagPath(entry.tag)}">
+                <span class="trending-rank">${index + 1}</span>
+                <span class="trending-tag-name">#${escapeHtml(entry.tag)}</span>
+                <span class="trending-tag-count">${entry.posts} ${entry.posts === 1 ? 'post' : 'posts'}</span>
+            </a>
+        `).join('');
+    } catch (error) {
+        console.error('[loadTrendingTags] Error:', error);
+        trendingTagsEl.innerHTML = '<div class="trending-empty">Trending tags unavailable</div>';
+    }
+}
+
 // Load active channels
 async function loadActiveChannels() {
     if (!activeChannelsEl) return;
@@ -1393,117 +1267,22 @@ async function handleActivityVote(postId, voteType) {
     }
     
     try {
-        const postRef = doc(db, 'posts', postId);
-        const postDoc = await getDoc(postRef);
-        
-        if (!postDoc.exists()) {
-            console.error('Post not found');
-            return;
-        }
-        
-        const postData = postDoc.data();
-        const upvotes = postData.upvotes || {};
-        const downvotes = postData.downvotes || {};
-        const currentVoteScore = postData.voteScore || 0;
-        
-        // Check current vote state
-        const hasUpvote = upvotes[currentUser.uid] === true;
-        const hasDownvote = downvotes[currentUser.uid] === true;
-        
-        // Calculate vote change
-        let voteChange = 0;
-        const newUpvotes = { ...upvotes };
-        const newDownvotes = { ...downvotes };
-        
-        if (voteType === 'upvote') {
-            if (hasUpvote) {
-                // Remove upvote
-                delete newUpvotes[currentUser.uid];
-                voteChange = -1;
-            } else {
-                // Add upvote, remove downvote if exists
-                newUpvotes[currentUser.uid] = true;
-                if (hasDownvote) {
-                    delete newDownvotes[currentUser.uid];
-                    voteChange = 2; // +1 for upvote, +1 for removing downvote
-                } else {
-                    voteChange = 1;
-                }
-            }
-        } else { // downvote
-            if (hasDownvote) {
-                // Remove downvote
-                delete newDownvotes[currentUser.uid];
-                voteChange = 1;
-            } else {
-                // Add downvote, remove upvote if exists
-                newDownvotes[currentUser.uid] = true;
-                if (hasUpvote) {
-                    delete newUpvotes[currentUser.uid];
-                    voteChange = -2; // -1 for downvote, -1 for removing upvote
-                } else {
-                    voteChange = -1;
-                }
-            }
-        }
-        
-        const newVoteScore = Math.round(currentVoteScore + voteChange); // Ensure it's an integer
-        
-        // Build update data - always include all three fields (required by security rules)
-        // Security rules need both upvotes and downvotes to properly validate the vote state
-        const updateData = {
-            upvotes: newUpvotes,
-            downvotes: newDownvotes,
-            voteScore: newVoteScore
-        };
-        
-        // Update post
-        await updateDoc(postRef, updateData);
-        
-        // Update karma for post author (if not voting on own post)
-        if (postData.userId !== currentUser.uid) {
-            try {
-                const authorRef = doc(db, 'users', postData.userId);
-                const authorDoc = await getDoc(authorRef);
-                
-                if (authorDoc.exists()) {
-                    const authorData = authorDoc.data();
-                    const currentKarma = authorData.karma || 0;
-                    const newKarma = currentKarma + voteChange;
-                    
-                    await updateDoc(authorRef, {
-                        karma: newKarma
-                    });
-                }
-            } catch (karmaError) {
-                console.error('Error updating karma:', karmaError);
-                // Don't fail the vote if karma update fails
-            }
-        }
+        // Only the vote doc is written; the post's score and the author's karma are
+        // updated by Cloud Functions (functions/votes.js)
+        const { previous, value } = await togglePostVote(postId, currentUser.uid, voteType);
         
         // Update UI immediately
         const voteScoreEl = document.querySelector(`.activity-post-vote-score[data-post-id="${postId}"]`);
         if (voteScoreEl) {
-            voteScoreEl.textContent = newVoteScore;
+            voteScoreEl.textContent = (parseInt(voteScoreEl.textContent, 10) || 0) + value - previous;
         }
         
         // Update button states
-        const upvoteBtn = document.querySelector(`.activity-upvote-btn[data-post-id="${postId}"]`);
-        const downvoteBtn = document.querySelector(`.activity-downvote-btn[data-post-id="${postId}"]`);
-        if (upvoteBtn) {
-            if (newUpvotes[currentUser.uid]) {
-                upvoteBtn.classList.add('voted');
-            } else {
-                upvoteBtn.classList.remove('voted');
-            }
-        }
-        if (downvoteBtn) {
-            if (newDownvotes[currentUser.uid]) {
-                downvoteBtn.classList.add('voted');
-            } else {
-                downvoteBtn.classList.remove('voted');
-            }
-        }
+        setVoteButtonState(
+            document.querySelector(`.activity-upvote-btn[data-post-id="${postId}"]`),
+            document.querySelector(`.activity-downvote-btn[data-post-id="${postId}"]`),
+            value
+        );
         
     } catch (error) {
         console.error('Error voting:', error);
@@ -1642,86 +1421,23 @@ function toggleActivityComments(postId) {
     }
 }
 
-// Load comments for an activity post
+// Load comments for an activity post (threaded; deleted comments are kept as placeholders for their replies)
 async function loadActivityComments(postId) {
     const commentsListEl = document.getElementById(`activityCommentsList_${postId}`);
     if (!commentsListEl) return;
     
     try {
-        let commentsSnapshot;
-        
-        try {
-            const commentsQuery = query(
-                collection(db, 'posts', postId, 'comments'),
-                where('deleted', '==', false),
-                orderBy('createdAt', 'asc')
-            );
-            
-            commentsSnapshot = await getDocs(commentsQuery);
-        } catch (indexError) {
-            console.warn('Index not found for comments, using fallback query:', indexError);
-            try {
-                const commentsQuery = query(
-                    collection(db, 'posts', postId, 'comments'),
-                    where('deleted', '==', false)
-                );
-                
-                commentsSnapshot = await getDocs(commentsQuery);
-                
-                const commentsArray = Array.from(commentsSnapshot.docs);
-                commentsArray.sort((a, b) => {
-                    const aData = a.data();
-                    const bData = b.data();
-                    const aTime = aData.createdAt?.toMillis ? aData.createdAt.toMillis() : (aData.createdAt?.seconds * 1000 || 0);
-                    const bTime = bData.createdAt?.toMillis ? bData.createdAt.toMillis() : (bData.createdAt?.seconds * 1000 || 0);
-                    return aTime - bTime;
-                });
-                
-                commentsSnapshot = {
-                    docs: commentsArray,
-                    empty: commentsArray.length === 0,
-                    size: commentsArray.length,
-                    forEach: (callback) => commentsArray.forEach(callback),
-                    query: commentsSnapshot.query
-                };
-            } catch (fallbackError) {
-                console.error('Fallback query also failed:', fallbackError);
-                const allCommentsQuery = query(
-                    collection(db, 'posts', postId, 'comments')
-                );
-                
-                commentsSnapshot = await getDocs(allCommentsQuery);
-                
-                const commentsArray = Array.from(commentsSnapshot.docs)
-                    .filter(doc => {
-                        const data = doc.data();
-                        return data.deleted !== true;
-                    })
-                    .sort((a, b) => {
-                        const aData = a.data();
-                        const bData = b.data();
-                        const aTime = aData.createdAt?.toMillis ? aData.createdAt.toMillis() : (aData.createdAt?.seconds * 1000 || 0);
-                        const bTime = bData.createdAt?.toMillis ? bData.createdAt.toMillis() : (bData.createdAt?.seconds * 1000 || 0);
-                        return aTime - bTime;
-                    });
-                
-                commentsSnapshot = {
-                    docs: commentsArray,
-                    empty: commentsArray.length === 0,
-                    size: commentsArray.length,
-                    forEach: (callback) => commentsArray.forEach(callback),
-                    query: commentsSnapshot.query
-                };
-            }
-        }
-        
-        if (commentsSnapshot.empty) {
-            commentsListEl.innerHTML = '<div class="post-comments-empty">No comments yet</div>';
-            return;
-        }
+        const commentsQuery = query(
+            collection(db, 'posts', postId, 'comments'),
+            orderBy('createdAt', 'asc')
+        );
+        const commentsSnapshot = await getDocs(commentsQuery);
         
         const comments = await Promise.all(commentsSnapshot.docs.map(async (commentDoc) => {
             const commentData = commentDoc.data();
+            if (commentData.deleted === true) {
+                return { id: commentDoc.id, ...commentData, userData: null };
+            }
             try {
                 const userDoc = await getDoc(doc(db, 'users', commentData.userId));
                 const userData = userDoc.exists() ? userDoc.data() : null;
@@ -1739,46 +1455,11 @@ async function loadActivityComments(postId) {
             }
         }));
         
-        commentsListEl.innerHTML = comments.map(comment => renderActivityComment(comment, postId)).join('');
-        
-        // Set up profile navigation for comment authors
-        comments.forEach(comment => {
-            if (comment.userId) {
-                const commentEl = document.querySelector(`.post-comment[data-comment-id="${comment.id}"]`);
-                if (commentEl) {
-                    const avatar = commentEl.querySelector('.comment-author-avatar');
-                    const authorName = commentEl.querySelector('.comment-author');
-                    
-                    const navigateToProfile = (e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
-                        window.location.href = `/profile/?user=${comment.userId}`;
-                    };
-                    
-                    if (avatar) {
-                        avatar.style.cursor = 'pointer';
-                        avatar.addEventListener('click', navigateToProfile);
-                    }
-                    
-                    if (authorName) {
-                        authorName.style.cursor = 'pointer';
-                        authorName.addEventListener('click', navigateToProfile);
-                    }
-                }
-            }
-        });
-        
-        // Set up delete listeners for comments
-        comments.forEach(comment => {
-            if (currentUser && comment.userId === currentUser.uid) {
-                const deleteBtn = document.querySelector(`.comment-delete-btn[data-comment-id="${comment.id}"]`);
-                if (deleteBtn) {
-                    deleteBtn.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        handleActivityDeleteComment(postId, comment.id);
-                    });
-                }
-            }
+        renderCommentThreads(commentsListEl, comments, {
+            renderComment: comment => renderActivityComment(comment, postId),
+            canReply: !!currentUser,
+            onReply: (parent, replyInputEl) => handleActivityAddComment(postId, replyInputEl, parent),
+            onRender: () => setupActivityCommentListeners(commentsListEl, postId, comments)
         });
         
         // Setup emoji picker for comment input
@@ -1790,6 +1471,51 @@ async function loadActivityComments(postId) {
     }
 }
 
+// Profile links, delete buttons and votes for the rendered comments of an activity post
+function setupActivityCommentListeners(commentsListEl, postId, comments) {
+    // Set up profile navigation for comment authors
+    comments.forEach(comment => {
+        if (comment.userId) {
+            const commentEl = commentsListEl.querySelector(`.post-comment[data-comment-id="${comment.id}"]`);
+            if (commentEl) {
+                const avatar = commentEl.querySelector('.comment-author-avatar');
+                const authorName = commentEl.querySelector('.comment-author');
+                
+                const navigateToProfile = (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    window.location.href = `/profile/?user=${comment.userId}`;
+                };
+                
+                if (avatar) {
+                    avatar.style.cursor = 'pointer';
+                    avatar.addEventListener('click', navigateToProfile);
+                }
+                
+                if (authorName) {
+                    authorName.style.cursor = 'pointer';
+                    authorName.addEventListener('click', navigateToProfile);
+                }
+            }
+        }
+    });
+    
+    // Set up delete listeners for comments
+    comments.forEach(comment => {
+        if (currentUser && comment.userId === currentUser.uid) {
+            const deleteBtn = commentsListEl.querySelector(`.comment-delete-btn[data-comment-id="${comment.id}"]`);
+            if (deleteBtn) {
+                deleteBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    handleActivityDeleteComment(postId, comment.id);
+                });
+            }
+        }
+    });
+    
+    setupCommentVoteButtons(commentsListEl, postId, currentUser ? currentUser.uid : null);
+}
+
 // Render comment for activity post
 function renderActivityComment(comment, postId) {
     const createdAt = comment.createdAt?.toDate ? comment.createdAt.toDate() : new Date(comment.createdAt?.seconds * 1000 || Date.now());
@@ -1807,13 +1533,14 @@ function renderActivityComment(comment, postId) {
                     ${canDelete ? `<button class="comment-delete-btn" data-comment-id="${comment.id}" title="Delete comment">×</button>` : ''}
                 </div>
                 <div class="comment-text">${escapeHtml(comment.content).replace(/\n/g, '<br>')}</div>
+                ${renderCommentVoteButtons(postId, comment)}
             </div>
         </div>
     `;
 }
 
-// Handle add comment for activity post
-async function handleActivityAddComment(postId, commentInputEl) {
+// Handle add comment for activity post (a reply when parent is given)
+async function handleActivityAddComment(postId, commentInputEl, parent = null) {
     if (!currentUser) {
         alert('Please log in to comment');
         return;
@@ -1824,8 +1551,8 @@ async function handleActivityAddComment(postId, commentInputEl) {
         return;
     }
     
-    if (content.length > 500) {
-        alert('Comment must be 500 characters or less');
+    if (content.length > MAX_COMMENT_LENGTH) {
+        alert(`Comment must be ${MAX_COMMENT_LENGTH} characters or less`);
         return;
     }
     
@@ -1838,20 +1565,12 @@ async function handleActivityAddComment(postId, commentInputEl) {
         }
         const userData = userDoc.data();
         
-        // Add comment
-        await addDoc(collection(db, 'posts', postId, 'comments'), {
-            userId: currentUser.uid,
-            username: userData.username || 'Anonymous',
-            content: content,
-            createdAt: serverTimestamp(),
-            deleted: false
-        });
-        
-        // Update post comments count
-        const postRef = doc(db, 'posts', postId);
-        await updateDoc(postRef, {
-            commentsCount: increment(1),
-            updatedAt: serverTimestamp()
+        // Add comment and update post comments count
+        await createComment(postId, {
+            uid: currentUser.uid,
+            username: userData.username,
+            content,
+            parent
         });
         
         // Clear input
@@ -1885,20 +1604,8 @@ async function handleActivityDeleteComment(postId, commentId) {
     }
     
     try {
-        const commentRef = doc(db, 'posts', postId, 'comments', commentId);
-        
-        // Soft delete
-        await updateDoc(commentRef, {
-            deleted: true,
-            updatedAt: serverTimestamp()
-        });
-        
-        // Update post comments count
-        const postRef = doc(db, 'posts', postId);
-        await updateDoc(postRef, {
-            commentsCount: increment(-1),
-            updatedAt: serverTimestamp()
-        });
+        // Soft delete (replies stay under a "[deleted]" placeholder) and update post comments count
+        await deleteComment(postId, commentId);
         
         // Reload comments
         loadActivityComments(postId);
@@ -2092,6 +1799,7 @@ async function handleHomeSaveEdit(postId, newContent, closeModal) {
         
         await updateDoc(postRef, {
             content: content,
+            tags: extractTags(content),
             editedAt: serverTimestamp(),
             updatedAt: serverTimestamp()
         });
@@ -2207,7 +1915,7 @@ async function handleHomeSharePost(postId) {
     }
     
     try {
-        const shareUrl = window.location.origin + withBase(`/feed/?post=${postId}`);
+        const shareUrl = getPostShareUrl(postId);
         
         if (navigator.clipboard && navigator.clipboard.writeText) {
             await navigator.clipboard.writeText(shareUrl);
@@ -0,0 +1,40 @@
+/**
+ * Hot Score Module
+ * ============================================
+ *
+ * Single source of truth for the trending ("hot") ranking of posts.
+ *
+ * Scores are computed by Cloud Functions (functions/trending.js) on a schedule and stored
+ * as posts/{postId}.hotScore, together with the ranked feeds/trending doc. The feed and
+ * homepage only query the stored scores.
+ *
+ * Also runs in Cloud Functions (see "Shared modules" in functions/README.md).
+ *
+ * ============================================
+ */
+
+export const COMMENT_WEIGHT = 1.5; // Comments count 1.5x more than votes
+export const GRAVITY = 1.8; // How quickly posts lose momentum
+export const TIME_OFFSET_HOURS = 2; // Prevents division by zero for brand new posts
+
+// Posts older than this stop being scored (hotScore 0)
+export const TRENDING_WINDOW_HOURS = 7 * 24;
+// Posts from authors below this karma are left out of trending (spam prevention)
+export const MIN_TRENDING_KARMA = -10;
+// Number of posts ranked in feeds/trending
+export const TRENDING_FEED_SIZE = 50;
+// Number of #tags ranked in feeds/trending (homepage "Trending Tags")
+export const TRENDING_TAGS_SIZE = 10;
+
+/**
+ * Reddit-style hot score: (voteScore + comments * COMMENT_WEIGHT) / (ageHours + offset)^GRAVITY
+ * @param {number} createdAtMillis - post creation time
+ * @param {number} now - time the score is computed for
+ * @returns {number} hot score (0 for posts without a valid creation time)
+ */
+export function calculateHotScore(voteScore, commentsCount, createdAtMillis, now = Date.now()) {
+    if (!createdAtMillis) return 0;
+    const ageInHours = Math.max(0, now - createdAtMillis) / (1000 * 60 * 60);
+    const engagement = (voteScore || 0) + (commentsCount || 0) * COMMENT_WEIGHT;
+    return engagement / Math.pow(ageInHours + TIME_OFFSET_HOURS, GRAVITY);
+}
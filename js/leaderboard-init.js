@@ -16,6 +16,7 @@ import {
     writeBatch,
     serverTimestamp
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { getMessageLink } from './direct-messages.js';
 
 // Initialize auth gate for leaderboard page
 (async () => {
@@ -371,6 +372,13 @@ async function showUserProfile(userId) {
             if (followingEl) followingEl.textContent = '0';
         }
         
+        // "Message" button opens a direct conversation (hidden on your own profile)
+        const messageBtn = document.getElementById('leaderboardMessageBtn');
+        if (messageBtn) {
+            messageBtn.href = getMessageLink(userId);
+            messageBtn.classList.toggle('hide', userId === currentUser.uid);
+        }
+        
         // Check if current user is following this user and show follow button
         if (userId !== currentUser.uid) {
             try {
@@ -474,17 +482,6 @@ async function followUser(targetUserId) {
         
         await batch.commit();
         console.log(`Followed user: ${targetUserId}`);
-        
-        // Track quest progress: daily_follow_3 (only if this was a new follow)
-        try {
-            const { updateQuestProgress } = await import('/js/quests-init.js');
-            console.log('Updating quest progress for daily_follow_3');
-            await updateQuestProgress('daily_follow_3', 1, { targetUserId: targetUserId });
-            console.log('Quest progress updated successfully');
-        } catch (error) {
-            console.error('Error updating follow quest progress:', error);
-            console.error('Error details:', error.message, error.stack);
-        }
     } catch (error) {
         console.error('Error following user:', error);
         throw error;
@@ -0,0 +1,61 @@
+/**
+ * Level Curve Module
+ * ============================================
+ *
+ * Single source of truth for the XP -> level curve.
+ *
+ * Used by the browser (quests page, profiles, leaderboard, chat) for display and
+ * by Cloud Functions (functions/quests.js) when awarding quest XP, so the level
+ * stored on users/{uid} always matches what the client shows.
+ *
+ * Also runs in Cloud Functions (see "Shared modules" in functions/README.md).
+ *
+ * ============================================
+ */
+
+export const MAX_LEVEL = 100;
+export const BASE_XP = 10; // Level 1 requires 10 XP
+
+// Calculate XP needed for a specific level
+export function calculateXPForLevel(level) {
+    if (level <= 1) return BASE_XP;
+    let xp = BASE_XP;
+    for (let i = 2; i <= level; i++) {
+        xp = Math.round(xp * 1.2); // 20% increase, rounded to whole number
+    }
+    return xp;
+}
+
+// Get level progress information from total points
+export function getLevelProgress(points) {
+    if (points < 0) points = 0;
+
+    let level = 1;
+    let cumulativeXP = 0;
+
+    // Calculate which level the user is at
+    while (level < MAX_LEVEL) {
+        const xpForNextLevel = calculateXPForLevel(level + 1);
+        if (points < cumulativeXP + xpForNextLevel) {
+            break;
+        }
+        cumulativeXP += xpForNextLevel;
+        level++;
+    }
+
+    const xpInCurrentLevel = points - cumulativeXP;
+    const xpNeededForNextLevel = level < MAX_LEVEL ? calculateXPForLevel(level + 1) : 0;
+
+    return {
+        level: Math.min(level, MAX_LEVEL),
+        xpInCurrentLevel,
+        xpNeededForNextLevel,
+        cumulativeXP,
+        isMaxLevel: level >= MAX_LEVEL
+    };
+}
+
+// Calculate level from points
+export function calculateLevel(points) {
+    return getLevelProgress(points).level;
+}
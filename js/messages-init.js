@@ -0,0 +1,726 @@
+/**
+ * Messages Page Initialization Module
+ * Conversation list, the open conversation, blocking, starting new conversations and
+ * group chats (create, invites, members and settings)
+ *
+ * URL parameters:
+ * - ?user={uid} opens (or creates) the conversation with that user ("Message" buttons)
+ * - ?c={conversationId} opens an existing conversation
+ */
+
+import { auth, db } from './firebase.js';
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import { doc, getDoc } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import {
+    ensureConversation,
+    subscribeToConversations,
+    subscribeToConversationMessages,
+    sendDirectMessage,
+    markConversationRead,
+    getUnreadCount,
+    getOtherParticipant,
+    getConversationTitle,
+    blockUser,
+    unblockUser,
+    subscribeToBlockedUsers,
+    GROUP_AVATARS,
+    GROUP_MAX_MEMBERS,
+    isGroupAdmin,
+    createGroup,
+    updateGroupSettings,
+    deleteGroup,
+    inviteToGroup,
+    subscribeToGroupInvites,
+    acceptGroupInvite,
+    declineGroupInvite,
+    removeGroupMember,
+    setGroupAdmin
+} from './direct-messages.js';
+import { formatUnreadCount } from './notifications.js';
+import { formatMessageText, formatTime, formatDate, escapeHtml } from './chat-format.js';
+
+// State
+let currentUser = null;
+let currentUsername = '';
+let conversations = [];
+let blockedUsers = new Set();
+let groupInvites = [];
+let editingGroupId = null;
+let activeConversationId = null;
+let activeConversation = null;
+let activeMessages = [];
+let conversationsListener = null;
+let messagesListener = null;
+let blockedListener = null;
+let invitesListener = null;
+
+// DOM Elements
+let conversationListEl, threadEmptyEl, threadViewEl, threadUserEl, blockBtn;
+let messageListEl, blockedNoteEl, composeForm, composeInput, sendBtn, newForm, newUsernameInput;
+let groupInfoBtn, invitesEl, inviteListEl, groupModal, groupForm, groupInfoModal, groupMembersEl, inviteForm;
+
+// Initialize auth gate for messages page
+(async () => {
+    try {
+        const { initAuthGate } = await import('/js/auth-gate.js');
+        initAuthGate();
+    } catch (error) {
+        console.error('Messages init: Auth gate initialization error:', error);
+    }
+})();
+
+onAuthStateChanged(auth, async (user) => {
+    cleanupListeners();
+    currentUser = user;
+    conversations = [];
+    blockedUsers = new Set();
+    groupInvites = [];
+    if (!user) {
+        closeConversation();
+        return;
+    }
+
+    try {
+        const userDoc = await getDoc(doc(db, 'users', user.uid));
+        currentUsername = userDoc.exists() ? userDoc.data().username || '' : '';
+    } catch (error) {
+        console.error('Error loading user profile:', error);
+    }
+
+    conversationsListener = subscribeToConversations(user.uid, (items) => {
+        conversations = items;
+        renderConversations();
+        syncActiveConversation();
+    });
+    blockedListener = subscribeToBlockedUsers(user.uid, (blocked) => {
+        blockedUsers = blocked;
+        renderThreadHeader();
+    });
+    invitesListener = subscribeToGroupInvites(user.uid, (invites) => {
+        groupInvites = invites;
+        renderGroupInvites();
+    });
+
+    await openFromUrl();
+});
+
+function cleanupListeners() {
+    if (conversationsListener) {
+        conversationsListener();
+        conversationsListener = null;
+    }
+    if (blockedListener) {
+        blockedListener();
+        blockedListener = null;
+    }
+    if (invitesListener) {
+        invitesListener();
+        invitesListener = null;
+    }
+    if (messagesListener) {
+        messagesListener();
+        messagesListener = null;
+    }
+}
+
+// Initialize DOM elements
+function initializeElements() {
+    conversationListEl = document.getElementById('dmConversationList');
+    threadEmptyEl = document.getElementById('dmThreadEmpty');
+    threadViewEl = document.getElementById('dmThreadView');
+    threadUserEl = document.getElementById('dmThreadUser');
+    blockBtn = document.getElementById('dmBlockBtn');
+    messageListEl = document.getElementById('dmMessageList');
+    blockedNoteEl = document.getElementById('dmBlockedNote');
+    composeForm = document.getElementById('dmComposeForm');
+    composeInput = document.getElementById('dmComposeInput');
+    sendBtn = document.getElementById('dmSendBtn');
+    newForm = document.getElementById('dmNewForm');
+    newUsernameInput = document.getElementById('dmNewUsername');
+    groupInfoBtn = document.getElementById('dmGroupInfoBtn');
+    invitesEl = document.getElementById('dmInvites');
+    inviteListEl = document.getElementById('dmInviteList');
+    groupModal = document.getElementById('dmGroupModal');
+    groupForm = document.getElementById('dmGroupForm');
+    groupInfoModal = document.getElementById('dmGroupInfoModal');
+    groupMembersEl = document.getElementById('dmGroupMembers');
+    inviteForm = document.getElementById('dmInviteForm');
+
+    composeForm?.addEventListener('submit', handleSendMessage);
+    newForm?.addEventListener('submit', handleStartConversation);
+    blockBtn?.addEventListener('click', handleToggleBlock);
+    setupGroups();
+}
+
+async function openFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const otherUid = params.get('user');
+    const conversationId = params.get('c');
+
+    if (otherUid) {
+        await startConversationWith(otherUid);
+    } else if (conversationId) {
+        openConversation(conversationId);
+    }
+}
+
+async function startConversationWith(otherUid) {
+    if (!currentUser) return;
+
+    try {
+        const conversationId = await ensureConversation(currentUser.uid, currentUsername, otherUid);
+        openConversation(conversationId);
+    } catch (error) {
+        console.error('Error starting conversation:', error);
+        alert(error.code === 'permission-denied' ? "You can't message this user." : error.message);
+    }
+}
+
+function openConversation(conversationId) {
+    if (messagesListener) {
+        messagesListener();
+        messagesListener = null;
+    }
+
+    activeConversationId = conversationId;
+    activeConversation = conversations.find(c => c.id === conversationId) || null;
+    activeMessages = [];
+    history.replaceState(null, '', `?c=${encodeURIComponent(conversationId)}`);
+
+    threadEmptyEl?.classList.add('hide');
+    threadViewEl?.classList.remove('hide');
+    if (messageListEl) {
+        messageListEl.innerHTML = '<div class="follow-list-loading">Loading messages...</div>';
+    }
+
+    messagesListener = subscribeToConversationMessages(conversationId, renderMessages, () => {
+        if (messageListEl) {
+            messageListEl.innerHTML = '<div class="quest-empty">This conversation is not available.</div>';
+        }
+    });
+
+    // Not in the list yet (e.g. opened from a link before the list loaded)
+    if (!activeConversation) {
+        getDoc(doc(db, 'conversations', conversationId)).then((conversationDoc) => {
+            if (conversationDoc.exists() && activeConversationId === conversationId && !activeConversation) {
+                activeConversation = { id: conversationDoc.id, ...conversationDoc.data() };
+                renderThreadHeader();
+                renderMessages(activeMessages);
+            }
+        }).catch((error) => {
+            console.error('Error loading conversation:', error);
+        });
+    }
+
+    renderConversations();
+    renderThreadHeader();
+    markActiveConversationRead();
+}
+
+function closeConversation() {
+    activeConversationId = null;
+    activeConversation = null;
+    threadViewEl?.classList.add('hide');
+    threadEmptyEl?.classList.remove('hide');
+    if (conversationListEl) conversationListEl.innerHTML = '';
+}
+
+// Keep the open conversation in sync with the list (header, unread count)
+function syncActiveConversation() {
+    if (!activeConversationId) return;
+    const updated = conversations.find(c => c.id === activeConversationId);
+    if (!updated) return;
+    const wasLoaded = Boolean(activeConversation);
+    activeConversation = updated;
+    renderThreadHeader();
+    // Messages that arrived first were rendered without knowing the conversation type
+    if (!wasLoaded) renderMessages(activeMessages);
+    markActiveConversationRead();
+}
+
+async function markActiveConversationRead() {
+    if (!currentUser || !activeConversation) return;
+    if (getUnreadCount(activeConversation, currentUser.uid) === 0) return;
+
+    try {
+        await markConversationRead(activeConversation.id, currentUser.uid);
+    } catch (error) {
+        console.error('Error marking conversation as read:', error);
+    }
+}
+
+function renderConversations() {
+    if (!conversationListEl || !currentUser) return;
+
+    conversationListEl.innerHTML = '';
+    if (conversations.length === 0) {
+        conversationListEl.innerHTML = '<div class="quest-empty">No conversations yet</div>';
+        return;
+    }
+
+    conversations.forEach(conversation => {
+        conversationListEl.appendChild(createConversationItem(conversation));
+    });
+}
+
+function createConversationItem(conversation) {
+    const unread = getUnreadCount(conversation, currentUser.uid);
+    const lastMessageAt = conversation.lastMessageAt?.toDate ? conversation.lastMessageAt.toDate() : null;
+    const lastMessage = conversation.lastMessage;
+    const preview = lastMessage
+        ? `${getPreviewSender(conversation, lastMessage.senderId)}${lastMessage.text || ''}`
+        : 'No messages yet';
+
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'dm-conversation-item';
+    if (conversation.id === activeConversationId) item.classList.add('active');
+    if (unread > 0) item.classList.add('dm-conversation-unread');
+    item.innerHTML = `
+        <div class="dm-conversation-body">
+            <div class="dm-conversation-top">
+                <span class="dm-conversation-name">${escapeHtml(getConversationTitle(conversation, currentUser.uid))}</span>
+                <span class="dm-conversation-time">${lastMessageAt ? getTimeAgo(lastMessageAt) : ''}</span>
+            </div>
+            <p class="dm-conversation-preview">${escapeHtml(preview)}</p>
+        </div>
+        ${unread > 0 ? `<span class="nav-notifications-badge dm-unread-badge">${formatUnreadCount(unread)}</span>` : ''}
+    `;
+    item.addEventListener('click', () => openConversation(conversation.id));
+    return item;
+}
+
+// "You: " for own messages, "username: " in groups
+function getPreviewSender(conversation, senderId) {
+    if (senderId === currentUser.uid) return 'You: ';
+    if (conversation.type !== 'group') return '';
+    return `${getSenderName(conversation, senderId)}: `;
+}
+
+function getSenderName(conversation, senderId) {
+    return conversation.participantInfo?.[senderId]?.username || 'Former member';
+}
+
+function renderThreadHeader() {
+    if (!activeConversation || !currentUser || !threadUserEl) return;
+
+    const isGroup = activeConversation.type === 'group';
+    blockBtn?.classList.toggle('hide', isGroup);
+    groupInfoBtn?.classList.toggle('hide', !isGroup);
+    if (isGroup) {
+        threadUserEl.textContent = getConversationTitle(activeConversation, currentUser.uid);
+        threadUserEl.removeAttribute('href');
+        blockedNoteEl?.classList.add('hide');
+        if (composeInput) composeInput.disabled = false;
+        if (sendBtn) sendBtn.disabled = false;
+        if (groupInfoModal?.classList.contains('show')) renderGroupInfo();
+        return;
+    }
+
+    const other = getOtherParticipant(activeConversation, currentUser.uid);
+    const isBlocked = blockedUsers.has(other.uid);
+
+    threadUserEl.textContent = other.username;
+    threadUserEl.href = `/profile/?user=${encodeURIComponent(other.uid)}`;
+    if (blockBtn) {
+        blockBtn.textContent = isBlocked ? 'Unblock' : 'Block';
+        blockBtn.dataset.userId = other.uid;
+    }
+
+    blockedNoteEl?.classList.toggle('hide', !isBlocked);
+    if (blockedNoteEl) blockedNoteEl.textContent = isBlocked ? 'You blocked this user. Unblock them to send messages.' : '';
+    if (composeInput) composeInput.disabled = isBlocked;
+    if (sendBtn) sendBtn.disabled = isBlocked;
+}
+
+function renderMessages(messages) {
+    activeMessages = messages;
+    if (!messageListEl || !currentUser) return;
+
+    messageListEl.innerHTML = '';
+    if (messages.length === 0) {
+        messageListEl.innerHTML = '<div class="quest-empty">No messages yet. Say hi!</div>';
+        return;
+    }
+
+    if (activeConversation?.type === 'group') {
+        messages.forEach(message => messageListEl.appendChild(createGroupMessageItem(message)));
+        messageListEl.scrollTop = messageListEl.scrollHeight;
+        return;
+    }
+
+    messages.forEach(message => {
+        const createdAt = message.createdAt?.toDate ? message.createdAt.toDate() : null;
+        const item = document.createElement('div');
+        item.className = `dm-message ${message.senderId === currentUser.uid ? 'dm-message-own' : ''}`;
+        item.innerHTML = `
+            <p class="dm-message-text">${escapeHtml(message.text)}</p>
+            <span class="dm-message-time">${createdAt ? getTimeAgo(createdAt) : 'sending...'}</span>
+        `;
+        messageListEl.appendChild(item);
+    });
+    messageListEl.scrollTop = messageListEl.scrollHeight;
+}
+
+// Group messages use the community chat message markup
+function createGroupMessageItem(message) {
+    const createdAt = message.createdAt?.toDate ? message.createdAt.toDate() : new Date();
+    const username = getSenderName(activeConversation, message.senderId);
+
+    const item = document.createElement('div');
+    item.className = `chat-message ${message.senderId === currentUser.uid ? 'own-message' : ''}`;
+    item.innerHTML = `
+        <div class="message-content">
+            <div class="message-header">
+                <a class="message-username" href="/profile/?user=${encodeURIComponent(message.senderId)}">${escapeHtml(username)}</a>
+                <span class="message-time" title="${formatDate(createdAt)}">${formatTime(createdAt)}</span>
+            </div>
+            <div class="message-text">${formatMessageText(message.text)}</div>
+        </div>
+    `;
+    return item;
+}
+
+async function handleSendMessage(e) {
+    e.preventDefault();
+    if (!currentUser || !activeConversationId || !composeInput) return;
+
+    const text = composeInput.value;
+    if (!text.trim()) return;
+
+    sendBtn.disabled = true;
+    try {
+        await sendDirectMessage(activeConversationId, currentUser.uid, text);
+        composeInput.value = '';
+    } catch (error) {
+        console.error('Error sending message:', error);
+        alert(error.code === 'permission-denied' ? "You can't message this user." : error.message);
+    } finally {
+        sendBtn.disabled = false;
+        composeInput.focus();
+    }
+}
+
+async function handleStartConversation(e) {
+    e.preventDefault();
+    if (!currentUser || !newUsernameInput) return;
+
+    const usernameLower = newUsernameInput.value.trim().replace(/^@/, '').toLowerCase();
+    if (!usernameLower) return;
+
+    try {
+        const usernameDoc = await getDoc(doc(db, 'usernames', usernameLower));
+        if (!usernameDoc.exists()) {
+            alert('User not found.');
+            return;
+        }
+        if (usernameDoc.data().uid === currentUser.uid) {
+            alert('You cannot message yourself.');
+            return;
+        }
+        newUsernameInput.value = '';
+        await startConversationWith(usernameDoc.data().uid);
+    } catch (error) {
+        console.error('Error looking up username:', error);
+        alert('Failed to start conversation. Please try again.');
+    }
+}
+
+async function handleToggleBlock() {
+    const targetUid = blockBtn?.dataset.userId;
+    if (!currentUser || !targetUid) return;
+
+    const isBlocked = blockedUsers.has(targetUid);
+    if (!isBlocked && !confirm('Block this user? Neither of you will be able to send messages in this conversation.')) {
+        return;
+    }
+
+    blockBtn.disabled = true;
+    try {
+        if (isBlocked) {
+            await unblockUser(currentUser.uid, targetUid);
+        } else {
+            await blockUser(currentUser.uid, targetUid);
+        }
+    } catch (error) {
+        console.error('Error updating block:', error);
+        alert('Failed to update block. Please try again.');
+    } finally {
+        blockBtn.disabled = false;
+    }
+}
+
+// Group chats
+
+function setupGroups() {
+    const avatarSelect = document.getElementById('dmGroupAvatar');
+    if (avatarSelect) {
+        avatarSelect.innerHTML = GROUP_AVATARS.map(avatar => `<option value="${avatar}">${avatar}</option>`).join('');
+    }
+
+    document.getElementById('dmNewGroupBtn')?.addEventListener('click', () => openGroupModal(null));
+    document.getElementById('closeDmGroupModal')?.addEventListener('click', () => closeModal(groupModal));
+    document.getElementById('closeDmGroupInfoModal')?.addEventListener('click', () => closeModal(groupInfoModal));
+    document.getElementById('dmEditGroupBtn')?.addEventListener('click', () => {
+        closeModal(groupInfoModal);
+        openGroupModal(activeConversation);
+    });
+    document.getElementById('dmLeaveGroupBtn')?.addEventListener('click', handleLeaveGroup);
+    document.getElementById('dmDeleteGroupBtn')?.addEventListener('click', handleDeleteGroup);
+    groupInfoBtn?.addEventListener('click', openGroupInfo);
+    groupForm?.addEventListener('submit', handleGroupFormSubmit);
+    inviteForm?.addEventListener('submit', handleInvite);
+
+    [groupModal, groupInfoModal].forEach(modal => {
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal(modal);
+        });
+    });
+}
+
+function openModal(modal) {
+    if (!modal) return;
+    modal.classList.remove('hide');
+    modal.classList.add('show');
+    document.body.classList.add('no-scroll');
+}
+
+function closeModal(modal) {
+    if (modal && modal.classList.contains('show')) {
+        modal.classList.remove('show');
+        modal.classList.add('hide');
+        document.body.classList.remove('no-scroll');
+    }
+}
+
+// group = null creates a new group
+function openGroupModal(group) {
+    editingGroupId = group ? group.id : null;
+    document.getElementById('dmGroupModalTitle').textContent = group ? 'Edit group' : 'New group';
+    document.getElementById('dmGroupSubmit').textContent = group ? 'Save' : 'Create group';
+    document.getElementById('dmGroupName').value = group?.name || '';
+    document.getElementById('dmGroupDescription').value = group?.description || '';
+    document.getElementById('dmGroupAvatar').value = group?.avatar || GROUP_AVATARS[0];
+    openModal(groupModal);
+}
+
+async function handleGroupFormSubmit(e) {
+    e.preventDefault();
+    if (!currentUser) return;
+
+    const submitBtn = document.getElementById('dmGroupSubmit');
+    const settings = {
+        name: document.getElementById('dmGroupName').value,
+        description: document.getElementById('dmGroupDescription').value,
+        avatar: document.getElementById('dmGroupAvatar').value
+    };
+
+    submitBtn.disabled = true;
+    try {
+        if (editingGroupId) {
+            await updateGroupSettings(editingGroupId, settings);
+        } else {
+            const groupId = await createGroup(currentUser.uid, currentUsername, settings);
+            openConversation(groupId);
+        }
+        closeModal(groupModal);
+    } catch (error) {
+        console.error('Error saving group:', error);
+        alert(error.message || 'Failed to save group. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+function openGroupInfo() {
+    if (activeConversation?.type !== 'group') return;
+    renderGroupInfo();
+    openModal(groupInfoModal);
+}
+
+function renderGroupInfo() {
+    const group = activeConversation;
+    if (!group || group.type !== 'group' || !currentUser) return;
+
+    const isOwner = group.ownerId === currentUser.uid;
+    const isAdmin = isGroupAdmin(group, currentUser.uid);
+    const participants = group.participants || [];
+
+    document.getElementById('dmGroupInfoTitle').textContent = getConversationTitle(group, currentUser.uid);
+    document.getElementById('dmGroupInfoDescription').textContent = group.description || 'No description.';
+    document.getElementById('dmGroupMembersHeading').textContent = `Members (${participants.length}/${GROUP_MAX_MEMBERS})`;
+    inviteForm?.classList.toggle('hide', !isAdmin);
+    document.getElementById('dmEditGroupBtn')?.classList.toggle('hide', !isAdmin);
+    document.getElementById('dmLeaveGroupBtn')?.classList.toggle('hide', isOwner);
+    document.getElementById('dmDeleteGroupBtn')?.classList.toggle('hide', !isOwner);
+
+    if (!groupMembersEl) return;
+    groupMembersEl.innerHTML = '';
+    participants.forEach(memberUid => {
+        groupMembersEl.appendChild(createMemberItem(group, memberUid, isOwner, isAdmin));
+    });
+}
+
+function createMemberItem(group, memberUid, isOwner, isAdmin) {
+    const memberIsOwner = group.ownerId === memberUid;
+    const memberIsAdmin = (group.admins || []).includes(memberUid);
+    const role = memberIsOwner ? 'Owner' : (memberIsAdmin ? 'Admin' : '');
+    // Admins remove regular members; the owner can also remove and demote admins
+    const canRemove = memberUid !== currentUser.uid && !memberIsOwner && (isOwner || (isAdmin && !memberIsAdmin));
+    const canChangeAdmin = isOwner && !memberIsOwner;
+
+    const item = document.createElement('div');
+    item.className = 'dm-member-item';
+    item.innerHTML = `
+        <a class="dm-member-name" href="/profile/?user=${encodeURIComponent(memberUid)}">${escapeHtml(getSenderName(group, memberUid))}</a>
+        ${role ? `<span class="dm-member-role">${role}</span>` : ''}
+        <div class="thread-item-actions">
+            ${canChangeAdmin ? `<button type="button" class="thread-item-btn" data-action="admin">${memberIsAdmin ? 'Remove admin' : 'Make admin'}</button>` : ''}
+            ${canRemove ? '<button type="button" class="thread-item-btn" data-action="remove">Remove</button>' : ''}
+        </div>
+    `;
+
+    item.querySelector('[data-action="admin"]')?.addEventListener('click', async () => {
+        try {
+            await setGroupAdmin(group.id, memberUid, !memberIsAdmin);
+        } catch (error) {
+            console.error('Error updating group admin:', error);
+            alert('Failed to update admin. Please try again.');
+        }
+    });
+    item.querySelector('[data-action="remove"]')?.addEventListener('click', async () => {
+        if (!confirm(`Remove ${getSenderName(group, memberUid)} from the group?`)) return;
+        try {
+            await removeGroupMember(group.id, memberUid);
+        } catch (error) {
+            console.error('Error removing group member:', error);
+            alert('Failed to remove member. Please try again.');
+        }
+    });
+
+    return item;
+}
+
+async function handleInvite(e) {
+    e.preventDefault();
+    const group = activeConversation;
+    const input = document.getElementById('dmInviteUsername');
+    if (!currentUser || group?.type !== 'group' || !input) return;
+
+    const usernameLower = input.value.trim().replace(/^@/, '').toLowerCase();
+    if (!usernameLower) return;
+
+    try {
+        const usernameDoc = await getDoc(doc(db, 'usernames', usernameLower));
+        if (!usernameDoc.exists()) {
+            alert('User not found.');
+            return;
+        }
+        await inviteToGroup(group, currentUser.uid, currentUsername, usernameDoc.data().uid);
+        input.value = '';
+        alert(`Invite sent to ${usernameLower}.`);
+    } catch (error) {
+        console.error('Error inviting to group:', error);
+        alert(error.code === 'permission-denied' ? "You can't invite this user." : error.message);
+    }
+}
+
+async function handleLeaveGroup() {
+    const group = activeConversation;
+    if (!currentUser || group?.type !== 'group') return;
+    if (!confirm(`Leave ${group.name || 'this group'}?`)) return;
+
+    try {
+        await removeGroupMember(group.id, currentUser.uid);
+        closeModal(groupInfoModal);
+        closeActiveConversation();
+    } catch (error) {
+        console.error('Error leaving group:', error);
+        alert('Failed to leave group. Please try again.');
+    }
+}
+
+async function handleDeleteGroup() {
+    const group = activeConversation;
+    if (!currentUser || group?.type !== 'group') return;
+    if (!confirm(`Delete ${group.name || 'this group'} and all of its messages? This cannot be undone.`)) return;
+
+    try {
+        await deleteGroup(group.id);
+        closeModal(groupInfoModal);
+        closeActiveConversation();
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        alert('Failed to delete group. Please try again.');
+    }
+}
+
+// Back to the empty state after leaving or deleting the open group
+function closeActiveConversation() {
+    if (messagesListener) {
+        messagesListener();
+        messagesListener = null;
+    }
+    activeConversationId = null;
+    activeConversation = null;
+    history.replaceState(null, '', window.location.pathname);
+    threadViewEl?.classList.add('hide');
+    threadEmptyEl?.classList.remove('hide');
+    renderConversations();
+}
+
+function renderGroupInvites() {
+    if (!invitesEl || !inviteListEl) return;
+
+    invitesEl.classList.toggle('hide', groupInvites.length === 0);
+    inviteListEl.innerHTML = '';
+    groupInvites.forEach(invite => {
+        const item = document.createElement('div');
+        item.className = 'dm-invite-item';
+        item.innerHTML = `
+            <p class="dm-invite-text">
+                <strong>${escapeHtml(invite.invitedByUsername || 'Someone')}</strong> invited you to
+                <strong>${escapeHtml(invite.groupName || 'a group')}</strong>
+            </p>
+            <div class="thread-item-actions">
+                <button type="button" class="thread-item-btn" data-action="accept">Join</button>
+                <button type="button" class="thread-item-btn" data-action="decline">Decline</button>
+            </div>
+        `;
+        item.querySelector('[data-action="accept"]').addEventListener('click', async () => {
+            try {
+                await acceptGroupInvite(invite, currentUser.uid, currentUsername);
+                openConversation(invite.groupId);
+            } catch (error) {
+                console.error('Error joining group:', error);
+                alert('Failed to join group. It may be full or no longer exist.');
+            }
+        });
+        item.querySelector('[data-action="decline"]').addEventListener('click', async () => {
+            try {
+                await declineGroupInvite(invite.id);
+            } catch (error) {
+                console.error('Error declining invite:', error);
+            }
+        });
+        inviteListEl.appendChild(item);
+    });
+}
+
+function getTimeAgo(date) {
+    const seconds = Math.floor((new Date() - date) / 1000);
+
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+
+    return date.toLocaleDateString();
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeElements);
+} else {
+    initializeElements();
+}
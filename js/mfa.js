@@ -0,0 +1,141 @@
+/**
+ * MFA Module
+ * TOTP two-factor authentication: enrollment, the sign-in/reauthentication challenge and backup codes
+ *
+ * Uses Firebase Auth multi-factor (TOTP has to be enabled for the project in Identity Platform).
+ * Once an authenticator is enrolled, signing in or reauthenticating fails with
+ * auth/multi-factor-auth-required and is finished with resolveTotpChallenge() - the login page
+ * (js/auth-ui.js) and the reauth modal (js/reauth-modal.js) ask for the code.
+ *
+ * Backup codes are created and redeemed by functions/mfa.js. Redeeming one re-sends the email and
+ * password of the pending sign-in and returns a custom token for this one sign-in; the user then
+ * replaces their authenticator in profile settings. Google/X sign-ins can't redeem codes (the SDK
+ * doesn't expose their provider tokens), so those users log in with email and password instead.
+ *
+ * Admins and moderators only get their privileges in sessions signed in with the second factor
+ * (hasSecondFactor() in firestore.rules, hasSecondFactor(context) in functions/mfa.js).
+ */
+
+import { auth, app } from './firebase.js';
+import {
+    multiFactor,
+    getMultiFactorResolver,
+    TotpMultiFactorGenerator,
+    signInWithCustomToken
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import { getFunctions, httpsCallable } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-functions.js';
+
+const TOTP_ISSUER = 'APE HUB';
+const TOTP_DISPLAY_NAME = 'Authenticator app';
+
+function getCallable(name) {
+    return httpsCallable(getFunctions(app, 'us-central1'), name);
+}
+
+// The user's enrolled TOTP factor, or null
+export function getTotpFactor(user) {
+    if (!user) return null;
+    return multiFactor(user).enrolledFactors.find(factor => factor.factorId === TotpMultiFactorGenerator.FACTOR_ID) || null;
+}
+
+export function isMfaEnabled(user) {
+    return Boolean(getTotpFactor(user));
+}
+
+// Whether the current session was signed in with the second factor (needed for staff privileges)
+export async function hasSecondFactorSession(user) {
+    if (!user) return false;
+    const tokenResult = await user.getIdTokenResult();
+    return Boolean(tokenResult.signInSecondFactor);
+}
+
+/**
+ * Start enrolling an authenticator app
+ * @returns {Promise<{ secret: TotpSecret, secretKey: string, otpauthUrl: string }>}
+ *   secretKey is for manual entry, otpauthUrl opens authenticator apps on phones
+ */
+export async function startTotpEnrollment(user) {
+    const session = await multiFactor(user).getSession();
+    const secret = await TotpMultiFactorGenerator.generateSecret(session);
+    const accountName = user.email || user.displayName || user.uid;
+    return {
+        secret,
+        secretKey: secret.secretKey,
+        otpauthUrl: secret.generateQrCodeUrl(accountName, TOTP_ISSUER)
+    };
+}
+
+// Finish enrolling with the first code shown by the authenticator app
+export async function finishTotpEnrollment(user, secret, code) {
+    const assertion = TotpMultiFactorGenerator.assertionForEnrollment(secret, code.trim());
+    await multiFactor(user).enroll(assertion, TOTP_DISPLAY_NAME);
+}
+
+// Remove the authenticator (needs a recent sign-in)
+export async function disableTotp(user) {
+    const factor = getTotpFactor(user);
+    if (!factor) return;
+    await multiFactor(user).unenroll(factor);
+}
+
+export function isMfaRequiredError(error) {
+    return error?.code === 'auth/multi-factor-auth-required';
+}
+
+/**
+ * Finish a sign-in or reauthentication that failed with auth/multi-factor-auth-required
+ * @param {Error} error - the multi-factor error
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<UserCredential>}
+ */
+export async function resolveTotpChallenge(error, code) {
+    const resolver = getMultiFactorResolver(auth, error);
+    const hint = resolver.hints.find(info => info.factorId === TotpMultiFactorGenerator.FACTOR_ID);
+    if (!hint) {
+        throw Object.assign(new Error('This account uses a second factor that is not supported here.'), { code: 'auth/unsupported-second-factor' });
+    }
+    const assertion = TotpMultiFactorGenerator.assertionForSignIn(hint.uid, code.trim());
+    return resolver.resolveSignIn(assertion);
+}
+
+/**
+ * Replace the signed-in user's backup codes
+ * @returns {Promise<string[]>} the new codes (shown once)
+ */
+export async function generateBackupCodes() {
+    const result = await getCallable('generateMfaBackupCodes')({});
+    return result.data.codes;
+}
+
+/**
+ * Use a backup code at the sign-in challenge of an email and password sign-in, and sign in
+ * with it (this sign-in only)
+ * @param {string} code - one of the user's backup codes
+ * @param {{ email: string, password: string }} credentials - the pending sign-in's credentials
+ * @returns {Promise<UserCredential>}
+ */
+export async function redeemBackupCode(code, { email, password }) {
+    const firstFactor = { method: 'password', email, password };
+    const result = await getCallable('redeemMfaBackupCode')({ code: code.trim(), firstFactor });
+    return signInWithCustomToken(auth, result.data.token);
+}
+
+// User-facing message for enrollment, challenge and backup code errors
+export function formatMfaError(error) {
+    const errorMessages = {
+        'auth/invalid-verification-code': 'That code is not valid. Check your authenticator app and try again.',
+        'auth/missing-code': 'Please enter the 6-digit code from your authenticator app.',
+        'auth/totp-challenge-timeout': 'The code expired. Please log in again.',
+        'auth/unverified-email': 'Verify your email address before turning on two-factor authentication.',
+        'auth/operation-not-allowed': 'Two-factor authentication is not enabled for this site.',
+        'auth/requires-recent-login': 'Please log out and log back in, then try again.',
+        'auth/unsupported-second-factor': 'This account uses a second factor that is not supported here.',
+        'auth/network-request-failed': 'Network error. Please check your connection.',
+        'auth/backup-code-needs-password': 'Backup codes work with email and password sign-in. Log in with your email and password (use "Forgot password?" to set one), then enter the code.',
+        'functions/not-found': 'Invalid or already used backup code.',
+        'functions/permission-denied': 'Your sign-in could not be verified. Please log in again.',
+        'functions/resource-exhausted': 'Too many attempts. Please try again in an hour.',
+        'functions/failed-precondition': 'Turn on two-factor authentication before creating backup codes.'
+    };
+    return errorMessages[error.code] || error.message || 'An error occurred. Please try again.';
+}
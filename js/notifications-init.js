@@ -0,0 +1,147 @@
+/**
+ * Notifications Page Initialization Module
+ * Lists the user's notifications and marks them as read
+ */
+
+import { auth } from './firebase.js';
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import {
+    NOTIFICATION_TYPES,
+    subscribeToNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
+} from './notifications.js';
+
+// State
+let currentUser = null;
+let notificationsListener = null;
+let notifications = [];
+
+// DOM Elements
+let notificationsListEl, markAllReadBtn;
+
+// Initialize auth gate for notifications page
+(async () => {
+    try {
+        const { initAuthGate } = await import('/js/auth-gate.js');
+        initAuthGate();
+    } catch (error) {
+        console.error('Notifications init: Auth gate initialization error:', error);
+    }
+})();
+
+onAuthStateChanged(auth, (user) => {
+    if (notificationsListener) {
+        notificationsListener();
+        notificationsListener = null;
+    }
+
+    currentUser = user;
+    if (!user) {
+        notifications = [];
+        return;
+    }
+
+    notificationsListener = subscribeToNotifications(user.uid, (items) => {
+        notifications = items;
+        renderNotifications();
+    });
+});
+
+// Initialize DOM elements
+function initializeElements() {
+    notificationsListEl = document.getElementById('notificationsList');
+    markAllReadBtn = document.getElementById('markAllReadBtn');
+
+    markAllReadBtn?.addEventListener('click', handleMarkAllRead);
+}
+
+function renderNotifications() {
+    if (!notificationsListEl) return;
+
+    notificationsListEl.innerHTML = '';
+    if (markAllReadBtn) {
+        markAllReadBtn.disabled = !notifications.some(n => !n.read);
+    }
+
+    if (notifications.length === 0) {
+        notificationsListEl.innerHTML = '<div class="quest-empty">No notifications yet</div>';
+        return;
+    }
+
+    notifications.forEach(notification => {
+        notificationsListEl.appendChild(createNotificationItem(notification));
+    });
+}
+
+function createNotificationItem(notification) {
+    const type = NOTIFICATION_TYPES[notification.type] || { icon: '🔔', verb: '' };
+    const createdAt = notification.createdAt?.toDate ? notification.createdAt.toDate() : null;
+
+    const item = document.createElement('a');
+    item.className = `notification-item ${notification.read ? '' : 'notification-unread'}`;
+    item.href = notification.link || '#';
+    item.innerHTML = `
+        <span class="notification-icon">${type.icon}</span>
+        <div class="notification-body">
+            <p class="notification-title">
+                <strong>${escapeHtml(notification.actorUsername || 'Someone')}</strong> ${escapeHtml(type.verb)}
+            </p>
+            ${notification.text ? `<p class="notification-text">${escapeHtml(notification.text)}</p>` : ''}
+            <span class="notification-time">${createdAt ? getTimeAgo(createdAt) : ''}</span>
+        </div>
+    `;
+
+    item.addEventListener('click', async (e) => {
+        if (notification.read || !currentUser) return;
+        e.preventDefault();
+        try {
+            await markNotificationRead(currentUser.uid, notification.id);
+        } catch (error) {
+            console.error('Error marking notification as read:', error);
+        }
+        if (notification.link) {
+            window.location.href = notification.link;
+        }
+    });
+
+    return item;
+}
+
+async function handleMarkAllRead() {
+    if (!currentUser) return;
+
+    markAllReadBtn.disabled = true;
+    try {
+        await markAllNotificationsRead(currentUser.uid);
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        alert('Failed to mark notifications as read. Please try again.');
+        markAllReadBtn.disabled = false;
+    }
+}
+
+function getTimeAgo(date) {
+    const seconds = Math.floor((new Date() - date) / 1000);
+
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+
+    return date.toLocaleDateString();
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeElements);
+} else {
+    initializeElements();
+}
@@ -0,0 +1,90 @@
+/**
+ * Notifications Module
+ * Reads the current user's inbox (notifications/{uid}/items) and marks items as read
+ *
+ * Notifications are created only by Cloud Functions (functions/notifications.js) for
+ * mentions, comments on your posts, replies to your comments, new followers and upvotes. Used by the header bell,
+ * the notifications page and the mute settings on /profile/settings/.
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    doc,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot,
+    getDocs,
+    updateDoc,
+    writeBatch,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+
+// Notification types (keys match `type` on notification docs and users/{uid}.notificationMutes)
+export const NOTIFICATION_TYPES = {
+    mention: { label: 'Mentions', icon: '💬', verb: 'mentioned you' },
+    comment: { label: 'Comments on your posts', icon: '📝', verb: 'commented on your post' },
+    reply: { label: 'Replies to your comments', icon: '↩️', verb: 'replied to your comment' },
+    follow: { label: 'New followers', icon: '👤', verb: 'started following you' },
+    vote: { label: 'Upvotes on your posts', icon: '⬆️', verb: 'upvoted your post' }
+};
+
+const MAX_UNREAD_COUNT = 99;
+
+function itemsRef(uid) {
+    return collection(db, 'notifications', uid, 'items');
+}
+
+/**
+ * Listen to the unread notification count
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToUnreadCount(uid, callback) {
+    const unreadQuery = query(itemsRef(uid), where('read', '==', false), limit(MAX_UNREAD_COUNT + 1));
+    return onSnapshot(unreadQuery, (snapshot) => {
+        callback(snapshot.size);
+    }, (error) => {
+        console.error('Error listening to unread notifications:', error);
+    });
+}
+
+/**
+ * Listen to the most recent notifications
+ * @returns {Function} unsubscribe
+ */
+export function subscribeToNotifications(uid, callback, maxItems = 50) {
+    const recentQuery = query(itemsRef(uid), orderBy('createdAt', 'desc'), limit(maxItems));
+    return onSnapshot(recentQuery, (snapshot) => {
+        callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })));
+    }, (error) => {
+        console.error('Error listening to notifications:', error);
+    });
+}
+
+export async function markNotificationRead(uid, notificationId) {
+    await updateDoc(doc(db, 'notifications', uid, 'items', notificationId), {
+        read: true,
+        readAt: serverTimestamp()
+    });
+}
+
+export async function markAllNotificationsRead(uid) {
+    const snapshot = await getDocs(query(itemsRef(uid), where('read', '==', false)));
+    const BATCH_SIZE = 500; // Firestore batch limit
+    const docs = snapshot.docs;
+
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        docs.slice(i, i + BATCH_SIZE).forEach((item) => {
+            batch.update(item.ref, { read: true, readAt: serverTimestamp() });
+        });
+        await batch.commit();
+    }
+}
+
+// Badge text for an unread count ("99+" when capped)
+export function formatUnreadCount(count) {
+    return count > MAX_UNREAD_COUNT ? `${MAX_UNREAD_COUNT}+` : String(count);
+}
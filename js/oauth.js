@@ -0,0 +1,126 @@
+/**
+ * OAuth Module
+ * Google and X (Twitter) sign-in, and linking/unlinking sign-in methods on an existing account
+ *
+ * First-time OAuth users have no users/{uid} profile yet; the login page (js/auth-ui.js) asks
+ * them for a username and runs the same reservation as email signup (reserveUsernameOnly,
+ * createUserProfileAfterVerification). Google and X verify the account themselves, so
+ * isAccountVerified() lets OAuth users skip the email verification step - X accounts often
+ * have no email at all.
+ *
+ * Both providers have to be enabled in Firebase Console -> Authentication -> Sign-in method
+ * (X needs the API key and secret of an X developer app). Against the Auth emulator
+ * (js/firebase.js) the popups show the emulator's fake account picker instead.
+ */
+
+import { auth } from './firebase.js';
+import {
+    GoogleAuthProvider,
+    TwitterAuthProvider,
+    signInWithPopup,
+    linkWithPopup,
+    unlink,
+    getAdditionalUserInfo
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+
+// Supported providers, keyed by Firebase providerId
+export const OAUTH_PROVIDERS = {
+    'google.com': {
+        label: 'Google',
+        icon: 'G',
+        create: () => {
+            const provider = new GoogleAuthProvider();
+            provider.setCustomParameters({ prompt: 'select_account' });
+            return provider;
+        }
+    },
+    'twitter.com': {
+        label: 'X',
+        icon: '𝕏',
+        create: () => new TwitterAuthProvider()
+    }
+};
+
+function createProvider(providerId) {
+    const config = OAUTH_PROVIDERS[providerId];
+    if (!config) {
+        throw new Error(`Unsupported sign-in provider: ${providerId}`);
+    }
+    return config.create();
+}
+
+// Provider IDs linked to the user ('password', 'google.com', 'twitter.com', ...)
+export function getLinkedProviderIds(user) {
+    return (user?.providerData || []).map(info => info.providerId);
+}
+
+// Whether the user may use the site: a verified email, or a Google/X sign-in
+export function isAccountVerified(user) {
+    if (!user) return false;
+    if (user.emailVerified) return true;
+    return getLinkedProviderIds(user).some(providerId => providerId in OAUTH_PROVIDERS);
+}
+
+/**
+ * Sign in (or sign up) with a popup
+ * @param {string} providerId - key of OAUTH_PROVIDERS
+ * @returns {Promise<{ user: User, isNewUser: boolean }>} isNewUser is true for a new Auth account
+ */
+export async function signInWithProvider(providerId) {
+    const result = await signInWithPopup(auth, createProvider(providerId));
+    return {
+        user: result.user,
+        isNewUser: Boolean(getAdditionalUserInfo(result)?.isNewUser)
+    };
+}
+
+/**
+ * Link a provider to the signed-in account
+ * @returns {Promise<User>}
+ */
+export async function linkProvider(providerId) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('You must be logged in.');
+    }
+    const result = await linkWithPopup(user, createProvider(providerId));
+    return result.user;
+}
+
+/**
+ * Unlink a provider from the signed-in account (never the last remaining sign-in method)
+ * @returns {Promise<User>}
+ */
+export async function unlinkProvider(providerId) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('You must be logged in.');
+    }
+    const linked = getLinkedProviderIds(user);
+    if (!linked.includes(providerId)) {
+        throw Object.assign(new Error('This sign-in method is not linked.'), { code: 'auth/no-such-provider' });
+    }
+    if (linked.length <= 1) {
+        throw Object.assign(new Error('You need at least one way to sign in.'), { code: 'auth/last-provider' });
+    }
+    return unlink(user, providerId);
+}
+
+// User-facing message for OAuth sign-in and linking errors
+export function formatOAuthError(error) {
+    const errorMessages = {
+        'auth/account-exists-with-different-credential': 'An account already uses this email. Log in with your password, then link this sign-in method in profile settings.',
+        'auth/credential-already-in-use': 'This account is already linked to a different user.',
+        'auth/provider-already-linked': 'This sign-in method is already linked.',
+        'auth/no-such-provider': 'This sign-in method is not linked.',
+        'auth/last-provider': 'You need at least one way to sign in.',
+        'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+        'auth/cancelled-popup-request': 'The sign-in window was closed before finishing.',
+        'auth/popup-blocked': 'Your browser blocked the sign-in window. Allow popups for this site and try again.',
+        'auth/operation-not-allowed': 'This sign-in method is not enabled.',
+        'auth/requires-recent-login': 'Please log out and log back in, then try again.',
+        'auth/user-disabled': 'This account has been disabled.',
+        'auth/network-request-failed': 'Network error. Please check your connection.'
+    };
+    return errorMessages[error.code] || error.message || 'An error occurred. Please try again.';
+}
@@ -0,0 +1,39 @@
+/**
+ * Post Archive Module
+ * Post lifetime settings shared by the profile pages and Cloud Functions
+ *
+ * Posts older than their retention are archived by functions/archive.js: they drop out of the
+ * feeds but stay readable (read-only) on the author's profile and through share links.
+ * Retention comes from users/{uid}.postRetention (set on /profile/settings/), then
+ * meta/posts.retention (site default), then DEFAULT_POST_RETENTION.
+ *
+ * Also runs in Cloud Functions (see "Shared modules" in functions/README.md).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Also enforced in firestore.rules
+export const POST_RETENTION_OPTIONS = {
+    '30d': { label: '30 days', ms: 30 * DAY_MS },
+    '90d': { label: '90 days', ms: 90 * DAY_MS },
+    '1y': { label: '1 year', ms: 365 * DAY_MS },
+    'forever': { label: 'Never archive', ms: null }
+};
+export const DEFAULT_POST_RETENTION = '90d';
+
+// Retention for an author's posts: user setting, then site setting, then the default.
+// Returns milliseconds, or null when posts are never archived.
+export function getPostRetentionMs(userRetention, siteRetention, defaultRetention = DEFAULT_POST_RETENTION) {
+    const key = [userRetention, siteRetention, defaultRetention]
+        .find(value => typeof value === 'string' && POST_RETENTION_OPTIONS[value]);
+    return key ? POST_RETENTION_OPTIONS[key].ms : null;
+}
+
+// Pinned posts (set by the author) and evergreen posts (set by moderators) are never archived
+export function isArchiveExempt(post) {
+    return post.pinned === true || post.evergreen === true;
+}
+
+export function isArchived(post) {
+    return post.archived === true;
+}
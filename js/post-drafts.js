@@ -0,0 +1,82 @@
+/**
+ * Post Drafts Module
+ * Drafts and scheduled posts, saved per user at postDrafts/{uid}/drafts/{draftId}
+ *
+ * A draft is { content, images, videos, status, scheduledFor, createdAt, updatedAt }, with
+ * status 'draft' (scheduledFor null) or 'scheduled'. Scheduled drafts are published by
+ * functions/scheduled-posts.js once scheduledFor has passed, with the same cooldown and
+ * duplicate checks as the composer (js/post-publishing.js); the draft is removed when its
+ * post is created, or set to status 'failed' with a failureReason.
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    doc,
+    getDocs,
+    setDoc,
+    deleteDoc,
+    query,
+    orderBy,
+    Timestamp,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+
+export const MAX_DRAFTS = 50;
+export const MIN_SCHEDULE_LEAD_MS = 2 * 60 * 1000; // the publisher runs every 5 minutes
+export const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Shown on failed drafts (failureReason is set by functions/scheduled-posts.js)
+export const DRAFT_FAILURE_REASONS = {
+    duplicate: 'Not published: the same text was posted recently',
+    author_missing: 'Not published: your profile could not be found',
+    invalid: 'Not published: the post was empty or too long'
+};
+
+function draftsCollection(uid) {
+    return collection(db, 'postDrafts', uid, 'drafts');
+}
+
+// Error message for a schedule time, or null when it's fine
+export function validateScheduleTime(date, now = Date.now()) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        return 'Please pick a valid date and time';
+    }
+    if (date.getTime() < now + MIN_SCHEDULE_LEAD_MS) {
+        return 'Scheduled posts must be at least 2 minutes in the future';
+    }
+    if (date.getTime() > now + MAX_SCHEDULE_AHEAD_MS) {
+        return 'Posts can be scheduled up to 30 days ahead';
+    }
+    return null;
+}
+
+// The user's drafts, most recently saved first
+export async function loadDrafts(uid) {
+    const snapshot = await getDocs(query(draftsCollection(uid), orderBy('updatedAt', 'desc')));
+    return snapshot.docs.map(draftDoc => ({ id: draftDoc.id, ...draftDoc.data() }));
+}
+
+/**
+ * Create or overwrite a draft
+ * @param {string} uid
+ * @param {{ id?: string, content: string, images: string[], videos: string[], scheduledFor: Date|null, createdAt?: Timestamp }} draft
+ * @returns {Promise<string>} draft ID
+ */
+export async function saveDraft(uid, draft) {
+    const draftRef = draft.id ? doc(draftsCollection(uid), draft.id) : doc(draftsCollection(uid));
+    await setDoc(draftRef, {
+        content: draft.content,
+        images: draft.images || [],
+        videos: draft.videos || [],
+        status: draft.scheduledFor ? 'scheduled' : 'draft',
+        scheduledFor: draft.scheduledFor ? Timestamp.fromDate(draft.scheduledFor) : null,
+        createdAt: draft.createdAt || Timestamp.now(),
+        updatedAt: serverTimestamp()
+    });
+    return draftRef.id;
+}
+
+export async function deleteDraft(uid, draftId) {
+    await deleteDoc(doc(draftsCollection(uid), draftId));
+}
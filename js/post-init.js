@@ -0,0 +1,436 @@
+/**
+ * Post Page Initialization Module
+ * Standalone permalink page for one post (/post/?id=POST_ID) with its comment threads
+ *
+ * Works for any post that isn't deleted, archived ones included (read-only, see
+ * js/post-archive.js), so share links keep working after a post leaves the feeds.
+ * Shared links point at the postPreview Cloud Function (js/post-link.js), which adds
+ * Open Graph/Twitter card tags for crawlers and forwards visitors here.
+ */
+
+import { auth, db } from './firebase.js';
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    orderBy
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import {
+    COMMENT_SORTS,
+    togglePostVote,
+    setVoteButtonState,
+    showUserVote,
+    renderCommentVoteButtons,
+    setupCommentVoteButtons
+} from './post-votes.js';
+import { MAX_COMMENT_LENGTH, createComment, deleteComment, renderCommentThreads } from './comment-threads.js';
+import { escapeHtml } from './chat-format.js';
+import { isArchived } from './post-archive.js';
+import { getPostShareUrl } from './post-link.js';
+import { linkifyTags } from './post-tags.js';
+import { showEditHistory } from './edit-history.js';
+
+const SITE_TITLE = 'Apes Together Strong';
+const TITLE_SNIPPET_LENGTH = 60;
+
+// Page state
+let currentUser = null;
+let userProfile = null;
+let currentPost = null;
+
+const postId = new URLSearchParams(window.location.search).get('id');
+const postPageEl = document.getElementById('postPage');
+
+onAuthStateChanged(auth, async (user) => {
+    currentUser = user;
+    userProfile = null;
+    if (user) {
+        try {
+            const userDoc = await getDoc(doc(db, 'users', user.uid));
+            userProfile = userDoc.exists() ? userDoc.data() : null;
+        } catch (error) {
+            console.error('[post] Error loading user profile:', error);
+        }
+    }
+    loadPost();
+});
+
+function showUnavailable(message) {
+    document.title = `Post not found | ${SITE_TITLE}`;
+    postPageEl.innerHTML = `
+        <div class="posts-empty">
+            ${message}<br>
+            <a href="/feed/">Go to the feed</a>
+        </div>
+    `;
+}
+
+// Load the post and its author, then render it with its comments
+async function loadPost() {
+    if (!postPageEl) return;
+
+    if (!postId) {
+        showUnavailable('No post selected.');
+        return;
+    }
+
+    try {
+        const postDoc = await getDoc(doc(db, 'posts', postId));
+        if (!postDoc.exists() || postDoc.data().deleted === true) {
+            showUnavailable('This post was deleted or never existed.');
+            return;
+        }
+
+        const postData = postDoc.data();
+        let userData = null;
+        try {
+            const authorDoc = await getDoc(doc(db, 'users', postData.userId));
+            userData = authorDoc.exists() ? authorDoc.data() : null;
+        } catch (error) {
+            // Render without the author's level and banner
+        }
+
+        currentPost = { id: postDoc.id, ...postData, userData };
+        updatePageTitle(currentPost);
+        postPageEl.innerHTML = renderPost(currentPost);
+        setupPostListeners(currentPost);
+        loadComments();
+    } catch (error) {
+        console.error('[post] Error loading post:', error);
+        postPageEl.innerHTML = '<div class="posts-error">Error loading post. Please refresh the page.</div>';
+    }
+}
+
+function updatePageTitle(post) {
+    const text = (post.content || '').replace(/\s+/g, ' ').trim();
+    const snippet = text.length > TITLE_SNIPPET_LENGTH ? `${text.substring(0, TITLE_SNIPPET_LENGTH - 1)}…` : text;
+    document.title = snippet
+        ? `${post.username}: "${snippet}" | ${SITE_TITLE}`
+        : `Post by ${post.username} | ${SITE_TITLE}`;
+}
+
+function renderPost(post) {
+    const createdAt = post.createdAt?.toDate ? post.createdAt.toDate() : new Date(post.createdAt?.seconds * 1000 || Date.now());
+    const userLevel = post.userData?.level || 1;
+    const bannerImage = post.userData?.bannerImage || '/pfp_apes/bg1.png';
+    const voteScore = post.voteScore || 0;
+    const archived = isArchived(post);
+    const canVote = currentUser && !archived;
+    const editedAt = post.editedAt?.toDate ? post.editedAt.toDate() : null;
+
+    return `
+        <div class="post-card post-page-card${archived ? ' post-archived' : ''}" data-post-id="${post.id}">
+            <div class="post-header">
+                <img src="${bannerImage}" alt="${escapeHtml(post.username || '')}" class="post-author-avatar" />
+                <div class="post-author-info">
+                    <div class="post-author-name">${escapeHtml(post.username || 'Anonymous')}</div>
+                    <div class="post-author-meta">
+                        <span class="post-author-level">LVL ${userLevel}</span>
+                        <span class="post-time" title="${createdAt.toLocaleString()}">${getTimeAgo(createdAt)}</span>
+                        ${editedAt ? `<button type="button" class="post-edited-indicator edit-history-btn" title="View edit history">edited ${getTimeAgo(editedAt)}</button>` : ''}
+                        ${archived ? '<span class="post-badge post-archived-badge" title="Archived posts are read-only">🗄️ Archived</span>' : ''}
+                    </div>
+                </div>
+            </div>
+
+            <div class="post-content">
+                ${post.content ? `<p class="post-text">${linkifyTags(escapeHtml(post.content).replace(/\n/g, '<br>'))}</p>` : ''}
+
+                ${post.images && post.images.length > 0 ? `
+                    <div class="post-images">
+                        ${post.images.map(img => `
+                            <img src="${escapeHtml(img)}" alt="Post image" class="post-image" />
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                ${post.videos && post.videos.length > 0 ? `
+                    <div class="post-videos">
+                        ${post.videos.map(vid => `
+                            <video src="${escapeHtml(vid)}" class="post-video" controls></video>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+
+            <div class="post-actions">
+                <div class="post-vote-section">
+                    ${canVote ? `
+                        <button class="post-vote-btn upvote-btn" data-vote-type="upvote" title="Upvote">
+                            <span class="post-vote-icon">↑</span>
+                        </button>
+                        <span class="post-vote-score">${voteScore}</span>
+                        <button class="post-vote-btn downvote-btn" data-vote-type="downvote" title="Downvote">
+                            <span class="post-vote-icon">↓</span>
+                        </button>
+                    ` : `
+                        <div class="post-vote-btn upvote-btn disabled" title="${archived ? 'Archived posts are read-only' : 'Log in to vote'}">
+                            <span class="post-vote-icon">↑</span>
+                        </div>
+                        <span class="post-vote-score">${voteScore}</span>
+                        <div class="post-vote-btn downvote-btn disabled" title="${archived ? 'Archived posts are read-only' : 'Log in to vote'}">
+                            <span class="post-vote-icon">↓</span>
+                        </div>
+                    `}
+                </div>
+                <div class="post-action-btn comment-btn disabled" title="Comments">
+                    <span class="post-action-icon">💬</span>
+                    <span class="post-action-count">${post.commentsCount || 0}</span>
+                </div>
+                <button class="post-action-btn share-btn" title="Copy link">
+                    <span class="post-action-icon">🔗</span>
+                </button>
+            </div>
+
+            <div class="post-comments-section">
+                <div class="post-comments-toolbar">
+                    <label class="post-comments-sort-label" for="postCommentsSort">Sort by</label>
+                    <select class="post-comments-sort" id="postCommentsSort">
+                        ${COMMENT_SORTS.map(sort => `<option value="${sort}">${sort.charAt(0).toUpperCase()}${sort.slice(1)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="post-comments-list" id="postCommentsList"></div>
+                ${archived ? '<div class="post-comment-login">Archived posts are read-only</div>' : currentUser ? `
+                    <div class="post-comment-input-wrapper">
+                        <input type="text" class="post-comment-input" id="postCommentInput" placeholder="Write a comment..." maxlength="${MAX_COMMENT_LENGTH}" />
+                        <button class="post-comment-submit" id="postCommentSubmit">Post</button>
+                    </div>
+                ` : '<div class="post-comment-login">Please log in to comment</div>'}
+            </div>
+        </div>
+    `;
+}
+
+function setupPostListeners(post) {
+    const card = postPageEl.querySelector('.post-card');
+    if (!card) return;
+
+    // Author profile
+    const navigateToProfile = () => {
+        window.location.href = `/profile/?user=${post.userId}`;
+    };
+    card.querySelectorAll('.post-author-avatar, .post-author-info').forEach((el) => {
+        el.style.cursor = 'pointer';
+        el.addEventListener('click', navigateToProfile);
+    });
+
+    // Votes
+    const upvoteBtn = card.querySelector('button.upvote-btn');
+    const downvoteBtn = card.querySelector('button.downvote-btn');
+    if (upvoteBtn && downvoteBtn) {
+        upvoteBtn.addEventListener('click', () => handleVote('upvote', upvoteBtn, downvoteBtn));
+        downvoteBtn.addEventListener('click', () => handleVote('downvote', upvoteBtn, downvoteBtn));
+        showUserVote(post.id, currentUser.uid, upvoteBtn, downvoteBtn);
+    }
+
+    card.querySelector('.share-btn')?.addEventListener('click', handleSharePost);
+    card.querySelector('.edit-history-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showEditHistory(doc(db, 'posts', post.id), 'content', 'createdAt');
+    });
+
+    document.getElementById('postCommentsSort')?.addEventListener('change', () => loadComments());
+
+    const commentInput = document.getElementById('postCommentInput');
+    const commentSubmit = document.getElementById('postCommentSubmit');
+    if (commentInput && commentSubmit) {
+        commentSubmit.addEventListener('click', () => handleAddComment(commentInput));
+        commentInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                handleAddComment(commentInput);
+            }
+        });
+    }
+}
+
+async function handleVote(voteType, upvoteBtn, downvoteBtn) {
+    if (!currentUser || !currentPost) return;
+
+    try {
+        // Only the vote doc is written; the score is updated by Cloud Functions (functions/votes.js)
+        const { previous, value } = await togglePostVote(currentPost.id, currentUser.uid, voteType);
+        const scoreEl = postPageEl.querySelector('.post-vote-score');
+        if (scoreEl) {
+            scoreEl.textContent = (parseInt(scoreEl.textContent, 10) || 0) + value - previous;
+        }
+        setVoteButtonState(upvoteBtn, downvoteBtn, value);
+    } catch (error) {
+        console.error('[post] Error voting:', error);
+        alert('Failed to vote. Please try again.');
+    }
+}
+
+async function handleSharePost() {
+    const shareUrl = getPostShareUrl(postId);
+    try {
+        await navigator.clipboard.writeText(shareUrl);
+        showToast('Link copied to clipboard!');
+    } catch (error) {
+        showToast(`Share URL: ${shareUrl}`);
+    }
+}
+
+// Threaded; deleted comments are kept as placeholders for their replies
+async function loadComments() {
+    const commentsListEl = document.getElementById('postCommentsList');
+    if (!commentsListEl || !currentPost) return;
+    const readOnly = isArchived(currentPost);
+
+    try {
+        const commentsSnapshot = await getDocs(query(
+            collection(db, 'posts', currentPost.id, 'comments'),
+            orderBy('createdAt', 'asc')
+        ));
+
+        const comments = await Promise.all(commentsSnapshot.docs.map(async (commentDoc) => {
+            const commentData = commentDoc.data();
+            if (commentData.deleted === true) {
+                return { id: commentDoc.id, ...commentData, userData: null };
+            }
+            try {
+                const userDoc = await getDoc(doc(db, 'users', commentData.userId));
+                return { id: commentDoc.id, ...commentData, userData: userDoc.exists() ? userDoc.data() : null };
+            } catch (error) {
+                return { id: commentDoc.id, ...commentData, userData: null };
+            }
+        }));
+
+        renderCommentThreads(commentsListEl, comments, {
+            renderComment,
+            sort: document.getElementById('postCommentsSort')?.value || 'best',
+            canReply: !!currentUser && !readOnly,
+            onReply: (parent, replyInputEl) => handleAddComment(replyInputEl, parent),
+            onRender: () => setupCommentListeners(commentsListEl, comments, readOnly)
+        });
+    } catch (error) {
+        console.error('[post] Error loading comments:', error);
+        commentsListEl.innerHTML = '<div class="post-comments-error">Error loading comments</div>';
+    }
+}
+
+function renderComment(comment) {
+    const createdAt = comment.createdAt?.toDate ? comment.createdAt.toDate() : new Date(comment.createdAt?.seconds * 1000 || Date.now());
+    const bannerImage = comment.userData?.bannerImage || '/pfp_apes/bg1.png';
+    const canDelete = currentUser && comment.userId === currentUser.uid;
+
+    return `
+        <div class="post-comment" data-comment-id="${comment.id}">
+            <img src="${bannerImage}" alt="${escapeHtml(comment.username || '')}" class="comment-author-avatar" data-user-id="${comment.userId}" />
+            <div class="comment-content">
+                <div class="comment-header">
+                    <span class="comment-author" data-user-id="${comment.userId}">${escapeHtml(comment.username || 'Anonymous')}</span>
+                    <span class="comment-time">${getTimeAgo(createdAt)}</span>
+                    ${canDelete ? `<button class="comment-delete-btn" data-comment-id="${comment.id}" title="Delete comment">×</button>` : ''}
+                </div>
+                <div class="comment-text">${escapeHtml(comment.content).replace(/\n/g, '<br>')}</div>
+                ${renderCommentVoteButtons(currentPost.id, comment)}
+            </div>
+        </div>
+    `;
+}
+
+// Profile links, delete buttons and votes for the rendered comments
+function setupCommentListeners(commentsListEl, comments, readOnly) {
+    commentsListEl.querySelectorAll('.comment-author-avatar[data-user-id], .comment-author[data-user-id]').forEach((el) => {
+        el.style.cursor = 'pointer';
+        el.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.location.href = `/profile/?user=${el.dataset.userId}`;
+        });
+    });
+
+    comments.forEach((comment) => {
+        if (!currentUser || comment.userId !== currentUser.uid) return;
+        const deleteBtn = commentsListEl.querySelector(`.comment-delete-btn[data-comment-id="${comment.id}"]`);
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => handleDeleteComment(comment.id));
+        }
+    });
+
+    if (!readOnly) {
+        setupCommentVoteButtons(commentsListEl, currentPost.id, currentUser ? currentUser.uid : null);
+    }
+}
+
+// Add a comment (a reply when parent is given)
+async function handleAddComment(commentInputEl, parent = null) {
+    if (!currentUser || !userProfile) {
+        alert('Please log in to comment');
+        return;
+    }
+
+    const content = commentInputEl.value.trim();
+    if (!content) return;
+
+    if (content.length > MAX_COMMENT_LENGTH) {
+        alert(`Comment must be ${MAX_COMMENT_LENGTH} characters or less`);
+        return;
+    }
+
+    try {
+        await createComment(currentPost.id, {
+            uid: currentUser.uid,
+            username: userProfile.username,
+            content,
+            parent
+        });
+        commentInputEl.value = '';
+        updateCommentCount(1);
+        loadComments();
+    } catch (error) {
+        console.error('[post] Error adding comment:', error);
+        alert('Failed to add comment. Please try again.');
+    }
+}
+
+async function handleDeleteComment(commentId) {
+    if (!currentUser) return;
+
+    try {
+        // Soft delete (replies stay under a "[deleted]" placeholder)
+        await deleteComment(currentPost.id, commentId);
+        updateCommentCount(-1);
+        loadComments();
+    } catch (error) {
+        console.error('[post] Error deleting comment:', error);
+        alert('Failed to delete comment. Please try again.');
+    }
+}
+
+function updateCommentCount(change) {
+    const countEl = postPageEl.querySelector('.comment-btn .post-action-count');
+    if (countEl) {
+        countEl.textContent = Math.max(0, (parseInt(countEl.textContent, 10) || 0) + change);
+    }
+}
+
+function showToast(message) {
+    document.querySelectorAll('.toast').forEach(t => t.remove());
+
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    requestAnimationFrame(() => {
+        requestAnimationFrame(() => toast.classList.add('show'));
+    });
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    }, 3000);
+}
+
+function getTimeAgo(date) {
+    const seconds = Math.floor((new Date() - date) / 1000);
+
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+
+    return date.toLocaleDateString();
+}
@@ -0,0 +1,22 @@
+/**
+ * Post Link Module
+ * URLs for a single post
+ *
+ * The permalink is the standalone post page (post/index.html). Shared links go through the
+ * postPreview Cloud Function (functions/post-preview.js), which serves Open Graph/Twitter card
+ * tags for crawlers and forwards people to the permalink.
+ */
+
+import { withBase } from './base-url.js';
+
+export const POST_PREVIEW_URL = 'https://us-central1-apes-365b0.cloudfunctions.net/postPreview';
+
+// Site-relative permalink, for links within the site
+export function getPostPath(postId) {
+    return withBase(`/post/?id=${encodeURIComponent(postId)}`);
+}
+
+// Link to copy when sharing a post (shows a preview card on X, Discord, ...)
+export function getPostShareUrl(postId) {
+    return `${POST_PREVIEW_URL}/${encodeURIComponent(postId)}`;
+}
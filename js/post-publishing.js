@@ -0,0 +1,24 @@
+/**
+ * Post Publishing Module
+ * Anti-spam checks for new posts: the cooldown between a user's posts and duplicate detection
+ *
+ * Used by the composer (js/feed.js) and by the scheduled post publisher
+ * (functions/scheduled-posts.js), so queued posts follow the same limits as posts made by hand.
+ */
+
+export const POST_COOLDOWN_MS = 90 * 1000; // 90 seconds between a user's posts
+export const DUPLICATE_CHECK_LIMIT = 50; // recent posts compared against new content
+const MIN_DUPLICATE_LENGTH = 10; // shorter posts ("gm") are never duplicates
+
+// Milliseconds left before the user can post again (0 when they can post now)
+export function getCooldownRemainingMs(lastPostMillis, now = Date.now()) {
+    if (!lastPostMillis) return 0;
+    return Math.max(0, POST_COOLDOWN_MS - (now - lastPostMillis));
+}
+
+// Whether content exactly matches (case-insensitive) one of the recent posts' contents
+export function isDuplicateContent(content, recentContents) {
+    const contentLower = String(content || '').toLowerCase().trim();
+    if (contentLower.length < MIN_DUPLICATE_LENGTH) return false;
+    return recentContents.some(recent => String(recent || '').toLowerCase().trim() === contentLower);
+}
@@ -0,0 +1,47 @@
+/**
+ * Post Tags Module
+ * #hashtags in post text
+ *
+ * Tags are parsed from the content when a post is created or edited and stored lowercased
+ * in `tags` on the post, so tag pages (tags/index.html) can query them with array-contains.
+ * The trending tags on the homepage are ranked by functions/trending.js.
+ */
+
+// Also enforced in firestore.rules
+export const MAX_TAGS_PER_POST = 10;
+export const MAX_TAG_LENGTH = 32;
+
+// A tag starts with a letter; "#" must not follow a word character or an HTML entity
+// (so "a#b" and "&amp;#b" aren't tags)
+const TAG_REGEX = /(^|[^\w&#;])#([A-Za-z][A-Za-z0-9_]*)/g;
+
+export function normalizeTag(tag) {
+    const normalized = String(tag || '').replace(/^#/, '').trim().toLowerCase();
+    return /^[a-z][a-z0-9_]*$/.test(normalized) && normalized.length <= MAX_TAG_LENGTH ? normalized : null;
+}
+
+// Unique normalized tags in the order they appear, at most MAX_TAGS_PER_POST
+export function extractTags(text) {
+    if (typeof text !== 'string') return [];
+    const tags = [];
+    for (const match of text.matchAll(TAG_REGEX)) {
+        const tag = normalizeTag(match[2]);
+        if (tag && !tags.includes(tag)) {
+            tags.push(tag);
+            if (tags.length >= MAX_TAGS_PER_POST) break;
+        }
+    }
+    return tags;
+}
+
+export function getTagPath(tag) {
+    return `/tags/?tag=${encodeURIComponent(tag)}`;
+}
+
+// Turn #tags in already-escaped post HTML into tag page links
+export function linkifyTags(escapedHtml) {
+    return escapedHtml.replace(TAG_REGEX, (match, prefix, rawTag) => {
+        const tag = normalizeTag(rawTag);
+        return tag ? `${prefix}<a href="${getTagPath(tag)}" class="post-tag">#${rawTag}</a>` : match;
+    });
+}
@@ -0,0 +1,190 @@
+/**
+ * Post Votes Module
+ * One vote per user per post or comment ({ value: 1 | -1, userId }), stored at
+ * posts/{postId}/votes/{uid} and posts/{postId}/comments/{commentId}/votes/{uid}
+ *
+ * Cloud Functions (functions/votes.js) keep the voteScore, upvoteCount and downvoteCount
+ * of the post or comment and the author's karma in sync with the votes, so clients only
+ * ever write their own vote doc.
+ *
+ * Also renders the comment vote buttons and sorts comment lists (best/new/top).
+ *
+ * Used by the feed (js/feed.js), the homepage (js/home.js) and profiles (js/profile-init.js).
+ */
+
+import { db } from './firebase.js';
+import {
+    doc,
+    getDoc,
+    setDoc,
+    deleteDoc,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+
+const VOTE_VALUES = { upvote: 1, downvote: -1 };
+
+export const COMMENT_SORTS = ['best', 'new', 'top'];
+
+function getVoteRef(uid, postId, commentId = null) {
+    return commentId
+        ? doc(db, 'posts', postId, 'comments', commentId, 'votes', uid)
+        : doc(db, 'posts', postId, 'votes', uid);
+}
+
+async function readVote(voteRef) {
+    const voteDoc = await getDoc(voteRef);
+    return voteDoc.exists() ? voteDoc.data().value : 0;
+}
+
+// Voting the same way again removes the vote; voting the other way switches it
+async function toggleVote(voteRef, uid, voteType) {
+    const value = VOTE_VALUES[voteType];
+    if (!value) {
+        throw new Error('Invalid vote type');
+    }
+
+    const previous = await readVote(voteRef);
+    if (previous === value) {
+        await deleteDoc(voteRef);
+        return { previous, value: 0 };
+    }
+
+    await setDoc(voteRef, {
+        value,
+        userId: uid,
+        updatedAt: serverTimestamp()
+    });
+    return { previous, value };
+}
+
+/**
+ * The user's vote on a post
+ * @returns {Promise<number>} 1, -1 or 0 (no vote)
+ */
+export async function getUserVote(postId, uid) {
+    return readVote(getVoteRef(uid, postId));
+}
+
+/**
+ * Vote on a post. Voting the same way again removes the vote; voting the other way switches it.
+ * @param {string} voteType - 'upvote' or 'downvote'
+ * @returns {Promise<{ previous: number, value: number }>} vote before and after (1, -1 or 0)
+ */
+export async function togglePostVote(postId, uid, voteType) {
+    return toggleVote(getVoteRef(uid, postId), uid, voteType);
+}
+
+/**
+ * Vote on a comment (same toggling as togglePostVote)
+ * @returns {Promise<{ previous: number, value: number }>} vote before and after (1, -1 or 0)
+ */
+export async function toggleCommentVote(postId, commentId, uid, voteType) {
+    return toggleVote(getVoteRef(uid, postId, commentId), uid, voteType);
+}
+
+// Mark a post's vote buttons for a vote value (1, -1 or 0)
+export function setVoteButtonState(upvoteBtn, downvoteBtn, value) {
+    upvoteBtn?.classList.toggle('voted', value === 1);
+    downvoteBtn?.classList.toggle('voted', value === -1);
+}
+
+// Load the user's vote on a post and mark its buttons (posts don't list their voters)
+export async function showUserVote(postId, uid, upvoteBtn, downvoteBtn) {
+    try {
+        setVoteButtonState(upvoteBtn, downvoteBtn, await getUserVote(postId, uid));
+    } catch (error) {
+        console.error('Error loading vote:', error);
+    }
+}
+
+// Comments
+
+/**
+ * Vote buttons for a comment (wired up by setupCommentVoteButtons)
+ * @returns {string} HTML
+ */
+export function renderCommentVoteButtons(postId, comment) {
+    return `
+        <div class="comment-vote-section">
+            <button class="comment-vote-btn comment-upvote-btn" data-post-id="${postId}" data-comment-id="${comment.id}" data-vote-type="upvote" title="Upvote">↑</button>
+            <span class="comment-vote-score" data-comment-id="${comment.id}">${comment.voteScore || 0}</span>
+            <button class="comment-vote-btn comment-downvote-btn" data-post-id="${postId}" data-comment-id="${comment.id}" data-vote-type="downvote" title="Downvote">↓</button>
+        </div>
+    `;
+}
+
+/**
+ * Mark the user's votes on the rendered comments of a post and handle vote clicks
+ * @param {HTMLElement} commentsListEl - element containing the comments' vote buttons
+ * @param {string|null} uid - current user (null when logged out)
+ */
+export function setupCommentVoteButtons(commentsListEl, postId, uid) {
+    commentsListEl.querySelectorAll('.comment-vote-section').forEach((section) => {
+        const upvoteBtn = section.querySelector('.comment-upvote-btn');
+        const downvoteBtn = section.querySelector('.comment-downvote-btn');
+        const scoreEl = section.querySelector('.comment-vote-score');
+        const commentId = upvoteBtn?.dataset.commentId;
+        if (!commentId) return;
+
+        if (uid) {
+            readVote(getVoteRef(uid, postId, commentId))
+                .then(value => setVoteButtonState(upvoteBtn, downvoteBtn, value))
+                .catch(error => console.error('Error loading comment vote:', error));
+        }
+
+        [upvoteBtn, downvoteBtn].forEach((btn) => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (!uid) {
+                    alert('Please log in to vote');
+                    return;
+                }
+                try {
+                    const { previous, value } = await toggleCommentVote(postId, commentId, uid, btn.dataset.voteType);
+                    scoreEl.textContent = (parseInt(scoreEl.textContent, 10) || 0) + value - previous;
+                    setVoteButtonState(upvoteBtn, downvoteBtn, value);
+                } catch (error) {
+                    console.error('Error voting on comment:', error);
+                    alert('Failed to vote. Please try again.');
+                }
+            });
+        });
+    });
+}
+
+function createdAtMillis(comment) {
+    return comment.createdAt?.toMillis ? comment.createdAt.toMillis() : (comment.createdAt?.seconds * 1000 || 0);
+}
+
+// Lower bound of the Wilson score interval (95%) for the share of upvotes, so a comment
+// with 10 up / 1 down ranks above one with a single upvote
+function bestScore(comment) {
+    const upvotes = comment.upvoteCount || 0;
+    const total = upvotes + (comment.downvoteCount || 0);
+    if (total === 0) return 0;
+
+    const z = 1.96;
+    const share = upvotes / total;
+    return (share + z * z / (2 * total) - z * Math.sqrt((share * (1 - share) + z * z / (4 * total)) / total))
+        / (1 + z * z / total);
+}
+
+/**
+ * Sort comments for display
+ * - best: confidence in the share of upvotes (bestScore)
+ * - new: newest first
+ * - top: highest voteScore
+ * Ties keep the oldest comment first.
+ * @param {string} sort - one of COMMENT_SORTS
+ * @returns {Array} new sorted array
+ */
+export function sortComments(comments, sort) {
+    const byAge = [...comments].sort((a, b) => createdAtMillis(a) - createdAtMillis(b));
+    if (sort === 'new') {
+        return byAge.reverse();
+    }
+    if (sort === 'top') {
+        return byAge.sort((a, b) => (b.voteScore || 0) - (a.voteScore || 0));
+    }
+    return byAge.sort((a, b) => bestScore(b) - bestScore(a));
+}
@@ -23,7 +23,19 @@ import {
     Timestamp,
     increment
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
-import { withBase } from './base-url.js';
+import { getMessageLink } from './direct-messages.js';
+import {
+    togglePostVote,
+    setVoteButtonState,
+    showUserVote,
+    renderCommentVoteButtons,
+    setupCommentVoteButtons
+} from './post-votes.js';
+import { MAX_COMMENT_LENGTH, createComment, deleteComment, renderCommentThreads } from './comment-threads.js';
+import { getPostShareUrl } from './post-link.js';
+import { isArchived } from './post-archive.js';
+import { extractTags, linkifyTags } from './post-tags.js';
+import { showEditHistory } from './edit-history.js';
 import { getFunctions, httpsCallable } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-functions.js';
 
 // Initialize auth gate for profile page
@@ -51,19 +63,54 @@ let viewingUserId = null; // User ID of the profile being viewed
 let allProfilePosts = []; // Store all fetched profile posts
 let displayedProfilePostCount = 0; // Track how many posts are currently displayed
 let isLoadingMoreProfilePosts = false; // Prevent multiple simultaneous loads
+let profilePostsView = 'posts'; // 'posts' or 'archive' (read-only archived posts)
+let isStaffViewer = false; // Admins/moderators can mark posts evergreen
 
-// Get viewing user ID from URL
-function getViewingUserId() {
+// Get viewing user ID from URL: ?user={uid}, or ?username={name} (current or old name, see js/usernames.js)
+async function getViewingUserId() {
     const urlParams = new URLSearchParams(window.location.search);
     const userId = urlParams.get('user');
-    return userId || null;
+    if (userId) return userId;
+    
+    const username = urlParams.get('username');
+    if (!username) return null;
+    const resolvedUid = await resolveUsername(username.toLowerCase());
+    if (!resolvedUid) {
+        showProfileToast(`No user named @${username}`);
+    }
+    return resolvedUid;
+}
+
+// uid for a username; old names of renamed users resolve through usernameAliases
+async function resolveUsername(usernameLower) {
+    try {
+        const usernameDoc = await getDoc(doc(db, 'usernames', usernameLower));
+        if (usernameDoc.exists()) {
+            return usernameDoc.data().uid;
+        }
+        
+        const aliasDoc = await getDoc(doc(db, 'usernameAliases', usernameLower));
+        if (!aliasDoc.exists()) {
+            return null;
+        }
+        // Show the current name in the address bar
+        const uid = aliasDoc.data().uid;
+        const userDoc = await getDoc(doc(db, 'users', uid));
+        if (userDoc.exists() && userDoc.data().username) {
+            history.replaceState(null, '', `/profile/?username=${encodeURIComponent(userDoc.data().username)}`);
+        }
+        return uid;
+    } catch (error) {
+        console.error('Error resolving username:', error);
+        return null;
+    }
 }
 
 // Initialize profile page
 onAuthStateChanged(auth, async (user) => {
     if (user) {
         currentUser = user;
-        viewingUserId = getViewingUserId() || user.uid; // Use URL param or current user
+        viewingUserId = (await getViewingUserId()) || user.uid; // Use URL param or current user
         await loadProfile();
         setupEventListeners();
         loadProfilePosts();
@@ -161,6 +208,17 @@ async function loadProfile() {
         }
     }
     
+    // Show/hide message button
+    const messageBtn = document.getElementById('profileMessageBtn');
+    if (messageBtn) {
+        if (!isViewingOwnProfile && currentUser) {
+            messageBtn.href = getMessageLink(targetUserId);
+            messageBtn.style.display = 'block';
+        } else {
+            messageBtn.style.display = 'none';
+        }
+    }
+    
     try {
         const userDocRef = doc(db, 'users', targetUserId);
         
@@ -277,30 +335,6 @@ async function loadProfile() {
                     updateXVerificationUI(userData);
                 }
                 
-                // Check if user is already verified and update quest if needed
-                // Use setTimeout to ensure quest system is fully initialized
-                // Only update if viewing own profile (not when viewing someone else's profile)
-                if (isViewingOwnProfile && userData.xAccountVerified === true) {
-                    setTimeout(async () => {
-                        try {
-                            // Check if quest is already completed before updating
-                            const { db } = await import('/js/firebase.js');
-                            const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
-                            const userQuestId = `${currentUser.uid}_achievement_verify_x`;
-                            const userQuestRef = doc(db, 'userQuests', userQuestId);
-                            const userQuestDoc = await getDoc(userQuestRef);
-                            
-                            // Only update if not already completed
-                            if (!userQuestDoc.exists() || !userQuestDoc.data().completed) {
-                                const { updateQuestProgress } = await import('/js/quests-init.js');
-                                await updateQuestProgress('achievement_verify_x', 1);
-                            }
-                        } catch (error) {
-                            console.error('[loadProfile] Error updating quest for verified user:', error);
-                        }
-                    }, 1000);
-                }
-                
                 // Load followers/following counts
                 await loadFollowStats(targetUserId);
                 
@@ -309,16 +343,6 @@ async function loadProfile() {
                     await updateFollowButton(targetUserId);
                 }
                 
-                // Sync followers quest progress after loading stats
-                // Wait a bit for the listener to set followersCount
-                setTimeout(async () => {
-                    try {
-                        await syncFollowersQuestProgress(followersCount);
-                    } catch (error) {
-                        console.error('Error syncing followers quest on profile load:', error);
-                    }
-                }, 1000);
-                
                 // Load banner image
                 const bannerImg = document.getElementById('profileBannerImg');
                 if (bannerImg && userData.bannerImage) {
@@ -1085,14 +1109,7 @@ async function verifyXAccount() {
                 verificationSection.classList.add('hide');
             }
             
-            // Update quest progress for X verification
-            try {
-                const { updateQuestProgress } = await import('/js/quests-init.js');
-                await updateQuestProgress('achievement_verify_x', 1);
-            } catch (error) {
-                console.error('[verifyXAccount] Error updating quest progress:', error);
-                // Quest module might not be loaded, ignore silently
-            }
+            // "Verified Ape" quest progress is awarded by the verifyXAccount function
         } else {
             throw new Error(verificationResult?.error || 'Verification code not found in bio');
         }
@@ -1175,6 +1192,16 @@ function setupEventListeners() {
         bioTextarea.addEventListener('input', updateCharCount);
     }
     
+    // Posts / Archive tabs
+    document.querySelectorAll('.profile-posts-tab').forEach((tab) => {
+        tab.addEventListener('click', () => {
+            if (tab.dataset.postsView === profilePostsView) return;
+            profilePostsView = tab.dataset.postsView;
+            document.querySelectorAll('.profile-posts-tab').forEach(t => t.classList.toggle('active', t === tab));
+            loadProfilePosts();
+        });
+    });
+    
     // Save profile button
     const saveBtn = document.getElementById('saveProfileBtn');
     if (saveBtn) {
@@ -1514,35 +1541,6 @@ function handleBannerBgClick(event) {
 // Admin utility: Sync missing user profiles
 // This function can be called from the browser console by admins
 // Usage: await syncMissingUserProfiles()
-// Manual function to check and update X verification quest
-window.checkXVerificationQuest = async function() {
-    if (!currentUser) {
-        console.error('No user logged in');
-        return;
-    }
-    
-    try {
-        // Check if user is verified
-        const userDoc = await getDoc(doc(db, 'users', currentUser.uid));
-        if (!userDoc.exists()) {
-            console.error('User profile not found');
-            return;
-        }
-        
-        const userData = userDoc.data();
-        if (!userData.xAccountVerified) {
-            console.log('User is not verified on X');
-            return;
-        }
-        
-        // Update quest progress
-        const { updateQuestProgress } = await import('/js/quests-init.js');
-        await updateQuestProgress('achievement_verify_x', 1);
-    } catch (error) {
-        console.error('Error checking X verification quest:', error);
-    }
-};
-
 window.syncMissingUserProfiles = async function() {
     if (!currentUser) {
         console.error('❌ Not authenticated');
@@ -1620,27 +1618,12 @@ async function loadFollowStats(userId) {
             followersListener = onSnapshot(followersRef, 
                 async (snapshot) => {
                     const newFollowersCount = snapshot.size;
-                    const oldFollowersCount = followersCount;
                     followersCount = newFollowersCount;
                     
                     const followersCountEl = document.getElementById('followersCount');
                     if (followersCountEl) {
                         followersCountEl.textContent = followersCount;
                     }
-                    
-                    // Track quest progress: weekly_get_25_followers
-                    // Update quest progress with the difference (increment)
-                    if (userId === currentUser?.uid && newFollowersCount > oldFollowersCount) {
-                        try {
-                            const { updateQuestProgress } = await import('/js/quests-init.js');
-                            // Calculate the difference (increment) between old and new follower count
-                            const followerIncrement = newFollowersCount - oldFollowersCount;
-                            // Pass the increment, not the total count
-                            await updateQuestProgress('weekly_get_25_followers', followerIncrement);
-                        } catch (error) {
-                            console.error('Error updating followers quest progress:', error);
-                        }
-                    }
                 },
                 (error) => {
                     // Suppress expected errors (listener cleanup, permission denied for other users)
@@ -1725,17 +1708,6 @@ async function followUser(targetUserId) {
         
         // Update follow button state
         await updateFollowButton(targetUserId);
-        
-        // Track quest progress: daily_follow_3 (only if this was a new follow)
-        try {
-            const { updateQuestProgress } = await import('/js/quests-init.js');
-            console.log('Updating quest progress for daily_follow_3');
-            await updateQuestProgress('daily_follow_3', 1, { targetUserId: targetUserId });
-            console.log('Quest progress updated successfully');
-        } catch (error) {
-            console.error('Error updating follow quest progress:', error);
-            console.error('Error details:', error.message, error.stack);
-        }
     } catch (error) {
         console.error('Error following user:', error);
         alert('Failed to follow user. Please try again.');
@@ -1779,33 +1751,6 @@ async function unfollowUser(targetUserId) {
     }
 }
 
-// Sync followers quest progress with current follower count
-async function syncFollowersQuestProgress(currentFollowerCount) {
-    if (!currentUser) return;
-    
-    try {
-        const { updateQuestProgress } = await import('/js/quests-init.js');
-        
-        // Get current quest progress
-        const userQuestId = `${currentUser.uid}_weekly_get_25_followers`;
-        const userQuestRef = doc(db, 'userQuests', userQuestId);
-        const userQuestDoc = await getDoc(userQuestRef);
-        
-        let currentProgress = 0;
-        if (userQuestDoc.exists()) {
-            currentProgress = userQuestDoc.data().progress || 0;
-        }
-        
-        // If follower count is higher than current progress, update it
-        if (currentFollowerCount > currentProgress) {
-            const difference = currentFollowerCount - currentProgress;
-            await updateQuestProgress('weekly_get_25_followers', difference);
-        }
-    } catch (error) {
-        console.error('Error syncing followers quest:', error);
-    }
-}
-
 // Check if current user is following a target user
 async function checkIfFollowing(targetUserId) {
     if (!currentUser || !targetUserId || targetUserId === currentUser.uid) return false;
@@ -2181,6 +2126,18 @@ async function loadProfilePosts() {
     // Set loading state
     postsFeedEl.innerHTML = '<div class="posts-loading">Loading posts...</div>';
     
+    try {
+        const viewerDoc = await getDoc(doc(db, 'users', currentUser.uid));
+        isStaffViewer = viewerDoc.exists() && ['admin', 'moderator'].includes(viewerDoc.data().role);
+    } catch (error) {
+        isStaffViewer = false;
+    }
+    
+    if (profilePostsView === 'archive') {
+        await loadArchivedProfilePosts(targetUserId);
+        return;
+    }
+    
     try {
         // Query posts for target user (fetch all, then paginate)
         let postsQuery;
@@ -2195,7 +2152,7 @@ async function loadProfilePosts() {
             
             // Use getDocs instead of onSnapshot for pagination
             const snapshot = await getDocs(postsQuery);
-            allProfilePosts = snapshot.docs;
+            allProfilePosts = orderProfilePosts(snapshot.docs);
             displayedProfilePostCount = 0;
             
             // Display first 5 posts
@@ -2245,7 +2202,7 @@ async function loadProfilePostsFallback() {
                 return bTime - aTime; // DESC order
             });
             
-            allProfilePosts = postsArray;
+            allProfilePosts = orderProfilePosts(postsArray);
             displayedProfilePostCount = 0;
             await displayNextProfilePosts(5);
         } catch (fallbackError) {
@@ -2273,7 +2230,7 @@ async function loadProfilePostsFallback() {
                     return bTime - aTime; // DESC order
                 });
             
-            allProfilePosts = postsArray;
+            allProfilePosts = orderProfilePosts(postsArray);
             displayedProfilePostCount = 0;
             await displayNextProfilePosts(5);
         }
@@ -2285,13 +2242,64 @@ async function loadProfilePostsFallback() {
     }
 }
 
+// Live posts for the Posts tab: archived posts move to the Archive tab, pinned posts go first
+function orderProfilePosts(postDocs) {
+    const livePosts = postDocs.filter(postDoc => !isArchived(postDoc.data()));
+    return [
+        ...livePosts.filter(postDoc => postDoc.data().pinned === true),
+        ...livePosts.filter(postDoc => postDoc.data().pinned !== true)
+    ];
+}
+
+// Archive tab - posts archived by functions/archive.js, newest first
+async function loadArchivedProfilePosts(targetUserId) {
+    const postsFeedEl = document.getElementById('profilePostsFeed');
+    if (!postsFeedEl) return;
+    
+    try {
+        let postDocs;
+        try {
+            const archiveQuery = query(
+                collection(db, 'posts'),
+                where('userId', '==', targetUserId),
+                where('archived', '==', true),
+                orderBy('createdAt', 'desc'),
+                limit(50)
+            );
+            postDocs = (await getDocs(archiveQuery)).docs;
+        } catch (indexError) {
+            console.warn('Index not found for archived posts, using fallback query:', indexError);
+            const fallbackQuery = query(
+                collection(db, 'posts'),
+                where('userId', '==', targetUserId),
+                where('archived', '==', true),
+                limit(100)
+            );
+            postDocs = Array.from((await getDocs(fallbackQuery)).docs).sort((a, b) => {
+                const aTime = a.data().createdAt?.toMillis ? a.data().createdAt.toMillis() : 0;
+                const bTime = b.data().createdAt?.toMillis ? b.data().createdAt.toMillis() : 0;
+                return bTime - aTime; // DESC order
+            });
+        }
+        
+        allProfilePosts = postDocs.filter(postDoc => postDoc.data().deleted !== true);
+        displayedProfilePostCount = 0;
+        await displayNextProfilePosts(5);
+    } catch (error) {
+        console.error('Error loading archived posts:', error);
+        postsFeedEl.innerHTML = '<div class="posts-error">Error loading archived posts</div>';
+    }
+}
+
 // Display next batch of profile posts
 async function displayNextProfilePosts(count = 5) {
     const postsFeedEl = document.getElementById('profilePostsFeed');
     if (!postsFeedEl) return;
     
     if (allProfilePosts.length === 0) {
-        postsFeedEl.innerHTML = '<div class="posts-empty">No posts yet. Share your first post on the <a href="/feed/">Feed</a>!</div>';
+        postsFeedEl.innerHTML = profilePostsView === 'archive'
+            ? '<div class="posts-empty">No archived posts. Posts are archived once they are older than the post lifetime set in <a href="/profile/settings/">Settings</a>.</div>'
+            : '<div class="posts-empty">No posts yet. Share your first post on the <a href="/feed/">Feed</a>!</div>';
         return;
     }
     
@@ -2411,26 +2419,30 @@ function renderProfilePost(post) {
     const timeAgo = getTimeAgo(createdAt);
     const userLevel = post.userData?.level || 1;
     const bannerImage = post.userData?.bannerImage || '/pfp_apes/bg1.png';
-    const hasUpvote = currentUser && post.upvotes && post.upvotes[currentUser.uid] === true;
-    const hasDownvote = currentUser && post.downvotes && post.downvotes[currentUser.uid] === true;
     const voteScore = post.voteScore || 0;
     const canDelete = currentUser && post.userId === currentUser.uid;
     
+    // Archived posts (functions/archive.js) are read-only: no votes, comments or edits
+    const archived = isArchived(post);
+    const canVote = currentUser && !archived;
+    const canPin = canDelete && !archived;
+    const canMarkEvergreen = isStaffViewer && !archived;
+    
     // Check if post can be edited (within 5 minutes)
-    const canEdit = currentUser && post.userId === currentUser.uid && post.createdAt && (() => {
+    const canEdit = canPin && post.createdAt && (() => {
         const createdTime = post.createdAt.toMillis ? post.createdAt.toMillis() : (post.createdAt.seconds * 1000 || Date.now());
         return (Date.now() - createdTime) < 5 * 60 * 1000;
     })();
     
     // Check if post was edited
     const editedAt = post.editedAt?.toMillis ? post.editedAt.toMillis() : (post.editedAt?.seconds ? post.editedAt.seconds * 1000 : null);
-    const editedIndicator = editedAt ? `<span class="post-edited-indicator">edited ${getTimeAgo({toMillis: () => editedAt})}</span>` : '';
+    const editedIndicator = editedAt ? `<button type="button" class="post-edited-indicator edit-history-btn" data-post-id="${post.id}" title="View edit history">edited ${getTimeAgo({toMillis: () => editedAt})}</button>` : '';
     
     // Check if user can report (authenticated and not post author)
     const canReport = currentUser && post.userId !== currentUser.uid;
     
     return `
-        <div class="post-card" data-post-id="${post.id}">
+        <div class="post-card${archived ? ' post-archived' : ''}" data-post-id="${post.id}">
             <div class="post-header">
                 <img src="${bannerImage}" alt="${post.username}" class="post-author-avatar" />
                 <div class="post-author-info">
@@ -2439,16 +2451,21 @@ function renderProfilePost(post) {
                         <span class="post-author-level">LVL ${userLevel}</span>
                         <span class="post-time">${timeAgo}</span>
                         ${editedIndicator}
+                        ${post.pinned === true && !archived ? '<span class="post-badge post-pinned-badge">📌 Pinned</span>' : ''}
+                        ${post.evergreen === true && !archived ? '<span class="post-badge post-evergreen-badge">🌲 Evergreen</span>' : ''}
+                        ${archived ? '<span class="post-badge post-archived-badge" title="Archived posts are read-only">🗄️ Archived</span>' : ''}
                     </div>
                 </div>
                 <div class="post-header-actions">
+                    ${canPin ? `<button class="post-pin-btn${post.pinned === true ? ' active' : ''}" data-post-id="${post.id}" title="${post.pinned === true ? 'Unpin from profile' : 'Pin to profile (never archived)'}">📌</button>` : ''}
+                    ${canMarkEvergreen ? `<button class="post-evergreen-btn${post.evergreen === true ? ' active' : ''}" data-post-id="${post.id}" title="${post.evergreen === true ? 'Remove evergreen' : 'Mark evergreen (never archived)'}">🌲</button>` : ''}
                     ${canEdit ? `<button class="post-edit-btn" data-post-id="${post.id}" title="Edit post">✏️</button>` : ''}
                     ${canDelete ? `<button class="post-delete-btn" data-post-id="${post.id}" title="Delete post">×</button>` : ''}
                 </div>
             </div>
             
             <div class="post-content">
-                ${post.content ? `<p class="post-text">${escapeHtml(post.content).replace(/\n/g, '<br>')}</p>` : ''}
+                ${post.content ? `<p class="post-text">${linkifyTags(escapeHtml(post.content).replace(/\n/g, '<br>'))}</p>` : ''}
                 
                 ${post.images && post.images.length > 0 ? `
                     <div class="post-images">
@@ -2469,20 +2486,20 @@ function renderProfilePost(post) {
             
             <div class="post-actions">
                 <div class="post-vote-section">
-                    ${currentUser ? `
-                        <button class="post-vote-btn upvote-btn ${hasUpvote ? 'voted' : ''}" data-post-id="${post.id}" data-vote-type="upvote" title="Upvote">
+                    ${canVote ? `
+                        <button class="post-vote-btn upvote-btn" data-post-id="${post.id}" data-vote-type="upvote" title="Upvote">
                             <span class="post-vote-icon">↑</span>
                         </button>
                         <span class="post-vote-score" data-post-id="${post.id}">${voteScore}</span>
-                        <button class="post-vote-btn downvote-btn ${hasDownvote ? 'voted' : ''}" data-post-id="${post.id}" data-vote-type="downvote" title="Downvote">
+                        <button class="post-vote-btn downvote-btn" data-post-id="${post.id}" data-vote-type="downvote" title="Downvote">
                             <span class="post-vote-icon">↓</span>
                         </button>
                     ` : `
-                        <div class="post-vote-btn upvote-btn disabled" title="Log in to vote">
+                        <div class="post-vote-btn upvote-btn disabled" title="${archived ? 'Archived posts are read-only' : 'Log in to vote'}">
                             <span class="post-vote-icon">↑</span>
                         </div>
                         <span class="post-vote-score" data-post-id="${post.id}">${voteScore}</span>
-                        <div class="post-vote-btn downvote-btn disabled" title="Log in to vote">
+                        <div class="post-vote-btn downvote-btn disabled" title="${archived ? 'Archived posts are read-only' : 'Log in to vote'}">
                             <span class="post-vote-icon">↓</span>
                         </div>
                     `}
@@ -2506,7 +2523,7 @@ function renderProfilePost(post) {
             
             <div class="post-comments-section hide" id="commentsSection_${post.id}">
                 <div class="post-comments-list" id="commentsList_${post.id}"></div>
-                ${currentUser ? `
+                ${archived ? '<div class="post-comment-login">Archived posts are read-only</div>' : currentUser ? `
                     <div class="post-comment-input-wrapper">
                         <input type="text" class="post-comment-input" id="commentInput_${post.id}" placeholder="Write a comment..." maxlength="500" />
                         <button class="post-comment-submit" data-post-id="${post.id}">Post</button>
@@ -2542,8 +2559,10 @@ function setupProfilePostEventListeners(postId, post) {
         }
     }
     
-    // Vote buttons (only if logged in)
-    if (currentUser) {
+    const archived = isArchived(post);
+    
+    // Vote buttons (only if logged in; archived posts are read-only)
+    if (currentUser && !archived) {
         const upvoteBtn = document.querySelector(`.upvote-btn[data-post-id="${postId}"]`);
         const downvoteBtn = document.querySelector(`.downvote-btn[data-post-id="${postId}"]`);
         if (upvoteBtn) {
@@ -2552,7 +2571,8 @@ function setupProfilePostEventListeners(postId, post) {
         if (downvoteBtn) {
             downvoteBtn.addEventListener('click', () => handleProfilePostVote(postId, 'downvote'));
         }
-    } else {
+        showUserVote(postId, currentUser.uid, upvoteBtn, downvoteBtn);
+    } else if (!currentUser) {
         // Show login prompt for vote buttons
         const upvoteBtn = document.querySelector(`.upvote-btn[data-post-id="${postId}"]`);
         const downvoteBtn = document.querySelector(`.downvote-btn[data-post-id="${postId}"]`);
@@ -2588,13 +2608,13 @@ function setupProfilePostEventListeners(postId, post) {
                 commentsSection.classList.add('hide');
             } else {
                 commentsSection.classList.remove('hide');
-                loadProfilePostComments(postId);
+                loadProfilePostComments(postId, archived);
             }
         });
     }
     
     // Comment submit (only if logged in)
-    if (currentUser) {
+    if (currentUser && !archived) {
         const commentSubmit = document.querySelector(`.post-comment-submit[data-post-id="${postId}"]`);
         const commentInput = document.getElementById(`commentInput_${postId}`);
         if (commentSubmit && commentInput) {
@@ -2607,6 +2627,16 @@ function setupProfilePostEventListeners(postId, post) {
         }
     }
     
+    // Pin button (author) and evergreen button (admins/moderators)
+    const pinBtn = document.querySelector(`.post-pin-btn[data-post-id="${postId}"]`);
+    if (pinBtn) {
+        pinBtn.addEventListener('click', () => handleProfileTogglePostFlag(postId, 'pinned', post.pinned !== true));
+    }
+    const evergreenBtn = document.querySelector(`.post-evergreen-btn[data-post-id="${postId}"]`);
+    if (evergreenBtn) {
+        evergreenBtn.addEventListener('click', () => handleProfileTogglePostFlag(postId, 'evergreen', post.evergreen !== true));
+    }
+    
     // Edit button
     const editBtn = document.querySelector(`.post-edit-btn[data-post-id="${postId}"]`);
     if (editBtn) {
@@ -2625,6 +2655,15 @@ function setupProfilePostEventListeners(postId, post) {
         shareBtn.addEventListener('click', () => handleProfileSharePost(postId));
     }
     
+    // Edited marker - opens the revision history
+    const historyBtn = document.querySelector(`.edit-history-btn[data-post-id="${postId}"]`);
+    if (historyBtn) {
+        historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showEditHistory(doc(db, 'posts', postId), 'content', 'createdAt');
+        });
+    }
+    
     // Report button
     const reportBtn = document.querySelector(`.report-btn[data-post-id="${postId}"]`);
     if (reportBtn) {
@@ -2645,115 +2684,22 @@ async function handleProfilePostVote(postId, voteType) {
     }
     
     try {
-        const { updateDoc } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
-        const postRef = doc(db, 'posts', postId);
-        const postDoc = await getDoc(postRef);
-        
-        if (!postDoc.exists()) {
-            console.error('Post not found');
-            return;
-        }
-        
-        const postData = postDoc.data();
-        const upvotes = postData.upvotes || {};
-        const downvotes = postData.downvotes || {};
-        const currentVoteScore = postData.voteScore || 0;
-        
-        // Check current vote state
-        const hasUpvote = upvotes[currentUser.uid] === true;
-        const hasDownvote = downvotes[currentUser.uid] === true;
-        
-        // Calculate vote change
-        let voteChange = 0;
-        const newUpvotes = { ...upvotes };
-        const newDownvotes = { ...downvotes };
-        
-        if (voteType === 'upvote') {
-            if (hasUpvote) {
-                // Remove upvote
-                delete newUpvotes[currentUser.uid];
-                voteChange = -1;
-            } else {
-                // Add upvote, remove downvote if exists
-                newUpvotes[currentUser.uid] = true;
-                if (hasDownvote) {
-                    delete newDownvotes[currentUser.uid];
-                    voteChange = 2; // +1 for upvote, +1 for removing downvote
-                } else {
-                    voteChange = 1;
-                }
-            }
-        } else { // downvote
-            if (hasDownvote) {
-                // Remove downvote
-                delete newDownvotes[currentUser.uid];
-                voteChange = 1;
-            } else {
-                // Add downvote, remove upvote if exists
-                newDownvotes[currentUser.uid] = true;
-                if (hasUpvote) {
-                    delete newUpvotes[currentUser.uid];
-                    voteChange = -2; // -1 for downvote, -1 for removing upvote
-                } else {
-                    voteChange = -1;
-                }
-            }
-        }
-        
-        const newVoteScore = currentVoteScore + voteChange;
-        
-        // Update post
-        await updateDoc(postRef, {
-            upvotes: newUpvotes,
-            downvotes: newDownvotes,
-            voteScore: newVoteScore,
-            updatedAt: serverTimestamp()
-        });
-        
-        // Update karma for post author (if not voting on own post)
-        if (postData.userId !== currentUser.uid) {
-            try {
-                const authorRef = doc(db, 'users', postData.userId);
-                const authorDoc = await getDoc(authorRef);
-                
-                if (authorDoc.exists()) {
-                    const authorData = authorDoc.data();
-                    const currentKarma = authorData.karma || 0;
-                    const newKarma = currentKarma + voteChange;
-                    
-                    await updateDoc(authorRef, {
-                        karma: newKarma
-                    });
-                }
-            } catch (karmaError) {
-                console.error('Error updating karma:', karmaError);
-                // Don't fail the vote if karma update fails
-            }
-        }
+        // Only the vote doc is written; the post's score and the author's karma are
+        // updated by Cloud Functions (functions/votes.js)
+        const { previous, value } = await togglePostVote(postId, currentUser.uid, voteType);
         
         // Update UI immediately
         const voteScoreEl = document.querySelector(`.post-vote-score[data-post-id="${postId}"]`);
         if (voteScoreEl) {
-            voteScoreEl.textContent = newVoteScore;
+            voteScoreEl.textContent = (parseInt(voteScoreEl.textContent, 10) || 0) + value - previous;
         }
         
         // Update button states
-        const upvoteBtn = document.querySelector(`.upvote-btn[data-post-id="${postId}"]`);
-        const downvoteBtn = document.querySelector(`.downvote-btn[data-post-id="${postId}"]`);
-        if (upvoteBtn) {
-            if (newUpvotes[currentUser.uid]) {
-                upvoteBtn.classList.add('voted');
-            } else {
-                upvoteBtn.classList.remove('voted');
-            }
-        }
-        if (downvoteBtn) {
-            if (newDownvotes[currentUser.uid]) {
-                downvoteBtn.classList.add('voted');
-            } else {
-                downvoteBtn.classList.remove('voted');
-            }
-        }
+        setVoteButtonState(
+            document.querySelector(`.upvote-btn[data-post-id="${postId}"]`),
+            document.querySelector(`.downvote-btn[data-post-id="${postId}"]`),
+            value
+        );
         
     } catch (error) {
         console.error('Error voting:', error);
@@ -2761,26 +2707,41 @@ async function handleProfilePostVote(postId, voteType) {
     }
 }
 
-async function loadProfilePostComments(postId) {
+// Pin a post to the profile or mark it evergreen - either keeps it out of the archive
+async function handleProfileTogglePostFlag(postId, field, value) {
+    try {
+        await updateDoc(doc(db, 'posts', postId), {
+            [field]: value,
+            updatedAt: serverTimestamp()
+        });
+        const labels = { pinned: ['Post pinned', 'Post unpinned'], evergreen: ['Post marked evergreen', 'Post is no longer evergreen'] };
+        showProfileToast(labels[field][value ? 0 : 1]);
+        loadProfilePosts();
+    } catch (error) {
+        console.error(`Error updating ${field}:`, error);
+        showProfileToast('Failed to update post. Please try again.');
+    }
+}
+
+// Threaded; deleted comments are kept as placeholders for their replies
+// Archived posts get a read-only list (no replies or comment votes)
+async function loadProfilePostComments(postId, readOnly = false) {
     const commentsListEl = document.getElementById(`commentsList_${postId}`);
     if (!commentsListEl) return;
     
     try {
         const commentsQuery = query(
             collection(db, 'posts', postId, 'comments'),
-            where('deleted', '==', false),
             orderBy('createdAt', 'asc')
         );
         
         const commentsSnapshot = await getDocs(commentsQuery);
         
-        if (commentsSnapshot.empty) {
-            commentsListEl.innerHTML = '<div class="post-comments-empty">No comments yet</div>';
-            return;
-        }
-        
         const comments = await Promise.all(commentsSnapshot.docs.map(async (commentDoc) => {
             const commentData = commentDoc.data();
+            if (commentData.deleted === true) {
+                return { id: commentDoc.id, ...commentData, userData: null };
+            }
             try {
                 const userDoc = await getDoc(doc(db, 'users', commentData.userId));
                 const userData = userDoc.exists() ? userDoc.data() : null;
@@ -2798,33 +2759,11 @@ async function loadProfilePostComments(postId) {
             }
         }));
         
-        commentsListEl.innerHTML = comments.map(comment => renderProfileComment(comment, postId)).join('');
-        
-        // Set up profile navigation for comment authors
-        comments.forEach(comment => {
-            if (comment.userId) {
-                const commentEl = document.querySelector(`.post-comment[data-comment-id="${comment.id}"]`);
-                if (commentEl) {
-                    const avatar = commentEl.querySelector('.comment-author-avatar');
-                    const authorName = commentEl.querySelector('.comment-author');
-                    
-                    const navigateToProfile = (e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
-                        window.location.href = `/profile/?user=${comment.userId}`;
-                    };
-                    
-                    if (avatar) {
-                        avatar.style.cursor = 'pointer';
-                        avatar.addEventListener('click', navigateToProfile);
-                    }
-                    
-                    if (authorName) {
-                        authorName.style.cursor = 'pointer';
-                        authorName.addEventListener('click', navigateToProfile);
-                    }
-                }
-            }
+        renderCommentThreads(commentsListEl, comments, {
+            renderComment: comment => renderProfileComment(comment, postId),
+            canReply: !!currentUser && !readOnly,
+            onReply: (parent, replyInputEl) => handleProfileAddComment(postId, replyInputEl, parent),
+            onRender: () => setupProfileCommentListeners(commentsListEl, postId, comments, readOnly)
         });
         
     } catch (error) {
@@ -2833,6 +2772,49 @@ async function loadProfilePostComments(postId) {
     }
 }
 
+function setupProfileCommentListeners(commentsListEl, postId, comments, readOnly = false) {
+    // Set up profile navigation for comment authors
+    comments.forEach(comment => {
+        if (comment.userId) {
+            const commentEl = commentsListEl.querySelector(`.post-comment[data-comment-id="${comment.id}"]`);
+            if (commentEl) {
+                const avatar = commentEl.querySelector('.comment-author-avatar');
+                const authorName = commentEl.querySelector('.comment-author');
+                
+                const navigateToProfile = (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    window.location.href = `/profile/?user=${comment.userId}`;
+                };
+                
+                if (avatar) {
+                    avatar.style.cursor = 'pointer';
+                    avatar.addEventListener('click', navigateToProfile);
+                }
+                
+                if (authorName) {
+                    authorName.style.cursor = 'pointer';
+                    authorName.addEventListener('click', navigateToProfile);
+                }
+            }
+        }
+    });
+    
+    // Set up delete listeners for comments
+    comments.forEach(comment => {
+        if (currentUser && comment.userId === currentUser.uid) {
+            const deleteBtn = commentsListEl.querySelector(`.comment-delete-btn[data-comment-id="${comment.id}"]`);
+            if (deleteBtn) {
+                deleteBtn.addEventListener('click', () => handleProfileDeleteComment(postId, comment.id));
+            }
+        }
+    });
+    
+    if (!readOnly) {
+        setupCommentVoteButtons(commentsListEl, postId, currentUser ? currentUser.uid : null);
+    }
+}
+
 function renderProfileComment(comment, postId) {
     const createdAt = comment.createdAt?.toDate ? comment.createdAt.toDate() : new Date(comment.createdAt?.seconds * 1000 || Date.now());
     const timeAgo = getTimeAgo(createdAt);
@@ -2849,12 +2831,13 @@ function renderProfileComment(comment, postId) {
                     ${canDelete ? `<button class="comment-delete-btn" data-comment-id="${comment.id}" title="Delete comment">×</button>` : ''}
                 </div>
                 <div class="comment-text">${escapeHtml(comment.content).replace(/\n/g, '<br>')}</div>
+                ${renderCommentVoteButtons(postId, comment)}
             </div>
         </div>
     `;
 }
 
-async function handleProfileAddComment(postId, commentInputEl) {
+async function handleProfileAddComment(postId, commentInputEl, parent = null) {
     if (!currentUser) {
         alert('Please log in to comment');
         return;
@@ -2865,13 +2848,12 @@ async function handleProfileAddComment(postId, commentInputEl) {
         return;
     }
     
-    if (content.length > 500) {
-        alert('Comment must be 500 characters or less');
+    if (content.length > MAX_COMMENT_LENGTH) {
+        alert(`Comment must be ${MAX_COMMENT_LENGTH} characters or less`);
         return;
     }
     
     try {
-        const { addDoc, updateDoc, increment } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
         const userDoc = await getDoc(doc(db, 'users', currentUser.uid));
         if (!userDoc.exists()) {
             alert('User profile not found');
@@ -2879,18 +2861,11 @@ async function handleProfileAddComment(postId, commentInputEl) {
         }
         const userData = userDoc.data();
         
-        await addDoc(collection(db, 'posts', postId, 'comments'), {
-            userId: currentUser.uid,
-            username: userData.username || 'Anonymous',
-            content: content,
-            createdAt: serverTimestamp(),
-            deleted: false
-        });
-        
-        const postRef = doc(db, 'posts', postId);
-        await updateDoc(postRef, {
-            commentsCount: increment(1),
-            updatedAt: serverTimestamp()
+        await createComment(postId, {
+            uid: currentUser.uid,
+            username: userData.username,
+            content,
+            parent
         });
         
         commentInputEl.value = '';
@@ -2902,6 +2877,22 @@ async function handleProfileAddComment(postId, commentInputEl) {
     }
 }
 
+async function handleProfileDeleteComment(postId, commentId) {
+    if (!currentUser) return;
+    
+    if (!confirm('Are you sure you want to delete this comment?')) {
+        return;
+    }
+    
+    try {
+        await deleteComment(postId, commentId);
+        loadProfilePostComments(postId);
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        alert('Failed to delete comment. Please try again.');
+    }
+}
+
 async function handleProfileDeletePost(postId) {
     if (!currentUser) return;
     
@@ -3140,6 +3131,7 @@ async function handleProfileSaveEdit(postId, newContent, closeModal) {
         
         await updateDoc(postRef, {
             content: content,
+            tags: extractTags(content),
             editedAt: serverTimestamp(),
             updatedAt: serverTimestamp()
         });
@@ -3255,7 +3247,7 @@ async function handleProfileSharePost(postId) {
     }
     
     try {
-        const shareUrl = window.location.origin + withBase(`/feed/?post=${postId}`);
+        const shareUrl = getPostShareUrl(postId);
         
         if (navigator.clipboard && navigator.clipboard.writeText) {
             await navigator.clipboard.writeText(shareUrl);
@@ -4,15 +4,31 @@
  * Similar to profile-init.js but for the settings page (no banner display, no followers/following)
  */
 
-import { auth, db, app } from './firebase.js';
+import { auth, db, app, storage } from './firebase.js';
 import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
 import { 
     doc, 
     getDoc, 
     setDoc, 
+    updateDoc,
     serverTimestamp
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
 import { getFunctions, httpsCallable } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-functions.js';
+import { ref as storageRef, getDownloadURL } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js';
+import { NOTIFICATION_TYPES } from './notifications.js';
+import { POST_RETENTION_OPTIONS, DEFAULT_POST_RETENTION } from './post-archive.js';
+import { OAUTH_PROVIDERS, getLinkedProviderIds, linkProvider, unlinkProvider, formatOAuthError } from './oauth.js';
+import {
+    isMfaEnabled,
+    hasSecondFactorSession,
+    startTotpEnrollment,
+    finishTotpEnrollment,
+    disableTotp,
+    generateBackupCodes,
+    formatMfaError
+} from './mfa.js';
+import { requireReauth } from './reauth-modal.js';
+import { validateUsername, getUsernameChangeRemainingMs } from './usernames.js';
 
 // Initialize auth gate for settings page
 (async () => {
@@ -36,6 +52,7 @@ let isVerifying = false;
 let listenersAttached = false;
 let selectedBannerImage = null; // Store selected banner
 let selectedBannerBackground = null; // Store selected banner background
+let pendingTotpSecret = null; // TOTP secret while the authenticator is being set up
 
 // Initialize settings page
 onAuthStateChanged(auth, async (user) => {
@@ -116,6 +133,24 @@ async function loadProfile() {
                 // Update preview with current selections
                 updateBannerPreview();
                 
+                // Username and rename cooldown
+                renderUsernameSettings(userData);
+                
+                // Notification mute toggles
+                renderNotificationSettings(userData.notificationMutes || {});
+                
+                // Post lifetime before archiving
+                renderPostRetentionSelect(userData.postRetention);
+                
+                // Google / X sign-in
+                renderLinkedAccounts();
+                
+                // Authenticator app and backup codes
+                renderMfaSettings(userData.role);
+                
+                // Latest data export
+                renderDataExportSettings();
+                
                 // Update banner unlock states based on user level
                 let userLevel = userData.level || 1;
                 
@@ -241,6 +276,462 @@ async function saveProfile() {
     }
 }
 
+// Current username and when it can be changed next (cooldown enforced by functions/usernames.js)
+function renderUsernameSettings(userData) {
+    const input = document.getElementById('newUsernameInput');
+    const button = document.getElementById('changeUsernameBtn');
+    const info = document.getElementById('usernameChangeInfo');
+    if (!input || !button || !info) return;
+    
+    input.placeholder = userData.username || 'new_username';
+    const changedAt = userData.usernameChangedAt?.toMillis ? userData.usernameChangedAt.toMillis() : 0;
+    const remainingMs = getUsernameChangeRemainingMs(changedAt);
+    if (remainingMs > 0) {
+        const availableAt = new Date(Date.now() + remainingMs);
+        info.textContent = `You are @${userData.username}. You can change your username again on ${availableAt.toLocaleDateString()}.`;
+    } else {
+        info.textContent = `You are @${userData.username}. You can change your username once every 30 days. Links to your old name keep working.`;
+    }
+    input.disabled = remainingMs > 0;
+    button.disabled = remainingMs > 0;
+    
+    if (button.dataset.listenerAttached) return;
+    button.dataset.listenerAttached = 'true';
+    input.addEventListener('input', () => {
+        input.value = input.value.toLowerCase();
+    });
+    button.addEventListener('click', changeUsername);
+}
+
+async function changeUsername() {
+    const input = document.getElementById('newUsernameInput');
+    const button = document.getElementById('changeUsernameBtn');
+    const status = document.getElementById('usernameChangeStatus');
+    const newUsername = input.value.trim().toLowerCase();
+    
+    const validationError = validateUsername(newUsername);
+    if (validationError) {
+        status.className = 'username-change-status error';
+        status.textContent = validationError;
+        return;
+    }
+    if (!confirm(`Change your username to @${newUsername}? You won't be able to change it again for 30 days.`)) {
+        return;
+    }
+    
+    button.disabled = true;
+    button.textContent = 'Changing...';
+    status.className = 'username-change-status';
+    status.textContent = '';
+    try {
+        const functions = getFunctions(app, 'us-central1');
+        const changeUsernameFn = httpsCallable(functions, 'changeUsername');
+        const result = await changeUsernameFn({ username: newUsername });
+        input.value = '';
+        status.className = 'username-change-status success';
+        status.textContent = `✅ You are now @${result.data.username}.`;
+    } catch (error) {
+        console.error('Error changing username:', error);
+        status.className = 'username-change-status error';
+        status.textContent = error.message || 'Failed to change username. Please try again.';
+        button.disabled = false;
+    } finally {
+        button.textContent = 'Change';
+    }
+}
+
+// Render one toggle per notification type (checked = notifications on)
+function renderNotificationSettings(mutes) {
+    const list = document.getElementById('notificationSettingsList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    Object.entries(NOTIFICATION_TYPES).forEach(([type, { label, icon }]) => {
+        const row = document.createElement('label');
+        row.className = 'notification-setting';
+        row.innerHTML = `
+            <input type="checkbox" data-notification-type="${type}" ${mutes[type] === true ? '' : 'checked'}>
+            <span>${icon} ${label}</span>
+        `;
+        row.querySelector('input').addEventListener('change', (e) => {
+            saveNotificationMute(type, !e.target.checked, e.target);
+        });
+        list.appendChild(row);
+    });
+}
+
+// Save a per-type mute (read by Cloud Functions before creating a notification)
+async function saveNotificationMute(type, muted, checkbox) {
+    if (!currentUser) return;
+    
+    checkbox.disabled = true;
+    try {
+        await updateDoc(doc(db, 'users', currentUser.uid), {
+            [`notificationMutes.${type}`]: muted
+        });
+    } catch (error) {
+        console.error('Error saving notification settings:', error);
+        checkbox.checked = muted; // Revert
+        alert('Failed to save notification settings. Please try again.');
+    } finally {
+        checkbox.disabled = false;
+    }
+}
+
+// Fill the post archive select; users without a setting get the site default (meta/posts)
+async function renderPostRetentionSelect(userRetention) {
+    const select = document.getElementById('postRetentionSelect');
+    if (!select) return;
+    
+    let selected = userRetention;
+    if (!POST_RETENTION_OPTIONS[selected]) {
+        try {
+            const siteDoc = await getDoc(doc(db, 'meta', 'posts'));
+            selected = siteDoc.exists() ? siteDoc.data().retention : null;
+        } catch (error) {
+            selected = null;
+        }
+    }
+    if (!POST_RETENTION_OPTIONS[selected]) selected = DEFAULT_POST_RETENTION;
+    
+    select.innerHTML = Object.entries(POST_RETENTION_OPTIONS)
+        .map(([value, option]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value === 'forever' ? option.label : `Archive after ${option.label}`}</option>`)
+        .join('');
+    select.dataset.saved = selected;
+    
+    if (select.dataset.listenerAttached) return;
+    select.dataset.listenerAttached = 'true';
+    select.addEventListener('change', () => savePostRetention(select));
+}
+
+// Save the post lifetime (applied daily by archiveOldPosts in functions/archive.js)
+async function savePostRetention(select) {
+    if (!currentUser || !POST_RETENTION_OPTIONS[select.value]) return;
+    
+    select.disabled = true;
+    try {
+        await updateDoc(doc(db, 'users', currentUser.uid), {
+            postRetention: select.value
+        });
+        select.dataset.saved = select.value;
+    } catch (error) {
+        console.error('Error saving post archive setting:', error);
+        select.value = select.dataset.saved; // Revert
+        alert('Failed to save post archive setting. Please try again.');
+    } finally {
+        select.disabled = false;
+    }
+}
+
+// List sign-in methods with Link/Unlink buttons (email & password is shown but managed in account settings)
+function renderLinkedAccounts() {
+    const list = document.getElementById('linkedAccountsList');
+    if (!list || !currentUser) return;
+    
+    const linked = getLinkedProviderIds(auth.currentUser || currentUser);
+    const rows = [];
+    if (linked.includes('password')) {
+        rows.push(`
+            <div class="linked-account">
+                <span class="linked-account-icon">✉️</span>
+                <span class="linked-account-label">Email &amp; password</span>
+                <span class="linked-account-status linked">Linked</span>
+            </div>
+        `);
+    }
+    Object.entries(OAUTH_PROVIDERS).forEach(([providerId, { label, icon }]) => {
+        const isLinked = linked.includes(providerId);
+        const canUnlink = isLinked && linked.length > 1;
+        rows.push(`
+            <div class="linked-account">
+                <span class="linked-account-icon">${icon}</span>
+                <span class="linked-account-label">${label}</span>
+                <span class="linked-account-status ${isLinked ? 'linked' : ''}">${isLinked ? 'Linked' : 'Not linked'}</span>
+                <button type="button" class="btn btn-secondary linked-account-btn" data-provider-id="${providerId}" data-action="${isLinked ? 'unlink' : 'link'}" ${isLinked && !canUnlink ? 'disabled title="You need at least one way to sign in"' : ''}>${isLinked ? 'Unlink' : 'Link'}</button>
+            </div>
+        `);
+    });
+    list.innerHTML = rows.join('');
+    
+    if (list.dataset.listenerAttached) return;
+    list.dataset.listenerAttached = 'true';
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('.linked-account-btn');
+        if (button && !button.disabled) {
+            toggleLinkedAccount(button);
+        }
+    });
+}
+
+async function toggleLinkedAccount(button) {
+    const { providerId, action } = button.dataset;
+    const { label } = OAUTH_PROVIDERS[providerId];
+    if (action === 'unlink' && !confirm(`Unlink ${label}? You won't be able to log in with it anymore.`)) {
+        return;
+    }
+    
+    button.disabled = true;
+    button.textContent = action === 'link' ? 'Linking...' : 'Unlinking...';
+    try {
+        if (action === 'link') {
+            await linkProvider(providerId);
+        } else {
+            await unlinkProvider(providerId);
+        }
+        await auth.currentUser.reload();
+    } catch (error) {
+        console.error(`Error ${action}ing ${providerId}:`, error);
+        alert(formatOAuthError(error));
+    } finally {
+        renderLinkedAccounts();
+    }
+}
+
+// Two-factor status and buttons; staff are told their privileges need it
+async function renderMfaSettings(role) {
+    const section = document.getElementById('mfaSettings');
+    if (!section || !currentUser) return;
+    
+    const user = auth.currentUser || currentUser;
+    const enabled = isMfaEnabled(user);
+    document.getElementById('mfaStatusText').textContent = enabled
+        ? '✅ On. You are asked for a code from your authenticator app when you log in.'
+        : 'Protect your account with a code from an authenticator app when you log in.';
+    document.getElementById('mfaSetupBtn').classList.toggle('hide', enabled || Boolean(pendingTotpSecret));
+    document.getElementById('mfaBackupCodesBtn').classList.toggle('hide', !enabled);
+    document.getElementById('mfaDisableBtn').classList.toggle('hide', !enabled);
+    
+    if (role !== undefined) {
+        section.dataset.role = role || '';
+    }
+    const staffNotice = document.getElementById('mfaStaffNotice');
+    const isStaff = ['admin', 'moderator'].includes(section.dataset.role);
+    let notice = '';
+    if (isStaff && !enabled) {
+        notice = '⚠️ Your admin/moderator tools stay locked until you turn on two-factor authentication.';
+    } else if (isStaff && !(await hasSecondFactorSession(user).catch(() => false))) {
+        notice = '⚠️ Log out and log back in with your authenticator code to unlock your admin/moderator tools.';
+    }
+    staffNotice.textContent = notice;
+    staffNotice.classList.toggle('hide', !notice);
+    
+    // Signed in with a backup code (js/auth-ui.js): the old authenticator is lost and needs replacing
+    const replaceNotice = document.getElementById('mfaReplaceNotice');
+    const isReplacing = new URLSearchParams(window.location.search).get('mfa') === 'replace';
+    replaceNotice.textContent = enabled
+        ? '⚠️ You signed in with a backup code. Turn off your old authenticator, then set up a new one.'
+        : '⚠️ You signed in with a backup code. Set up your new authenticator now.';
+    replaceNotice.classList.toggle('hide', !isReplacing);
+    
+    if (section.dataset.listenerAttached) return;
+    section.dataset.listenerAttached = 'true';
+    document.getElementById('mfaSetupBtn').addEventListener('click', startMfaSetup);
+    document.getElementById('mfaEnrollConfirmBtn').addEventListener('click', confirmMfaSetup);
+    document.getElementById('mfaEnrollCancelBtn').addEventListener('click', cancelMfaSetup);
+    document.getElementById('mfaBackupCodesBtn').addEventListener('click', () => showNewBackupCodes(true));
+    document.getElementById('mfaDisableBtn').addEventListener('click', turnOffMfa);
+    document.getElementById('mfaCopyBackupCodesBtn').addEventListener('click', copyBackupCodes);
+}
+
+// Run an action that needs a recent sign-in, reauthenticating once if Firebase asks for it
+async function withRecentLogin(action, message) {
+    try {
+        return await action();
+    } catch (error) {
+        if (error.code !== 'auth/requires-recent-login') throw error;
+        if (!(await requireReauth(message))) return null;
+        return action();
+    }
+}
+
+async function startMfaSetup() {
+    const button = document.getElementById('mfaSetupBtn');
+    button.disabled = true;
+    try {
+        const enrollment = await withRecentLogin(
+            () => startTotpEnrollment(auth.currentUser),
+            'Please enter your password to set up two-factor authentication.'
+        );
+        if (!enrollment) return;
+        
+        pendingTotpSecret = enrollment.secret;
+        document.getElementById('mfaSecretKey').textContent = enrollment.secretKey;
+        document.getElementById('mfaOtpauthLink').href = enrollment.otpauthUrl;
+        document.getElementById('mfaEnrollCode').value = '';
+        document.getElementById('mfaEnrollment').classList.remove('hide');
+        button.classList.add('hide');
+        document.getElementById('mfaEnrollCode').focus();
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        alert(formatMfaError(error));
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function confirmMfaSetup() {
+    const code = document.getElementById('mfaEnrollCode').value.trim();
+    if (!pendingTotpSecret || !/^\d{6}$/.test(code)) {
+        alert('Please enter the 6-digit code from your authenticator app.');
+        return;
+    }
+    
+    const button = document.getElementById('mfaEnrollConfirmBtn');
+    button.disabled = true;
+    button.textContent = 'Turning on...';
+    try {
+        await finishTotpEnrollment(auth.currentUser, pendingTotpSecret, code);
+        pendingTotpSecret = null;
+        document.getElementById('mfaEnrollment').classList.add('hide');
+        
+        // The authenticator is replaced - drop the backup code notice
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('mfa')) {
+            url.searchParams.delete('mfa');
+            history.replaceState(null, '', url);
+        }
+        await renderMfaSettings();
+        await showNewBackupCodes(false);
+    } catch (error) {
+        console.error('Error turning on two-factor authentication:', error);
+        alert(formatMfaError(error));
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Turn on';
+    }
+}
+
+function cancelMfaSetup() {
+    pendingTotpSecret = null;
+    document.getElementById('mfaEnrollment').classList.add('hide');
+    renderMfaSettings();
+}
+
+// Replace the backup codes and show the new ones once
+async function showNewBackupCodes(askFirst) {
+    if (askFirst && !confirm('Create new backup codes? Your current ones will stop working.')) {
+        return;
+    }
+    
+    // functions/mfa.js only creates codes for sessions signed in with the authenticator
+    if (!(await hasSecondFactorSession(auth.currentUser).catch(() => false))) {
+        alert('Log out and log back in with your authenticator code to create backup codes.');
+        return;
+    }
+    
+    const button = document.getElementById('mfaBackupCodesBtn');
+    button.disabled = true;
+    try {
+        const codes = await generateBackupCodes();
+        const list = document.getElementById('mfaBackupCodesList');
+        list.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+        document.getElementById('mfaBackupCodes').classList.remove('hide');
+    } catch (error) {
+        console.error('Error creating backup codes:', error);
+        alert(formatMfaError(error));
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function copyBackupCodes() {
+    const codes = Array.from(document.querySelectorAll('#mfaBackupCodesList li')).map(item => item.textContent);
+    try {
+        await navigator.clipboard.writeText(codes.join('\n'));
+        alert('Backup codes copied.');
+    } catch (error) {
+        console.error('Error copying backup codes:', error);
+        alert('Copy failed. Please write the codes down instead.');
+    }
+}
+
+async function turnOffMfa() {
+    if (!confirm('Turn off two-factor authentication? Your backup codes will stop working too.')) {
+        return;
+    }
+    
+    const button = document.getElementById('mfaDisableBtn');
+    button.disabled = true;
+    try {
+        await withRecentLogin(
+            () => disableTotp(auth.currentUser),
+            'Please enter your password to turn off two-factor authentication.'
+        );
+        document.getElementById('mfaBackupCodes').classList.add('hide');
+    } catch (error) {
+        console.error('Error turning off two-factor authentication:', error);
+        alert(formatMfaError(error));
+    } finally {
+        button.disabled = false;
+        renderMfaSettings();
+    }
+}
+
+// Date of the latest export (dataExports/{uid}, written by functions/data-export.js)
+async function renderDataExportSettings() {
+    const button = document.getElementById('exportDataBtn');
+    const info = document.getElementById('dataExportInfo');
+    if (!button || !info || !currentUser) return;
+    
+    if (!button.dataset.listenerAttached) {
+        button.dataset.listenerAttached = 'true';
+        button.addEventListener('click', exportData);
+    }
+    
+    try {
+        const exportDoc = await getDoc(doc(db, 'dataExports', currentUser.uid));
+        if (exportDoc.exists() && exportDoc.data().createdAt) {
+            const createdAt = exportDoc.data().createdAt.toDate();
+            info.textContent = `Your last export was created on ${createdAt.toLocaleString()}. You can create a new one once a day.`;
+        }
+    } catch (error) {
+        console.error('Error loading data export:', error);
+    }
+}
+
+// Build (or reuse) the export and download the JSON file
+async function exportData() {
+    const button = document.getElementById('exportDataBtn');
+    const status = document.getElementById('dataExportStatus');
+    
+    button.disabled = true;
+    button.textContent = 'Preparing...';
+    status.className = 'username-change-status';
+    status.textContent = 'Collecting your data. This can take a minute.';
+    try {
+        const functions = getFunctions(app, 'us-central1');
+        const exportUserData = httpsCallable(functions, 'exportUserData', { timeout: 300000 });
+        const result = await exportUserData({});
+        const url = await getDownloadURL(storageRef(storage, result.data.path));
+        
+        // The file is served as an attachment, so this downloads without leaving the page
+        const link = document.createElement('a');
+        link.href = url;
+        link.rel = 'noopener';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        status.className = 'username-change-status success';
+        status.textContent = result.data.reused
+            ? '✅ Downloading your export from earlier today.'
+            : `✅ Downloading your data (${result.data.documentCount} items).`;
+        renderDataExportSettings();
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        status.className = 'username-change-status error';
+        status.textContent = error.message || 'Failed to export your data. Please try again.';
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Download my data';
+    }
+}
+
 // Generate unique verification code for user
 function generateVerificationCode(uid) {
     const timestamp = Date.now().toString(36);
@@ -664,14 +1155,7 @@ async function verifyXAccount() {
             if (verificationSection) {
                 verificationSection.classList.add('hide');
             }
-            
-            // Update quest progress
-            try {
-                const { updateQuestProgress } = await import('/js/quests-init.js');
-                await updateQuestProgress('verify_x_account', 1);
-            } catch (error) {
-                // Ignore
-            }
+            // "Verified Ape" quest progress is awarded by the verifyXAccount function
         } else {
             throw new Error(result.data.error || 'Verification failed');
         }
@@ -0,0 +1,160 @@
+/**
+ * Quest Catalog Module
+ * Loads quest definitions from the Firestore `quests` collection and renders quest cards
+ *
+ * Quest document (quests/{questId}):
+ *   title, description      - display text
+ *   type                    - 'daily' | 'weekly' | 'achievement'
+ *   resetPeriod             - 'daily' | 'weekly' | 'never' (derived from type)
+ *   category                - display grouping ('chat', 'social', 'posts', ...)
+ *   event                   - what advances the quest server-side (see QUEST_EVENTS)
+ *   targetValue             - progress needed to complete
+ *   rewardPoints            - XP awarded on completion
+ *   isActive                - admins disable quests instead of deleting them
+ *   startsAt / endsAt       - optional schedule window (Timestamp or null)
+ *   order                   - sort order within its section
+ *
+ * Progress and XP are awarded by Cloud Functions (functions/quests.js), which read the
+ * same collection. Used by the quests page and the quest admin editor.
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    getDocs
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+
+export const QUEST_TYPES = ['daily', 'weekly', 'achievement'];
+
+export const QUEST_CATEGORIES = ['chat', 'social', 'posts', 'quests', 'activity', 'level'];
+
+// Events the server-side quest engine knows how to count
+export const QUEST_EVENTS = {
+    chat_message: 'Chat message sent',
+    post_created: 'Post created',
+    follow_user: 'Followed a user (each user once per period)',
+    follower_gained: 'Gained a follower',
+    login: 'Logged in',
+    active_day: 'Active on a new day',
+    quests_visit: 'Visited the quests page',
+    x_verified: 'Verified X account',
+    daily_quest_completed: 'Completed a daily quest',
+    all_daily_quests_completed: 'Daily quests completed today (count)',
+    level_reached: 'Reached level (current level)',
+    quests_completed: 'Total quests completed (count)'
+};
+
+// Map quest type to its reset period
+export function getResetPeriod(type) {
+    if (type === 'daily') return 'daily';
+    if (type === 'weekly') return 'weekly';
+    return 'never';
+}
+
+function timestampToMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    if (value.toDate) return value.toDate().getTime();
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+    return 0;
+}
+
+// Quest is enabled and inside its schedule window
+export function isQuestLive(quest, now = Date.now()) {
+    if (!quest || !quest.isActive) return false;
+    const startsAt = timestampToMillis(quest.startsAt);
+    const endsAt = timestampToMillis(quest.endsAt);
+    if (startsAt && now < startsAt) return false;
+    if (endsAt && now >= endsAt) return false;
+    return true;
+}
+
+// Sort by order, then title
+export function compareQuests(a, b) {
+    const orderA = typeof a.order === 'number' ? a.order : Number.MAX_SAFE_INTEGER;
+    const orderB = typeof b.order === 'number' ? b.order : Number.MAX_SAFE_INTEGER;
+    if (orderA !== orderB) return orderA - orderB;
+    return (a.title || '').localeCompare(b.title || '');
+}
+
+/**
+ * Load quest definitions from Firestore
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - include disabled and out-of-window quests (admin editor)
+ */
+export async function loadQuestCatalog({ includeInactive = false } = {}) {
+    const snapshot = await getDocs(collection(db, 'quests'));
+    const quests = [];
+    snapshot.forEach((questDoc) => {
+        const data = questDoc.data();
+        quests.push({
+            ...data,
+            id: questDoc.id,
+            resetPeriod: data.resetPeriod || getResetPeriod(data.type)
+        });
+    });
+
+    const visible = includeInactive ? quests : quests.filter(q => isQuestLive(q));
+    return visible.sort(compareQuests);
+}
+
+// Create a quest card element
+export function createQuestCard(quest, userQuest = null) {
+    const progressData = userQuest || {
+        progress: 0,
+        completed: false,
+        completedAt: null
+    };
+
+    let progress = progressData.progress || 0;
+    const completed = progressData.completed || false;
+
+    // Level achievements never show progress exceeding the target
+    if (quest.event === 'level_reached') {
+        progress = Math.min(progress, quest.targetValue);
+    }
+
+    const progressPercent = quest.targetValue > 0
+        ? Math.min((progress / quest.targetValue) * 100, 100)
+        : 0;
+    const endsAtMillis = timestampToMillis(quest.endsAt);
+
+    const card = document.createElement('div');
+    card.className = `quest-card ${completed ? 'quest-completed' : ''}`;
+    card.innerHTML = `
+        <div class="quest-card-header">
+            <h3 class="quest-title">${escapeHtml(quest.title)}</h3>
+            <div class="quest-reward">
+                <span class="quest-reward-icon">⭐</span>
+                <span class="quest-reward-points">${Number(quest.rewardPoints) || 0}</span>
+            </div>
+        </div>
+        <p class="quest-description">${escapeHtml(quest.description)}</p>
+        ${endsAtMillis ? `<p class="quest-window">Ends ${escapeHtml(new Date(endsAtMillis).toLocaleString())}</p>` : ''}
+        <div class="quest-progress">
+            <div class="quest-progress-bar">
+                <div class="quest-progress-fill"></div>
+            </div>
+            <div class="quest-progress-text">
+                <span>${progress} / ${Number(quest.targetValue) || 0}</span>
+                ${completed ? '<span class="quest-completed-badge">✓ Completed</span>' : ''}
+            </div>
+        </div>
+    `;
+
+    // Set progress width using setProperty (CSP-compliant)
+    const progressFill = card.querySelector('.quest-progress-fill');
+    if (progressFill) {
+        progressFill.style.setProperty('width', `${progressPercent}%`);
+    }
+
+    return card;
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
@@ -0,0 +1,387 @@
+/**
+ * Quest Admin Page Initialization Module
+ * Lets admins and moderators create, edit, schedule and disable quests
+ *
+ * Quest definitions live in the Firestore `quests` collection (see quest-catalog.js).
+ * Cloud Functions pick up changes within a minute, so no deploy is needed.
+ * Quests are never deleted - disabling keeps existing userQuests progress docs valid.
+ */
+
+import { auth, db } from './firebase.js';
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import {
+    doc,
+    getDoc,
+    setDoc,
+    updateDoc,
+    serverTimestamp,
+    Timestamp
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import {
+    QUEST_TYPES,
+    QUEST_CATEGORIES,
+    QUEST_EVENTS,
+    getResetPeriod,
+    isQuestLive,
+    loadQuestCatalog,
+    createQuestCard
+} from './quest-catalog.js';
+import { hasSecondFactorSession } from './mfa.js';
+
+const QUEST_ID_PATTERN = /^[a-z0-9_]{3,50}$/;
+
+// State
+let currentUser = null;
+let quests = [];
+let editingQuestId = null;
+
+// DOM Elements
+let listEl, formEl, formTitleEl, previewEl, errorEl, saveBtn;
+let idInput, titleInput, descriptionInput, typeSelect, categorySelect, eventSelect;
+let targetInput, rewardInput, orderInput, startsAtInput, endsAtInput, activeInput;
+
+// Initialize auth gate for quest admin page
+(async () => {
+    try {
+        const { initAuthGate } = await import('/js/auth-gate.js');
+        initAuthGate();
+    } catch (error) {
+        console.error('Quest admin init: Auth gate initialization error:', error);
+    }
+})();
+
+onAuthStateChanged(auth, async (user) => {
+    currentUser = user;
+    if (!user) return;
+
+    const isStaff = await isAdminOrModerator(user.uid);
+    const allowed = isStaff && await hasSecondFactorSession(user).catch(() => false);
+    const deniedEl = document.getElementById('questAdminDenied');
+    if (deniedEl && isStaff && !allowed) {
+        deniedEl.querySelector('p').textContent = 'Quest editing needs two-factor authentication. Turn it on in profile settings, then log in again with your authenticator code.';
+    }
+    deniedEl?.classList.toggle('hide', allowed);
+    document.getElementById('questAdminLayout')?.classList.toggle('hide', !allowed);
+
+    if (allowed) {
+        await refreshQuestList();
+    }
+});
+
+// Only admins/moderators may edit quests, in sessions signed in with two-factor authentication
+// (also enforced by Firestore rules)
+async function isAdminOrModerator(uid) {
+    try {
+        const userDoc = await getDoc(doc(db, 'users', uid));
+        const role = userDoc.exists() ? userDoc.data().role : null;
+        return role === 'admin' || role === 'moderator';
+    } catch (error) {
+        console.error('Error checking quest admin role:', error);
+        return false;
+    }
+}
+
+// Initialize DOM elements
+function initializeElements() {
+    listEl = document.getElementById('questAdminList');
+    formEl = document.getElementById('questAdminForm');
+    formTitleEl = document.getElementById('questAdminFormTitle');
+    previewEl = document.getElementById('questAdminPreview');
+    errorEl = document.getElementById('questAdminError');
+    saveBtn = document.getElementById('questAdminSaveBtn');
+    idInput = document.getElementById('questId');
+    titleInput = document.getElementById('questTitle');
+    descriptionInput = document.getElementById('questDescription');
+    typeSelect = document.getElementById('questType');
+    categorySelect = document.getElementById('questCategory');
+    eventSelect = document.getElementById('questEvent');
+    targetInput = document.getElementById('questTargetValue');
+    rewardInput = document.getElementById('questRewardPoints');
+    orderInput = document.getElementById('questOrder');
+    startsAtInput = document.getElementById('questStartsAt');
+    endsAtInput = document.getElementById('questEndsAt');
+    activeInput = document.getElementById('questIsActive');
+
+    fillSelect(typeSelect, QUEST_TYPES.map(type => [type, type]));
+    fillSelect(categorySelect, QUEST_CATEGORIES.map(category => [category, category]));
+    fillSelect(eventSelect, Object.entries(QUEST_EVENTS));
+
+    formEl.addEventListener('submit', handleSave);
+    formEl.addEventListener('input', renderPreview);
+    formEl.addEventListener('change', renderPreview);
+    document.getElementById('questAdminNewBtn')?.addEventListener('click', () => resetForm());
+    document.getElementById('questAdminResetBtn')?.addEventListener('click', () => resetForm());
+
+    resetForm();
+}
+
+function fillSelect(select, options) {
+    select.innerHTML = '';
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
+// Load all quests (including disabled and scheduled ones)
+async function refreshQuestList() {
+    try {
+        quests = await loadQuestCatalog({ includeInactive: true });
+        renderQuestList();
+    } catch (error) {
+        console.error('Error loading quests:', error);
+        listEl.innerHTML = '<div class="quest-empty">Failed to load quests</div>';
+    }
+}
+
+function renderQuestList() {
+    listEl.innerHTML = '';
+
+    if (quests.length === 0) {
+        listEl.innerHTML = '<div class="quest-empty">No quests yet. Run scripts/seed-quests.js or create one.</div>';
+        return;
+    }
+
+    QUEST_TYPES.forEach(type => {
+        const group = quests.filter(q => q.type === type);
+        if (group.length === 0) return;
+
+        const heading = document.createElement('h3');
+        heading.className = 'quest-admin-group-title';
+        heading.textContent = type;
+        listEl.appendChild(heading);
+
+        group.forEach(quest => listEl.appendChild(createQuestRow(quest)));
+    });
+}
+
+function createQuestRow(quest) {
+    const live = isQuestLive(quest);
+    const status = !quest.isActive ? 'Disabled' : (live ? 'Live' : 'Scheduled');
+
+    const row = document.createElement('div');
+    row.className = `quest-admin-row-item ${quest.isActive ? '' : 'quest-admin-disabled'}`;
+    row.innerHTML = `
+        <div class="quest-admin-row-info">
+            <span class="quest-admin-row-title">${escapeHtml(quest.title)}</span>
+            <span class="quest-admin-row-meta">${escapeHtml(quest.id)} · ${escapeHtml(quest.event || 'no event')} · ${Number(quest.targetValue) || 0} → ${Number(quest.rewardPoints) || 0} XP</span>
+        </div>
+        <span class="quest-admin-status quest-admin-status-${status.toLowerCase()}">${status}</span>
+        <div class="quest-admin-row-actions">
+            <button type="button" class="btn btn-secondary quest-admin-edit-btn">Edit</button>
+            <button type="button" class="btn ${quest.isActive ? 'btn-danger' : 'btn-primary'} quest-admin-toggle-btn">${quest.isActive ? 'Disable' : 'Enable'}</button>
+        </div>
+    `;
+
+    row.querySelector('.quest-admin-edit-btn').addEventListener('click', () => editQuest(quest));
+    row.querySelector('.quest-admin-toggle-btn').addEventListener('click', (e) => toggleQuest(quest, e.currentTarget));
+
+    return row;
+}
+
+async function toggleQuest(quest, button) {
+    button.disabled = true;
+    try {
+        await updateDoc(doc(db, 'quests', quest.id), {
+            isActive: !quest.isActive,
+            updatedAt: serverTimestamp(),
+            updatedBy: currentUser.uid
+        });
+        await refreshQuestList();
+    } catch (error) {
+        console.error('Error toggling quest:', error);
+        alert('Failed to update quest. Please try again.');
+        button.disabled = false;
+    }
+}
+
+function editQuest(quest) {
+    editingQuestId = quest.id;
+    formTitleEl.textContent = `Edit: ${quest.title}`;
+    idInput.value = quest.id;
+    idInput.readOnly = true;
+    titleInput.value = quest.title || '';
+    descriptionInput.value = quest.description || '';
+    typeSelect.value = quest.type;
+    categorySelect.value = quest.category || QUEST_CATEGORIES[0];
+    ensureOption(eventSelect, quest.event);
+    eventSelect.value = quest.event || '';
+    targetInput.value = quest.targetValue ?? 1;
+    rewardInput.value = quest.rewardPoints ?? 0;
+    orderInput.value = quest.order ?? 0;
+    startsAtInput.value = toLocalInputValue(quest.startsAt);
+    endsAtInput.value = toLocalInputValue(quest.endsAt);
+    activeInput.checked = quest.isActive === true;
+    showError('');
+    renderPreview();
+    formEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Keep unknown events (e.g. added by a newer function deploy) selectable
+function ensureOption(select, value) {
+    if (!value || Array.from(select.options).some(option => option.value === value)) return;
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.appendChild(option);
+}
+
+function resetForm() {
+    editingQuestId = null;
+    formEl.reset();
+    formTitleEl.textContent = 'New Quest';
+    idInput.readOnly = false;
+    activeInput.checked = true;
+    showError('');
+    renderPreview();
+}
+
+// Read and validate the form (mirrors isValidQuest in firestore.rules)
+function readForm() {
+    const id = idInput.value.trim();
+    const title = titleInput.value.trim();
+    const targetValue = Number(targetInput.value);
+    const rewardPoints = Number(rewardInput.value);
+    const order = Number(orderInput.value) || 0;
+    const startsAt = fromLocalInputValue(startsAtInput.value);
+    const endsAt = fromLocalInputValue(endsAtInput.value);
+
+    if (!QUEST_ID_PATTERN.test(id)) {
+        throw new Error('Quest ID must be 3-50 lowercase letters, numbers or underscores.');
+    }
+    if (!title) {
+        throw new Error('Title is required.');
+    }
+    if (!Number.isInteger(targetValue) || targetValue < 1) {
+        throw new Error('Target must be a whole number of at least 1.');
+    }
+    if (!Number.isInteger(rewardPoints) || rewardPoints < 0 || rewardPoints > 10000) {
+        throw new Error('Reward must be a whole number between 0 and 10000.');
+    }
+    if (!Number.isInteger(order)) {
+        throw new Error('Order must be a whole number.');
+    }
+    if (startsAt && endsAt && endsAt <= startsAt) {
+        throw new Error('End time must be after the start time.');
+    }
+
+    return {
+        id,
+        data: {
+            title,
+            description: descriptionInput.value.trim(),
+            type: typeSelect.value,
+            resetPeriod: getResetPeriod(typeSelect.value),
+            category: categorySelect.value,
+            event: eventSelect.value,
+            targetValue,
+            rewardPoints,
+            isActive: activeInput.checked,
+            startsAt: startsAt ? Timestamp.fromDate(startsAt) : null,
+            endsAt: endsAt ? Timestamp.fromDate(endsAt) : null,
+            order
+        }
+    };
+}
+
+async function handleSave(e) {
+    e.preventDefault();
+
+    let quest;
+    try {
+        quest = readForm();
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+
+    saveBtn.disabled = true;
+    showError('');
+
+    try {
+        const questRef = doc(db, 'quests', quest.id);
+        const updates = {
+            ...quest.data,
+            updatedAt: serverTimestamp(),
+            updatedBy: currentUser.uid
+        };
+
+        if (editingQuestId) {
+            await updateDoc(questRef, updates);
+        } else {
+            const existing = await getDoc(questRef);
+            if (existing.exists()) {
+                showError(`A quest with ID "${quest.id}" already exists. Edit it from the list instead.`);
+                return;
+            }
+            await setDoc(questRef, { ...updates, createdAt: serverTimestamp() });
+        }
+
+        await refreshQuestList();
+        resetForm();
+    } catch (error) {
+        console.error('Error saving quest:', error);
+        showError('Failed to save quest. Check the fields and your permissions.');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Render the quest card exactly as players will see it
+function renderPreview() {
+    if (!previewEl) return;
+
+    const startsAt = fromLocalInputValue(startsAtInput.value);
+    const endsAt = fromLocalInputValue(endsAtInput.value);
+    const quest = {
+        id: idInput.value.trim(),
+        title: titleInput.value.trim() || 'Untitled quest',
+        description: descriptionInput.value.trim(),
+        type: typeSelect.value,
+        event: eventSelect.value,
+        targetValue: Number(targetInput.value) || 0,
+        rewardPoints: Number(rewardInput.value) || 0,
+        isActive: activeInput.checked,
+        startsAt: startsAt ? Timestamp.fromDate(startsAt) : null,
+        endsAt: endsAt ? Timestamp.fromDate(endsAt) : null
+    };
+
+    previewEl.innerHTML = '';
+    previewEl.appendChild(createQuestCard(quest));
+}
+
+function showError(message) {
+    if (!errorEl) return;
+    errorEl.textContent = message;
+    errorEl.classList.toggle('hide', !message);
+}
+
+// Timestamp -> value for <input type="datetime-local"> (local time)
+function toLocalInputValue(value) {
+    if (!value || !value.toDate) return '';
+    const date = value.toDate();
+    const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function fromLocalInputValue(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeElements);
+} else {
+    initializeElements();
+}
@@ -1,6 +1,7 @@
 /**
  * Reauthentication Modal Module
  * Handles reauthentication for sensitive operations (change password, email, delete account)
+ * Accounts with two-factor authentication are asked for an authenticator code after the password (js/mfa.js)
  */
 
 import { auth } from './firebase.js';
@@ -8,10 +9,12 @@ import {
     reauthenticateWithCredential,
     EmailAuthProvider
 } from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js';
+import { isMfaRequiredError, resolveTotpChallenge, formatMfaError } from './mfa.js';
 
 let reauthModal = null;
 let reauthResolve = null;
 let reauthReject = null;
+let pendingMfaError = null; // set once the password was accepted and a TOTP code is needed
 
 /**
  * Inject reauth modal styles
@@ -243,6 +246,18 @@ function createReauthModal() {
                                 autocomplete="current-password"
                             />
                         </div>
+                        <div class="reauth-form-group hide" id="reauthCodeGroup">
+                            <label for="reauthCode">Authentication code</label>
+                            <input 
+                                type="text" 
+                                id="reauthCode" 
+                                class="reauth-input"
+                                placeholder="6-digit code from your authenticator app"
+                                inputmode="numeric"
+                                autocomplete="one-time-code"
+                                maxlength="6"
+                            />
+                        </div>
                     </div>
                     <div class="reauth-modal-footer">
                         <button id="reauthCancelBtn" class="reauth-btn reauth-btn-secondary">Cancel</button>
@@ -261,6 +276,9 @@ function createReauthModal() {
         cancelBtn: document.getElementById('reauthCancelBtn'),
         confirmBtn: document.getElementById('reauthConfirmBtn'),
         passwordInput: document.getElementById('reauthPassword'),
+        passwordGroup: document.getElementById('reauthPassword').closest('.reauth-form-group'),
+        codeInput: document.getElementById('reauthCode'),
+        codeGroup: document.getElementById('reauthCodeGroup'),
         errorMsg: document.getElementById('reauthError'),
         message: document.getElementById('reauthModalMessage')
     };
@@ -300,6 +318,23 @@ function setupReauthModalEvents() {
             handleReauthConfirm();
         }
     });
+
+    // Enter key on authentication code input
+    reauthModal.codeInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleReauthConfirm();
+        }
+    });
+}
+
+/**
+ * Switch between the password step and the authentication code step
+ */
+function setCodeStep(mfaError) {
+    pendingMfaError = mfaError;
+    reauthModal.passwordGroup.classList.toggle('hide', Boolean(mfaError));
+    reauthModal.codeGroup.classList.toggle('hide', !mfaError);
+    reauthModal.codeInput.value = '';
 }
 
 /**
@@ -323,6 +358,7 @@ export function showReauthModal(message = null) {
         if (reauthModal.passwordInput) {
             reauthModal.passwordInput.value = '';
         }
+        setCodeStep(null);
         hideError();
 
         // Store resolve/reject
@@ -360,6 +396,7 @@ function closeReauthModal(success) {
     if (reauthModal.passwordInput) {
         reauthModal.passwordInput.value = '';
     }
+    setCodeStep(null);
     hideError();
 
     // Resolve promise
@@ -404,6 +441,11 @@ async function handleReauthConfirm() {
         return;
     }
 
+    if (pendingMfaError) {
+        await handleReauthCode();
+        return;
+    }
+
     if (!password) {
         showError('Please enter your password.');
         reauthModal.passwordInput.focus();
@@ -429,12 +471,23 @@ async function handleReauthConfirm() {
         console.log('Reauthentication successful');
         closeReauthModal(true);
     } catch (error) {
-        console.error('Reauthentication error:', error);
-        
         // Re-enable button
         reauthModal.confirmBtn.disabled = false;
         reauthModal.confirmBtn.textContent = 'Confirm';
 
+        // Password accepted - ask for the authenticator code
+        if (isMfaRequiredError(error)) {
+            hideError();
+            setCodeStep(error);
+            if (reauthModal.message) {
+                reauthModal.message.textContent = 'Enter the 6-digit code from your authenticator app.';
+            }
+            reauthModal.codeInput.focus();
+            return;
+        }
+
+        console.error('Reauthentication error:', error);
+
         // Show error
         let errorMessage = 'Reauthentication failed. ';
         if (error.code === 'auth/wrong-password') {
@@ -456,6 +509,37 @@ async function handleReauthConfirm() {
     }
 }
 
+/**
+ * Finish reauthentication with the authenticator code
+ */
+async function handleReauthCode() {
+    const code = reauthModal.codeInput.value.trim();
+    if (!code) {
+        showError('Please enter the 6-digit code from your authenticator app.');
+        reauthModal.codeInput.focus();
+        return;
+    }
+
+    try {
+        reauthModal.confirmBtn.disabled = true;
+        reauthModal.confirmBtn.textContent = 'Verifying...';
+
+        await resolveTotpChallenge(pendingMfaError, code);
+
+        console.log('Reauthentication successful (second factor)');
+        reauthModal.confirmBtn.disabled = false;
+        reauthModal.confirmBtn.textContent = 'Confirm';
+        closeReauthModal(true);
+    } catch (error) {
+        console.error('Reauthentication code error:', error);
+        reauthModal.confirmBtn.disabled = false;
+        reauthModal.confirmBtn.textContent = 'Confirm';
+        showError(formatMfaError(error));
+        reauthModal.codeInput.focus();
+        reauthModal.codeInput.select();
+    }
+}
+
 /**
  * Helper function to reauthenticate before performing sensitive operation
  * @param {string} message - Optional custom message
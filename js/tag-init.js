@@ -0,0 +1,182 @@
+/**
+ * Tag Page Initialization Module
+ * Posts with one #tag (/tags/?tag=NAME), sorted by trending (stored hotScore, see
+ * js/hot-score.js) or newest first, paged with cursors
+ *
+ * Posts store their tags lowercased in `tags` (js/post-tags.js). Archived posts are left out,
+ * like on the feed; each post links to its own page.
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    startAfter,
+    limit
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+import { escapeHtml } from './chat-format.js';
+import { isArchived } from './post-archive.js';
+import { getPostPath } from './post-link.js';
+import { normalizeTag, linkifyTags } from './post-tags.js';
+
+const TAG_PAGE_SIZE = 20;
+const SORT_FIELDS = { trending: 'hotScore', new: 'createdAt' };
+
+// Page state
+const tag = normalizeTag(new URLSearchParams(window.location.search).get('tag'));
+const feedEl = document.getElementById('tagPostsFeed');
+let currentSort = 'trending';
+let cursor = null;
+let hasMore = false;
+let isLoading = false;
+const authorCache = new Map();
+
+function init() {
+    if (!feedEl) return;
+
+    const titleEl = document.getElementById('tagTitle');
+    if (!tag) {
+        if (titleEl) titleEl.textContent = 'Tag not found';
+        feedEl.innerHTML = '<div class="posts-empty">That isn\'t a valid tag. <a href="/feed/">Go to the feed</a></div>';
+        return;
+    }
+    if (titleEl) titleEl.textContent = `#${tag}`;
+    document.title = `#${tag} | Apes Together Strong`;
+
+    document.querySelectorAll('.feed-tab[data-tag-sort]').forEach((tab) => {
+        tab.addEventListener('click', () => {
+            if (tab.dataset.tagSort === currentSort || isLoading) return;
+            currentSort = tab.dataset.tagSort;
+            document.querySelectorAll('.feed-tab[data-tag-sort]').forEach(t => t.classList.toggle('active', t === tab));
+            loadTagPosts(true);
+        });
+    });
+
+    loadTagPosts(true);
+}
+
+async function getAuthor(userId) {
+    if (!authorCache.has(userId)) {
+        authorCache.set(userId, getDoc(doc(db, 'users', userId))
+            .then(userDoc => (userDoc.exists() ? userDoc.data() : null))
+            .catch(() => null));
+    }
+    return authorCache.get(userId);
+}
+
+// Load the first page (reset) or the next one
+async function loadTagPosts(reset = false) {
+    if (isLoading) return;
+    isLoading = true;
+
+    if (reset) {
+        cursor = null;
+        feedEl.innerHTML = '<div class="posts-loading">Loading posts...</div>';
+    }
+    document.getElementById('loadMoreTagPostsBtn')?.remove();
+
+    try {
+        const constraints = [
+            where('tags', 'array-contains', tag),
+            where('deleted', '==', false),
+            orderBy(SORT_FIELDS[currentSort], 'desc')
+        ];
+        if (cursor) {
+            constraints.push(startAfter(cursor));
+        }
+        constraints.push(limit(TAG_PAGE_SIZE));
+
+        const snapshot = await getDocs(query(collection(db, 'posts'), ...constraints));
+        if (!snapshot.empty) {
+            cursor = snapshot.docs[snapshot.docs.length - 1];
+        }
+        hasMore = snapshot.size === TAG_PAGE_SIZE;
+
+        const postDocs = snapshot.docs.filter(postDoc => !isArchived(postDoc.data()));
+        const posts = await Promise.all(postDocs.map(async postDoc => ({
+            id: postDoc.id,
+            ...postDoc.data(),
+            userData: await getAuthor(postDoc.data().userId)
+        })));
+
+        if (reset) feedEl.innerHTML = '';
+        feedEl.insertAdjacentHTML('beforeend', posts.map(renderTagPost).join(''));
+
+        if (feedEl.children.length === 0 && !hasMore) {
+            feedEl.innerHTML = `<div class="posts-empty">No posts with #${escapeHtml(tag)} yet.</div>`;
+        } else if (hasMore) {
+            addLoadMoreButton();
+        }
+    } catch (error) {
+        console.error('[tag] Error loading posts:', error);
+        if (reset) {
+            feedEl.innerHTML = '<div class="posts-error">Error loading posts. Please refresh the page.</div>';
+        }
+    } finally {
+        isLoading = false;
+    }
+}
+
+function addLoadMoreButton() {
+    const loadMoreBtn = document.createElement('button');
+    loadMoreBtn.id = 'loadMoreTagPostsBtn';
+    loadMoreBtn.className = 'load-more-btn';
+    loadMoreBtn.textContent = 'Load More';
+    loadMoreBtn.addEventListener('click', () => {
+        loadMoreBtn.disabled = true;
+        loadMoreBtn.textContent = 'Loading...';
+        loadTagPosts();
+    });
+    feedEl.appendChild(loadMoreBtn);
+}
+
+// Compact card; the whole post (votes, comments) is on its own page
+function renderTagPost(post) {
+    const createdAt = post.createdAt?.toDate ? post.createdAt.toDate() : new Date(post.createdAt?.seconds * 1000 || Date.now());
+    const bannerImage = post.userData?.bannerImage || '/pfp_apes/bg1.png';
+    const image = (post.images || [])[0];
+
+    return `
+        <div class="post-card tag-post-card" data-post-id="${post.id}">
+            <div class="post-header">
+                <a href="/profile/?user=${encodeURIComponent(post.userId)}">
+                    <img src="${bannerImage}" alt="${escapeHtml(post.username || '')}" class="post-author-avatar" />
+                </a>
+                <div class="post-author-info">
+                    <a class="post-author-name" href="/profile/?user=${encodeURIComponent(post.userId)}">${escapeHtml(post.username || 'Anonymous')}</a>
+                    <div class="post-author-meta">
+                        <span class="post-author-level">LVL ${post.userData?.level || 1}</span>
+                        <span class="post-time">${getTimeAgo(createdAt)}</span>
+                    </div>
+                </div>
+            </div>
+            <div class="post-content">
+                ${post.content ? `<p class="post-text">${linkifyTags(escapeHtml(post.content).replace(/\n/g, '<br>'))}</p>` : ''}
+                ${image ? `<div class="post-images"><img src="${escapeHtml(image)}" alt="Post image" class="post-image" /></div>` : ''}
+            </div>
+            <div class="post-actions">
+                <span class="post-action-btn disabled" title="Score">⬆ ${post.voteScore || 0}</span>
+                <span class="post-action-btn disabled" title="Comments">💬 ${post.commentsCount || 0}</span>
+                <a class="post-action-btn tag-post-open" href="${getPostPath(post.id)}">Open post →</a>
+            </div>
+        </div>
+    `;
+}
+
+function getTimeAgo(date) {
+    const seconds = Math.floor((new Date() - date) / 1000);
+
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+
+    return date.toLocaleDateString();
+}
+
+init();
@@ -0,0 +1,48 @@
+/**
+ * Timeline Module
+ * Paged reader for the following feed (timelines/{uid}/items)
+ *
+ * Cloud Functions (functions/timelines.js) fan each new post out to the timelines of the
+ * author's followers, backfill recent posts on follow and remove them on unfollow or when
+ * the post is deleted. Items are ordered by the post's createdAt.
+ *
+ * Used by the following tabs on the feed (js/feed.js) and the homepage (js/home.js).
+ */
+
+import { db } from './firebase.js';
+import {
+    collection,
+    doc,
+    query,
+    orderBy,
+    limit,
+    startAfter,
+    getDoc,
+    getDocs
+} from 'https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js';
+
+export const TIMELINE_PAGE_SIZE = 20;
+
+/**
+ * Fetch the next page of a user's timeline
+ * @param {DocumentSnapshot|null} cursor - last item of the previous page (null for the first page)
+ * @returns {Promise<{ postDocs: Array, cursor: DocumentSnapshot|null, hasMore: boolean }>}
+ *   postDocs are the live posts of the page, newest first
+ */
+export async function fetchTimelinePage(uid, cursor = null, pageSize = TIMELINE_PAGE_SIZE) {
+    const constraints = [orderBy('createdAt', 'desc')];
+    if (cursor) {
+        constraints.push(startAfter(cursor));
+    }
+    constraints.push(limit(pageSize));
+
+    const snapshot = await getDocs(query(collection(db, 'timelines', uid, 'items'), ...constraints));
+    const postDocs = await Promise.all(snapshot.docs.map(item => getDoc(doc(db, 'posts', item.data().postId || item.id))));
+
+    return {
+        // Posts can be deleted before the trigger removes their items
+        postDocs: postDocs.filter(postDoc => postDoc.exists() && postDoc.data().deleted !== true),
+        cursor: snapshot.empty ? cursor : snapshot.docs[snapshot.docs.length - 1],
+        hasMore: snapshot.size === pageSize
+    };
+}
@@ -0,0 +1,40 @@
+/**
+ * Usernames Module
+ * Username format and the limits on renaming
+ *
+ * Used by profile settings (js/profile-settings-init.js) and by the changeUsername callable
+ * (functions/usernames.js).
+ *
+ * A rename frees the old name but keeps usernameAliases/{oldName} pointing at the user, so
+ * /profile/?username=oldName still opens their profile. Nobody else can claim the old name while
+ * the alias is held (USERNAME_ALIAS_HOLD_MS, also checked by firestore.rules).
+ */
+
+export const USERNAME_PATTERN = /^[a-z0-9_]{3,20}$/; // same as isValidUsername in firestore.rules
+export const USERNAME_CHANGE_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000; // 30 days between renames
+export const USERNAME_ALIAS_HOLD_MS = 90 * 24 * 60 * 60 * 1000; // old names stay reserved for 90 days
+
+// Error message for a new username, or null when it's valid
+export function validateUsername(username) {
+    if (!username || username.length < 3 || username.length > 20) {
+        return 'Username must be 3-20 characters long.';
+    }
+    if (!USERNAME_PATTERN.test(username)) {
+        return 'Username can only contain lowercase letters, numbers, and underscores.';
+    }
+    if (username.startsWith('_') || username.endsWith('_')) {
+        return 'Username cannot start or end with an underscore.';
+    }
+    return null;
+}
+
+// Milliseconds left before the user can rename again (0 when they can rename now)
+export function getUsernameChangeRemainingMs(lastChangedMillis, now = Date.now()) {
+    if (!lastChangedMillis) return 0;
+    return Math.max(0, USERNAME_CHANGE_COOLDOWN_MS - (now - lastChangedMillis));
+}
+
+// Whether an alias created at aliasCreatedMillis still keeps the name from other users
+export function isAliasHeld(aliasCreatedMillis, now = Date.now()) {
+    return now - aliasCreatedMillis < USERNAME_ALIAS_HOLD_MS;
+}
@@ -0,0 +1,134 @@
+/**
+ * Backfill Chat Search Script
+ * 
+ * Adds `searchTokens` to community chat messages sent before chat search existed.
+ * New and edited messages get their tokens from Cloud Functions (functions/moderation.js);
+ * the tokenizer is shared with the chat page (js/chat-search.js).
+ * 
+ * Usage:
+ *   1. Install dependencies: npm install firebase-admin
+ *   2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ *   3. Run: node scripts/backfill-chat-search.js
+ *      Preview without writing: node scripts/backfill-chat-search.js --dry-run
+ * 
+ * Safety:
+ *   - Skips deleted messages and messages that already have tokens
+ *   - Idempotent - safe to run multiple times
+ */
+
+const admin = require('firebase-admin');
+const path = require('path');
+const fs = require('fs');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+    try {
+        let serviceAccount;
+        
+        // Try to load from environment variable first
+        if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+            const keyPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        // Fallback: try to load from project root
+        if (!serviceAccount) {
+            const keyPath = path.join(__dirname, '..', 'service-account-key.json');
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        if (serviceAccount) {
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                projectId: serviceAccount.project_id || 'apes-365b0'
+            });
+        } else {
+            // If no key found, try with just project ID (will use default credentials)
+            admin.initializeApp({
+                projectId: 'apes-365b0'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Failed to initialize Firebase Admin:', error.message);
+        console.error('   Make sure GOOGLE_APPLICATION_CREDENTIALS is set or service-account-key.json exists in project root');
+        process.exit(1);
+    }
+}
+
+const db = admin.firestore();
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 500;
+
+/**
+ * Backfill one community's messages, a page at a time
+ */
+async function backfillCommunity(communityRef, tokenizeForSearch) {
+    let updated = 0;
+    let skipped = 0;
+    let lastDoc = null;
+
+    while (true) {
+        let pageQuery = communityRef.collection('messages').orderBy('__name__').limit(PAGE_SIZE);
+        if (lastDoc) {
+            pageQuery = pageQuery.startAfter(lastDoc);
+        }
+        const snapshot = await pageQuery.get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        let batchCount = 0;
+        snapshot.docs.forEach((messageDoc) => {
+            const message = messageDoc.data();
+            if (message.deleted === true || Array.isArray(message.searchTokens)) {
+                skipped++;
+                return;
+            }
+            batch.update(messageDoc.ref, { searchTokens: tokenizeForSearch(message.text) });
+            batchCount++;
+        });
+
+        if (batchCount > 0 && !DRY_RUN) {
+            await batch.commit();
+        }
+        updated += batchCount;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return { updated, skipped };
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+    try {
+        const { tokenizeForSearch } = await import('../js/chat-search.js');
+        console.log(`🚀 Backfilling chat search tokens${DRY_RUN ? ' (--dry-run: nothing is written)' : ''}...\n`);
+
+        const communities = await db.collection('communities').get();
+        let totalUpdated = 0;
+        let totalSkipped = 0;
+
+        for (const communityDoc of communities.docs) {
+            const { updated, skipped } = await backfillCommunity(communityDoc.ref, tokenizeForSearch);
+            console.log(`✅ ${communityDoc.id}: ${updated} indexed, ${skipped} skipped`);
+            totalUpdated += updated;
+            totalSkipped += skipped;
+        }
+
+        console.log('\n🎉 Chat search backfill complete!');
+        console.log(`   Indexed: ${totalUpdated}`);
+        console.log(`   Skipped: ${totalSkipped}`);
+
+    } catch (error) {
+        console.error('❌ Error backfilling chat search:', error);
+        process.exit(1);
+    }
+}
+
+// Run the script
+main();
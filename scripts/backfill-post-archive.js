@@ -0,0 +1,115 @@
+/**
+ * Backfill Post Archive Fields Script
+ * 
+ * Sets `archived: false` on live posts created before post archiving existed, so the daily
+ * archive schedule (archiveOldPosts in functions/archive.js) can find them. New posts are
+ * created with the field.
+ * 
+ * Usage:
+ *   1. Install dependencies: npm install firebase-admin
+ *   2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ *   3. Run: node scripts/backfill-post-archive.js
+ *      Preview without writing: node scripts/backfill-post-archive.js --dry-run
+ * 
+ * Safety:
+ *   - Only touches posts without an `archived` field
+ *   - Skips deleted posts (the old 7-day cleanup soft-deleted them; they stay deleted)
+ *   - Idempotent - safe to run multiple times
+ */
+
+const admin = require('firebase-admin');
+const path = require('path');
+const fs = require('fs');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+    try {
+        let serviceAccount;
+        
+        // Try to load from environment variable first
+        if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+            const keyPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        // Fallback: try to load from project root
+        if (!serviceAccount) {
+            const keyPath = path.join(__dirname, '..', 'service-account-key.json');
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        if (serviceAccount) {
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                projectId: serviceAccount.project_id || 'apes-365b0'
+            });
+        } else {
+            // If no key found, try with just project ID (will use default credentials)
+            admin.initializeApp({
+                projectId: 'apes-365b0'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Failed to initialize Firebase Admin:', error.message);
+        console.error('   Make sure GOOGLE_APPLICATION_CREDENTIALS is set or service-account-key.json exists in project root');
+        process.exit(1);
+    }
+}
+
+const db = admin.firestore();
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 500;
+
+/**
+ * Main execution
+ */
+async function main() {
+    try {
+        console.log(`🚀 Backfilling post archive fields${DRY_RUN ? ' (--dry-run: nothing is written)' : ''}...\n`);
+
+        let scanned = 0;
+        let updated = 0;
+        let lastDoc = null;
+
+        while (true) {
+            let pageQuery = db.collection('posts')
+                .where('deleted', '==', false)
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(PAGE_SIZE);
+            if (lastDoc) {
+                pageQuery = pageQuery.startAfter(lastDoc);
+            }
+            const snapshot = await pageQuery.get();
+            if (snapshot.empty) break;
+
+            const missing = snapshot.docs.filter(postDoc => !('archived' in postDoc.data()));
+            scanned += snapshot.size;
+            updated += missing.length;
+
+            if (!DRY_RUN && missing.length > 0) {
+                const batch = db.batch();
+                missing.forEach(postDoc => batch.update(postDoc.ref, { archived: false }));
+                await batch.commit();
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+            console.log(`   ...${scanned} posts scanned`);
+            if (snapshot.size < PAGE_SIZE) break;
+        }
+
+        console.log('\n🎉 Post archive backfill complete!');
+        console.log(`   Posts scanned: ${scanned}`);
+        console.log(`   Posts ${DRY_RUN ? 'to update' : 'updated'}: ${updated}`);
+
+    } catch (error) {
+        console.error('❌ Error backfilling post archive fields:', error);
+        process.exit(1);
+    }
+}
+
+// Run the script
+main();
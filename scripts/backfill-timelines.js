@@ -0,0 +1,145 @@
+/**
+ * Backfill Timelines Script
+ * 
+ * Fills the following-feed timelines (timelines/{uid}/items/{postId}) for follows that
+ * existed before timelines did: each follower gets the latest posts of everyone they follow.
+ * New posts, follows and unfollows are handled by Cloud Functions (functions/timelines.js).
+ * 
+ * Usage:
+ *   1. Install dependencies: npm install firebase-admin
+ *   2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ *   3. Run: node scripts/backfill-timelines.js
+ *      Preview without writing: node scripts/backfill-timelines.js --dry-run
+ * 
+ * Safety:
+ *   - Item IDs are post IDs, so existing items are overwritten, never duplicated
+ *   - Skips deleted posts
+ *   - Idempotent - safe to run multiple times
+ */
+
+const admin = require('firebase-admin');
+const path = require('path');
+const fs = require('fs');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+    try {
+        let serviceAccount;
+        
+        // Try to load from environment variable first
+        if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+            const keyPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        // Fallback: try to load from project root
+        if (!serviceAccount) {
+            const keyPath = path.join(__dirname, '..', 'service-account-key.json');
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        if (serviceAccount) {
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                projectId: serviceAccount.project_id || 'apes-365b0'
+            });
+        } else {
+            // If no key found, try with just project ID (will use default credentials)
+            admin.initializeApp({
+                projectId: 'apes-365b0'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Failed to initialize Firebase Admin:', error.message);
+        console.error('   Make sure GOOGLE_APPLICATION_CREDENTIALS is set or service-account-key.json exists in project root');
+        process.exit(1);
+    }
+}
+
+const db = admin.firestore();
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 500;
+const POSTS_PER_AUTHOR = 20; // Same as BACKFILL_LIMIT in functions/timelines.js
+
+// Latest live posts per author, cached across followers
+const postsByAuthor = new Map();
+async function getRecentPosts(authorId) {
+    if (!postsByAuthor.has(authorId)) {
+        const snapshot = await db.collection('posts')
+            .where('userId', '==', authorId)
+            .where('deleted', '==', false)
+            .orderBy('createdAt', 'desc')
+            .limit(POSTS_PER_AUTHOR)
+            .get();
+        postsByAuthor.set(authorId, snapshot.docs.map(postDoc => ({
+            postId: postDoc.id,
+            authorId,
+            createdAt: postDoc.data().createdAt
+        })));
+    }
+    return postsByAuthor.get(authorId);
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+    try {
+        console.log(`🚀 Backfilling timelines${DRY_RUN ? ' (--dry-run: nothing is written)' : ''}...\n`);
+
+        let follows = 0;
+        let totalItems = 0;
+        let lastDoc = null;
+
+        // following/{uid}/following/{followingId}
+        while (true) {
+            let pageQuery = db.collectionGroup('following')
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(PAGE_SIZE);
+            if (lastDoc) {
+                pageQuery = pageQuery.startAfter(lastDoc);
+            }
+            const snapshot = await pageQuery.get();
+            if (snapshot.empty) break;
+
+            for (const followDoc of snapshot.docs) {
+                const followerDoc = followDoc.ref.parent.parent;
+                // Skip the top-level following/{uid} docs
+                if (!followerDoc || followerDoc.parent.id !== 'following') continue;
+
+                const userId = followerDoc.id;
+                const followingId = followDoc.id;
+                if (userId === followingId) continue;
+
+                const items = await getRecentPosts(followingId);
+                follows++;
+                totalItems += items.length;
+                if (DRY_RUN || items.length === 0) continue;
+
+                const batch = db.batch();
+                items.forEach((item) => {
+                    batch.set(db.collection('timelines').doc(userId).collection('items').doc(item.postId), item);
+                });
+                await batch.commit();
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+            console.log(`   ...${follows} follows processed`);
+        }
+
+        console.log('\n🎉 Timeline backfill complete!');
+        console.log(`   Follows: ${follows}`);
+        console.log(`   Timeline items: ${totalItems}`);
+
+    } catch (error) {
+        console.error('❌ Error backfilling timelines:', error);
+        process.exit(1);
+    }
+}
+
+// Run the script
+main();
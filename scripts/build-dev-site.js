@@ -0,0 +1,80 @@
+/**
+ * Build Dev Site Script
+ *
+ * Copies the site to .dev-site/ with http://localhost:* added to the Content-Security-Policy
+ * (connect-src and frame-src) of every page, so the client can reach the Firebase Emulators.
+ * The shipped pages never allow localhost; js/firebase.js only connects to the emulators on
+ * localhost with ?emulators=1.
+ *
+ * Usage:
+ *   1. Start the emulators: firebase emulators:start --only auth,firestore,functions,storage
+ *   2. Run: node scripts/build-dev-site.js
+ *   3. Serve the copy: python3 -m http.server 5500 --directory .dev-site
+ *   4. Open http://localhost:5500/?emulators=1
+ *
+ * Safety:
+ *   - Only writes to .dev-site/ (git-ignored, and skipped by Firebase Hosting like every dotfile)
+ *   - Rebuilds the copy from scratch on every run
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, '.dev-site');
+// Not part of the hosted site, like dotfiles (see "hosting.ignore" in firebase.json)
+const SKIPPED = new Set(['firebase.json', 'node_modules', 'functions', 'scripts']);
+const DEV_SOURCE = 'http://localhost:*';
+
+// Add the emulator origin to the connect-src and frame-src directives of a page's CSP
+function allowLocalhost(html) {
+    return html.replace(/(<meta http-equiv="Content-Security-Policy" content=")([^"]*)(")/, (match, start, policy, end) => {
+        const directives = policy.split(';').map((directive) => {
+            const trimmed = directive.trim();
+            if (/^(connect-src|frame-src)\s/.test(trimmed) && !trimmed.includes(DEV_SOURCE)) {
+                return `${directive.replace(/\s+$/, '')} ${DEV_SOURCE}`;
+            }
+            return directive;
+        });
+        return `${start}${directives.join(';')}${end}`;
+    });
+}
+
+/**
+ * Main execution
+ */
+function main() {
+    try {
+        console.log('🚀 Building dev site for the Firebase Emulators...\n');
+
+        fs.rmSync(OUTPUT, { recursive: true, force: true });
+        fs.readdirSync(ROOT)
+            .filter(name => !name.startsWith('.') && !SKIPPED.has(name))
+            .forEach(name => fs.cpSync(path.join(ROOT, name), path.join(OUTPUT, name), { recursive: true }));
+
+        let pages = 0;
+        const rewritePages = (dir) => {
+            fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    rewritePages(entryPath);
+                } else if (entry.name.endsWith('.html')) {
+                    fs.writeFileSync(entryPath, allowLocalhost(fs.readFileSync(entryPath, 'utf8')));
+                    pages++;
+                }
+            });
+        };
+        rewritePages(OUTPUT);
+
+        console.log('🎉 Dev site built!');
+        console.log(`   Output: ${path.relative(ROOT, OUTPUT)}/`);
+        console.log(`   Pages: ${pages}`);
+
+    } catch (error) {
+        console.error('❌ Error building dev site:', error);
+        process.exit(1);
+    }
+}
+
+// Run the script
+main();
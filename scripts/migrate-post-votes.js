@@ -0,0 +1,164 @@
+/**
+ * Migrate Post Votes Script
+ * 
+ * Moves votes from the `upvotes`/`downvotes` maps on posts/{postId} to the vote ledger at
+ * posts/{postId}/votes/{uid} ({ value: 1 | -1, userId }), recomputes voteScore, upvoteCount and
+ * downvoteCount from the maps and removes the maps.
+ * New votes are counted by Cloud Functions (functions/votes.js).
+ * 
+ * Usage:
+ *   1. Install dependencies: npm install firebase-admin
+ *   2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ *   3. Run: node scripts/migrate-post-votes.js
+ *      Preview without writing: node scripts/migrate-post-votes.js --dry-run
+ * 
+ * Safety:
+ *   - Vote docs are created with `migrated: true`, which the vote and notification triggers
+ *     skip, so author karma is not changed and no notifications are sent
+ *   - Skips posts without vote maps (already migrated or never voted on)
+ *   - Idempotent - safe to run multiple times, including after an interrupted run
+ */
+
+const admin = require('firebase-admin');
+const path = require('path');
+const fs = require('fs');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+    try {
+        let serviceAccount;
+        
+        // Try to load from environment variable first
+        if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+            const keyPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        // Fallback: try to load from project root
+        if (!serviceAccount) {
+            const keyPath = path.join(__dirname, '..', 'service-account-key.json');
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        if (serviceAccount) {
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                projectId: serviceAccount.project_id || 'apes-365b0'
+            });
+        } else {
+            // If no key found, try with just project ID (will use default credentials)
+            admin.initializeApp({
+                projectId: 'apes-365b0'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Failed to initialize Firebase Admin:', error.message);
+        console.error('   Make sure GOOGLE_APPLICATION_CREDENTIALS is set or service-account-key.json exists in project root');
+        process.exit(1);
+    }
+}
+
+const db = admin.firestore();
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 200;
+const BATCH_LIMIT = 450; // Firestore allows 500 writes per batch
+
+// uids with a `true` entry in a vote map
+function voterIds(voteMap) {
+    if (!voteMap || typeof voteMap !== 'object') return [];
+    return Object.keys(voteMap).filter(uid => voteMap[uid] === true);
+}
+
+/**
+ * Migrate one post's vote maps
+ * @returns {Promise<number>} number of vote docs written
+ */
+async function migratePost(postDoc) {
+    const post = postDoc.data();
+    const upvoterIds = voterIds(post.upvotes);
+    // A uid in both maps counts as an upvote
+    const downvoterIds = voterIds(post.downvotes).filter(uid => !upvoterIds.includes(uid));
+    const votes = [
+        ...upvoterIds.map(uid => ({ uid, value: 1 })),
+        ...downvoterIds.map(uid => ({ uid, value: -1 }))
+    ];
+
+    if (DRY_RUN) return votes.length;
+
+    for (let i = 0; i < votes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        votes.slice(i, i + BATCH_LIMIT).forEach(({ uid, value }) => {
+            batch.set(postDoc.ref.collection('votes').doc(uid), {
+                value,
+                userId: uid,
+                migrated: true,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        await batch.commit();
+    }
+
+    // Counters are written last, so an interrupted run leaves the maps in place for the rerun
+    await postDoc.ref.update({
+        voteScore: upvoterIds.length - downvoterIds.length,
+        upvoteCount: upvoterIds.length,
+        downvoteCount: downvoterIds.length,
+        upvotes: admin.firestore.FieldValue.delete(),
+        downvotes: admin.firestore.FieldValue.delete()
+    });
+    return votes.length;
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+    try {
+        console.log(`🚀 Migrating post votes${DRY_RUN ? ' (--dry-run: nothing is written)' : ''}...\n`);
+
+        let migratedPosts = 0;
+        let skippedPosts = 0;
+        let totalVotes = 0;
+        let lastDoc = null;
+
+        while (true) {
+            let pageQuery = db.collection('posts').orderBy('__name__').limit(PAGE_SIZE);
+            if (lastDoc) {
+                pageQuery = pageQuery.startAfter(lastDoc);
+            }
+            const snapshot = await pageQuery.get();
+            if (snapshot.empty) break;
+
+            for (const postDoc of snapshot.docs) {
+                const post = postDoc.data();
+                if (!('upvotes' in post) && !('downvotes' in post)) {
+                    skippedPosts++;
+                    continue;
+                }
+
+                const voteCount = await migratePost(postDoc);
+                migratedPosts++;
+                totalVotes += voteCount;
+                console.log(`✅ ${postDoc.id}: ${voteCount} votes`);
+            }
+
+            lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        }
+
+        console.log('\n🎉 Post vote migration complete!');
+        console.log(`   Posts migrated: ${migratedPosts}`);
+        console.log(`   Posts skipped: ${skippedPosts}`);
+        console.log(`   Votes: ${totalVotes}`);
+
+    } catch (error) {
+        console.error('❌ Error migrating post votes:', error);
+        process.exit(1);
+    }
+}
+
+// Run the script
+main();
@@ -0,0 +1,158 @@
+/**
+ * Seed Quests Script
+ * 
+ * Writes the default quest catalog to the Firestore `quests` collection.
+ * Quests are read from Firestore by the quests page and by Cloud Functions
+ * (functions/quests.js), and edited afterwards on /quests/admin/.
+ * 
+ * Each quest names the `event` that advances it (see QUEST_EVENTS in js/quest-catalog.js).
+ * 
+ * Usage:
+ *   1. Install dependencies: npm install firebase-admin
+ *   2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ *   3. Run: node scripts/seed-quests.js
+ *      Overwrite quests that already exist: node scripts/seed-quests.js --force
+ * 
+ * Safety:
+ *   - Skips quests that already exist (admin edits are kept) unless --force is passed
+ *   - Idempotent - safe to run multiple times
+ */
+
+const admin = require('firebase-admin');
+const path = require('path');
+const fs = require('fs');
+
+// Initialize Firebase Admin
+if (!admin.apps.length) {
+    try {
+        let serviceAccount;
+        
+        // Try to load from environment variable first
+        if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+            const keyPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        // Fallback: try to load from project root
+        if (!serviceAccount) {
+            const keyPath = path.join(__dirname, '..', 'service-account-key.json');
+            if (fs.existsSync(keyPath)) {
+                serviceAccount = require(keyPath);
+            }
+        }
+        
+        if (serviceAccount) {
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                projectId: serviceAccount.project_id || 'apes-365b0'
+            });
+        } else {
+            // If no key found, try with just project ID (will use default credentials)
+            admin.initializeApp({
+                projectId: 'apes-365b0'
+            });
+        }
+    } catch (error) {
+        console.error('❌ Failed to initialize Firebase Admin:', error.message);
+        console.error('   Make sure GOOGLE_APPLICATION_CREDENTIALS is set or service-account-key.json exists in project root');
+        process.exit(1);
+    }
+}
+
+const db = admin.firestore();
+const FORCE = process.argv.includes('--force');
+
+// Default quest catalog (previously hardcoded in js/quests-init.js)
+const DEFAULT_QUESTS = [
+    // Daily quests
+    { id: 'daily_complete_quest', title: 'Quest Completer', description: 'Complete all daily quests', type: 'daily', category: 'quests', event: 'all_daily_quests_completed', targetValue: 5, rewardPoints: 15, order: 0 },
+    { id: 'daily_chat_5', title: 'Chat Master', description: 'Send 5 messages in chat', type: 'daily', category: 'chat', event: 'chat_message', targetValue: 5, rewardPoints: 10, order: 1 },
+    { id: 'daily_post_1', title: 'Content Creator', description: 'Create 1 post', type: 'daily', category: 'social', event: 'post_created', targetValue: 1, rewardPoints: 5, order: 2 },
+    { id: 'daily_quests_visit', title: 'Quest Explorer', description: 'Visit the quests page', type: 'daily', category: 'quests', event: 'quests_visit', targetValue: 1, rewardPoints: 5, order: 3 },
+    { id: 'daily_login', title: 'Daily Login', description: 'Log in to the site', type: 'daily', category: 'activity', event: 'login', targetValue: 1, rewardPoints: 5, order: 4 },
+    { id: 'daily_follow_3', title: 'Social Butterfly', description: 'Follow 3 users', type: 'daily', category: 'social', event: 'follow_user', targetValue: 3, rewardPoints: 15, order: 5 },
+
+    // Weekly quests
+    { id: 'weekly_chat_50', title: 'Chat Champion', description: 'Send 50 messages in chat', type: 'weekly', category: 'chat', event: 'chat_message', targetValue: 50, rewardPoints: 50, order: 1 },
+    { id: 'weekly_complete_daily_5', title: 'Daily Grinder', description: 'Complete 20 daily quests', type: 'weekly', category: 'quests', event: 'daily_quest_completed', targetValue: 20, rewardPoints: 75, order: 2 },
+    { id: 'weekly_active_3_days', title: 'Loyal Ape', description: 'Stay active for 3 days', type: 'weekly', category: 'activity', event: 'active_day', targetValue: 3, rewardPoints: 50, order: 3 },
+    { id: 'weekly_get_25_followers', title: 'Influencer Ape', description: 'Get 25 followers', type: 'weekly', category: 'social', event: 'follower_gained', targetValue: 25, rewardPoints: 100, order: 4 },
+
+    // Achievements
+    { id: 'achievement_level_10', title: 'Level 10 Master', description: 'Reach level 10', type: 'achievement', category: 'level', event: 'level_reached', targetValue: 10, rewardPoints: 50, order: 1 },
+    { id: 'achievement_level_25', title: 'Level 25 Champion', description: 'Reach level 25', type: 'achievement', category: 'level', event: 'level_reached', targetValue: 25, rewardPoints: 150, order: 2 },
+    { id: 'achievement_level_50', title: 'Level 50 Legend', description: 'Reach level 50', type: 'achievement', category: 'level', event: 'level_reached', targetValue: 50, rewardPoints: 500, order: 3 },
+    { id: 'achievement_level_100', title: 'Level 100 God', description: 'Reach level 100', type: 'achievement', category: 'level', event: 'level_reached', targetValue: 100, rewardPoints: 2000, order: 4 },
+    { id: 'achievement_complete_100_quests', title: 'Quest Master', description: 'Complete 100 quests total', type: 'achievement', category: 'quests', event: 'quests_completed', targetValue: 100, rewardPoints: 500, order: 5 },
+    { id: 'achievement_100_followers', title: 'Century Club', description: 'Get 100 followers', type: 'achievement', category: 'social', event: 'follower_gained', targetValue: 100, rewardPoints: 500, order: 6 },
+    { id: 'achievement_50_posts', title: 'Content Creator', description: 'Create 50 posts', type: 'achievement', category: 'posts', event: 'post_created', targetValue: 50, rewardPoints: 300, order: 7 },
+    { id: 'achievement_1000_chat_messages', title: 'Chat Legend', description: 'Send 1000 chat messages', type: 'achievement', category: 'chat', event: 'chat_message', targetValue: 1000, rewardPoints: 400, order: 8 },
+    { id: 'achievement_verify_x', title: 'Verified Ape', description: 'Verify your X account', type: 'achievement', category: 'social', event: 'x_verified', targetValue: 1, rewardPoints: 100, order: 9 }
+];
+
+function getResetPeriod(type) {
+    if (type === 'daily') return 'daily';
+    if (type === 'weekly') return 'weekly';
+    return 'never';
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+    try {
+        console.log(`🚀 Seeding ${DEFAULT_QUESTS.length} quests${FORCE ? ' (--force: overwriting existing)' : ''}...\n`);
+
+        let created = 0;
+        let updated = 0;
+        let skipped = 0;
+
+        for (const { id, ...quest } of DEFAULT_QUESTS) {
+            const questRef = db.collection('quests').doc(id);
+            const questDoc = await questRef.get();
+
+            if (questDoc.exists && !FORCE) {
+                console.log(`⏭️  ${id} already exists, skipping`);
+                skipped++;
+                continue;
+            }
+
+            const data = {
+                ...quest,
+                resetPeriod: getResetPeriod(quest.type),
+                isActive: true,
+                startsAt: null,
+                endsAt: null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedBy: 'seed-quests'
+            };
+
+            if (questDoc.exists) {
+                await questRef.set(data, { merge: true });
+                console.log(`🔄 ${id} overwritten`);
+                updated++;
+            } else {
+                await questRef.set({
+                    ...data,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                console.log(`✅ ${id} created`);
+                created++;
+            }
+        }
+
+        console.log('\n🎉 Quest seeding complete!');
+        console.log(`   Created: ${created}`);
+        console.log(`   Overwritten: ${updated}`);
+        console.log(`   Skipped: ${skipped}`);
+
+    } catch (error) {
+        console.error('❌ Error seeding quests:', error);
+        process.exit(1);
+    }
+}
+
+// Run the script
+main();